@@ -0,0 +1,323 @@
+// BalanceChain Bundle Module
+// Signed, verifiable full-chain export/import (.bchain)
+
+import { PROTOCOL_VERSION } from './constants.js';
+import {
+  sha256Hex,
+  canonicalize,
+  sign,
+  verify,
+  importPublicKeyJwk,
+  generateHumanId
+} from './crypto.js';
+import { getAllSTAs } from './idb.js';
+import { verifySegments } from './integrity.js';
+import { validateBatch } from './validation.js';
+import { detectFork } from './fork.js';
+import { buildKeyHistory, getActiveKey, publicKeysEqual } from './keys.js';
+
+// ============================================================================
+// BUNDLE FORMAT
+// ============================================================================
+
+export const BUNDLE_FORMAT = 'bchain';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.bchain';
+export const BUNDLE_MIME_TYPE = 'application/vnd.balancechain+json';
+
+/**
+ * @typedef {Object} BundleManifest
+ * @property {string} hid - Chain owner
+ * @property {JsonWebKey} pubJwk - Owner's active public key (linked to the HID by the key history)
+ * @property {number} length - Number of segments
+ * @property {string} head - Block hash of the last segment
+ * @property {string} segmentsHash - SHA-256 of the canonical segment list
+ * @property {number} protocolVersion - Segment protocol version
+ * @property {number} createdAt - Export time
+ */
+
+/**
+ * @typedef {Object} ChainBundle
+ * @property {string} format - Always 'bchain'
+ * @property {number} v - Bundle format version
+ * @property {BundleManifest} manifest
+ * @property {string} signature - Owner signature over the canonical manifest
+ * @property {Object[]} segments - Segments in sequence order
+ */
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build a signed bundle from segments
+ * @param {Object} params
+ * @param {Object[]} params.segments - Full chain from seq 1
+ * @param {{hid: string, pubJwk: JsonWebKey, privateKey: CryptoKey}} params.identity
+ * @param {string} params.head - Chain head hash
+ * @returns {Promise<ChainBundle>}
+ */
+export async function buildChainBundle({ segments, identity, head }) {
+  const ordered = [...segments].sort((a, b) => a.seq - b.seq);
+  
+  const manifest = {
+    hid: identity.hid,
+    pubJwk: identity.pubJwk,
+    length: ordered.length,
+    head,
+    segmentsHash: await sha256Hex(canonicalize(ordered)),
+    protocolVersion: PROTOCOL_VERSION,
+    createdAt: Date.now()
+  };
+  
+  const signature = await sign(identity.privateKey, canonicalize(manifest));
+  
+  return {
+    format: BUNDLE_FORMAT,
+    v: BUNDLE_VERSION,
+    manifest,
+    signature,
+    segments: ordered
+  };
+}
+
+/**
+ * Export the local chain as a signed bundle
+ * @param {StateManager} state - State manager (identity with private key)
+ * @returns {Promise<ChainBundle>}
+ */
+export async function exportChainBundle(state) {
+  const segments = await getAllSTAs(state.db);
+  const head = await state.getChainHead();
+  
+  const bundle = await buildChainBundle({ segments, identity: state.identity, head });
+  
+  console.log(`[Bundle] Exported ${segments.length} segments, head=${head.slice(0, 8)}...`);
+  
+  return bundle;
+}
+
+/**
+ * Serialize a bundle for download
+ * @param {ChainBundle} bundle
+ * @returns {string}
+ */
+export function serializeBundle(bundle) {
+  return JSON.stringify(bundle);
+}
+
+/**
+ * Parse a serialized bundle
+ * @param {string} text
+ * @returns {{ok: boolean, bundle?: ChainBundle, reason?: string, message?: string}}
+ */
+export function parseBundle(text) {
+  try {
+    const bundle = JSON.parse(text);
+    
+    if (bundle?.format !== BUNDLE_FORMAT) {
+      return { ok: false, reason: 'not_a_bundle', message: 'Missing bchain format marker' };
+    }
+    
+    return { ok: true, bundle };
+  } catch (e) {
+    return { ok: false, reason: 'parse_error', message: e.message };
+  }
+}
+
+/**
+ * Suggested download filename
+ * @param {BundleManifest} manifest
+ * @returns {string}
+ */
+export function getBundleFilename(manifest) {
+  return `${manifest.hid}-${manifest.length}${BUNDLE_EXTENSION}`;
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Verify a bundle without touching IndexedDB
+ * Checks that the manifest key is the owner's active key (following any
+ * identity.rotate segments back to the key the HID was derived from) and
+ * the manifest signature, then runs the same segment checks as
+ * verifyChainIntegrity and compares the computed head and segment hash
+ * with the manifest.
+ * @param {ChainBundle} bundle
+ * @returns {Promise<{ok: boolean, errors: Object[], warnings: Object[], manifest?: BundleManifest}>}
+ */
+export async function verifyChainBundle(bundle) {
+  const errors = [];
+  const fail = (code, message) => ({ ok: false, errors: [...errors, { code, message }], warnings: [] });
+  
+  if (bundle?.format !== BUNDLE_FORMAT || bundle.v !== BUNDLE_VERSION) {
+    return fail('UNSUPPORTED_BUNDLE', `Unsupported bundle: ${bundle?.format} v${bundle?.v}`);
+  }
+  
+  const { manifest, signature, segments } = bundle;
+  
+  if (!manifest || !signature || !Array.isArray(segments)) {
+    return fail('MALFORMED_BUNDLE', 'Bundle requires manifest, signature and segments');
+  }
+  
+  // The manifest key must be where the chain's key history ends up, so
+  // the key can't be swapped
+  const keys = await buildKeyHistory(segments, manifest.hid);
+  if (!keys.ok) {
+    return fail('KEY_HISTORY_INVALID', `Key history broken at seq ${keys.seq}: ${keys.message}`);
+  }
+  
+  const ownerKey = keys.history
+    ? publicKeysEqual(getActiveKey(keys.history), manifest.pubJwk)
+    : await generateHumanId(manifest.pubJwk) === manifest.hid;
+  if (!ownerKey) {
+    return fail('HID_KEY_MISMATCH', `Manifest key is not the active key of ${manifest.hid}`);
+  }
+  
+  try {
+    const publicKey = await importPublicKeyJwk(manifest.pubJwk);
+    const valid = await verify(publicKey, canonicalize(manifest), signature);
+    
+    if (!valid) {
+      return fail('INVALID_MANIFEST_SIGNATURE', 'Manifest signature verification failed');
+    }
+  } catch (e) {
+    return fail('MANIFEST_SIGNATURE_ERROR', `Manifest signature error: ${e.message}`);
+  }
+  
+  if (segments.length !== manifest.length) {
+    errors.push({
+      code: 'LENGTH_MISMATCH',
+      message: `Manifest length ${manifest.length}, bundle has ${segments.length} segments`
+    });
+  }
+  
+  const segmentsHash = await sha256Hex(canonicalize(segments));
+  if (segmentsHash !== manifest.segmentsHash) {
+    errors.push({ code: 'SEGMENTS_HASH_MISMATCH', message: 'Segments do not match manifest hash' });
+  }
+  
+  const integrity = await verifySegments(segments, { length: manifest.length });
+  errors.push(...integrity.errors);
+  
+  if (integrity.computedHead !== manifest.head) {
+    errors.push({
+      code: 'HEAD_MISMATCH',
+      message: 'Manifest head does not match computed head',
+      expected: integrity.computedHead,
+      actual: manifest.head
+    });
+  }
+  
+  return {
+    ok: errors.length === 0,
+    errors,
+    warnings: integrity.warnings,
+    manifest
+  };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Import a bundle into the local chain
+ * The bundle is fully verified before anything is written. Only bundles
+ * for the local identity are accepted, and only when the local chain is
+ * empty or a prefix of the bundle; a divergent bundle is refused so the
+ * fork can be resolved explicitly. New segments must also pass
+ * validateBatch (nonces, schemas, rate limit, caps, timestamps), or
+ * nothing is imported.
+ * @param {Object} params
+ * @param {StateManager} params.state - State manager
+ * @param {ChainBundle} params.bundle - Parsed bundle
+ * @returns {Promise<{ok: boolean, imported?: number, head?: string, reason?: string, message?: string, seq?: number, errors?: Object[]}>}
+ */
+export async function importChainBundle({ state, bundle }) {
+  const verification = await verifyChainBundle(bundle);
+  
+  if (!verification.ok) {
+    console.warn('[Bundle] Verification failed:', verification.errors);
+    return {
+      ok: false,
+      reason: 'verification_failed',
+      message: verification.errors[0]?.message,
+      errors: verification.errors
+    };
+  }
+  
+  const { manifest } = bundle;
+  
+  if (manifest.hid !== state.identity?.hid) {
+    return { ok: false, reason: 'identity_mismatch', message: `Bundle belongs to ${manifest.hid}` };
+  }
+  
+  return await state.exclusive(() => appendBundle(state, bundle));
+}
+
+/**
+ * Append the bundle's segments the local chain lacks (under the chain lock)
+ * @param {StateManager} state
+ * @param {ChainBundle} bundle - Verified bundle
+ * @returns {Promise<{ok: boolean, imported?: number, head?: string, reason?: string, message?: string}>}
+ */
+async function appendBundle(state, { manifest, segments }) {
+  const local = await getAllSTAs(state.db);
+  const fork = detectFork(local, segments);
+  
+  if (fork.forked) {
+    return {
+      ok: false,
+      reason: 'diverged',
+      message: `Bundle diverges from local chain after seq ${fork.ancestor.seq}; resolve the fork first`
+    };
+  }
+  
+  if (fork.remote.length === 0) {
+    return { ok: true, imported: 0, head: await state.getChainHead() };
+  }
+  
+  // Same rules as a local commit, minus what only holds at creation time
+  const validation = await validateBatch(state.db, fork.remote, {
+    capsTracker: state.capsTracker,
+    skipLivenessCheck: true,
+    requireLocalCapsule: false,
+    freshTimestamp: false,
+    timeService: state.timeService,
+    keyHistory: state.keyHistory,
+    pqCutoverSeq: state.pqCutoverSeq,
+    unlockLedger: state.unlockLedger
+  });
+  
+  if (validation.invalid.length > 0) {
+    const { segment, result } = validation.invalid[0];
+    console.warn(`[Bundle] Seq ${segment.seq} rejected: ${result.reason}`);
+    return {
+      ok: false,
+      imported: 0,
+      reason: 'invalid_segment',
+      seq: segment.seq,
+      message: `Seq ${segment.seq}: ${result.message}`,
+      rule: result.rule
+    };
+  }
+  
+  let imported = 0;
+  
+  for (const segment of fork.remote) {
+    const result = await state.appendSTA(segment);
+    
+    if (!result.ok) {
+      return { ok: false, imported, reason: result.reason, message: result.message };
+    }
+    
+    imported++;
+  }
+  
+  console.log(`[Bundle] Imported ${imported} segments, head=${manifest.head.slice(0, 8)}...`);
+  
+  return { ok: true, imported, head: manifest.head };
+}
@@ -6,10 +6,12 @@ import {
   MONTHLY_CAP,
   YEARLY_CAP,
   INITIAL_UNLOCKED_SEGMENTS,
+  LAYER_1_UNLOCK_MULTIPLIER,
   STORES
 } from './constants.js';
 
-import { withStore, txDone, reqDone } from './idb.js';
+import { withStore, txDone, reqDone, getAllSTAs } from './idb.js';
+import { affectsCaps } from './segment.js';
 
 // ============================================================================
 // CAPS TRACKER CLASS
@@ -56,6 +58,7 @@ export class CapsTracker {
   
   /**
    * Increment caps for an action
+   * @deprecated Segments consume caps in StateManager.appendSTA (see consumeCaps)
    * @param {string} hid - Human ID
    * @param {number} [amount=1] - Amount to increment
    * @returns {Promise<{ok: boolean, caps?: object, reason?: string}>}
@@ -64,16 +67,9 @@ export class CapsTracker {
     const caps = await this.getCurrentCaps(hid);
     
     // Check limits
-    if (caps.daily + amount > DAILY_CAP) {
-      return { ok: false, reason: 'daily_cap_exceeded', caps };
-    }
-    
-    if (caps.monthly + amount > MONTHLY_CAP) {
-      return { ok: false, reason: 'monthly_cap_exceeded', caps };
-    }
-    
-    if (caps.yearly + amount > YEARLY_CAP) {
-      return { ok: false, reason: 'yearly_cap_exceeded', caps };
+    const exceeded = getExceededCap(caps, amount);
+    if (exceeded) {
+      return { ok: false, reason: exceeded, caps };
     }
     
     // Get internal record
@@ -100,22 +96,7 @@ export class CapsTracker {
   async loadCaps(hid) {
     try {
       const tx = this.db.transaction([STORES.CAPS], 'readonly');
-      const store = tx.objectStore(STORES.CAPS);
-      
-      const dailyRec = await reqDone(store.get(`daily:${hid}`));
-      const monthlyRec = await reqDone(store.get(`monthly:${hid}`));
-      const yearlyRec = await reqDone(store.get(`yearly:${hid}`));
-      const totalRec = await reqDone(store.get(`total:${hid}`));
-      
-      return {
-        daily: dailyRec?.count || 0,
-        monthly: monthlyRec?.count || 0,
-        yearly: yearlyRec?.count || 0,
-        total: totalRec?.count || 0,
-        dailyReset: dailyRec?.resetAt || 0,
-        monthlyReset: monthlyRec?.resetAt || 0,
-        yearlyReset: yearlyRec?.resetAt || 0
-      };
+      return await readCapsRecords(tx.objectStore(STORES.CAPS), hid);
     } catch (e) {
       console.error('[Caps] Load error:', e);
       return this.createEmptyCaps();
@@ -130,39 +111,7 @@ export class CapsTracker {
    */
   async saveCaps(hid, caps) {
     const tx = this.db.transaction([STORES.CAPS], 'readwrite');
-    const store = tx.objectStore(STORES.CAPS);
-    
-    store.put({
-      period: `daily:${hid}`,
-      type: 'daily',
-      hid,
-      count: caps.daily,
-      resetAt: caps.dailyReset
-    });
-    
-    store.put({
-      period: `monthly:${hid}`,
-      type: 'monthly',
-      hid,
-      count: caps.monthly,
-      resetAt: caps.monthlyReset
-    });
-    
-    store.put({
-      period: `yearly:${hid}`,
-      type: 'yearly',
-      hid,
-      count: caps.yearly,
-      resetAt: caps.yearlyReset
-    });
-    
-    store.put({
-      period: `total:${hid}`,
-      type: 'total',
-      hid,
-      count: caps.total,
-      resetAt: 0
-    });
+    writeCapsRecords(tx.objectStore(STORES.CAPS), hid, caps);
     
     await txDone(tx);
   }
@@ -256,9 +205,7 @@ export class CapsTracker {
    * @returns {number}
    */
   getNextDailyReset(now) {
-    const date = new Date(now);
-    date.setUTCHours(24, 0, 0, 0);
-    return date.getTime();
+    return nextDailyReset(now);
   }
   
   /**
@@ -267,10 +214,7 @@ export class CapsTracker {
    * @returns {number}
    */
   getNextMonthlyReset(now) {
-    const date = new Date(now);
-    date.setUTCMonth(date.getUTCMonth() + 1, 1);
-    date.setUTCHours(0, 0, 0, 0);
-    return date.getTime();
+    return nextMonthlyReset(now);
   }
   
   /**
@@ -279,21 +223,19 @@ export class CapsTracker {
    * @returns {number}
    */
   getNextYearlyReset(now) {
-    const date = new Date(now);
-    date.setUTCFullYear(date.getUTCFullYear() + 1, 0, 1);
-    date.setUTCHours(0, 0, 0, 0);
-    return date.getTime();
+    return nextYearlyReset(now);
   }
   
   /**
    * Get unlocked balance for identity
+   * Layer 0 budget plus the Layer 1 unlocks earned by committed segments;
+   * StateManager.getUnlockBalances() has the per-layer breakdown.
    * @param {string} hid 
    * @returns {Promise<number>}
    */
   async getUnlockedBalance(hid) {
     const caps = await this.getCurrentCaps(hid);
-    // Initial balance + unlocked through transactions
-    return INITIAL_UNLOCKED_SEGMENTS + caps.total;
+    return INITIAL_UNLOCKED_SEGMENTS + caps.total * LAYER_1_UNLOCK_MULTIPLIER;
   }
   
   /**
@@ -321,13 +263,217 @@ export class CapsTracker {
   }
   
   /**
-   * Clear cache (for testing)
+   * Recompute the caps store from the chain
+   * Replays the timestamps of every caps-affecting segment the identity
+   * authored, so the counters always match the chain.
+   * @param {string} hid 
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<Object>} Formatted caps
+   */
+  async rebuildFromChain(hid, now = Date.now()) {
+    const segments = await getAllSTAs(this.db);
+    const caps = deriveCaps(segments, hid, now);
+    
+    await this.saveCaps(hid, caps);
+    this.cache.set(hid, caps);
+    
+    console.log(`[Caps] Rebuilt from chain: daily=${caps.daily} monthly=${caps.monthly} yearly=${caps.yearly} total=${caps.total}`);
+    
+    return this.formatCaps(caps);
+  }
+  
+  /**
+   * Clear cache (after the store changed outside the tracker)
+   * @param {string} [hid] - Only this identity (default: all)
    */
-  clearCache() {
-    this.cache.clear();
+  clearCache(hid) {
+    if (hid) {
+      this.cache.delete(hid);
+    } else {
+      this.cache.clear();
+    }
   }
 }
 
+// ============================================================================
+// PERIODS & CONSUMPTION
+// ============================================================================
+
+/**
+ * Next daily reset (midnight UTC)
+ * @param {number} now 
+ * @returns {number}
+ */
+function nextDailyReset(now) {
+  const date = new Date(now);
+  date.setUTCHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Next monthly reset (1st of next month UTC)
+ * @param {number} now 
+ * @returns {number}
+ */
+function nextMonthlyReset(now) {
+  const date = new Date(now);
+  date.setUTCMonth(date.getUTCMonth() + 1, 1);
+  date.setUTCHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Next yearly reset (Jan 1 next year UTC)
+ * @param {number} now 
+ * @returns {number}
+ */
+function nextYearlyReset(now) {
+  const date = new Date(now);
+  date.setUTCFullYear(date.getUTCFullYear() + 1, 0, 1);
+  date.setUTCHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+const PERIODS = [
+  { key: 'daily', resetKey: 'dailyReset', next: nextDailyReset },
+  { key: 'monthly', resetKey: 'monthlyReset', next: nextMonthlyReset },
+  { key: 'yearly', resetKey: 'yearlyReset', next: nextYearlyReset }
+];
+
+/**
+ * Caps record with no segments counted
+ * @returns {Object}
+ */
+function createZeroCaps() {
+  return { daily: 0, monthly: 0, yearly: 0, total: 0, dailyReset: 0, monthlyReset: 0, yearlyReset: 0 };
+}
+
+/**
+ * Which cap an amount would exceed
+ * @param {Object} caps 
+ * @param {number} amount 
+ * @returns {string|null} Reason code, null if within limits
+ */
+function getExceededCap(caps, amount) {
+  if (caps.daily + amount > DAILY_CAP) return 'daily_cap_exceeded';
+  if (caps.monthly + amount > MONTHLY_CAP) return 'monthly_cap_exceeded';
+  if (caps.yearly + amount > YEARLY_CAP) return 'yearly_cap_exceeded';
+  return null;
+}
+
+/**
+ * Count a segment into a caps record
+ * A counter only counts segments of its current period: a later timestamp
+ * starts a new period, an earlier one (a segment synced late from another
+ * device) only counts toward the total.
+ * @param {Object} caps - Mutated
+ * @param {number} timestamp - Segment timestamp
+ * @param {number} [amount=1]
+ * @returns {Object} caps
+ */
+export function applyCapsSegment(caps, timestamp, amount = 1) {
+  for (const { key, resetKey, next } of PERIODS) {
+    const resetAt = next(timestamp);
+    
+    if (resetAt > caps[resetKey]) {
+      caps[key] = 0;
+      caps[resetKey] = resetAt;
+    }
+    if (resetAt === caps[resetKey]) {
+      caps[key] += amount;
+    }
+  }
+  
+  caps.total += amount;
+  return caps;
+}
+
+/**
+ * Derive an identity's caps from chain segments
+ * @param {Object[]} segments 
+ * @param {string} hid - Author whose caps to count
+ * @param {number} [now=Date.now()] - Periods that ended by now read as 0
+ * @returns {Object} Caps record
+ */
+export function deriveCaps(segments, hid, now = Date.now()) {
+  const caps = createZeroCaps();
+  
+  const ordered = segments
+    .filter(s => affectsCaps(s.type) && s.author?.hid === hid)
+    .sort((a, b) => a.seq - b.seq);
+  for (const sta of ordered) {
+    applyCapsSegment(caps, sta.timestamp);
+  }
+  
+  for (const { key, resetKey, next } of PERIODS) {
+    if (now >= caps[resetKey]) {
+      caps[key] = 0;
+      caps[resetKey] = next(now);
+    }
+  }
+  
+  return caps;
+}
+
+/**
+ * Read an identity's caps records from an open caps store
+ * @param {IDBObjectStore} store 
+ * @param {string} hid 
+ * @returns {Promise<Object>}
+ */
+async function readCapsRecords(store, hid) {
+  const dailyRec = await reqDone(store.get(`daily:${hid}`));
+  const monthlyRec = await reqDone(store.get(`monthly:${hid}`));
+  const yearlyRec = await reqDone(store.get(`yearly:${hid}`));
+  const totalRec = await reqDone(store.get(`total:${hid}`));
+  
+  return {
+    daily: dailyRec?.count || 0,
+    monthly: monthlyRec?.count || 0,
+    yearly: yearlyRec?.count || 0,
+    total: totalRec?.count || 0,
+    dailyReset: dailyRec?.resetAt || 0,
+    monthlyReset: monthlyRec?.resetAt || 0,
+    yearlyReset: yearlyRec?.resetAt || 0
+  };
+}
+
+/**
+ * Write an identity's caps records to an open caps store
+ * @param {IDBObjectStore} store 
+ * @param {string} hid 
+ * @param {Object} caps 
+ */
+function writeCapsRecords(store, hid, caps) {
+  for (const { key, resetKey } of PERIODS) {
+    store.put({ period: `${key}:${hid}`, type: key, hid, count: caps[key], resetAt: caps[resetKey] });
+  }
+  store.put({ period: `total:${hid}`, type: 'total', hid, count: caps.total, resetAt: 0 });
+}
+
+/**
+ * Consume caps for a segment inside an open transaction
+ * Used by StateManager.appendSTA so the counters move with the chain.
+ * @param {IDBObjectStore} store - Caps store of a readwrite transaction
+ * @param {string} hid - Segment author
+ * @param {number} timestamp - Segment timestamp
+ * @param {number} [amount=1]
+ * @returns {Promise<{ok: boolean, caps: Object, reason?: string}>}
+ */
+export async function consumeCaps(store, hid, timestamp, amount = 1) {
+  const caps = applyCapsSegment(await readCapsRecords(store, hid), timestamp, amount);
+  
+  // Counters now include the segment; over a limit means it does not fit
+  const exceeded = getExceededCap(caps, 0);
+  if (exceeded) {
+    return { ok: false, reason: exceeded, caps };
+  }
+  
+  writeCapsRecords(store, hid, caps);
+  
+  return { ok: true, caps };
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
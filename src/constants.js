@@ -21,11 +21,27 @@ export const BLOCKS_PER_SECOND = 1;
 export const MIN_BLOCK_INTERVAL_MS = 1000; // 1 second minimum between blocks
 export const UTC_TOLERANCE_MS = 720000; // ±720 seconds (12 minutes)
 
+// Trusted Time (clock drift protection)
+export const TIME_SAMPLE_LIMIT = 32; // samples kept, newest first
+export const TIME_SAMPLE_MAX_AGE_MS = 6 * 60 * 60 * 1000; // samples expire after 6 hours
+export const TIME_SAMPLE_MAX_RTT_MS = 5000; // slower round trips are too imprecise
+export const TIME_REQUEST_TIMEOUT_MS = 10000;
+export const TIME_QUORUM = 3; // distinct sources needed before their time is trusted
+
+// Commit queue priorities (higher commits first, FIFO within a priority)
+export const COMMIT_PRIORITY = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2
+};
+
 // Scoring Thresholds
 export const MIN_RICH_SCORE = 70;
 export const MIN_BUSINESS_SCORE = 70;
 export const MIN_ECF_THRESHOLD = 0.1;
 export const CAPSULE_SIMILARITY_THRESHOLD = 0.9;
+export const CAPSULE_SHINGLE_SIZE = 4; // words per shingle for content similarity
+export const CAPSULE_MINT_SCORES_SINCE = 1792368000000; // 2026-10-19T00:00:00Z: earlier mints carry no scores
 
 // Theme Thresholds (Rich Score)
 export const THEME_COAL_MAX = 25;
@@ -69,9 +85,43 @@ export const STA_TYPES = {
   BIZ_OUTCOME: 'biz.outcome',
   CHAT_APPEND: 'chat.append', // Legacy
   CAPSULE_MINT: 'capsule.mint',
-  TVM_TRANSFER: 'tvm.transfer'
+  TVM_TRANSFER: 'tvm.transfer',
+  IDENTITY_ROTATE: 'identity.rotate'
+};
+
+// Liveness Policy (WebAuthn)
+// Types that need a biometric proof when biometrics are required
+export const LIVENESS_REQUIRED_TYPES = [STA_TYPES.CAPSULE_MINT, STA_TYPES.TVM_TRANSFER];
+export const DEFAULT_LIVENESS_POLICY = {
+  requiredTypes: [],              // e.g. LIVENESS_REQUIRED_TYPES
+  maxAgeMs: UTC_TOLERANCE_MS      // proof vs segment timestamp
 };
 
+// Signature Suites
+// Each segment records its `alg`; absent means ES256 (pre-suite segments)
+export const SIGNATURE_ALGS = {
+  ES256: 'ES256',
+  HYBRID_ES256_MLDSA65: 'ES256+ML-DSA-65'  // ECDSA P-256 and ML-DSA-65 (FIPS 204)
+};
+export const DEFAULT_SIGNATURE_ALG = SIGNATURE_ALGS.ES256;
+export const DEFAULT_PQ_CUTOVER_SEQ = null; // seq from which a quantum-safe suite is required
+
+// Decision Tracking
+// biz.outcome segments move a decision through its lifecycle
+export const DECISION_STATUS = {
+  ACTIVE: 'active',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  ABANDONED: 'abandoned'
+};
+export const DECISION_OUTCOMES = {
+  SUCCESS: DECISION_STATUS.SUCCEEDED,
+  FAILURE: DECISION_STATUS.FAILED,
+  ABANDONED: DECISION_STATUS.ABANDONED,
+  PARTIAL: DECISION_STATUS.ACTIVE // progress report, decision stays open
+};
+export const DECISION_FOLLOW_UP_DAYS = 14; // reminder after a decision or PARTIAL outcome
+
 // Council Characters
 export const COUNCIL_MEMBERS = {
   KAREEM: { id: 'kareem', name: 'Kareem', motivator: 'laziness', emoji: '🛌' },
@@ -126,14 +176,34 @@ export const ICE_SERVERS = [
 ];
 export const DC_BUFFER_THRESHOLD = 65536; // 64KB
 
+// Chain Sync Configuration
+export const SYNC_BATCH_SIZE = 50; // segments per sync.segments message
+export const SYNC_TIMEOUT_MS = 30000;
+
+// Social Recovery Configuration
+export const RECOVERY_MIN_THRESHOLD = 2; // shares needed to rebuild a key
+export const RECOVERY_MAX_SHARES = 255;  // GF(256) share indices 1..255
+export const RECOVERY_TIMEOUT_MS = 300000; // guardians confirm by hand
+
 // Worker Configuration
 export const WORKER_TIMEOUT_MS = 30000;
 export const WORKER_RETRY_ATTEMPTS = 3;
+export const WORKER_RETRY_DELAY_MS = 500; // doubled after each failed attempt
+
+// AI Council Backends
+export const COUNCIL_WORKER_URL = 'https://human1stai.rr-rshemodel.workers.dev/'; // v8.4
+export const COUNCIL_LOCAL_URL = 'http://localhost:8787/'; // local stand-in (wrangler dev)
+export const COUNCIL_HISTORY_TURNS = 10; // turns (question + reply) per character sent per request
+export const COUNCIL_DEBATE_CHAT_ID = 'council'; // chatId of convened debates
+export const COUNCIL_DEBATE_PANEL = ['wolf', 'captain', 'wheat', 'tommy', 'turbo', 'hakim']; // opposing pairs
+export const KILL_SWITCH_BLOCK_SCORE = 0.6; // off-topic lexicon weight needed to block
 
 Object.freeze(PROTOCOL_VERSION);
 Object.freeze(GENESIS_HASH);
 Object.freeze(STORES);
 Object.freeze(STA_TYPES);
+Object.freeze(DECISION_STATUS);
+Object.freeze(DECISION_OUTCOMES);
 Object.freeze(COUNCIL_MEMBERS);
 Object.freeze(ECF_TIERS);
 Object.freeze(SUBSCRIPTION_PLANS);
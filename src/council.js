@@ -1,50 +1,56 @@
 // BalanceChain AI Council Module
 // Client-side connector for Money AI v8.4 Decision Engine
 
-import { COUNCIL_MEMBERS } from './constants.js';
+import {
+  COUNCIL_MEMBERS,
+  COUNCIL_HISTORY_TURNS,
+  COUNCIL_DEBATE_CHAT_ID,
+  COUNCIL_DEBATE_PANEL,
+  STA_TYPES
+} from './constants.js';
+import { generateLocalReply } from './localcouncil.js';
+import { createWorkerProvider } from './providers.js';
+import { defaultClassifier } from './topics.js';
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-// The v8.4 Worker URL
-const AI_WORKER_URL = 'https://human1stai.rr-rshemodel.workers.dev/';
+/**
+ * Whether the browser reports a connection
+ * @returns {boolean}
+ */
+function isOnline() {
+  return typeof navigator !== 'undefined' && !!navigator.onLine;
+}
 
 // ============================================================================
 // KILL SWITCH - TOPIC FILTERING (Local First Layer)
 // ============================================================================
 
-const BLOCKED_TOPICS = [
-  'election', 'vote', 'democrat', 'republican', 'biden', 'trump', 'politics',
-  'god', 'jesus', 'allah', 'religion', 'atheist',
-  'football', 'soccer', 'nba', 'sports', 'game score',
-  'netflix', 'movie', 'celebrity', 'taylor swift',
-  'weather', 'recipe', 'joke', 'poem'
-];
+const REDIRECT = "I don't trade in that currency. Back to business. What's your money question?";
 
 /**
  * Check if message should be blocked locally before hitting the API
  * @param {string} message 
+ * @param {{classify: function(string): Object}} [classifier] - Default: built-in lexicons
+ * @returns {{blocked: boolean, reason?: string, redirect?: string, topic: string|null, confidence: number, evidence: Object[]}}
  */
-export function checkKillSwitch(message) {
-  const lower = message.toLowerCase();
+export function checkKillSwitch(message, classifier = defaultClassifier) {
+  const { blocked, topic, term, confidence, evidence } = classifier.classify(message);
   
-  // Allow business context exceptions
-  if (lower.includes('business') || lower.includes('market') || lower.includes('app')) {
-    return { blocked: false };
+  if (!blocked) {
+    return { blocked: false, topic: null, confidence, evidence };
   }
   
-  for (const topic of BLOCKED_TOPICS) {
-    if (lower.includes(topic)) {
-      return {
-        blocked: true,
-        reason: `off_topic:${topic}`,
-        redirect: "I don't trade in that currency. Back to business. What's your money question?"
-      };
-    }
-  }
-  
-  return { blocked: false };
+  return {
+    blocked: true,
+    reason: topic === 'deny' ? `denied:${term}` : `off_topic:${term}`,
+    redirect: REDIRECT,
+    topic,
+    confidence,
+    evidence
+  };
 }
 
 // ============================================================================
@@ -66,15 +72,391 @@ const CHARACTER_UI = {
   architect: { ...COUNCIL_MEMBERS.ARCHITECT, sampleResponses: ["Build the system.", "Structure precedes scale.", "Don't work in the business, work on it."] }
 };
 
+// ============================================================================
+// RESPONSE MAPPING
+// ============================================================================
+
+/**
+ * Map a v8.4 response (worker or local engine) to the council result
+ * @param {Object} data - { mode, bubbles, final, state }
+ * @param {string} charId
+ * @returns {{response: string, character: string, blocked: boolean, meta: Object}}
+ */
+function toCouncilResult(data, charId) {
+  // We extract the main text bubble
+  let replyText = "";
+  if (data.bubbles && data.bubbles.length > 0) {
+    replyText = data.bubbles.map(b => b.text).join('\n\n');
+  } else if (data.text) {
+    replyText = data.text; // Fallback
+  } else {
+    replyText = "The Council remains silent.";
+  }
+  
+  return {
+    response: replyText,
+    character: charId,
+    blocked: false,
+    meta: {
+      decision: data.final?.decision,
+      action: data.final?.next_action,
+      state: data.state, // Rush/Rich/Wheat/Tomato
+      bubbles: data.bubbles || [],
+      provider: data.provider || null
+    }
+  };
+}
+
+// ============================================================================
+// COUNCIL DEBATE
+// ============================================================================
+
+const DECISIONS = ['ACCEPT', 'DEFER', 'REJECT'];
+
+/**
+ * Tally a debate and find where the council agrees
+ * A tie, or nobody deciding, is no mandate to act: the verdict is DEFER.
+ * @param {{character: string, decision: string|null, action: string|null}[]} opinions
+ * @returns {{verdict: string, consensus: 'unanimous'|'majority'|'split', tally: Object<string, number>, agree: string[], dissent: string[], abstain: string[], action: string|null}}
+ */
+export function synthesizeDebate(opinions) {
+  const tally = { ACCEPT: 0, DEFER: 0, REJECT: 0 };
+  const voted = opinions.filter(o => DECISIONS.includes(o.decision));
+  voted.forEach(o => tally[o.decision]++);
+  
+  const top = Math.max(...Object.values(tally));
+  const leaders = DECISIONS.filter(d => tally[d] === top);
+  const verdict = top > 0 && leaders.length === 1 ? leaders[0] : 'DEFER';
+  
+  const agree = voted.filter(o => o.decision === verdict).map(o => o.character);
+  const dissent = voted.filter(o => o.decision !== verdict).map(o => o.character);
+  
+  let consensus = 'split';
+  if (agree.length > 0 && dissent.length === 0) {
+    consensus = 'unanimous';
+  } else if (agree.length > voted.length / 2) {
+    consensus = 'majority';
+  }
+  
+  return {
+    verdict,
+    consensus,
+    tally,
+    agree,
+    dissent,
+    abstain: opinions.filter(o => !DECISIONS.includes(o.decision)).map(o => o.character),
+    action: opinions.find(o => o.decision === verdict && o.action)?.action || null
+  };
+}
+
+/**
+ * Write the synthesis bubble
+ * @param {Object} synthesis - From synthesizeDebate
+ * @param {Object[]} opinions
+ * @returns {string}
+ */
+function describeDebate(synthesis, opinions) {
+  const name = id => CHARACTER_UI[id]?.name || id;
+  const { verdict, consensus, tally, agree, dissent, abstain, action } = synthesis;
+  const votes = DECISIONS.filter(d => tally[d] > 0).map(d => `${d} ${tally[d]}`).join(', ') || 'no votes';
+  
+  const lines = [consensus === 'split'
+    ? `The council is split (${votes}). No mandate yet: ${verdict}.`
+    : `The council votes ${verdict} ${consensus === 'unanimous' ? 'unanimously' : 'by majority'} (${votes}).`];
+  
+  if (agree.length > 0) {
+    lines.push(`For ${verdict}: ${agree.map(name).join(', ')}.`);
+  }
+  if (dissent.length > 0) {
+    const decisionOf = id => opinions.find(o => o.character === id).decision;
+    lines.push(`Against: ${dissent.map(id => `${name(id)} (${decisionOf(id)})`).join(', ')}.`);
+  }
+  if (abstain.length > 0) {
+    lines.push(`Undecided: ${abstain.map(name).join(', ')}.`);
+  }
+  if (action) {
+    lines.push(`Next: ${action}`);
+  }
+  
+  return lines.join(' ');
+}
+
 // ============================================================================
 // COUNCIL CLASS
 // ============================================================================
 
 export class AICouncil {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('./providers.js').CouncilProvider} [options.provider] - Backend (default: v8.4 worker)
+   * @param {import('./topics.js').TopicClassifier} [options.classifier] - Kill switch (default: built-in lexicons)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createWorkerProvider();
+    this.classifier = options.classifier || defaultClassifier;
     this.characters = CHARACTER_UI;
     this.activeCharacter = 'hakim'; 
-    this.conversationHistory = []; // Local history tracking
+    this.histories = new Map(); // characterId -> [{ role, content }]
+    this.kb = null; // KBManager for offline replies
+  }
+  
+  /**
+   * Point the council at another backend
+   * @param {import('./providers.js').CouncilProvider} provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    console.log(`[Council] Using ${provider.type} provider`);
+  }
+  
+  /**
+   * Swap the kill switch classifier (e.g. one built from deployment config)
+   * @param {{classify: function(string): Object}} classifier
+   */
+  setClassifier(classifier) {
+    this.classifier = classifier;
+  }
+  
+  /**
+   * Rebuild per-character history from the chain
+   * Every turn is already committed as chat.user / ai.advice, so the
+   * message projection is the source of truth after a reload. Convened
+   * debates live under COUNCIL_DEBATE_CHAT_ID; each member's bubbles are
+   * replayed into that member's history, as convene() recorded them.
+   * @param {StateManager} state
+   * @returns {number} Characters with history
+   */
+  loadHistory(state) {
+    this.histories.clear();
+    
+    const turns = new Map(); // characterId -> [{ seq, role, content }]
+    const addTurn = (charId, seq, role, content) => {
+      if (!turns.has(charId)) {
+        turns.set(charId, []);
+      }
+      turns.get(charId).push({ seq, role, content });
+    };
+    
+    for (const charId of Object.keys(this.characters)) {
+      for (const m of state.getMessages(charId)) {
+        if ((m.type === STA_TYPES.CHAT_USER || m.type === STA_TYPES.AI_ADVICE) && m.text) {
+          addTurn(charId, m.seq, m.type === STA_TYPES.CHAT_USER ? 'user' : 'assistant', m.text);
+        }
+      }
+    }
+    
+    let question = null;
+    for (const m of state.getMessages(COUNCIL_DEBATE_CHAT_ID)) {
+      if (m.type === STA_TYPES.CHAT_USER) {
+        question = m.text ? m : null;
+        continue;
+      }
+      if (m.type !== STA_TYPES.AI_ADVICE || !question) {
+        continue;
+      }
+      
+      const answers = new Map(); // characterId -> bubble texts
+      for (const bubble of m.bubbles || []) {
+        if (this.characters[bubble.character] && bubble.text) {
+          answers.set(bubble.character, [...(answers.get(bubble.character) || []), bubble.text]);
+        }
+      }
+      for (const [charId, texts] of answers) {
+        addTurn(charId, question.seq, 'user', question.text);
+        addTurn(charId, m.seq, 'assistant', texts.join('\n\n'));
+      }
+      question = null;
+    }
+    
+    for (const [charId, history] of turns) {
+      history.sort((a, b) => a.seq - b.seq);
+      this.histories.set(charId, history.map(({ role, content }) => ({ role, content })));
+    }
+    
+    console.log(`[Council] Restored history for ${this.histories.size} characters`);
+    return this.histories.size;
+  }
+  
+  /**
+   * Full history with one character
+   * @param {string} charId
+   * @returns {{role: string, content: string}[]}
+   */
+  getHistory(charId) {
+    return this.histories.get(charId) || [];
+  }
+  
+  /**
+   * Last COUNCIL_HISTORY_TURNS turns with one character
+   * @param {string} charId
+   * @returns {{role: string, content: string}[]}
+   */
+  getRecentHistory(charId) {
+    return this.getHistory(charId).slice(-COUNCIL_HISTORY_TURNS * 2);
+  }
+  
+  /**
+   * Record a finished turn
+   * @param {string} charId
+   * @param {string} message
+   * @param {string} reply
+   */
+  recordTurn(charId, message, reply) {
+    if (!this.histories.has(charId)) {
+      this.histories.set(charId, []);
+    }
+    this.histories.get(charId).push(
+      { role: 'user', content: message },
+      { role: 'assistant', content: reply }
+    );
+  }
+  
+  /**
+   * Let the offline engine draw on the knowledge base
+   * @param {KBManager|null} kb
+   */
+  setKnowledgeBase(kb) {
+    this.kb = kb;
+  }
+  
+  /**
+   * Find earlier notes related to a message
+   * The KB intersects query terms, so each keyword is searched on its own.
+   * @param {string} message
+   * @param {number} [limit=3]
+   * @returns {Promise<Object[]>}
+   */
+  async searchKnowledgeBase(message, limit = 3) {
+    if (!this.kb) return [];
+    
+    try {
+      const keywords = this.kb.tokenize(message)
+        .sort((a, b) => b.length - a.length)
+        .slice(0, 3);
+      
+      const hits = new Map();
+      for (const keyword of keywords) {
+        for (const doc of await this.kb.search(keyword, { limit })) {
+          if (!hits.has(doc.id) || hits.get(doc.id).score < doc.score) {
+            hits.set(doc.id, doc);
+          }
+        }
+      }
+      
+      return [...hits.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+    } catch (e) {
+      console.warn('[Council] KB search failed:', e);
+      return [];
+    }
+  }
+  
+  /**
+   * Answer with the local engine (no network)
+   * @param {string} message
+   * @param {string} charId
+   * @returns {Promise<Object>}
+   */
+  async processOffline(message, charId) {
+    const data = generateLocalReply({
+      message,
+      characterId: charId,
+      history: this.getRecentHistory(charId),
+      kbHits: await this.searchKnowledgeBase(message)
+    });
+    
+    const result = toCouncilResult(data, charId);
+    this.recordTurn(charId, message, result.response);
+    
+    return { ...result, offline: true };
+  }
+  
+  /**
+   * Resolve a debate panel (unknown IDs dropped, default panel if none left)
+   * @param {string[]|null} characterIds
+   * @returns {string[]}
+   */
+  resolvePanel(characterIds) {
+    const ids = (characterIds || []).filter(id => this.characters[id]);
+    return ids.length > 0 ? [...new Set(ids)] : COUNCIL_DEBATE_PANEL;
+  }
+  
+  /**
+   * Instant debate preview from the local engine
+   * Nothing is sent or recorded; use convene() for the real debate.
+   * @param {string} message
+   * @param {string[]} [characterIds]
+   * @returns {{character: string, name: string, emoji: string, response: string, decision: string, action: string}[]}
+   */
+  getCouncilDebate(message, characterIds = null) {
+    return this.resolvePanel(characterIds).map(charId => {
+      const reply = generateLocalReply({ message, characterId: charId, history: this.getRecentHistory(charId) });
+      const char = this.getCharacter(charId);
+      
+      return {
+        character: charId,
+        name: char.name,
+        emoji: char.emoji,
+        response: reply.bubbles.map(b => b.text).join('\n\n'),
+        decision: reply.final.decision,
+        action: reply.final.next_action
+      };
+    });
+  }
+  
+  /**
+   * Convene the council: one question, several characters, one verdict
+   * Each character answers through processMessage (backend or local engine).
+   * The result is meant to be committed as a single ai.advice segment
+   * under COUNCIL_DEBATE_CHAT_ID, with per-character bubbles.
+   * @param {string} message
+   * @param {string[]} [characterIds] - Default: COUNCIL_DEBATE_PANEL
+   * @returns {Promise<Object>} Council result plus `debate`
+   */
+  async convene(message, characterIds = null) {
+    const killCheck = checkKillSwitch(message, this.classifier);
+    if (killCheck.blocked) {
+      return {
+        response: killCheck.redirect,
+        character: COUNCIL_DEBATE_CHAT_ID,
+        blocked: true
+      };
+    }
+    
+    const panel = this.resolvePanel(characterIds);
+    const replies = await Promise.all(panel.map(charId => this.processMessage(message, charId)));
+    
+    const opinions = replies.map(r => ({
+      character: r.character,
+      decision: r.meta?.decision ?? null,
+      action: r.meta?.action ?? null,
+      response: r.response,
+      offline: r.offline === true
+    }));
+    
+    const synthesis = synthesizeDebate(opinions);
+    const summary = describeDebate(synthesis, opinions);
+    
+    const bubbles = replies.flatMap(r => {
+      const own = r.meta?.bubbles?.length ? r.meta.bubbles : [{ type: 'text', text: r.response }];
+      return own.map(b => ({ ...b, character: r.character }));
+    });
+    bubbles.push({ type: 'synthesis', character: COUNCIL_DEBATE_CHAT_ID, text: summary });
+    
+    console.log(`[Council] Debate of ${panel.length}: ${synthesis.verdict} (${synthesis.consensus})`);
+    
+    return {
+      response: summary,
+      character: COUNCIL_DEBATE_CHAT_ID,
+      blocked: false,
+      debate: { participants: panel, opinions, ...synthesis },
+      meta: {
+        decision: synthesis.verdict,
+        action: synthesis.action,
+        state: null,
+        bubbles,
+        provider: this.provider?.type || null
+      }
+    };
   }
   
   getCharacter(characterId) {
@@ -99,16 +481,31 @@ export class AICouncil {
   }
   
   /**
-   * Process user message through Cloudflare Worker v8.4
+   * Build a provider request from the local history
+   * @param {string} message
+   * @param {string} charId
+   * @returns {import('./providers.js').CouncilRequest}
+   */
+  buildRequest(message, charId) {
+    return {
+      text: message,
+      characterId: charId,
+      history: this.getRecentHistory(charId),
+      turnIndex: this.getHistory(charId).filter(h => h.role === 'user').length + 1
+    };
+  }
+  
+  /**
+   * Process user message through the configured backend
+   * Falls back to the local engine when the backend is unreachable.
    * @param {string} message 
    * @param {string} [characterId]
    */
   async processMessage(message, characterId = null) {
     const charId = characterId || this.activeCharacter;
-    const char = this.getCharacter(charId);
 
     // 1. Local Kill Switch (Fast Fail)
-    const killCheck = checkKillSwitch(message);
+    const killCheck = checkKillSwitch(message, this.classifier);
     if (killCheck.blocked) {
       return {
         response: killCheck.redirect,
@@ -117,70 +514,88 @@ export class AICouncil {
       };
     }
 
-    // 2. Connect to v8.4 Decision Engine
-    try {
-      if (navigator.onLine) {
+    // 2. Ask the configured backend (worker v8.4 unless overridden)
+    const provider = this.provider;
+    if (provider && (!provider.requiresNetwork || isOnline())) {
+      const result = await provider.send(this.buildRequest(message, charId));
+      
+      if (result.ok) {
+        const reply = toCouncilResult(result.response, charId);
         
-        // v8.4 API Structure
-        const payload = {
-          text: message,
-          chatId: charId, // The Worker maps this (e.g. 'wolf' -> 'WOLF')
-          history: this.conversationHistory.slice(-10), // Send last 10 turns
-          turn_index: this.conversationHistory.length + 1
-        };
-
-        const response = await fetch(AI_WORKER_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          
-          // v8.4 returns a complex object:
-          // { mode: "reply", bubbles: [...], final: { decision, next_action }, state: {...} }
+        // Update local history
+        this.recordTurn(charId, message, reply.response);
+        
+        return reply;
+      }
+      
+      console.warn(`[Council] ${provider.type} failed (${result.reason}), using offline fallback`);
+    }
+    
+    // 3. Offline Fallback (If API fails): local rule engine, same shape
+    return this.processOffline(message, charId);
+  }
+  
+  /**
+   * Stream a reply bubble by bubble
+   * Yields { type: 'bubble', bubble, character } as bubbles arrive, then
+   * { type: 'done', result } with what processMessage would return. A
+   * backend that breaks off or goes quiet mid-reply ends with
+   * { type: 'error' } instead, so callers only commit the ai.advice
+   * segment after 'done'.
+   * @param {string} message
+   * @param {string} [characterId]
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamMessage(message, characterId = null) {
+    const charId = characterId || this.activeCharacter;
+    
+    const killCheck = checkKillSwitch(message, this.classifier);
+    if (killCheck.blocked) {
+      yield { type: 'done', result: { response: killCheck.redirect, character: charId, blocked: true } };
+      return;
+    }
+    
+    const provider = this.provider;
+    if (provider?.stream && (!provider.requiresNetwork || isOnline())) {
+      let streamed = 0;
+      
+      for await (const event of provider.stream(this.buildRequest(message, charId))) {
+        if (event.type === 'bubble') {
+          streamed++;
+          yield { type: 'bubble', bubble: event.bubble, character: charId };
+        } else if (event.type === 'done') {
+          const reply = toCouncilResult(event.response, charId);
+          this.recordTurn(charId, message, reply.response);
           
-          // We extract the main text bubble
-          let replyText = "";
-          if (data.bubbles && data.bubbles.length > 0) {
-            replyText = data.bubbles.map(b => b.text).join('\n\n');
-          } else if (data.text) {
-            replyText = data.text; // Fallback
-          } else {
-            replyText = "The Council remains silent.";
-          }
-
-          // Update local history
-          this.conversationHistory.push({ role: 'user', content: message });
-          this.conversationHistory.push({ role: 'assistant', content: replyText });
-
-          return {
-            response: replyText,
-            character: charId,
-            blocked: false,
-            // v8.4 Metadata (You can use this in the UI later)
-            meta: {
-              decision: data.final?.decision,
-              action: data.final?.next_action,
-              state: data.state // Rush/Rich/Wheat/Tomato
-            }
-          };
+          yield { type: 'done', result: reply };
+          return;
+        } else if (streamed > 0) {
+          console.warn(`[Council] ${provider.type} stream broke off (${event.reason})`);
+          yield { type: 'error', character: charId, reason: event.reason, message: event.message };
+          return;
         } else {
-          console.warn(`[Council] API Error: ${response.status}`);
+          console.warn(`[Council] ${provider.type} failed (${event.reason}), using offline fallback`);
+          break;
         }
       }
-    } catch (e) {
-      console.warn('[Council] Network error, using offline fallback:', e);
+      
+      // Ended without 'done' after bubbles went out: same as breaking off
+      if (streamed > 0) {
+        console.warn(`[Council] ${provider.type} stream ended without a result`);
+        yield { type: 'error', character: charId, reason: 'stream_incomplete', message: 'Stream ended before the reply was complete' };
+        return;
+      }
     }
     
-    // 3. Offline Fallback (If API fails)
-    const fallback = char.sampleResponses[Math.floor(Math.random() * char.sampleResponses.length)];
-    return {
-      response: `${fallback}\n\n(Offline Mode: Connect to internet for full Council advice)`,
-      character: charId,
-      blocked: false
-    };
+    // Non-streaming backends and the local engine arrive whole
+    const result = provider?.stream
+      ? await this.processOffline(message, charId)
+      : await this.processMessage(message, charId);
+    
+    for (const bubble of result.meta?.bubbles || []) {
+      yield { type: 'bubble', bubble, character: charId };
+    }
+    yield { type: 'done', result };
   }
 }
 
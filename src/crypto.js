@@ -1,7 +1,13 @@
 // BalanceChain Cryptographic Utilities
-// Provides signing, verification, hashing with quantum-safe upgrade path
+// Provides signing, verification, hashing and pluggable signature suites
 
-import { ECDSA_CURVE, HASH_ALGORITHM, NONCE_BYTES } from './constants.js';
+import {
+  ECDSA_CURVE,
+  HASH_ALGORITHM,
+  NONCE_BYTES,
+  SIGNATURE_ALGS,
+  DEFAULT_SIGNATURE_ALG
+} from './constants.js';
 
 // ============================================================================
 // HASHING
@@ -324,6 +330,15 @@ export function arrayToBase64(arr) {
   return btoa(String.fromCharCode(...arr));
 }
 
+/**
+ * Convert Uint8Array to base64url (no padding, as used by WebAuthn)
+ * @param {Uint8Array} arr 
+ * @returns {string}
+ */
+export function arrayToBase64Url(arr) {
+  return arrayToBase64(arr).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 /**
  * Convert base64 to Uint8Array
  * @param {string} b64 
@@ -338,6 +353,16 @@ export function base64ToArray(b64) {
   return arr;
 }
 
+/**
+ * Convert base64url (padded or not) to Uint8Array
+ * @param {string} b64url 
+ * @returns {Uint8Array}
+ */
+export function base64UrlToArray(b64url) {
+  const b64 = b64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToArray(b64 + '='.repeat((4 - b64.length % 4) % 4));
+}
+
 // ============================================================================
 // HUMAN ID GENERATION
 // ============================================================================
@@ -354,17 +379,298 @@ export async function generateHumanId(publicKeyJwk) {
 }
 
 // ============================================================================
-// QUANTUM-SAFE UPGRADE PATH (Placeholder)
+// WEBAUTHN VERIFICATION
+// ============================================================================
+
+const WEBAUTHN_ALGORITHMS = {
+  [-7]: {   // ES256
+    import: { name: 'ECDSA', namedCurve: 'P-256' },
+    verify: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  [-257]: { // RS256
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verify: { name: 'RSASSA-PKCS1-v1_5' }
+  }
+};
+
+const AUTH_DATA_FLAG_UP = 0x01; // User present
+const AUTH_DATA_FLAG_UV = 0x04; // User verified
+
+/**
+ * Convert a DER-encoded ECDSA signature to raw r||s
+ * Authenticators return DER; WebCrypto verifies the raw form.
+ * @param {Uint8Array} der 
+ * @param {number} [size=32] - Bytes per integer (32 for P-256)
+ * @returns {Uint8Array}
+ */
+export function derToRawSignature(der, size = 32) {
+  if (der[0] !== 0x30) {
+    throw new Error('Invalid DER signature: expected SEQUENCE');
+  }
+  
+  // Skip SEQUENCE header (short or long form length)
+  let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+  
+  const readInteger = () => {
+    if (der[offset] !== 0x02) {
+      throw new Error('Invalid DER signature: expected INTEGER');
+    }
+    const length = der[offset + 1];
+    let value = der.slice(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    
+    // Drop sign-padding zeros, then left-pad to the field size
+    while (value.length > size && value[0] === 0) {
+      value = value.slice(1);
+    }
+    if (value.length > size) {
+      throw new Error('Invalid DER signature: integer too long');
+    }
+    const padded = new Uint8Array(size);
+    padded.set(value, size - value.length);
+    return padded;
+  };
+  
+  const r = readInteger();
+  const s = readInteger();
+  
+  const raw = new Uint8Array(size * 2);
+  raw.set(r, 0);
+  raw.set(s, size);
+  return raw;
+}
+
+/**
+ * Verify a WebAuthn assertion against a registered credential
+ * @param {Object} params
+ * @param {Object} params.assertion - Base64 fields: credentialId, authenticatorData, clientDataJSON, signature
+ * @param {Uint8Array} params.challenge - Expected challenge bytes
+ * @param {Object} params.credential - Registered credential: id, publicKey (SPKI base64), algorithm, rpId
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+ */
+export async function verifyWebAuthnAssertion({ assertion, challenge, credential }) {
+  const algorithm = WEBAUTHN_ALGORITHMS[credential.algorithm];
+  if (!algorithm) {
+    return { ok: false, reason: 'unsupported_algorithm', message: `COSE algorithm ${credential.algorithm}` };
+  }
+  
+  if (assertion.credentialId !== credential.id) {
+    return { ok: false, reason: 'unknown_credential', message: 'Assertion from unregistered credential' };
+  }
+  
+  try {
+    const clientDataBytes = base64ToArray(assertion.clientDataJSON);
+    const clientData = JSON.parse(new TextDecoder().decode(clientDataBytes));
+    
+    if (clientData.type !== 'webauthn.get') {
+      return { ok: false, reason: 'bad_client_data', message: `Unexpected type ${clientData.type}` };
+    }
+    
+    if (clientData.challenge !== arrayToBase64Url(challenge)) {
+      return { ok: false, reason: 'challenge_mismatch', message: 'Assertion is not bound to this segment' };
+    }
+    
+    const authData = base64ToArray(assertion.authenticatorData);
+    
+    if (credential.rpId) {
+      const rpIdHash = await sha256Bytes(new TextEncoder().encode(credential.rpId));
+      if (arrayToHex(authData.slice(0, 32)) !== arrayToHex(rpIdHash)) {
+        return { ok: false, reason: 'rp_mismatch', message: 'Assertion is for a different relying party' };
+      }
+    }
+    
+    const flags = authData[32];
+    if (!(flags & AUTH_DATA_FLAG_UP) || !(flags & AUTH_DATA_FLAG_UV)) {
+      return { ok: false, reason: 'user_not_verified', message: 'Authenticator did not verify the user' };
+    }
+    
+    // Signature covers authenticatorData || SHA-256(clientDataJSON)
+    const clientDataHash = await sha256Bytes(clientDataBytes);
+    const signedData = new Uint8Array(authData.length + clientDataHash.length);
+    signedData.set(authData, 0);
+    signedData.set(clientDataHash, authData.length);
+    
+    const publicKey = await crypto.subtle.importKey(
+      'spki',
+      base64ToArray(credential.publicKey),
+      algorithm.import,
+      false,
+      ['verify']
+    );
+    
+    let signature = base64ToArray(assertion.signature);
+    if (credential.algorithm === -7) {
+      signature = derToRawSignature(signature);
+    }
+    
+    const valid = await crypto.subtle.verify(algorithm.verify, publicKey, signature, signedData);
+    
+    return valid
+      ? { ok: true }
+      : { ok: false, reason: 'bad_assertion', message: 'WebAuthn signature verification failed' };
+  } catch (e) {
+    return { ok: false, reason: 'assertion_error', message: e.message };
+  }
+}
+
+// ============================================================================
+// SIGNATURE SUITES
 // ============================================================================
 
 /**
- * Check if quantum-safe algorithms are available
+ * @typedef {Object} SignatureSuite
+ * @property {string} alg - Identifier recorded in segment.alg
+ * @property {boolean} quantumSafe - Whether forging needs more than breaking ECDSA
+ * @property {function(Object, string): Promise<{signature: string, pq_signature?: string}>} sign
+ *   - (signer, content); signer is {privateKey, pqSecretKey?}
+ * @property {function(Object, string, Object): Promise<boolean>} verify
+ *   - (author, content, {signature, pq_signature}); author is {pubJwk, pqPubKey?}
+ */
+
+const signatureSuites = new Map();
+
+/**
+ * Register a signature suite (replaces one with the same alg)
+ * @param {SignatureSuite} suite 
+ * @returns {SignatureSuite}
+ */
+export function registerSignatureSuite(suite) {
+  if (!suite?.alg || typeof suite.sign !== 'function' || typeof suite.verify !== 'function') {
+    throw new Error('Signature suite requires alg, sign and verify');
+  }
+  signatureSuites.set(suite.alg, suite);
+  return suite;
+}
+
+/**
+ * Get a registered signature suite
+ * @param {string} [alg] - Defaults to ES256 (segments without alg)
+ * @returns {SignatureSuite|null}
+ */
+export function getSignatureSuite(alg = DEFAULT_SIGNATURE_ALG) {
+  return signatureSuites.get(alg) || null;
+}
+
+/**
+ * List registered suites
+ * @returns {{alg: string, quantumSafe: boolean}[]}
+ */
+export function listSignatureSuites() {
+  return [...signatureSuites.values()].map(({ alg, quantumSafe }) => ({ alg, quantumSafe }));
+}
+
+registerSignatureSuite({
+  alg: SIGNATURE_ALGS.ES256,
+  quantumSafe: false,
+  
+  async sign(signer, content) {
+    return { signature: await sign(signer.privateKey, content) };
+  },
+  
+  async verify(author, content, { signature }) {
+    const publicKey = await importPublicKeyJwk(author.pubJwk);
+    return await verify(publicKey, content, signature);
+  }
+});
+
+/**
+ * Build a hybrid suite: ECDSA P-256 plus a post-quantum scheme
+ * Both signatures cover the same content and both must verify, so the
+ * segment stays secure as long as either scheme is unbroken.
+ * @param {string} alg - Suite identifier
+ * @param {Object} pqScheme - noble-style scheme: keygen(), sign(msg, secretKey),
+ *   verify(sig, msg, publicKey); byte arrays in and out, sync or async
+ * @returns {SignatureSuite}
+ */
+export function createHybridSignatureSuite(alg, pqScheme) {
+  return {
+    alg,
+    quantumSafe: true,
+    
+    async keygen() {
+      const { publicKey, secretKey } = await pqScheme.keygen();
+      return { publicKey: arrayToBase64(publicKey), secretKey: arrayToBase64(secretKey) };
+    },
+    
+    async sign(signer, content) {
+      if (!signer.pqSecretKey) {
+        throw new Error(`${alg} requires a post-quantum secret key`);
+      }
+      
+      const message = new TextEncoder().encode(content);
+      const pqSignature = await pqScheme.sign(message, base64ToArray(signer.pqSecretKey));
+      
+      return {
+        signature: await sign(signer.privateKey, content),
+        pq_signature: arrayToBase64(pqSignature)
+      };
+    },
+    
+    async verify(author, content, { signature, pq_signature }) {
+      if (!author.pqPubKey || !pq_signature) {
+        return false;
+      }
+      
+      const publicKey = await importPublicKeyJwk(author.pubJwk);
+      if (!await verify(publicKey, content, signature)) {
+        return false;
+      }
+      
+      try {
+        const message = new TextEncoder().encode(content);
+        return await pqScheme.verify(
+          base64ToArray(pq_signature),
+          message,
+          base64ToArray(author.pqPubKey)
+        ) === true;
+      } catch (e) {
+        console.error('[Crypto] Post-quantum verification error:', e);
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Load ML-DSA-65 and register the hybrid suite
+ * Uses the pure-JS @noble/post-quantum (optional dependency), so it works
+ * wherever WebCrypto does.
+ * @returns {Promise<boolean>} True if the hybrid suite is available
+ */
+export async function loadPostQuantumSuite() {
+  if (signatureSuites.has(SIGNATURE_ALGS.HYBRID_ES256_MLDSA65)) {
+    return true;
+  }
+  
+  try {
+    const { ml_dsa65 } = await import('@noble/post-quantum/ml-dsa.js');
+    registerSignatureSuite(createHybridSignatureSuite(SIGNATURE_ALGS.HYBRID_ES256_MLDSA65, ml_dsa65));
+    console.log('[Crypto] Registered', SIGNATURE_ALGS.HYBRID_ES256_MLDSA65);
+    return true;
+  } catch (e) {
+    console.warn('[Crypto] Post-quantum suite unavailable:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Get a suite, loading the post-quantum implementation on demand
+ * @param {string} [alg]
+ * @returns {Promise<SignatureSuite|null>}
+ */
+export async function loadSignatureSuite(alg = DEFAULT_SIGNATURE_ALG) {
+  if (!signatureSuites.has(alg) && alg === SIGNATURE_ALGS.HYBRID_ES256_MLDSA65) {
+    await loadPostQuantumSuite();
+  }
+  return getSignatureSuite(alg);
+}
+
+/**
+ * Check if a quantum-safe signature suite is registered
  * @returns {boolean}
  */
 export function isQuantumSafeAvailable() {
-  // TODO: Check for Dilithium/Falcon/Kyber availability
-  // These will require external libraries (e.g., liboqs-js)
-  return false;
+  return [...signatureSuites.values()].some(suite => suite.quantumSafe);
 }
 
 /**
@@ -372,15 +678,10 @@ export function isQuantumSafeAvailable() {
  * @returns {{sign: string, hash: string, kem: string}}
  */
 export function getRecommendedAlgorithms() {
-  if (isQuantumSafeAvailable()) {
-    return {
-      sign: 'DILITHIUM3',
-      hash: 'SHA3-256',
-      kem: 'KYBER768'
-    };
-  }
+  const hybrid = [...signatureSuites.values()].find(suite => suite.quantumSafe);
+  
   return {
-    sign: 'ECDSA-P256',
+    sign: hybrid ? hybrid.alg : 'ECDSA-P256',
     hash: 'SHA-256',
     kem: 'ECDH-P256'
   };
@@ -0,0 +1,177 @@
+// BalanceChain Decision Tracker
+// Projection of biz.decision segments and the biz.outcome segments that follow them
+
+import {
+  STA_TYPES,
+  DECISION_STATUS,
+  DECISION_OUTCOMES,
+  DECISION_FOLLOW_UP_DAYS
+} from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * @typedef {Object} DecisionRecord
+ * @property {number} seq - Seq of the biz.decision segment (the decision's ID)
+ * @property {string} chatId
+ * @property {string} title
+ * @property {string} decision - ACCEPT/REJECT/DEFER
+ * @property {string} category
+ * @property {string} status - One of DECISION_STATUS
+ * @property {number} decidedAt
+ * @property {number|null} followUpAt - Next reminder, null once closed
+ * @property {number|null} closedAt
+ * @property {Object[]} outcomes - { seq, outcome, evidence, metrics, recordedAt }
+ */
+
+/**
+ * Create a decision record from a biz.decision segment
+ * @param {Object} sta
+ * @returns {DecisionRecord}
+ */
+export function createDecisionRecord(sta) {
+  const payload = sta.payload || {};
+  const decidedAt = payload.decidedAt ?? sta.timestamp;
+  
+  return {
+    seq: sta.seq,
+    chatId: payload.chatId || null,
+    title: payload.title || '',
+    decision: payload.decision || null,
+    category: payload.category || null,
+    status: DECISION_STATUS.ACTIVE,
+    decidedAt,
+    followUpAt: payload.followUpAt ?? decidedAt + DECISION_FOLLOW_UP_DAYS * DAY_MS,
+    closedAt: null,
+    outcomes: []
+  };
+}
+
+/**
+ * Apply a segment to an in-memory decision map
+ * Outcomes link to their decision by `decisionSeq`. A decision closes on
+ * its first SUCCESS/FAILURE/ABANDONED outcome; later outcomes are kept as
+ * history but do not reopen it. PARTIAL reschedules the follow-up.
+ * @param {Map<number, DecisionRecord>} decisions
+ * @param {Object} sta
+ * @returns {Map<number, DecisionRecord>}
+ */
+export function applyDecisionSegment(decisions, sta) {
+  if (sta.type === STA_TYPES.BIZ_DECISION) {
+    decisions.set(sta.seq, createDecisionRecord(sta));
+    return decisions;
+  }
+  
+  if (sta.type !== STA_TYPES.BIZ_OUTCOME) {
+    return decisions;
+  }
+  
+  const payload = sta.payload || {};
+  const record = decisions.get(payload.decisionSeq);
+  if (!record) {
+    console.warn(`[Decisions] Outcome at seq ${sta.seq} refers to unknown decision ${payload.decisionSeq}`);
+    return decisions;
+  }
+  
+  const recordedAt = payload.recordedAt ?? sta.timestamp;
+  record.outcomes.push({
+    seq: sta.seq,
+    outcome: payload.outcome,
+    evidence: payload.evidence ?? null,
+    metrics: payload.metrics ?? null,
+    recordedAt
+  });
+  
+  const status = Object.hasOwn(DECISION_OUTCOMES, payload.outcome ?? '') ? DECISION_OUTCOMES[payload.outcome] : null;
+  if (record.status !== DECISION_STATUS.ACTIVE || !status) {
+    return decisions;
+  }
+  
+  if (status === DECISION_STATUS.ACTIVE) {
+    record.followUpAt = payload.nextFollowUpAt ?? recordedAt + DECISION_FOLLOW_UP_DAYS * DAY_MS;
+  } else {
+    record.status = status;
+    record.closedAt = recordedAt;
+    record.followUpAt = null;
+  }
+  
+  return decisions;
+}
+
+/**
+ * Derive decisions from chain segments
+ * @param {Object[]} segments
+ * @returns {Map<number, DecisionRecord>} decision seq -> record
+ */
+export function deriveDecisions(segments) {
+  const decisions = new Map();
+  
+  const ordered = [...segments].sort((a, b) => a.seq - b.seq);
+  for (const sta of ordered) {
+    applyDecisionSegment(decisions, sta);
+  }
+  
+  return decisions;
+}
+
+/**
+ * Check that an outcome can be recorded against the projection
+ * @param {Map<number, DecisionRecord>} decisions
+ * @param {Object} payload - biz.outcome payload
+ * @returns {{ok: boolean, reason?: string, message?: string}}
+ */
+export function checkOutcome(decisions, payload) {
+  const record = decisions.get(payload?.decisionSeq);
+  
+  if (!record) {
+    return { ok: false, reason: 'unknown_decision', message: `No decision at seq ${payload?.decisionSeq}` };
+  }
+  if (!Object.hasOwn(DECISION_OUTCOMES, payload.outcome ?? '')) {
+    return { ok: false, reason: 'invalid_outcome', message: `Unknown outcome ${payload.outcome}` };
+  }
+  if (record.status !== DECISION_STATUS.ACTIVE) {
+    return { ok: false, reason: 'decision_closed', message: `Decision ${record.seq} is already ${record.status}` };
+  }
+  
+  return { ok: true };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Filter decisions, oldest first
+ * @param {Map<number, DecisionRecord>} decisions
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - One of DECISION_STATUS
+ * @param {string} [filter.chatId]
+ * @param {number} [filter.olderThanDays] - Decided at least this many days ago
+ * @param {number} [filter.now=Date.now()]
+ * @returns {DecisionRecord[]}
+ */
+export function queryDecisions(decisions, { status, chatId, olderThanDays, now = Date.now() } = {}) {
+  const cutoff = olderThanDays != null ? now - olderThanDays * DAY_MS : null;
+  
+  return [...decisions.values()]
+    .filter(d => !status || d.status === status)
+    .filter(d => !chatId || d.chatId === chatId)
+    .filter(d => cutoff === null || d.decidedAt <= cutoff)
+    .sort((a, b) => a.decidedAt - b.decidedAt);
+}
+
+/**
+ * Open decisions whose follow-up reminder is due, most overdue first
+ * @param {Map<number, DecisionRecord>} decisions
+ * @param {number} [now=Date.now()]
+ * @returns {DecisionRecord[]}
+ */
+export function getDueFollowUps(decisions, now = Date.now()) {
+  return [...decisions.values()]
+    .filter(d => d.status === DECISION_STATUS.ACTIVE && d.followUpAt !== null && d.followUpAt <= now)
+    .sort((a, b) => a.followUpAt - b.followUpAt);
+}
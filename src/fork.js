@@ -0,0 +1,433 @@
+// BalanceChain Fork Module
+// Fork detection, deterministic resolution, and abandoned-branch evidence
+
+import { GENESIS_HASH } from './constants.js';
+import { randomHex } from './crypto.js';
+import { computeSegmentHash, validateSegmentStructure } from './segment.js';
+import { validateSegment, validateSignature } from './validation.js';
+import { getAllSTAs, getChainLen, getMeta, setMeta, truncateChain } from './idb.js';
+import { advanceKeyHistory, buildKeyHistory } from './keys.js';
+import { enterReadOnlyMode } from './integrity.js';
+
+// ============================================================================
+// FORK RULES
+// ============================================================================
+
+/**
+ * Rules that can decide the canonical branch, in order of precedence
+ */
+export const FORK_RULES = {
+  USER_CHOICE: 'user_choice',             // Explicit 'local' / 'remote'
+  LONGER_BRANCH: 'longer_branch',         // More segments after the ancestor
+  EARLIER_DIVERGENCE: 'earlier_divergence', // First divergent segment is older
+  LOWEST_SIGNATURE: 'lowest_signature'    // Final tie-break, same on both devices
+};
+
+// ============================================================================
+// FORK DETECTION
+// ============================================================================
+
+/**
+ * Check whether two segments are the same block
+ * The signature covers every other field, so matching seq, nonce and
+ * signature means matching content.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function segmentsMatch(a, b) {
+  return !!a && !!b &&
+         a.seq === b.seq &&
+         a.nonce === b.nonce &&
+         a.signature === b.signature;
+}
+
+/**
+ * Find the last segment two chains share
+ * Both lists must start at seq 1.
+ * @param {Object[]} localSegments
+ * @param {Object[]} remoteSegments
+ * @returns {{seq: number, hash: string|null}} Ancestor seq (0 = genesis) and
+ *   its block hash (null when neither chain has a segment after it)
+ */
+export function findCommonAncestor(localSegments, remoteSegments) {
+  const localBySeq = new Map(localSegments.map(s => [s.seq, s]));
+  const remoteBySeq = new Map(remoteSegments.map(s => [s.seq, s]));
+  
+  let seq = 0;
+  while (segmentsMatch(localBySeq.get(seq + 1), remoteBySeq.get(seq + 1))) {
+    seq++;
+  }
+  
+  if (seq === 0) {
+    return { seq, hash: GENESIS_HASH };
+  }
+  
+  // The first segment after the ancestor links to it on either side
+  const next = localBySeq.get(seq + 1) || remoteBySeq.get(seq + 1);
+  
+  return { seq, hash: next ? next.prev_hash : null };
+}
+
+/**
+ * Summarize a branch for display
+ * @param {Object[]} branch
+ * @returns {{length: number, fromSeq?: number, toSeq?: number, firstTimestamp?: number, lastTimestamp?: number, types: Object}}
+ */
+export function summarizeBranch(branch) {
+  const types = {};
+  for (const sta of branch) {
+    types[sta.type] = (types[sta.type] || 0) + 1;
+  }
+  
+  if (branch.length === 0) {
+    return { length: 0, types };
+  }
+  
+  return {
+    length: branch.length,
+    fromSeq: branch[0].seq,
+    toSeq: branch[branch.length - 1].seq,
+    firstTimestamp: branch[0].timestamp,
+    lastTimestamp: branch[branch.length - 1].timestamp,
+    types
+  };
+}
+
+/**
+ * @typedef {Object} ForkInfo
+ * @property {boolean} forked - Both chains have segments after the ancestor
+ * @property {{seq: number, hash: string|null}} ancestor
+ * @property {Object[]} local - Local segments after the ancestor
+ * @property {Object[]} remote - Remote segments after the ancestor
+ * @property {{local: Object, remote: Object}} summary
+ */
+
+/**
+ * Compare two chains and split them into branches
+ * When one chain is a prefix of the other there is no fork, just a
+ * chain that is behind.
+ * @param {Object[]} localSegments
+ * @param {Object[]} remoteSegments
+ * @returns {ForkInfo}
+ */
+export function detectFork(localSegments, remoteSegments) {
+  const local = [...localSegments].sort((a, b) => a.seq - b.seq);
+  const remote = [...remoteSegments].sort((a, b) => a.seq - b.seq);
+  
+  const ancestor = findCommonAncestor(local, remote);
+  const localBranch = local.filter(s => s.seq > ancestor.seq);
+  const remoteBranch = remote.filter(s => s.seq > ancestor.seq);
+  
+  return {
+    forked: localBranch.length > 0 && remoteBranch.length > 0,
+    ancestor,
+    local: localBranch,
+    remote: remoteBranch,
+    summary: {
+      local: summarizeBranch(localBranch),
+      remote: summarizeBranch(remoteBranch)
+    }
+  };
+}
+
+/**
+ * Pick the canonical branch
+ * Without a user choice the rules only look at branch content, so both
+ * devices reach the same answer independently.
+ * @param {ForkInfo} fork
+ * @param {'local'|'remote'|null} [choice] - Explicit user choice
+ * @returns {{winner: 'local'|'remote', rule: string}}
+ */
+export function chooseCanonicalBranch(fork, choice = null) {
+  if (choice === 'local' || choice === 'remote') {
+    return { winner: choice, rule: FORK_RULES.USER_CHOICE };
+  }
+  
+  if (fork.local.length !== fork.remote.length) {
+    return {
+      winner: fork.local.length > fork.remote.length ? 'local' : 'remote',
+      rule: FORK_RULES.LONGER_BRANCH
+    };
+  }
+  
+  const localFirst = fork.local[0];
+  const remoteFirst = fork.remote[0];
+  
+  if (localFirst.timestamp !== remoteFirst.timestamp) {
+    return {
+      winner: localFirst.timestamp < remoteFirst.timestamp ? 'local' : 'remote',
+      rule: FORK_RULES.EARLIER_DIVERGENCE
+    };
+  }
+  
+  return {
+    winner: localFirst.signature < remoteFirst.signature ? 'local' : 'remote',
+    rule: FORK_RULES.LOWEST_SIGNATURE
+  };
+}
+
+// ============================================================================
+// BRANCH VERIFICATION
+// ============================================================================
+
+/**
+ * Verify a branch links to the ancestor and is signed by the chain owner
+ * @param {Object[]} branch - Segments after the ancestor, in order
+ * @param {{seq: number, hash: string}} ancestor
+ * @param {string} hid - Chain owner
+ * @param {Object|null} [keyHistory] - Owner key history up to the ancestor
+ * @returns {Promise<{ok: boolean, head?: string, seq?: number, reason?: string, message?: string}>}
+ */
+export async function verifyBranch(branch, ancestor, hid, keyHistory = null) {
+  let expectedSeq = ancestor.seq + 1;
+  let expectedPrevHash = ancestor.hash;
+  let history = keyHistory;
+  
+  for (const segment of branch) {
+    const structure = validateSegmentStructure(segment);
+    if (!structure.valid) {
+      return { ok: false, seq: segment?.seq, reason: 'invalid_structure', message: structure.reason };
+    }
+    
+    if (segment.seq !== expectedSeq) {
+      return { ok: false, seq: segment.seq, reason: 'bad_seq', message: `Expected seq ${expectedSeq}` };
+    }
+    
+    if (segment.prev_hash !== expectedPrevHash) {
+      return { ok: false, seq: segment.seq, reason: 'bad_prev_hash', message: `Branch breaks at seq ${segment.seq}` };
+    }
+    
+    // HID must match and the key must follow the owner's key history
+    const keyCheck = await advanceKeyHistory(history, segment, hid);
+    if (!keyCheck.ok) {
+      return { ok: false, seq: segment.seq, reason: 'foreign_segment', message: keyCheck.message };
+    }
+    history = keyCheck.history;
+    
+    const signature = await validateSignature(segment);
+    if (!signature.ok) {
+      return { ...signature, seq: segment.seq };
+    }
+    
+    expectedPrevHash = await computeSegmentHash(segment);
+    expectedSeq++;
+  }
+  
+  return { ok: true, head: expectedPrevHash };
+}
+
+// ============================================================================
+// FORK RESOLUTION
+// ============================================================================
+
+/**
+ * Resolve a fork between the local chain and a remote copy
+ * The abandoned branch is stored as evidence before anything is rewritten.
+ * If the remote branch wins, the local chain is truncated to the ancestor
+ * and the remote branch is validated and appended; on failure the local
+ * branch is put back and the evidence is rewritten to say so.
+ * @param {Object} params
+ * @param {StateManager} params.state - State manager
+ * @param {TVMBalanceManager} [params.balanceManager] - Re-synced after a rewrite
+ * @param {Object[]} params.remoteSegments - Remote chain from seq 1
+ * @param {'local'|'remote'|function(ForkInfo): Promise<string|null>} [params.choice]
+ *   Explicit choice, or a callback that can ask the user
+ * @returns {Promise<{ok: boolean, forked: boolean, winner?: string, rule?: string, ancestorSeq?: number, abandoned?: number, evidenceId?: string, reason?: string, message?: string}>}
+ */
+export async function resolveFork({ state, balanceManager = null, remoteSegments, choice = null }) {
+  const hid = state.identity.hid;
+  const localSegments = await getAllSTAs(state.db);
+  const fork = detectFork(localSegments, remoteSegments);
+  
+  if (!fork.forked) {
+    return { ok: true, forked: false };
+  }
+  
+  // Never adopt (or keep evidence of) a branch we can't verify
+  const ancestorKeys = await buildKeyHistory(localSegments.filter(s => s.seq <= fork.ancestor.seq), hid);
+  const remoteCheck = await verifyBranch(fork.remote, fork.ancestor, hid, ancestorKeys.history);
+  if (!remoteCheck.ok) {
+    return { ok: false, forked: true, reason: remoteCheck.reason, message: remoteCheck.message };
+  }
+  
+  const userChoice = typeof choice === 'function' ? await choice(fork) : choice;
+  const decision = chooseCanonicalBranch(fork, userChoice);
+  const abandoned = decision.winner === 'local' ? fork.remote : fork.local;
+  
+  const evidenceId = await recordForkEvidence(state.db, hid, { fork, decision, abandoned });
+  
+  console.log(`[Fork] Diverged after seq ${fork.ancestor.seq}: keeping ${decision.winner} (${decision.rule}), ` +
+              `abandoning ${abandoned.length} segment(s)`);
+  
+  if (decision.winner === 'remote') {
+    const adopted = await state.exclusive(() => adoptBranch({ state, balanceManager, fork }));
+    if (!adopted.ok) {
+      // A half-restored chain still needs the local branch as evidence
+      await updateForkEvidence(state.db, evidenceId, adopted.reason === 'restore_failed'
+        ? { outcome: 'restore_failed', failure: adopted.reason }
+        : { outcome: 'adoption_failed', failure: adopted.reason, winner: 'local', abandonedSide: 'remote', abandoned: fork.remote });
+      return { ok: false, forked: true, evidenceId, reason: adopted.reason, message: adopted.message, seq: adopted.seq };
+    }
+    await updateForkEvidence(state.db, evidenceId, { outcome: 'adopted' });
+  }
+  
+  const result = {
+    ok: true,
+    forked: true,
+    winner: decision.winner,
+    rule: decision.rule,
+    ancestorSeq: fork.ancestor.seq,
+    abandoned: abandoned.length,
+    evidenceId
+  };
+  
+  state.emit('fork', result);
+  
+  return result;
+}
+
+/**
+ * Replace the local branch with the remote branch
+ * Runs under the chain lock; refuses if a commit landed since the fork
+ * was detected (e.g. while the user was choosing). If the local branch
+ * cannot be put back after a failed adoption, the chain is left at the
+ * last restored seq and the app goes read-only (restore_failed).
+ * @param {Object} params
+ * @param {StateManager} params.state
+ * @param {TVMBalanceManager|null} params.balanceManager
+ * @param {ForkInfo} params.fork
+ * @returns {Promise<{ok: boolean, seq?: number, reason?: string, message?: string}>}
+ */
+async function adoptBranch({ state, balanceManager, fork }) {
+  const rewind = async () => {
+    await truncateChain(state.db, fork.ancestor.seq, fork.ancestor.hash);
+    await state.rebuildProjections();
+    
+    // Balance store must match the rewound chain before transfers re-check it
+    if (balanceManager) {
+      await balanceManager.repair(state.getTVMBalances());
+    }
+  };
+  
+  if (await getChainLen(state.db) !== fork.ancestor.seq + fork.local.length) {
+    return { ok: false, reason: 'chain_changed', message: 'Local chain changed during fork resolution; sync again' };
+  }
+  
+  await rewind();
+  
+  for (const segment of fork.remote) {
+    const validation = await validateSegment(state.db, segment, {
+      skipLivenessCheck: true,
+      requireLocalCapsule: false,
+      freshTimestamp: false,
+      timeService: state.timeService,
+      keyHistory: state.keyHistory,
+      pqCutoverSeq: state.pqCutoverSeq,
+      unlockLedger: state.unlockLedger
+    });
+    const result = validation.ok ? await state.appendSTA(segment) : validation;
+    
+    if (!result.ok) {
+      console.error(`[Fork] Adopting remote branch failed at seq ${segment.seq}, restoring local branch`);
+      
+      await rewind();
+      for (const original of fork.local) {
+        const restored = await state.appendSTA(original);
+        
+        if (!restored.ok) {
+          console.error(`[Fork] Restoring local branch failed at seq ${original.seq}:`, restored.reason);
+          
+          state.chainIntegrityOk = false;
+          await enterReadOnlyMode(state.db, 'fork_restore_failed');
+          state.emit('integrity', { ok: false, reason: 'restore_failed', seq: original.seq });
+          
+          return {
+            ok: false,
+            reason: 'restore_failed',
+            seq: original.seq,
+            message: `Local branch could not be restored at seq ${original.seq} (${restored.reason}) ` +
+                     `after adopting the remote branch failed (${result.reason}); the abandoned branch is kept as fork evidence`
+          };
+        }
+      }
+      
+      return { ok: false, seq: segment.seq, reason: result.reason, message: result.message };
+    }
+  }
+  
+  return { ok: true };
+}
+
+// ============================================================================
+// FORK EVIDENCE
+// ============================================================================
+
+/**
+ * Store an abandoned branch as evidence
+ * A remote winner is recorded as 'adopting' until resolveFork knows
+ * whether the adoption went through.
+ * @param {IDBDatabase} db
+ * @param {string} hid
+ * @param {Object} params
+ * @param {ForkInfo} params.fork
+ * @param {{winner: string, rule: string}} params.decision
+ * @param {Object[]} params.abandoned
+ * @returns {Promise<string>} Evidence ID
+ */
+export async function recordForkEvidence(db, hid, { fork, decision, abandoned }) {
+  const id = `FORK-${Date.now()}-${randomHex(4)}`;
+  
+  await setMeta(db, `fork:${id}`, {
+    id,
+    hid,
+    detectedAt: Date.now(),
+    ancestor: fork.ancestor,
+    winner: decision.winner,
+    rule: decision.rule,
+    abandonedSide: decision.winner === 'local' ? 'remote' : 'local',
+    outcome: decision.winner === 'local' ? 'kept' : 'adopting',
+    summary: fork.summary,
+    abandoned
+  });
+  
+  const ids = (await getMeta(db, `forks:${hid}`)) || [];
+  ids.push(id);
+  await setMeta(db, `forks:${hid}`, ids);
+  
+  return id;
+}
+
+/**
+ * Update a stored fork record once the resolution outcome is known
+ * @param {IDBDatabase} db
+ * @param {string} id - Evidence ID
+ * @param {Object} changes - e.g. {outcome: 'adoption_failed', winner: 'local', ...}
+ * @returns {Promise<void>}
+ */
+export async function updateForkEvidence(db, id, changes) {
+  const record = await getMeta(db, `fork:${id}`);
+  if (record) {
+    await setMeta(db, `fork:${id}`, { ...record, ...changes, resolvedAt: Date.now() });
+  }
+}
+
+/**
+ * Get recorded fork evidence
+ * @param {IDBDatabase} db
+ * @param {string} hid
+ * @returns {Promise<Object[]>}
+ */
+export async function getForkEvidence(db, hid) {
+  const ids = (await getMeta(db, `forks:${hid}`)) || [];
+  const records = [];
+  
+  for (const id of ids) {
+    const record = await getMeta(db, `fork:${id}`);
+    if (record) {
+      records.push(record);
+    }
+  }
+  
+  return records;
+}
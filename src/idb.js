@@ -284,6 +284,53 @@ export async function getSTABySeq(db, seq) {
   );
 }
 
+/**
+ * Get STAs in an inclusive sequence range
+ * @param {IDBDatabase} db 
+ * @param {number} fromSeq 
+ * @param {number} toSeq 
+ * @returns {Promise<any[]>}
+ */
+export async function getSTARange(db, fromSeq, toSeq) {
+  const results = await withStore(db, STORES.STATE_CHAIN, 'readonly',
+    store => store.getAll(IDBKeyRange.bound(fromSeq, toSeq))
+  );
+  return (results || []).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Remove every STA after keepSeq and rewind the chain head
+ * Nonces and message projections of the removed STAs are deleted in the
+ * same transaction.
+ * @param {IDBDatabase} db 
+ * @param {number} keepSeq - Last sequence number to keep (0 = empty chain)
+ * @param {string} newHead - Block hash of the STA at keepSeq (or GENESIS)
+ * @returns {Promise<any[]>} Removed STAs in sequence order
+ */
+export async function truncateChain(db, keepSeq, newHead) {
+  const storeNames = [STORES.STATE_CHAIN, STORES.SYNC_LOG, STORES.MESSAGES, STORES.META];
+  
+  return await withStores(db, storeNames, 'readwrite', async (stores) => {
+    const range = IDBKeyRange.lowerBound(keepSeq, true);
+    
+    const removed = await reqDone(stores[STORES.STATE_CHAIN].getAll(range));
+    const messageKeys = await reqDone(stores[STORES.MESSAGES].index('by_seq').getAllKeys(range));
+    
+    for (const sta of removed) {
+      stores[STORES.SYNC_LOG].delete(sta.nonce);
+    }
+    for (const key of messageKeys) {
+      stores[STORES.MESSAGES].delete(key);
+    }
+    stores[STORES.STATE_CHAIN].delete(range);
+    
+    stores[STORES.META].put({ key: 'chain_head', value: newHead });
+    stores[STORES.META].put({ key: 'chain_len', value: keepSeq });
+    
+    return removed.sort((a, b) => a.seq - b.seq);
+  });
+}
+
 /**
  * Get STAs by type
  * @param {IDBDatabase} db 
@@ -1,7 +1,7 @@
 // BalanceChain Identity Module
 // WebAuthn integration and secure key management
 
-import { STORES } from './constants.js';
+import { STORES, STA_TYPES, SIGNATURE_ALGS, DEFAULT_SIGNATURE_ALG } from './constants.js';
 import {
   generateSigningKeyPair,
   generateECDHKeyPair,
@@ -11,9 +11,13 @@ import {
   generateHumanId,
   randomHex,
   arrayToBase64,
-  base64ToArray
+  base64ToArray,
+  loadSignatureSuite
 } from './crypto.js';
 import { withStore, getMeta, setMeta } from './idb.js';
+import { deriveLivenessChallenge } from './segment.js';
+import { createRotationPayload, getActiveKey, publicKeysEqual } from './keys.js';
+import { createGuardianShares, reconstructIdentityFromShares } from './recovery.js';
 
 // ============================================================================
 // IDENTITY MANAGER CLASS
@@ -81,8 +85,14 @@ export class IdentityManager {
         hid: stored.hid,
         pubJwk: stored.pubJwk,
         privateKey,
+        alg: stored.signatureAlg || DEFAULT_SIGNATURE_ALG,
+        pqPublicKey: stored.pqPublicKey || null,
+        pqSecretKey: stored.pqSecretKey || null,
         createdAt: stored.createdAt,
-        webAuthnCredentialId: stored.webAuthnCredentialId || null
+        webAuthnCredentialId: stored.webAuthnCredentialId || null,
+        webAuthnPublicKey: stored.webAuthnPublicKey || null,
+        webAuthnAlgorithm: stored.webAuthnAlgorithm ?? null,
+        webAuthnRpId: stored.webAuthnRpId || null
       };
     } catch (e) {
       console.error('[Identity] Load error:', e);
@@ -111,7 +121,10 @@ export class IdentityManager {
       pubJwk,
       privateKeyJwk,
       createdAt: Date.now(),
-      webAuthnCredentialId: null
+      webAuthnCredentialId: null,
+      webAuthnPublicKey: null,
+      webAuthnAlgorithm: null,
+      webAuthnRpId: null
     };
     
     await withStore(this.db, STORES.IDENTITY, 'readwrite',
@@ -121,8 +134,8 @@ export class IdentityManager {
     // If WebAuthn available and biometric requested, set up
     if (options.requireBiometric && this.webAuthnAvailable) {
       try {
-        const credentialId = await this.registerWebAuthn(hid);
-        identityRecord.webAuthnCredentialId = credentialId;
+        const credential = await this.registerWebAuthn(hid);
+        Object.assign(identityRecord, credentialToRecord(credential));
         
         // Update with credential
         await withStore(this.db, STORES.IDENTITY, 'readwrite',
@@ -137,8 +150,14 @@ export class IdentityManager {
       hid,
       pubJwk,
       privateKey: keyPair.privateKey,
+      alg: DEFAULT_SIGNATURE_ALG,
+      pqPublicKey: null,
+      pqSecretKey: null,
       createdAt: identityRecord.createdAt,
-      webAuthnCredentialId: identityRecord.webAuthnCredentialId
+      webAuthnCredentialId: identityRecord.webAuthnCredentialId,
+      webAuthnPublicKey: identityRecord.webAuthnPublicKey,
+      webAuthnAlgorithm: identityRecord.webAuthnAlgorithm,
+      webAuthnRpId: identityRecord.webAuthnRpId
     };
   }
   
@@ -162,10 +181,56 @@ export class IdentityManager {
   // WEBAUTHN INTEGRATION
   // ============================================================================
   
+  /**
+   * Get the registered WebAuthn credential used to verify liveness proofs
+   * @returns {{id: string, publicKey: string, algorithm: number, rpId: string}|null}
+   */
+  getWebAuthnCredential() {
+    if (!this.identity?.webAuthnCredentialId || !this.identity.webAuthnPublicKey) {
+      return null;
+    }
+    
+    return {
+      id: this.identity.webAuthnCredentialId,
+      publicKey: this.identity.webAuthnPublicKey,
+      algorithm: this.identity.webAuthnAlgorithm,
+      rpId: this.identity.webAuthnRpId
+    };
+  }
+  
+  /**
+   * Register a WebAuthn credential for the current identity
+   * @returns {Promise<{success: boolean, credentialId?: string, error?: string}>}
+   */
+  async enableBiometric() {
+    if (!this.identity) {
+      return { success: false, error: 'No identity' };
+    }
+    
+    try {
+      const credential = await this.registerWebAuthn(this.identity.hid);
+      const fields = credentialToRecord(credential);
+      
+      const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+        store => store.get('primary')
+      );
+      await withStore(this.db, STORES.IDENTITY, 'readwrite',
+        store => store.put({ ...stored, ...fields })
+      );
+      
+      Object.assign(this.identity, fields);
+      
+      return { success: true, credentialId: credential.id };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+  
   /**
    * Register WebAuthn credential
+   * The credential public key is kept so liveness proofs can be verified.
    * @param {string} hid - Human ID as user handle
-   * @returns {Promise<string>} Credential ID
+   * @returns {Promise<{id: string, publicKey: string, algorithm: number, rpId: string}>}
    */
   async registerWebAuthn(hid) {
     if (!this.webAuthnAvailable) {
@@ -207,14 +272,25 @@ export class IdentityManager {
       throw new Error('Credential creation failed');
     }
     
-    return arrayToBase64(new Uint8Array(credential.rawId));
+    const publicKey = credential.response.getPublicKey?.();
+    if (!publicKey) {
+      throw new Error('Authenticator did not return a public key');
+    }
+    
+    return {
+      id: arrayToBase64(new Uint8Array(credential.rawId)),
+      publicKey: arrayToBase64(new Uint8Array(publicKey)),
+      algorithm: credential.response.getPublicKeyAlgorithm(),
+      rpId: publicKeyCredentialCreationOptions.rp.id
+    };
   }
   
   /**
    * Authenticate with WebAuthn
+   * @param {Uint8Array} [challenge] - Challenge to sign (random if omitted)
    * @returns {Promise<{success: boolean, assertion?: any}>}
    */
-  async authenticateWebAuthn() {
+  async authenticateWebAuthn(challenge = null) {
     if (!this.webAuthnAvailable) {
       return { success: false, error: 'WebAuthn not available' };
     }
@@ -223,8 +299,10 @@ export class IdentityManager {
       return { success: false, error: 'No WebAuthn credential registered' };
     }
     
-    const challenge = new Uint8Array(32);
-    crypto.getRandomValues(challenge);
+    if (!challenge) {
+      challenge = new Uint8Array(32);
+      crypto.getRandomValues(challenge);
+    }
     
     const credentialId = base64ToArray(this.identity.webAuthnCredentialId);
     
@@ -253,6 +331,7 @@ export class IdentityManager {
         assertion: {
           credentialId: arrayToBase64(new Uint8Array(assertion.rawId)),
           authenticatorData: arrayToBase64(new Uint8Array(assertion.response.authenticatorData)),
+          clientDataJSON: arrayToBase64(new Uint8Array(assertion.response.clientDataJSON)),
           signature: arrayToBase64(new Uint8Array(assertion.response.signature)),
           timestamp: Date.now()
         }
@@ -263,17 +342,21 @@ export class IdentityManager {
   }
   
   /**
-   * Generate liveness proof (simplified for non-WebAuthn)
+   * Generate liveness proof for a segment
+   * With a registered credential this is a WebAuthn assertion over the
+   * segment's liveness challenge; otherwise a timestamp-only proof that
+   * policies requiring liveness will reject.
+   * @param {Object} [segment] - Unsigned segment to bind the proof to
    * @returns {Promise<Object>}
    */
-  async generateLivenessProof() {
+  async generateLivenessProof(segment = null) {
     if (this.webAuthnAvailable && this.identity?.webAuthnCredentialId) {
-      const result = await this.authenticateWebAuthn();
+      const challenge = segment ? await deriveLivenessChallenge(segment) : null;
+      const result = await this.authenticateWebAuthn(challenge);
       if (result.success) {
         return {
           type: 'webauthn',
-          timestamp: Date.now(),
-          assertion: result.assertion
+          ...result.assertion
         };
       }
     }
@@ -286,6 +369,197 @@ export class IdentityManager {
     };
   }
   
+  // ============================================================================
+  // SIGNATURE SUITES
+  // ============================================================================
+  
+  /**
+   * Switch to hybrid ECDSA + ML-DSA-65 signatures
+   * Generates a post-quantum key pair kept next to the ECDSA key. The first
+   * hybrid segment pins the post-quantum key in the chain's key history;
+   * rotateKey replaces both keys together.
+   * @returns {Promise<{success: boolean, alg?: string, error?: string}>}
+   */
+  async enableHybridSignatures() {
+    if (!this.identity) {
+      return { success: false, error: 'No identity' };
+    }
+    
+    const alg = SIGNATURE_ALGS.HYBRID_ES256_MLDSA65;
+    
+    if (this.identity.alg === alg && this.identity.pqSecretKey) {
+      return { success: true, alg };
+    }
+    
+    const suite = await loadSignatureSuite(alg);
+    if (!suite) {
+      return { success: false, error: 'Post-quantum signatures unavailable' };
+    }
+    
+    try {
+      const { publicKey, secretKey } = await suite.keygen();
+      
+      const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+        store => store.get('primary')
+      );
+      await withStore(this.db, STORES.IDENTITY, 'readwrite',
+        store => store.put({ ...stored, signatureAlg: alg, pqPublicKey: publicKey, pqSecretKey: secretKey })
+      );
+      
+      Object.assign(this.identity, { alg, pqPublicKey: publicKey, pqSecretKey: secretKey });
+      
+      console.log(`[Identity] Enabled ${alg} for ${this.identity.hid}`);
+      
+      return { success: true, alg };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+  
+  // ============================================================================
+  // KEY ROTATION
+  // ============================================================================
+  
+  /**
+   * Rotate the signing key
+   * Commits an identity.rotate segment signed by the current key, then
+   * switches to the new key. The HID stays the same. Hybrid identities
+   * get a new post-quantum key in the same segment. The new keys are
+   * stored as pending first so a crash between the commit and the switch
+   * can't lose them (see resolvePendingRotation).
+   * @param {StateManager} state - State manager (signs with the current key)
+   * @param {string} [reason='scheduled'] - e.g. 'compromise'
+   * @returns {Promise<{ok: boolean, seq?: number, pubJwk?: JsonWebKey, reason?: string, message?: string}>}
+   */
+  async rotateKey(state, reason = 'scheduled') {
+    if (!this.identity) {
+      return { ok: false, reason: 'no_identity' };
+    }
+    
+    let pqKeyPair = null;
+    if (this.identity.pqSecretKey) {
+      const suite = await loadSignatureSuite(this.identity.alg);
+      if (!suite?.keygen) {
+        return { ok: false, reason: 'pq_unavailable', message: 'Post-quantum signatures unavailable' };
+      }
+      pqKeyPair = await suite.keygen();
+    }
+    
+    const keyPair = await generateSigningKeyPair();
+    const payload = await createRotationPayload({
+      hid: this.identity.hid,
+      currentPubJwk: this.identity.pubJwk,
+      newKeyPair: keyPair,
+      newPqKeyPair: pqKeyPair,
+      alg: this.identity.alg,
+      reason
+    });
+    const privateKeyJwk = await exportPrivateKeyJwk(keyPair.privateKey);
+    
+    const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+      store => store.get('primary')
+    );
+    
+    const pendingKey = { pubJwk: payload.newPubJwk, privateKeyJwk };
+    if (pqKeyPair) {
+      Object.assign(pendingKey, { pqPublicKey: pqKeyPair.publicKey, pqSecretKey: pqKeyPair.secretKey });
+    }
+    
+    await withStore(this.db, STORES.IDENTITY, 'readwrite',
+      store => store.put({ ...stored, pendingKey })
+    );
+    
+    const result = await state.commitAction(STA_TYPES.IDENTITY_ROTATE, payload);
+    
+    if (!result.ok) {
+      await withStore(this.db, STORES.IDENTITY, 'readwrite',
+        store => store.put(stored)
+      );
+      return { ok: false, reason: result.reason, message: result.message };
+    }
+    
+    await this.promotePendingKey(result.seq);
+    
+    // Later commits sign with the new keys
+    state.identity = {
+      ...state.identity,
+      pubJwk: this.identity.pubJwk,
+      privateKey: this.identity.privateKey,
+      pqPublicKey: this.identity.pqPublicKey,
+      pqSecretKey: this.identity.pqSecretKey
+    };
+    
+    console.log(`[Identity] Rotated key for ${this.identity.hid} at seq=${result.seq} (${reason})`);
+    
+    return { ok: true, seq: result.seq, pubJwk: this.identity.pubJwk };
+  }
+  
+  /**
+   * Finish or discard a rotation interrupted before the key switch
+   * @param {Object|null} keyHistory - Key history from the chain
+   * @returns {Promise<boolean>} True if the pending key was promoted
+   */
+  async resolvePendingRotation(keyHistory) {
+    const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+      store => store.get('primary')
+    );
+    
+    if (!stored?.pendingKey) {
+      return false;
+    }
+    
+    const history = keyHistory?.keys || [];
+    const committed = history.find(k => publicKeysEqual(k.pubJwk, stored.pendingKey.pubJwk));
+    
+    if (committed && publicKeysEqual(getActiveKey(keyHistory), stored.pendingKey.pubJwk)) {
+      await this.promotePendingKey(committed.fromSeq - 1);
+      return true;
+    }
+    
+    const { pendingKey, ...rest } = stored;
+    await withStore(this.db, STORES.IDENTITY, 'readwrite',
+      store => store.put(rest)
+    );
+    return false;
+  }
+  
+  /**
+   * Make the pending key the signing key, keeping the old public keys
+   * @param {number} seq - Sequence of the rotation segment
+   * @returns {Promise<void>}
+   */
+  async promotePendingKey(seq) {
+    const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+      store => store.get('primary')
+    );
+    const { pendingKey, ...rest } = stored;
+    const { pqPublicKey = stored.pqPublicKey ?? null, pqSecretKey = stored.pqSecretKey ?? null } = pendingKey;
+    
+    const record = {
+      ...rest,
+      pubJwk: pendingKey.pubJwk,
+      privateKeyJwk: pendingKey.privateKeyJwk,
+      pqPublicKey,
+      pqSecretKey,
+      previousKeys: [
+        ...(stored.previousKeys || []),
+        { pubJwk: stored.pubJwk, pqPublicKey: stored.pqPublicKey ?? null, retiredAt: Date.now(), seq }
+      ]
+    };
+    
+    await withStore(this.db, STORES.IDENTITY, 'readwrite',
+      store => store.put(record)
+    );
+    
+    this.identity = {
+      ...this.identity,
+      pubJwk: record.pubJwk,
+      privateKey: await importPrivateKeyJwk(record.privateKeyJwk),
+      pqPublicKey,
+      pqSecretKey
+    };
+  }
+  
   // ============================================================================
   // BACKUP & RECOVERY
   // ============================================================================
@@ -314,6 +588,9 @@ export class IdentityManager {
       hid: stored.hid,
       pubJwk: stored.pubJwk,
       privateKeyJwk: stored.privateKeyJwk,
+      signatureAlg: stored.signatureAlg || DEFAULT_SIGNATURE_ALG,
+      pqPublicKey: stored.pqPublicKey || null,
+      pqSecretKey: stored.pqSecretKey || null,
       createdAt: stored.createdAt,
       exportedAt: Date.now()
     };
@@ -355,6 +632,9 @@ export class IdentityManager {
         hid: backupData.hid,
         pubJwk: backupData.pubJwk,
         privateKeyJwk: backupData.privateKeyJwk,
+        signatureAlg: backupData.signatureAlg || DEFAULT_SIGNATURE_ALG,
+        pqPublicKey: backupData.pqPublicKey || null,
+        pqSecretKey: backupData.pqSecretKey || null,
         createdAt: backupData.createdAt,
         importedAt: Date.now(),
         webAuthnCredentialId: null // Needs re-registration
@@ -371,7 +651,14 @@ export class IdentityManager {
         hid: backupData.hid,
         pubJwk: backupData.pubJwk,
         privateKey,
-        createdAt: backupData.createdAt
+        alg: identityRecord.signatureAlg,
+        pqPublicKey: identityRecord.pqPublicKey,
+        pqSecretKey: identityRecord.pqSecretKey,
+        createdAt: backupData.createdAt,
+        webAuthnCredentialId: null,
+        webAuthnPublicKey: null,
+        webAuthnAlgorithm: null,
+        webAuthnRpId: null
       };
       
       return { success: true, hid: backupData.hid };
@@ -483,6 +770,107 @@ export class IdentityManager {
     return new TextDecoder().decode(plaintext);
   }
   
+  // ============================================================================
+  // SOCIAL RECOVERY
+  // ============================================================================
+  
+  /**
+   * Split the signing key into shares for guardians
+   * Hand the shares out with GuardianRecovery.distributeShares().
+   * @param {Object} params
+   * @param {string[]} params.guardians - Guardian HIDs
+   * @param {number} params.threshold - Guardians needed to recover
+   * @param {Object[]} [params.keyRotations] - identity.rotate segments from the chain
+   * @returns {Promise<import('./recovery.js').GuardianShare[]>}
+   */
+  async createGuardianShares({ guardians, threshold, keyRotations = [] }) {
+    if (!this.identity) {
+      throw new Error('No identity to protect');
+    }
+    
+    const stored = await withStore(this.db, STORES.IDENTITY, 'readonly',
+      store => store.get('primary')
+    );
+    
+    return await createGuardianShares({
+      identity: this.identity,
+      privateKeyJwk: stored.privateKeyJwk,
+      pqSecretKey: stored.pqSecretKey || null,
+      guardians,
+      threshold,
+      keyRotations
+    });
+  }
+  
+  /**
+   * Restore identity from guardian share releases
+   * Pass the chain's key history when it is at hand (e.g. after syncing)
+   * so shares made before a key rotation are refused.
+   * @param {import('./recovery.js').ShareRelease[]} releases
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - Only accept releases for this request
+   * @param {Object|null} [options.keyHistory] - Key history from the chain
+   * @returns {Promise<{success: boolean, hid?: string, keyChecked?: boolean, error?: string}>}
+   */
+  async restoreFromShares(releases, options = {}) {
+    const result = await reconstructIdentityFromShares(releases, options);
+    
+    if (!result.ok) {
+      return { success: false, error: result.message || result.reason };
+    }
+    
+    const { hid, pubJwk, privateKeyJwk, alg, pqPublicKey, pqSecretKey, createdAt } = result.identity;
+    
+    // Never overwrite an identity that already has its own chain
+    const chainLen = await getMeta(this.db, 'chain_len');
+    if (chainLen > 0 && this.identity && this.identity.hid !== hid) {
+      return { success: false, error: `Local chain belongs to ${this.identity.hid}` };
+    }
+    
+    const identityRecord = {
+      id: 'primary',
+      hid,
+      pubJwk,
+      privateKeyJwk,
+      signatureAlg: alg,
+      pqPublicKey,
+      pqSecretKey,
+      createdAt: createdAt ?? Date.now(),
+      recoveredAt: Date.now(),
+      webAuthnCredentialId: null, // Needs re-registration
+      webAuthnPublicKey: null,
+      webAuthnAlgorithm: null,
+      webAuthnRpId: null
+    };
+    
+    await withStore(this.db, STORES.IDENTITY, 'readwrite',
+      store => store.put(identityRecord)
+    );
+    
+    this.identity = {
+      hid,
+      pubJwk,
+      privateKey: await importPrivateKeyJwk(privateKeyJwk),
+      alg,
+      pqPublicKey,
+      pqSecretKey,
+      createdAt: identityRecord.createdAt,
+      webAuthnCredentialId: null,
+      webAuthnPublicKey: null,
+      webAuthnAlgorithm: null,
+      webAuthnRpId: null
+    };
+    
+    const keyChecked = Boolean(options.keyHistory);
+    if (!keyChecked) {
+      console.warn(`[Identity] Recovered key for ${hid} not checked against the chain; shares from before a rotation rebuild a retired key`);
+    }
+    
+    console.log(`[Identity] Recovered ${hid} from ${result.used.length} guardian shares`);
+    
+    return { success: true, hid, keyChecked };
+  }
+  
   // ============================================================================
   // IDENTITY VERIFICATION
   // ============================================================================
@@ -511,7 +899,7 @@ export class IdentityManager {
    * @returns {boolean}
    */
   hasWebAuthn() {
-    return this.identity?.webAuthnCredentialId !== null;
+    return Boolean(this.identity?.webAuthnCredentialId);
   }
 }
 
@@ -519,6 +907,20 @@ export class IdentityManager {
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * Map a registered WebAuthn credential to identity record fields
+ * @param {{id: string, publicKey: string, algorithm: number, rpId: string}} credential
+ * @returns {Object}
+ */
+function credentialToRecord(credential) {
+  return {
+    webAuthnCredentialId: credential.id,
+    webAuthnPublicKey: credential.publicKey,
+    webAuthnAlgorithm: credential.algorithm,
+    webAuthnRpId: credential.rpId
+  };
+}
+
 /**
  * Format HID for display
  * @param {string} hid 
@@ -20,6 +20,17 @@ export * from './segment.js';
 // Validation
 export * from './validation.js';
 
+// Payload schemas
+export {
+  DEFAULT_PAYLOAD_SCHEMAS,
+  registerPayloadSchema,
+  unregisterPayloadSchema,
+  getPayloadSchema,
+  getRegisteredTypes,
+  isRegisteredType,
+  validatePayload
+} from './schemas.js';
+
 // State management
 export { StateManager, state } from './state.js';
 
@@ -28,30 +39,124 @@ export { StateManager, state } from './state.js';
 // ============================================================================
 
 // Caps tracking
-export { CapsTracker, getTimeUntilDailyReset, formatCapsProgress } from './caps.js';
+export {
+  CapsTracker,
+  applyCapsSegment,
+  deriveCaps,
+  consumeCaps,
+  getTimeUntilDailyReset,
+  formatCapsProgress
+} from './caps.js';
+
+// Decision tracking
+export {
+  createDecisionRecord,
+  applyDecisionSegment,
+  deriveDecisions,
+  checkOutcome,
+  queryDecisions,
+  getDueFollowUps
+} from './decisions.js';
+
+// Unlock ledger
+export {
+  createUnlockLedger,
+  planUnlock,
+  applyUnlockSegment,
+  deriveUnlockLedger,
+  assignUnlockRefs,
+  checkUnlockRefs,
+  getUnlockBalances
+} from './unlocks.js';
 
 // Identity management
 export { IdentityManager, formatHid, isValidHid } from './identity.js';
 
+// Key rotation
+export {
+  publicKeysEqual,
+  createKeyHistory,
+  getActiveKey,
+  getRotationSegments,
+  applyKeyRotation,
+  createRotationPayload,
+  verifyKeyRotation,
+  pinPostQuantumKey,
+  advanceKeyHistory,
+  buildKeyHistory,
+  mergeRotationSegments,
+  verifyKeyLineage
+} from './keys.js';
+
+// Social recovery
+export {
+  splitSecret,
+  combineShares,
+  createGuardianShares,
+  verifyGuardianShare,
+  releaseGuardianShare,
+  verifyShareRelease,
+  reconstructIdentityFromShares,
+  storeGuardianShare,
+  getGuardianShare,
+  getGuardedIdentities,
+  RECOVERY_MESSAGES,
+  GuardianRecovery
+} from './recovery.js';
+
 // TVM tokens
 export { 
   CapsuleManager, 
   TVMBalanceManager, 
   mintTVM,
+  transferTVM,
+  deriveTVMBalances,
+  applyTVMSegment,
+  applyTVMReceipt,
+  getTVMDeltas,
+  roundTVM,
+  importTVMReceipt,
+  createTransferReceipt,
+  verifyTransferReceipt,
+  applyBalanceDelta,
   calculateRichScore,
   calculateBusinessScore,
   detectMotivator,
-  detectCategory
+  detectCategory,
+  sessionText,
+  shingleText,
+  jaccardSimilarity
 } from './tvm.js';
 
+// Session capsules
+export { SessionEngine, analyzeSession, splitSessions } from './session.js';
+
 // AI Council - FIXED IMPORTS HERE
 export { 
   AICouncil, 
   council,
   checkKillSwitch,
+  synthesizeDebate,
   CHARACTER_PROMPTS
 } from './council.js';
 
+// Offline council engine
+export { generateLocalReply, hasLocalPlaybook } from './localcouncil.js';
+
+// AI council backends
+export {
+  PROVIDER_TYPES,
+  normalizeCouncilResponse,
+  createWorkerProvider,
+  createLocalHttpProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  createCouncilProvider
+} from './providers.js';
+
+// Kill switch topic classifier
+export { TopicClassifier, DEFAULT_TOPIC_LEXICONS, BUSINESS_TOPIC } from './topics.js';
+
 // ECF Pricing
 export {
   ECFCalculator,
@@ -67,9 +172,30 @@ export {
 // P2P
 export { P2PManager, p2p } from './p2p.js';
 
+// Chain sync between own devices
+export { ChainSync, SYNC_MESSAGES, planSyncRange, listenForServiceWorkerSync } from './sync.js';
+
+// Fork detection & resolution
+export {
+  FORK_RULES,
+  segmentsMatch,
+  findCommonAncestor,
+  summarizeBranch,
+  detectFork,
+  chooseCanonicalBranch,
+  verifyBranch,
+  resolveFork,
+  recordForkEvidence,
+  updateForkEvidence,
+  getForkEvidence
+} from './fork.js';
+
 // Signaling
 export { SignalClient, LocalSignalServer, localSignalServer } from './signal.js';
 
+// Trusted time
+export { TimeService, TIME_MESSAGES, measureOffset } from './time.js';
+
 // ============================================================================
 // DATA & SEARCH
 // ============================================================================
@@ -84,6 +210,7 @@ export { KBManager, initKB, kbIndexMessage, kbSearch, kbUpsertMessage } from './
 // Chain integrity
 export {
   verifyChainIntegrity,
+  verifySegments,
   verifyBackupRestoreEligibility,
   detectClonedDevice,
   scanForCorruption,
@@ -94,6 +221,21 @@ export {
   generateIntegrityReport
 } from './integrity.js';
 
+// Chain export/import bundles
+export {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_EXTENSION,
+  BUNDLE_MIME_TYPE,
+  buildChainBundle,
+  exportChainBundle,
+  serializeBundle,
+  parseBundle,
+  getBundleFilename,
+  verifyChainBundle,
+  importChainBundle
+} from './bundle.js';
+
 // ============================================================================
 // PAYMENTS
 // ============================================================================
@@ -126,19 +268,46 @@ export {
 // APPLICATION BOOTSTRAP
 // ============================================================================
 
-import { openDatabase } from './idb.js';
+import { openDatabase, getMeta, setMeta } from './idb.js';
+import { LIVENESS_REQUIRED_TYPES, DEFAULT_LIVENESS_POLICY, STA_TYPES } from './constants.js';
 import { StateManager } from './state.js';
 import { IdentityManager } from './identity.js';
 import { CapsTracker } from './caps.js';
 import { KBManager } from './kb.js';
-import { CapsuleManager, TVMBalanceManager } from './tvm.js';
+import { CapsuleManager, TVMBalanceManager, transferTVM, importTVMReceipt } from './tvm.js';
 import { verifyChainIntegrity, isReadOnlyMode, enterReadOnlyMode } from './integrity.js';
+import { ChainSync, listenForServiceWorkerSync } from './sync.js';
+import { exportChainBundle, serializeBundle, parseBundle, importChainBundle } from './bundle.js';
+import { getRotationSegments, getActiveKey, publicKeysEqual } from './keys.js';
+import { GuardianRecovery } from './recovery.js';
+import { council } from './council.js';
+import { createCouncilProvider } from './providers.js';
+import { createBizDecisionPayload, createBizOutcomePayload } from './segment.js';
+import { TopicClassifier } from './topics.js';
+import { SessionEngine } from './session.js';
+import { ecf } from './ecf.js';
+import { TimeService } from './time.js';
 
 /**
  * Initialize the entire application
  * @param {Object} [options]
  * @param {boolean} [options.requireBiometric] - Require biometric for identity
+ *   and a WebAuthn liveness proof on mints and transfers
+ * @param {Object} [options.livenessPolicy] - Overrides the liveness policy
+ * @param {boolean} [options.hybridSignatures] - Sign with ECDSA + ML-DSA-65
+ * @param {number} [options.pqCutoverSeq] - Reject non-quantum-safe segments from this seq
  * @param {boolean} [options.verifyIntegrity] - Verify chain on startup
+ * @param {P2PManager} [options.p2p] - Enables chain sync with own devices
+ *   and clock samples from them
+ * @param {SignalClient} [options.signalClient] - Heartbeats double as clock samples
+ * @param {function} [options.onFork] - Asks the user which branch to keep on a fork
+ * @param {function} [options.onRecoveryRequest] - Asks the user to approve releasing
+ *   a guardian share
+ * @param {Object} [options.council] - AI council backend: { type: 'worker-v84' | 'openai'
+ *   | 'local-http' | 'mock', url, model, apiKey, timeoutMs, attempts, retryDelayMs }
+ * @param {Object} [options.killSwitch] - Topic filter config: { lexicons, allow, deny, threshold }
+ * @param {function} [options.onSessionComplete] - Told about each capsule created
+ *   from a completed session: { sessionId, capsule, eligible, reason }
  * @returns {Promise<AppContext>}
  */
 export async function initializeApp(options = {}) {
@@ -155,23 +324,69 @@ export async function initializeApp(options = {}) {
   });
   console.log(`[App] Identity: ${hid} (${isNew ? 'new' : 'existing'})`);
   
+  // Hybrid post-quantum signatures (needs @noble/post-quantum)
+  if (options.hybridSignatures) {
+    const hybrid = await identityManager.enableHybridSignatures();
+    if (!hybrid.success) {
+      console.warn('[App] Hybrid signatures unavailable:', hybrid.error);
+    }
+  }
+  
   // Initialize caps tracker
   const capsTracker = new CapsTracker(db);
   
+  // Trusted time: segment timestamps follow peers and the signal server,
+  // not just the local clock
+  const timeService = new TimeService({ p2p: options.p2p });
+  timeService.attach();
+  if (options.signalClient) {
+    timeService.attachSignal(options.signalClient);
+  }
+  
+  // Liveness: with biometrics required, value-moving actions need a proof
+  const livenessPolicy = options.livenessPolicy || (options.requireBiometric
+    ? { ...DEFAULT_LIVENESS_POLICY, requiredTypes: LIVENESS_REQUIRED_TYPES }
+    : DEFAULT_LIVENESS_POLICY);
+  
   // Initialize state manager
   const stateManager = new StateManager();
   await stateManager.init({
     identity: {
       hid,
       pubJwk: identityManager.getIdentity().pubJwk,
-      privateKey: identityManager.getIdentity().privateKey
+      privateKey: identityManager.getIdentity().privateKey,
+      alg: identityManager.getIdentity().alg,
+      pqPublicKey: identityManager.getIdentity().pqPublicKey,
+      pqSecretKey: identityManager.getIdentity().pqSecretKey
     },
-    capsTracker
+    capsTracker,
+    livenessPolicy,
+    livenessProvider: segment => identityManager.generateLivenessProof(segment),
+    livenessCredential: () => identityManager.getWebAuthnCredential(),
+    pqCutoverSeq: options.pqCutoverSeq,
+    timeService
   });
   
+  // Finish a key rotation interrupted before the key switch
+  if (await identityManager.resolvePendingRotation(stateManager.getKeyHistory())) {
+    stateManager.identity = {
+      ...stateManager.identity,
+      pubJwk: identityManager.getIdentity().pubJwk,
+      privateKey: identityManager.getIdentity().privateKey,
+      pqPublicKey: identityManager.getIdentity().pqPublicKey,
+      pqSecretKey: identityManager.getIdentity().pqSecretKey
+    };
+  }
+  
+  // A key restored from shares older than a rotation can't sign for the chain
+  const activeKey = getActiveKey(stateManager.getKeyHistory());
+  if (activeKey && !publicKeysEqual(activeKey, identityManager.getIdentity().pubJwk)) {
+    console.warn('[App] Identity key is not the chain\'s active key; recover from the current guardian shares');
+  }
+  
   // Verify chain integrity if requested
   if (options.verifyIntegrity !== false) {
-    const integrity = await verifyChainIntegrity(db);
+    const integrity = await verifyChainIntegrity(db, { pqCutoverSeq: options.pqCutoverSeq, timeService });
     
     if (!integrity.ok) {
       console.error('[App] Chain integrity check failed!', integrity.errors);
@@ -190,17 +405,85 @@ export async function initializeApp(options = {}) {
   // Initialize KB
   const kbManager = new KBManager(db);
   
+  // Offline council replies can quote earlier notes
+  council.setKnowledgeBase(kbManager);
+  
+  // Each character remembers its own conversation across reloads
+  council.loadHistory(stateManager);
+  
+  // AI council backend (default: v8.4 worker)
+  if (options.council) {
+    council.setProvider(createCouncilProvider(options.council));
+  }
+  
+  // Per-deployment kill switch lexicons and allow/deny lists
+  if (options.killSwitch) {
+    council.setClassifier(new TopicClassifier(options.killSwitch));
+  }
+  
   // Initialize TVM managers
   const capsuleManager = new CapsuleManager(db);
   const tvmBalanceManager = new TVMBalanceManager(db);
   
-  // Get initial balance
-  const tvmBalance = await tvmBalanceManager.getBalance(hid);
+  // Completed sessions become capsules; capsules carry the owner's ECF
+  const sessionEngine = new SessionEngine({
+    state: stateManager,
+    capsuleManager,
+    ecfScore: ecf.getECF(await ecf.detectCountry()),
+    onSessionComplete: options.onSessionComplete
+  });
+  if (!readOnly) {
+    sessionEngine.attach();
+  }
+  
+  // Get initial balance (derived from the chain)
+  const tvmBalance = stateManager.getTVMBalance(hid);
+  
+  // Flag drift between the balance store and the chain
+  const reconciliation = await tvmBalanceManager.reconcile(stateManager.getTVMBalances());
+  if (!reconciliation.ok) {
+    console.warn('[App] TVM balance store disagrees with chain:', reconciliation.entries);
+  }
   const caps = await capsTracker.getCurrentCaps(hid);
   
   console.log(`[App] TVM Balance: ${tvmBalance}`);
   console.log(`[App] Caps: daily=${caps.daily}/${caps.limits.daily}`);
   
+  // Chain sync with own devices (needs a P2P manager)
+  let chainSync = null;
+  if (options.p2p && !readOnly) {
+    chainSync = new ChainSync({
+      state: stateManager,
+      p2p: options.p2p,
+      balanceManager: tvmBalanceManager,
+      onFork: options.onFork
+    });
+    chainSync.attach();
+    listenForServiceWorkerSync(chainSync);
+  }
+  
+  // Social recovery: hold shares as guardian, hand out or collect our own
+  let guardianRecovery = null;
+  if (options.p2p) {
+    guardianRecovery = new GuardianRecovery({
+      state: stateManager,
+      p2p: options.p2p,
+      onRecoveryRequest: options.onRecoveryRequest
+    });
+    guardianRecovery.attach();
+  }
+  
+  // Shares are tied to the signing key, so they are re-issued on rotation
+  async function distributeGuardianShares({ guardians, threshold }) {
+    const shares = await identityManager.createGuardianShares({
+      guardians: guardians.map(g => g.hid),
+      threshold,
+      keyRotations: getRotationSegments(stateManager.getKeyHistory())
+    });
+    const peers = Object.fromEntries(guardians.map(g => [g.hid, g.peerId]));
+    return guardianRecovery.distributeShares(shares, peers);
+  }
+  
   const context = {
     db,
     hid,
@@ -209,16 +492,130 @@ export async function initializeApp(options = {}) {
     identityManager,
     stateManager,
     capsTracker,
+    timeService,
     kbManager,
     capsuleManager,
     tvmBalanceManager,
+    sessionEngine,
+    chainSync,
+    guardianRecovery,
     
     // Convenience methods
-    async commitAction(type, payload) {
+    async commitAction(type, payload, options) {
       if (readOnly) {
         return { ok: false, reason: 'read_only_mode' };
       }
-      return stateManager.commitAction(type, payload);
+      return stateManager.commitAction(type, payload, options);
+    },
+    
+    async syncClock() {
+      return timeService.samplePeers();
+    },
+    
+    getCommitQueue() {
+      return { depth: stateManager.getQueueDepth(), estimatedWaitMs: stateManager.estimateCommitWait() };
+    },
+    
+    async rotateKey(reason) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      const result = await identityManager.rotateKey(stateManager, reason);
+      if (!result.ok) {
+        return result;
+      }
+      
+      // Old shares rebuild the retired key; hand guardians a fresh set
+      const setup = await getMeta(db, 'guardian_setup');
+      if (setup && guardianRecovery) {
+        result.guardians = await distributeGuardianShares(setup);
+      }
+      return result;
+    },
+    
+    async setupGuardians({ guardians, threshold }) {
+      if (!guardianRecovery) {
+        return { ok: false, reason: 'recovery_unavailable' };
+      }
+      const setup = { guardians: guardians.map(g => ({ hid: g.hid, peerId: g.peerId })), threshold };
+      await setMeta(db, 'guardian_setup', setup);
+      return distributeGuardianShares(setup);
+    },
+    
+    async recoverIdentity({ hid, peerIds }) {
+      if (!guardianRecovery) {
+        return { ok: false, reason: 'recovery_unavailable' };
+      }
+      const result = await guardianRecovery.requestRecovery(hid, peerIds);
+      if (!result.ok) {
+        return result;
+      }
+      const restored = await identityManager.restoreFromShares(result.releases, {
+        requestId: result.requestId,
+        keyHistory: stateManager.getKeyHistory()
+      });
+      return restored.success
+        ? { ok: true, hid: restored.hid, reloadRequired: true }
+        : { ok: false, reason: 'restore_failed', message: restored.error };
+    },
+    
+    async enableBiometric() {
+      return identityManager.enableBiometric();
+    },
+    
+    async enableHybridSignatures() {
+      const result = await identityManager.enableHybridSignatures();
+      if (result.success) {
+        const { alg, pqPublicKey, pqSecretKey } = identityManager.getIdentity();
+        stateManager.identity = { ...stateManager.identity, alg, pqPublicKey, pqSecretKey };
+      }
+      return result;
+    },
+    
+    async syncChain(peerId) {
+      if (!chainSync) {
+        return { ok: false, reason: readOnly ? 'read_only_mode' : 'sync_unavailable' };
+      }
+      return peerId ? chainSync.syncWith(peerId) : chainSync.syncAll();
+    },
+    
+    async exportChainBundle() {
+      return serializeBundle(await exportChainBundle(stateManager));
+    },
+    
+    async importChainBundle(text) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      const parsed = parseBundle(text);
+      if (!parsed.ok) {
+        return parsed;
+      }
+      return importChainBundle({ state: stateManager, bundle: parsed.bundle });
+    },
+    
+    async recordDecision({ chatId, title, decision, category, analysis, followUpInDays }) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      return stateManager.commitAction(STA_TYPES.BIZ_DECISION,
+        createBizDecisionPayload({ chatId, title, decision, category, analysis, followUpInDays }));
+    },
+    
+    async recordOutcome({ decisionSeq, outcome, evidence, metrics, nextFollowUpAt }) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      return stateManager.commitAction(STA_TYPES.BIZ_OUTCOME,
+        createBizOutcomePayload({ decisionSeq, outcome, evidence, metrics, nextFollowUpAt }));
+    },
+    
+    getDecisions(filter) {
+      return stateManager.getDecisions(filter);
+    },
+    
+    getDueFollowUps() {
+      return stateManager.getDueFollowUps();
     },
     
     async getCaps() {
@@ -226,7 +623,40 @@ export async function initializeApp(options = {}) {
     },
     
     async getTVMBalance() {
-      return tvmBalanceManager.getBalance(hid);
+      return stateManager.getTVMBalance(hid);
+    },
+    
+    getSessionProgress(chatId) {
+      return sessionEngine.getProgress(chatId);
+    },
+    
+    async getMintableCapsules() {
+      return sessionEngine.getMintable();
+    },
+    
+    async mintCapsules() {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      return sessionEngine.mintNext();
+    },
+    
+    async reconcileTVM() {
+      return tvmBalanceManager.reconcile(stateManager.getTVMBalances());
+    },
+    
+    async transferTVM({ to, amount, memo }) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      return transferTVM({ state: stateManager, to, amount, memo });
+    },
+    
+    async importTVMReceipt(receipt) {
+      if (readOnly) {
+        return { ok: false, reason: 'read_only_mode' };
+      }
+      return importTVMReceipt({ state: stateManager, balanceManager: tvmBalanceManager, receipt });
     },
     
     getTheme() {
@@ -1,10 +1,13 @@
 // BalanceChain Integrity Module
 // Chain verification, backup sync requirements, and corruption detection
 
-import { GENESIS_HASH, STORES } from './constants.js';
-import { sha256Hex, verify, importPublicKeyJwk } from './crypto.js';
-import { getSignableContent } from './segment.js';
-import { getChainLen, getChainHead, getSTABySeq, getMeta, setMeta, getAllSTAs } from './idb.js';
+import { GENESIS_HASH, STORES, STA_TYPES } from './constants.js';
+import { verifySegmentSignature, computeSegmentHash } from './segment.js';
+import { getChainLen, getChainHead, getSTABySeq, getMeta, setMeta, getAllSTAs, withStore } from './idb.js';
+import { advanceKeyHistory } from './keys.js';
+import { checkCapsuleMint } from './validation.js';
+import { createUnlockLedger, applyUnlockSegment, checkUnlockRefs } from './unlocks.js';
+import { TimeService } from './time.js';
 
 // ============================================================================
 // CHAIN INTEGRITY VERIFIER
@@ -16,12 +19,11 @@ import { getChainLen, getChainHead, getSTABySeq, getMeta, setMeta, getAllSTAs }
  * @param {Object} [options]
  * @param {function} [options.onProgress] - Progress callback (seq, total)
  * @param {boolean} [options.verifySignatures] - Whether to verify signatures (slower)
+ * @param {TimeService} [options.timeService] - Trusted time for the future-date check
  * @returns {Promise<IntegrityResult>}
  */
 export async function verifyChainIntegrity(db, options = {}) {
   const startTime = Date.now();
-  const errors = [];
-  const warnings = [];
   
   const chainLen = await getChainLen(db);
   
@@ -37,15 +39,82 @@ export async function verifyChainIntegrity(db, options = {}) {
   
   console.log(`[Integrity] Starting verification of ${chainLen} blocks...`);
   
+  const segments = await getAllSTAs(db);
+  const capsules = await withStore(db, STORES.CAPSULES, 'readonly', store => store.getAll());
+  const { errors, warnings, computedHead } = await verifySegments(segments, {
+    ...options,
+    length: chainLen,
+    capsules: new Map((capsules || []).map(c => [c.id, c]))
+  });
+  
+  // Verify stored head matches computed head
+  const storedHead = await getChainHead(db);
+  if (storedHead !== computedHead) {
+    errors.push({
+      seq: chainLen,
+      code: 'HEAD_MISMATCH',
+      message: 'Stored chain head does not match computed head',
+      expected: computedHead,
+      actual: storedHead
+    });
+  }
+  
+  const duration = Date.now() - startTime;
+  const ok = errors.length === 0;
+  
+  console.log(`[Integrity] Verified ${chainLen} blocks in ${duration}ms, ${errors.length} errors, ${warnings.length} warnings`);
+  
+  return {
+    ok,
+    verified: chainLen,
+    errors,
+    warnings,
+    duration,
+    computedHead,
+    storedHead
+  };
+}
+
+/**
+ * Verify a list of segments as a chain starting at genesis
+ * Shared by verifyChainIntegrity (IndexedDB) and bundle import (in memory).
+ * Signing keys are checked against the key history, so segments after an
+ * identity.rotate must be signed by the new key.
+ * @param {Object[]} segments - Segments, any order
+ * @param {Object} [options]
+ * @param {number} [options.length] - Expected chain length (default: segments.length)
+ * @param {string} [options.hid] - Chain owner (default: author of seq 1)
+ * @param {function} [options.onProgress] - Progress callback (seq, total)
+ * @param {boolean} [options.verifySignatures] - Whether to verify signatures (slower)
+ * @param {number|null} [options.pqCutoverSeq] - Require a quantum-safe suite from this seq
+ * @param {Map<string, Object>} [options.capsules] - Stored capsules by ID; capsule.mint
+ *   segments are checked against them (a capsule minted on another device is a warning)
+ * @param {TimeService} [options.timeService] - Trusted time; segments dated beyond its
+ *   tolerance are flagged (default: local clock)
+ * @returns {Promise<{ok: boolean, errors: Object[], warnings: Object[], computedHead: string}>}
+ */
+export async function verifySegments(segments, options = {}) {
+  const errors = [];
+  const warnings = [];
+  
+  const chainLen = options.length ?? segments.length;
+  const bySeq = new Map(segments.map(s => [s.seq, s]));
+  
   let expectedPrevHash = GENESIS_HASH;
   let lastTimestamp = 0;
   
+  const hid = options.hid ?? bySeq.get(1)?.author?.hid;
+  let keyHistory = null;
+  const mints = [];
+  const unlocks = createUnlockLedger();
+  const time = options.timeService || new TimeService();
+  
   for (let seq = 1; seq <= chainLen; seq++) {
     if (options.onProgress) {
       options.onProgress(seq, chainLen);
     }
     
-    const segment = await getSTABySeq(db, seq);
+    const segment = bySeq.get(seq);
     
     // Check segment exists
     if (!segment) {
@@ -57,15 +126,6 @@ export async function verifyChainIntegrity(db, options = {}) {
       continue;
     }
     
-    // Check sequence number
-    if (segment.seq !== seq) {
-      errors.push({
-        seq,
-        code: 'SEQ_MISMATCH',
-        message: `Expected seq ${seq}, found ${segment.seq}`
-      });
-    }
-    
     // Check prev_hash linkage
     if (segment.prev_hash !== expectedPrevHash) {
       errors.push({
@@ -89,33 +149,86 @@ export async function verifyChainIntegrity(db, options = {}) {
     }
     lastTimestamp = segment.timestamp;
     
+    // Check timestamp is not ahead of trusted time
+    const clockCheck = time.checkTimestamp(segment.timestamp, { fresh: false });
+    if (!clockCheck.ok) {
+      warnings.push({
+        seq,
+        code: 'TIMESTAMP_FUTURE',
+        message: `Seq ${seq}: ${clockCheck.message}`,
+        drift: clockCheck.drift
+      });
+    }
+    
     // Verify signature if requested
     if (options.verifySignatures !== false) {
-      try {
-        const publicKey = await importPublicKeyJwk(segment.author.pubJwk);
-        const signable = getSignableContent(segment);
-        const valid = await verify(publicKey, signable, segment.signature);
-        
-        if (!valid) {
-          errors.push({
-            seq,
-            code: 'INVALID_SIGNATURE',
-            message: `Signature verification failed at seq ${seq}`
-          });
-        }
-      } catch (e) {
+      const keyCheck = await advanceKeyHistory(keyHistory, segment, hid);
+      if (keyCheck.ok) {
+        keyHistory = keyCheck.history;
+      } else {
+        errors.push({
+          seq,
+          code: 'UNAUTHORIZED_KEY',
+          message: `Key history broken at seq ${seq}: ${keyCheck.message}`
+        });
+      }
+      
+      const signature = await verifySegmentSignature(segment);
+      
+      if (signature.reason === 'bad_signature') {
+        errors.push({
+          seq,
+          code: 'INVALID_SIGNATURE',
+          message: `Signature verification failed at seq ${seq}`
+        });
+      } else if (!signature.ok) {
         errors.push({
           seq,
           code: 'SIGNATURE_ERROR',
-          message: `Signature verification error at seq ${seq}: ${e.message}`
+          message: `Signature verification error at seq ${seq}: ${signature.message}`
+        });
+      } else if (options.pqCutoverSeq != null && seq >= options.pqCutoverSeq && !signature.quantumSafe) {
+        errors.push({
+          seq,
+          code: 'PQ_SIGNATURE_REQUIRED',
+          message: `Seq ${seq} is not quantum-safe (cutover at ${options.pqCutoverSeq})`
+        });
+      }
+    }
+    
+    // Capsule mints: eligible, matching capsule, minted once
+    if (segment.type === STA_TYPES.CAPSULE_MINT) {
+      const capsule = options.capsules?.get(segment.payload?.capsuleId) || null;
+      const mint = checkCapsuleMint(segment, capsule, mints);
+      
+      if (!mint.ok) {
+        errors.push({ seq, code: mint.reason.toUpperCase(), message: `Seq ${seq}: ${mint.message}` });
+      } else if (mint.warning) {
+        warnings.push({
+          seq,
+          code: `LEGACY_${mint.warning.reason.toUpperCase()}`,
+          message: `Seq ${seq}: ${mint.warning.message} (minted before score checks)`
+        });
+      } else if (options.capsules && !capsule) {
+        warnings.push({
+          seq,
+          code: 'CAPSULE_NOT_LOCAL',
+          message: `Capsule ${segment.payload.capsuleId} minted at seq ${seq} is not stored on this device`
         });
       }
+      mints.push(segment);
+    }
+    
+    // Unlock lineage: refs must follow the ledger of the segments before
+    const unlock = checkUnlockRefs(unlocks, segment);
+    if (!unlock.ok) {
+      errors.push({ seq, code: 'UNLOCK_LINEAGE_BROKEN', message: `Seq ${seq}: ${unlock.message}` });
     }
+    applyUnlockSegment(unlocks, segment);
     
     // Compute expected next prev_hash
     try {
-      const signable = getSignableContent(segment);
-      expectedPrevHash = await sha256Hex(signable + '|' + segment.signature);
+      expectedPrevHash = await computeSegmentHash(segment);
     } catch (e) {
       errors.push({
         seq,
@@ -125,31 +238,11 @@ export async function verifyChainIntegrity(db, options = {}) {
     }
   }
   
-  // Verify stored head matches computed head
-  const storedHead = await getChainHead(db);
-  if (storedHead !== expectedPrevHash) {
-    errors.push({
-      seq: chainLen,
-      code: 'HEAD_MISMATCH',
-      message: 'Stored chain head does not match computed head',
-      expected: expectedPrevHash,
-      actual: storedHead
-    });
-  }
-  
-  const duration = Date.now() - startTime;
-  const ok = errors.length === 0;
-  
-  console.log(`[Integrity] Verified ${chainLen} blocks in ${duration}ms, ${errors.length} errors, ${warnings.length} warnings`);
-  
   return {
-    ok,
-    verified: chainLen,
+    ok: errors.length === 0,
     errors,
     warnings,
-    duration,
-    computedHead: expectedPrevHash,
-    storedHead
+    computedHead: expectedPrevHash
   };
 }
 
@@ -190,7 +283,7 @@ export function verifyBackupRestoreEligibility(backupData, currentState) {
       return {
         canRestore: false,
         requiresSync: true,
-        reason: 'Backup has diverged. Online sync required to resolve fork.'
+        reason: 'Backup has diverged. Resolve the fork (resolveFork) before restoring.'
       };
     }
     
@@ -311,16 +404,17 @@ export async function scanForCorruption(db) {
 /**
  * Enter read-only mode (for corrupted chains)
  * @param {IDBDatabase} db 
+ * @param {string} [reason='corruption_detected']
  * @returns {Promise<void>}
  */
-export async function enterReadOnlyMode(db) {
+export async function enterReadOnlyMode(db, reason = 'corruption_detected') {
   await setMeta(db, 'read_only', {
     enabled: true,
-    reason: 'corruption_detected',
+    reason,
     timestamp: Date.now()
   });
   
-  console.warn('[Integrity] Entered read-only mode due to corruption');
+  console.warn(`[Integrity] Entered read-only mode (${reason})`);
 }
 
 /**
@@ -0,0 +1,401 @@
+// BalanceChain Key History Module
+// Key rotation recorded on the chain: identity.rotate segments
+
+import { STA_TYPES } from './constants.js';
+import {
+  canonicalize,
+  sign,
+  verify,
+  importPublicKeyJwk,
+  exportPublicKeyJwk,
+  generateHumanId,
+  loadSignatureSuite
+} from './crypto.js';
+import { verifySegmentSignature } from './segment.js';
+
+// ============================================================================
+// KEY HISTORY
+// ============================================================================
+
+/**
+ * @typedef {Object} KeyEpoch
+ * @property {JsonWebKey} pubJwk - Signing key for this epoch
+ * @property {string|null} pqPubKey - Post-quantum key pinned by the first hybrid segment or the rotation
+ * @property {number} fromSeq - First sequence signed by this key
+ * @property {number|null} toSeq - Rotation segment that retired it (null if active)
+ * @property {Object|null} rotation - The identity.rotate segment that introduced it
+ */
+
+/**
+ * @typedef {Object} KeyHistory
+ * @property {string} hid - Owner HID (derived from the first key)
+ * @property {KeyEpoch[]} keys - Epochs in order, last one active
+ */
+
+// Domain separation for the new key's proof of possession
+const ROTATION_PROOF_CONTEXT = 'balancechain.identity.rotate.v1';
+
+/**
+ * Compare two public keys by their key material
+ * Exported JWKs may differ in key_ops/ext, so only kty/crv/x/y count.
+ * @param {JsonWebKey} a
+ * @param {JsonWebKey} b
+ * @returns {boolean}
+ */
+export function publicKeysEqual(a, b) {
+  if (!a || !b) return false;
+  return a.kty === b.kty && a.crv === b.crv && a.x === b.x && a.y === b.y;
+}
+
+/**
+ * Start a key history from the key the HID was derived from
+ * @param {string} hid
+ * @param {JsonWebKey} pubJwk
+ * @returns {KeyHistory}
+ */
+export function createKeyHistory(hid, pubJwk) {
+  return {
+    hid,
+    keys: [{ pubJwk, pqPubKey: null, fromSeq: 1, toSeq: null, rotation: null }]
+  };
+}
+
+/**
+ * Get the key that signs a given sequence (default: the active key)
+ * @param {KeyHistory} history
+ * @param {number} [seq]
+ * @returns {JsonWebKey|null}
+ */
+export function getActiveKey(history, seq = Infinity) {
+  if (!history) return null;
+  
+  for (let i = history.keys.length - 1; i >= 0; i--) {
+    if (history.keys[i].fromSeq <= seq) {
+      return history.keys[i].pubJwk;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the rotation segments that link the HID to its current key
+ * @param {KeyHistory} history
+ * @returns {Object[]}
+ */
+export function getRotationSegments(history) {
+  return (history?.keys || []).filter(k => k.rotation).map(k => k.rotation);
+}
+
+/**
+ * Record a verified rotation segment (pure)
+ * @param {KeyHistory} history
+ * @param {Object} segment - identity.rotate segment
+ * @returns {KeyHistory}
+ */
+export function applyKeyRotation(history, segment) {
+  const keys = history.keys.map((epoch, i) =>
+    i === history.keys.length - 1 ? { ...epoch, toSeq: segment.seq } : epoch
+  );
+  
+  keys.push({
+    pubJwk: segment.payload.newPubJwk,
+    pqPubKey: segment.payload.newPqPubKey ?? history.keys[history.keys.length - 1].pqPubKey ?? null,
+    fromSeq: segment.seq + 1,
+    toSeq: null,
+    rotation: segment
+  });
+  
+  return { ...history, keys };
+}
+
+/**
+ * Pin the post-quantum key of a hybrid segment (pure)
+ * The first hybrid segment fixes the pq key for the epoch and every
+ * later one must carry the same key; rotations replace it (see
+ * verifyKeyRotation).
+ * @param {KeyHistory} history
+ * @param {Object} segment
+ * @returns {{ok: boolean, history?: KeyHistory, reason?: string, message?: string}}
+ */
+export function pinPostQuantumKey(history, segment) {
+  const pqPubKey = segment.author?.pqPubKey;
+  const last = history.keys.length - 1;
+  const pinned = history.keys[last].pqPubKey;
+  
+  if (!pqPubKey || pinned === pqPubKey) {
+    return { ok: true, history };
+  }
+  
+  if (pinned) {
+    return { ok: false, reason: 'wrong_pq_key', message: `Seq ${segment.seq} carries an unpinned post-quantum key` };
+  }
+  
+  const keys = history.keys.map((epoch, i) => i === last ? { ...epoch, pqPubKey } : epoch);
+  return { ok: true, history: { ...history, keys } };
+}
+
+// ============================================================================
+// ROTATION SEGMENTS
+// ============================================================================
+
+/**
+ * Content the new key signs to prove possession
+ * @param {string} hid
+ * @param {JsonWebKey} prevPubJwk
+ * @param {JsonWebKey} newPubJwk
+ * @param {string|null} [newPqPubKey] - Replacement post-quantum key (hybrid identities)
+ * @returns {string}
+ */
+function getRotationProofContent(hid, prevPubJwk, newPubJwk, newPqPubKey = null) {
+  const content = { context: ROTATION_PROOF_CONTEXT, hid, prevPubJwk, newPubJwk };
+  if (newPqPubKey) {
+    content.newPqPubKey = newPqPubKey;
+  }
+  return canonicalize(content);
+}
+
+/**
+ * Build an identity.rotate payload
+ * The segment itself is signed by the current key; the payload carries
+ * the new key's signature so a key can't be rotated to one nobody holds.
+ * Hybrid identities rotate the post-quantum key in the same segment: the
+ * new pair signs the proof with the hybrid suite, so `pqProof` shows
+ * possession of the new post-quantum key too.
+ * @param {Object} params
+ * @param {string} params.hid - Owner HID
+ * @param {JsonWebKey} params.currentPubJwk - Key being retired
+ * @param {CryptoKeyPair} params.newKeyPair - Replacement key pair
+ * @param {{publicKey: string, secretKey: string}|null} [params.newPqKeyPair] - Replacement post-quantum pair (base64)
+ * @param {string} [params.alg] - Hybrid suite for the post-quantum proof
+ * @param {string} [params.reason] - e.g. 'compromise', 'scheduled'
+ * @returns {Promise<{newPubJwk: JsonWebKey, proof: string, newPqPubKey?: string, pqProof?: string, reason: string}>}
+ */
+export async function createRotationPayload({ hid, currentPubJwk, newKeyPair, newPqKeyPair = null, alg = null, reason = 'scheduled' }) {
+  const newPubJwk = await exportPublicKeyJwk(newKeyPair.publicKey);
+  
+  if (!newPqKeyPair) {
+    const proof = await sign(newKeyPair.privateKey, getRotationProofContent(hid, currentPubJwk, newPubJwk));
+    return { newPubJwk, proof, reason };
+  }
+  
+  const suite = await loadSignatureSuite(alg);
+  if (!suite?.quantumSafe) {
+    throw new Error(`${alg} cannot sign a post-quantum rotation`);
+  }
+  
+  const content = getRotationProofContent(hid, currentPubJwk, newPubJwk, newPqKeyPair.publicKey);
+  const { signature, pq_signature } = await suite.sign(
+    { privateKey: newKeyPair.privateKey, pqSecretKey: newPqKeyPair.secretKey },
+    content
+  );
+  
+  return { newPubJwk, proof: signature, newPqPubKey: newPqKeyPair.publicKey, pqProof: pq_signature, reason };
+}
+
+/**
+ * Verify a rotation segment against the key it retires
+ * Does not check the segment signature; callers verify that separately.
+ * An epoch with a pinned post-quantum key must rotate it as well, and the
+ * new post-quantum key is checked through the segment's hybrid suite.
+ * @param {Object} segment - identity.rotate segment
+ * @param {JsonWebKey} activePubJwk - Key active before the rotation
+ * @param {string|null} [activePqPubKey] - Post-quantum key pinned before the rotation
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+ */
+export async function verifyKeyRotation(segment, activePubJwk, activePqPubKey = null) {
+  const { newPubJwk, proof, newPqPubKey, pqProof } = segment.payload || {};
+  
+  if (!publicKeysEqual(segment.author.pubJwk, activePubJwk)) {
+    return { ok: false, reason: 'wrong_key', message: 'Rotation not signed by the active key' };
+  }
+  
+  if (!newPubJwk || !proof) {
+    return { ok: false, reason: 'invalid_rotation', message: 'Rotation requires newPubJwk and proof' };
+  }
+  
+  if (publicKeysEqual(newPubJwk, activePubJwk)) {
+    return { ok: false, reason: 'invalid_rotation', message: 'New key equals the active key' };
+  }
+  
+  if (activePqPubKey && !newPqPubKey) {
+    return { ok: false, reason: 'pq_rotation_required', message: 'Hybrid identities must rotate the post-quantum key too' };
+  }
+  
+  if (newPqPubKey && (!pqProof || newPqPubKey === activePqPubKey)) {
+    return { ok: false, reason: 'invalid_rotation', message: 'Post-quantum rotation requires a new key and pqProof' };
+  }
+  
+  try {
+    const content = getRotationProofContent(segment.author.hid, segment.author.pubJwk, newPubJwk, newPqPubKey);
+    let valid;
+    
+    if (newPqPubKey) {
+      const suite = await loadSignatureSuite(segment.alg);
+      if (!suite?.quantumSafe) {
+        return { ok: false, reason: 'invalid_rotation', message: `${segment.alg} cannot carry a post-quantum key` };
+      }
+      valid = await suite.verify({ pubJwk: newPubJwk, pqPubKey: newPqPubKey }, content, { signature: proof, pq_signature: pqProof });
+    } else {
+      valid = await verify(await importPublicKeyJwk(newPubJwk), content, proof);
+    }
+    
+    if (!valid) {
+      return { ok: false, reason: 'bad_rotation_proof', message: 'New key did not sign the rotation' };
+    }
+  } catch (e) {
+    return { ok: false, reason: 'bad_rotation_proof', message: e.message };
+  }
+  
+  return { ok: true };
+}
+
+// ============================================================================
+// CHAIN WALK
+// ============================================================================
+
+/**
+ * Check one segment's key against the history and advance it
+ * With no history yet, the segment's key must be the one the HID was
+ * derived from.
+ * @param {KeyHistory|null} history - History before this segment
+ * @param {Object} segment
+ * @param {string} hid - Chain owner
+ * @returns {Promise<{ok: boolean, history?: KeyHistory, reason?: string, message?: string}>}
+ */
+export async function advanceKeyHistory(history, segment, hid) {
+  if (segment.author?.hid !== hid) {
+    return { ok: false, reason: 'foreign_segment', message: `Signed by ${segment.author?.hid}` };
+  }
+  
+  if (!history) {
+    if (await generateHumanId(segment.author.pubJwk) !== hid) {
+      return { ok: false, reason: 'author_key_mismatch', message: 'First key does not derive the HID' };
+    }
+    history = createKeyHistory(hid, segment.author.pubJwk);
+  }
+  
+  const active = getActiveKey(history);
+  
+  if (!publicKeysEqual(segment.author.pubJwk, active)) {
+    return { ok: false, reason: 'wrong_key', message: `Seq ${segment.seq} not signed by the active key` };
+  }
+  
+  const pin = pinPostQuantumKey(history, segment);
+  if (!pin.ok) {
+    return pin;
+  }
+  history = pin.history;
+  
+  if (segment.type === STA_TYPES.IDENTITY_ROTATE) {
+    const rotation = await verifyKeyRotation(segment, active, history.keys[history.keys.length - 1].pqPubKey);
+    if (!rotation.ok) {
+      return rotation;
+    }
+    history = applyKeyRotation(history, segment);
+  }
+  
+  return { ok: true, history };
+}
+
+/**
+ * Derive the key history from a chain
+ * @param {Object[]} segments - Chain from seq 1
+ * @param {string} hid - Chain owner
+ * @returns {Promise<{ok: boolean, history: KeyHistory|null, seq?: number, reason?: string, message?: string}>}
+ */
+export async function buildKeyHistory(segments, hid) {
+  const ordered = [...segments].sort((a, b) => a.seq - b.seq);
+  let history = null;
+  
+  for (const segment of ordered) {
+    const step = await advanceKeyHistory(history, segment, hid);
+    
+    if (!step.ok) {
+      return { ...step, history, seq: segment.seq };
+    }
+    
+    history = step.history;
+  }
+  
+  return { ok: true, history };
+}
+
+/**
+ * Merge rotation segments from two sources, in seq order
+ * Used to add rotations learned earlier to the ones a sender supplies, so
+ * leaving a rotation out of a receipt does not revive the retired key.
+ * @param {Object[]} rotations
+ * @param {Object[]} known
+ * @returns {{ok: boolean, rotations?: Object[], reason?: string, message?: string}}
+ */
+export function mergeRotationSegments(rotations, known) {
+  const bySeq = new Map();
+  
+  for (const rotation of [...rotations, ...known]) {
+    const existing = bySeq.get(rotation?.seq);
+    if (existing && existing.signature !== rotation.signature) {
+      return { ok: false, reason: 'conflicting_rotations', message: `Two different rotations at seq ${rotation.seq}` };
+    }
+    bySeq.set(rotation?.seq, rotation);
+  }
+  
+  return { ok: true, rotations: [...bySeq.values()].sort((a, b) => a.seq - b.seq) };
+}
+
+/**
+ * Verify that a key belongs to a HID through its rotation segments
+ * Used where only a single segment is at hand (e.g. transfer receipts).
+ * With `atSeq` the lineage must describe the keys at that seq: every
+ * rotation comes before it and the key must be the one active there.
+ * @param {string} hid
+ * @param {Object[]} rotations - identity.rotate segments in order
+ * @param {JsonWebKey} pubJwk - Key to check
+ * @param {Object} [options]
+ * @param {number} [options.atSeq] - Seq the key signed
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+ */
+export async function verifyKeyLineage(hid, rotations, pubJwk, { atSeq = Infinity } = {}) {
+  let history = null;
+  
+  for (const rotation of rotations) {
+    if (rotation?.type !== STA_TYPES.IDENTITY_ROTATE) {
+      return { ok: false, reason: 'invalid_rotation', message: 'Lineage contains a non-rotation segment' };
+    }
+    
+    const previous = getRotationSegments(history).at(-1);
+    if (previous && rotation.seq <= previous.seq) {
+      return { ok: false, reason: 'invalid_rotation', message: `Rotation at seq ${rotation.seq} is out of order` };
+    }
+    if (rotation.seq >= atSeq) {
+      return { ok: false, reason: 'rotation_after_use', message: `Rotation at seq ${rotation.seq} is not before seq ${atSeq}` };
+    }
+    
+    const step = await advanceKeyHistory(history, rotation, hid);
+    if (!step.ok) {
+      return step;
+    }
+    
+    const signature = await verifySegmentSignature(rotation);
+    if (!signature.ok) {
+      return { ok: false, reason: 'bad_signature', message: `Rotation at seq ${rotation.seq} has a bad signature` };
+    }
+    
+    history = step.history;
+  }
+  
+  const retired = history?.keys.find(k => k.toSeq !== null && publicKeysEqual(k.pubJwk, pubJwk));
+  if (retired) {
+    return { ok: false, reason: 'key_retired', message: `Key was rotated out at seq ${retired.toSeq}` };
+  }
+  
+  const valid = history
+    ? publicKeysEqual(getActiveKey(history, atSeq), pubJwk)
+    : await generateHumanId(pubJwk) === hid;
+  
+  if (!valid) {
+    return { ok: false, reason: 'author_key_mismatch', message: 'Key is not linked to the HID' };
+  }
+  
+  return { ok: true };
+}
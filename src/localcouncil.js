@@ -0,0 +1,326 @@
+// BalanceChain Local Council Engine
+// Offline rule/template engine that answers in the v8.4 worker response shape
+
+import { detectMotivator, detectCategory } from './tvm.js';
+
+// ============================================================================
+// CHARACTER PLAYBOOKS
+// ============================================================================
+
+/**
+ * @typedef {Object} Playbook
+ * @property {string[]} aligned - Detected motivators this character backs
+ * @property {'wheat'|'tomato'|null} prefers - Business category it favours
+ * @property {string[]} cautions - Words that make it push back
+ * @property {string[]} hooks - Opening lines in the character's voice
+ * @property {Object<string, string>} insights - Keyed by category (wheat/tomato/unknown)
+ * @property {string[]} questions - Follow-ups when it can't decide yet
+ * @property {Object<string, string>} actions - Next action keyed by decision
+ */
+
+/** @type {Object<string, Playbook>} */
+const PLAYBOOKS = {
+  kareem: {
+    aligned: ['laziness'],
+    prefers: null,
+    cautions: ['manual', 'every day', 'hustle', 'grind'],
+    hooks: ['Effort is a tax. Let\'s not pay it twice.', 'Why build if you can buy?', 'Simplify first, then we talk.'],
+    insights: {
+      wheat: 'Essentials sell themselves. Find the part that repeats and automate it.',
+      tomato: 'Premium products need constant attention. Outsource the polish or price it in.',
+      unknown: 'Every step you do by hand is a step you will do forever. Count them.'
+    },
+    questions: ['Which part of this could run while you sleep?', 'What would you cut if you had one hour a week?'],
+    actions: {
+      ACCEPT: 'List every recurring task and automate or delegate the biggest one this week.',
+      DEFER: 'Write down the three steps that take most of your time.',
+      REJECT: 'Drop the manual version; look for a tool or partner that already does it.'
+    }
+  },
+  turbo: {
+    aligned: ['speed'],
+    prefers: null,
+    cautions: ['perfect', 'someday', 'next year', 'research'],
+    hooks: ['Results by Friday.', 'Ship it ugly.', 'Speed is the strategy.'],
+    insights: {
+      wheat: 'People already need this. The winner is whoever shows up first.',
+      tomato: 'Trends move fast. Launch while the hype is still warm.',
+      unknown: 'You learn more from one customer than from a month of planning.'
+    },
+    questions: ['What is the smallest version you could sell in 7 days?', 'Who is the first person you can pitch today?'],
+    actions: {
+      ACCEPT: 'Put a first offer in front of 5 customers within 7 days.',
+      DEFER: 'Set a launch date this week and work backwards.',
+      REJECT: 'Stop polishing. Pick something you can ship now instead.'
+    }
+  },
+  wolf: {
+    aligned: ['greed'],
+    prefers: null,
+    cautions: ['hobby', 'small', 'side', 'cap'],
+    hooks: ['10x or nothing.', 'Show me the unit economics.', 'Where is the leverage?'],
+    insights: {
+      wheat: 'Thin margins, huge volume. It only works if you can scale distribution.',
+      tomato: 'High margins, small market. Make sure the ceiling is worth the climb.',
+      unknown: 'If it doesn\'t scale past your own hours, it\'s a job, not a business.'
+    },
+    questions: ['What does one customer make you after costs?', 'What happens to profit at 10x volume?'],
+    actions: {
+      ACCEPT: 'Model revenue at 1x, 10x and 100x and find the bottleneck.',
+      DEFER: 'Calculate your margin per sale before anything else.',
+      REJECT: 'Find a market with room to multiply, or a way to sell the same work twice.'
+    }
+  },
+  luna: {
+    aligned: ['satisfaction'],
+    prefers: 'tomato',
+    cautions: ['cheapest', 'discount', 'race to the bottom'],
+    hooks: ['People pay for feeling.', 'Quality is a decision.', 'Make it beautiful.'],
+    insights: {
+      wheat: 'Even essentials can feel good to buy. That feeling is your margin.',
+      tomato: 'This lives or dies on how it makes people feel. Protect the experience.',
+      unknown: 'Ask what your customer feels before, during and after they buy.'
+    },
+    questions: ['How do you want a customer to feel when they use it?', 'Would you proudly buy this yourself?'],
+    actions: {
+      ACCEPT: 'Design the customer experience end to end before scaling.',
+      DEFER: 'Talk to three customers about what they love and hate today.',
+      REJECT: 'Don\'t compete on price. Find the version you\'d be proud of.'
+    }
+  },
+  captain: {
+    aligned: ['security'],
+    prefers: 'wheat',
+    cautions: ['loan', 'debt', 'all in', 'savings', 'mortgage', 'quit my job'],
+    hooks: ['Secure the downside.', 'Cash flow is king.', 'Risk management first.'],
+    insights: {
+      wheat: 'Steady demand is the best insurance. Keep costs variable.',
+      tomato: 'Luxury is the first thing cut in a downturn. Build a cash buffer.',
+      unknown: 'Know exactly how much you can lose before you start.'
+    },
+    questions: ['How many months can you survive with zero revenue?', 'What is the worst case and can you afford it?'],
+    actions: {
+      ACCEPT: 'Set a loss limit and keep six months of costs in reserve.',
+      DEFER: 'Write down your worst case and what it would cost you.',
+      REJECT: 'Don\'t bet what you can\'t lose. Test it small without borrowing.'
+    }
+  },
+  tempo: {
+    aligned: ['speed', 'laziness'],
+    prefers: null,
+    cautions: ['busy', 'no time', 'overtime', 'always working'],
+    hooks: ['Time is currency.', 'Audit your hours.', 'Every hour has a price tag.'],
+    insights: {
+      wheat: 'Reliable demand means you can plan your hours. Use that.',
+      tomato: 'Handcrafted work eats hours. Price every one of them.',
+      unknown: 'Divide what you earn by the hours you spend. That\'s your real rate.'
+    },
+    questions: ['How many hours a week does this take?', 'What is one hour of your time worth?'],
+    actions: {
+      ACCEPT: 'Block fixed hours for this and track them for two weeks.',
+      DEFER: 'Log where your hours go for the next 7 days.',
+      REJECT: 'Cut the lowest-value hours before adding anything new.'
+    }
+  },
+  hakim: {
+    aligned: ['security', 'satisfaction'],
+    prefers: null,
+    cautions: ['get rich quick', 'overnight', 'guaranteed'],
+    hooks: ['Let me tell you about the farmer...', 'Water the roots.', 'Patience pays.'],
+    insights: {
+      wheat: 'The farmer who plants wheat eats every year. Slow harvests still feed you.',
+      tomato: 'The tomato is sweet but spoils fast. Sell while it is ripe, plant again.',
+      unknown: 'A tree grows from its roots first. Know why you are planting.'
+    },
+    questions: ['Where do you want this to be in five years?', 'What would you do if it grew slower than you hope?'],
+    actions: {
+      ACCEPT: 'Commit for a full season and measure progress monthly.',
+      DEFER: 'Write down why this matters to you before deciding.',
+      REJECT: 'Quick riches rarely last. Look for something you can grow patiently.'
+    }
+  },
+  wheat: {
+    aligned: ['security'],
+    prefers: 'wheat',
+    cautions: ['trendy', 'fancy', 'luxury'],
+    hooks: ['Needs survive recessions.', 'Sell water to hikers.', 'Boring is profitable.'],
+    insights: {
+      wheat: 'That\'s wheat: people need it in good times and bad. I like it.',
+      tomato: 'That\'s a tomato. Nice when times are good, first thing people skip when they aren\'t.',
+      unknown: 'Ask yourself: would people still buy this in a recession?'
+    },
+    questions: ['Would people still pay for this if money got tight?', 'Is this a need or a want?'],
+    actions: {
+      ACCEPT: 'Find the boring, repeat customer and make it easy to buy again.',
+      DEFER: 'List who needs this every month, not just once.',
+      REJECT: 'Look for the essential version of this idea.'
+    }
+  },
+  tommy: {
+    aligned: ['satisfaction', 'greed'],
+    prefers: 'tomato',
+    cautions: ['generic', 'commodity', 'same as everyone'],
+    hooks: ['Hype sells.', 'Packaging matters.', 'Make them look.'],
+    insights: {
+      wheat: 'Everyone sells this. Your brand is the only thing that makes you different.',
+      tomato: 'Now we\'re talking. Premium needs a story people want to tell.',
+      unknown: 'What makes someone stop scrolling and look at this?'
+    },
+    questions: ['What is the one-line story of your brand?', 'Why would someone show this to a friend?'],
+    actions: {
+      ACCEPT: 'Nail the name, packaging and first photo before launch.',
+      DEFER: 'Write three versions of your pitch and test which one gets attention.',
+      REJECT: 'Without a story it\'s a commodity. Find your angle first.'
+    }
+  },
+  architect: {
+    aligned: ['laziness', 'greed'],
+    prefers: null,
+    cautions: ['do it myself', 'only me', 'no process'],
+    hooks: ['Build the system.', 'Structure precedes scale.', 'Don\'t work in the business, work on it.'],
+    insights: {
+      wheat: 'Repeatable demand is perfect for a repeatable system.',
+      tomato: 'Custom work resists systems. Standardize what you can around it.',
+      unknown: 'If it only works when you\'re there, it isn\'t a system yet.'
+    },
+    questions: ['What would break if you disappeared for a month?', 'Which step could be written down as a checklist?'],
+    actions: {
+      ACCEPT: 'Document the process as a checklist someone else could follow.',
+      DEFER: 'Map the steps from first contact to delivery.',
+      REJECT: 'Design the system before adding more work to it.'
+    }
+  }
+};
+
+// Words that mark the message as asking for a go/no-go call
+const DECISION_CUES = ['should i', 'worth it', 'good idea', 'go for', 'is it smart', 'do you think'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Deterministic choice so the same turn always gets the same line
+ * @param {string[]} options
+ * @param {string} seed
+ * @returns {string}
+ */
+function pick(options, seed) {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) {
+    hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+  }
+  return options[hash % options.length];
+}
+
+/**
+ * Shorten text for quoting back to the user
+ * @param {string} text
+ * @param {number} [max=80]
+ * @returns {string}
+ */
+function excerpt(text, max = 80) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? clean.slice(0, max - 1) + '…' : clean;
+}
+
+/**
+ * Score how strongly a character backs the idea
+ * @param {Playbook} playbook
+ * @param {string} text - Lowercased conversation text
+ * @param {string} motivator
+ * @param {string} category
+ * @returns {number}
+ */
+function scoreAlignment(playbook, text, motivator, category) {
+  let score = 0;
+  
+  if (playbook.aligned.includes(motivator)) score += 1;
+  
+  if (playbook.prefers && category !== 'unknown') {
+    score += category === playbook.prefers ? 1 : -1;
+  }
+  
+  if (playbook.cautions.some(c => text.includes(c))) score -= 1;
+  
+  return score;
+}
+
+// ============================================================================
+// LOCAL ENGINE
+// ============================================================================
+
+/**
+ * Check if the local engine has a playbook for a character
+ * @param {string} characterId
+ * @returns {boolean}
+ */
+export function hasLocalPlaybook(characterId) {
+  return Object.prototype.hasOwnProperty.call(PLAYBOOKS, characterId);
+}
+
+/**
+ * Produce a reply without the worker
+ * Same shape as the v8.4 response:
+ * { mode, bubbles: [{type, text}], final: {decision, next_action}, state }
+ * @param {Object} params
+ * @param {string} params.message - User message
+ * @param {string} params.characterId - Council member ID
+ * @param {{role: string, content: string}[]} [params.history] - Earlier turns
+ * @param {{text: string, score?: number}[]} [params.kbHits] - Knowledge base matches
+ * @returns {{mode: string, bubbles: Object[], final: Object, state: Object}}
+ */
+export function generateLocalReply({ message, characterId, history = [], kbHits = [] }) {
+  const playbook = PLAYBOOKS[characterId] || PLAYBOOKS.architect;
+  
+  const userTurns = history.filter(h => h.role === 'user').map(h => ({ text: h.content }));
+  const conversation = [...userTurns, { text: message }];
+  const text = conversation.map(m => m.text).join(' ').toLowerCase();
+  
+  const motivator = detectMotivator(conversation);
+  const category = detectCategory(conversation);
+  const turnIndex = userTurns.length + 1;
+  const seed = `${characterId}:${turnIndex}:${message}`;
+  
+  const score = scoreAlignment(playbook, text, motivator, category);
+  const askedForDecision = DECISION_CUES.some(cue => message.toLowerCase().includes(cue));
+  
+  let decision = 'DEFER';
+  if (score > 0) decision = 'ACCEPT';
+  if (score < 0) decision = 'REJECT';
+  
+  const bubbles = [
+    { type: 'hook', text: pick(playbook.hooks, seed) },
+    { type: 'insight', text: playbook.insights[category] }
+  ];
+  
+  const previous = userTurns[userTurns.length - 1];
+  if (previous) {
+    bubbles.push({ type: 'context', text: `Earlier you said: "${excerpt(previous.text)}". Keep that in mind.` });
+  }
+  
+  const hit = kbHits.find(h => h.text && h.text !== message);
+  if (hit) {
+    bubbles.push({ type: 'memory', text: `From your notes: "${excerpt(hit.text)}"` });
+  }
+  
+  if (decision === 'DEFER' || !askedForDecision) {
+    bubbles.push({ type: 'question', text: pick(playbook.questions, seed) });
+  }
+  
+  return {
+    mode: 'reply',
+    bubbles,
+    final: {
+      decision,
+      next_action: playbook.actions[decision]
+    },
+    state: {
+      motivator,
+      category,
+      turn_index: turnIndex,
+      kb_hits: kbHits.length,
+      source: 'local'
+    }
+  };
+}
@@ -449,6 +449,7 @@ export class P2PManager {
     this.localId = options.localId;
     this.signalClient = options.signalClient;
     this.connections = new Map();
+    this.handlers = new Map(); // namespace -> handler(peerId, message)
     
     this.onMessage = options.onMessage || (() => {});
     this.onPeerStateChange = options.onPeerStateChange || (() => {});
@@ -459,6 +460,45 @@ export class P2PManager {
     }
   }
   
+  /**
+   * Register a handler for a message namespace
+   * Messages whose type starts with `${namespace}.` are routed to the
+   * handler instead of onMessage.
+   * @param {string} namespace - e.g. 'sync'
+   * @param {function(string, Object): void} handler 
+   */
+  registerHandler(namespace, handler) {
+    this.handlers.set(namespace, handler);
+  }
+  
+  /**
+   * Unregister a namespace handler
+   * @param {string} namespace 
+   */
+  unregisterHandler(namespace) {
+    this.handlers.delete(namespace);
+  }
+  
+  /**
+   * Route an incoming message to its namespace handler or onMessage
+   * @param {string} peerId 
+   * @param {Object} message 
+   */
+  routeMessage(peerId, message) {
+    const type = typeof message?.type === 'string' ? message.type : '';
+    const namespace = type.includes('.') ? type.split('.')[0] : null;
+    const handler = namespace ? this.handlers.get(namespace) : null;
+    
+    if (!handler) {
+      this.onMessage(peerId, message);
+      return;
+    }
+    
+    Promise.resolve()
+      .then(() => handler(peerId, message))
+      .catch(e => console.error(`[P2P] Handler for ${namespace} failed:`, e));
+  }
+  
   /**
    * Set up signal client message handlers
    */
@@ -497,7 +537,7 @@ export class P2PManager {
     const conn = new P2PConnection({
       localId: this.localId,
       signalClient: this.signalClient,
-      onMessage: (msg) => this.onMessage(peerId, msg),
+      onMessage: (msg) => this.routeMessage(peerId, msg),
       onStateChange: (state) => this.onPeerStateChange(peerId, state),
       onError: (err) => console.error(`[P2P] Peer ${peerId} error:`, err)
     });
@@ -520,7 +560,7 @@ export class P2PManager {
     const conn = new P2PConnection({
       localId: this.localId,
       signalClient: this.signalClient,
-      onMessage: (msg) => this.onMessage(peerId, msg),
+      onMessage: (msg) => this.routeMessage(peerId, msg),
       onStateChange: (state) => this.onPeerStateChange(peerId, state),
       onError: (err) => console.error(`[P2P] Peer ${peerId} error:`, err)
     });
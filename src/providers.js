@@ -0,0 +1,644 @@
+// BalanceChain AI Council Providers
+// Backend adapters (worker v8.4, OpenAI-compatible, local HTTP, mock)
+
+import {
+  COUNCIL_MEMBERS,
+  COUNCIL_WORKER_URL,
+  COUNCIL_LOCAL_URL,
+  WORKER_TIMEOUT_MS,
+  WORKER_RETRY_ATTEMPTS,
+  WORKER_RETRY_DELAY_MS
+} from './constants.js';
+import { generateLocalReply } from './localcouncil.js';
+
+// ============================================================================
+// PROVIDER TYPES
+// ============================================================================
+
+export const PROVIDER_TYPES = {
+  WORKER_V84: 'worker-v84',
+  OPENAI: 'openai',
+  LOCAL_HTTP: 'local-http',
+  MOCK: 'mock'
+};
+
+/**
+ * @typedef {Object} CouncilRequest
+ * @property {string} text - User message
+ * @property {string} characterId - Council member ID
+ * @property {{role: string, content: string}[]} history - Earlier turns
+ * @property {number} turnIndex - 1-based turn number
+ */
+
+/**
+ * @typedef {Object} CouncilResponse - Normalized v8.4 shape
+ * @property {string} mode - 'reply'
+ * @property {{type: string, text: string}[]} bubbles
+ * @property {{decision: string|null, next_action: string|null}} final
+ * @property {Object|null} state
+ * @property {string} provider - Provider type that answered
+ */
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {'bubble'|'done'|'error'} type
+ * @property {{type: string, text: string}} [bubble] - Set on 'bubble'
+ * @property {CouncilResponse} [response] - Set on 'done' (all bubbles)
+ * @property {string} [reason] - Set on 'error'
+ * @property {string} [message] - Set on 'error'
+ */
+
+/**
+ * @typedef {Object} CouncilProvider
+ * @property {string} type - One of PROVIDER_TYPES
+ * @property {boolean} requiresNetwork - Skip while the browser is offline
+ * @property {function(CouncilRequest): Promise<{ok: boolean, response?: CouncilResponse, reason?: string, message?: string, status?: number}>} send
+ * @property {function(CouncilRequest): AsyncGenerator<StreamEvent>} [stream] - Bubbles as they
+ *   arrive, then exactly one 'done' or 'error'
+ */
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Split free text into bubbles on blank lines
+ * @param {string} text
+ * @returns {{type: string, text: string}[]}
+ */
+function textToBubbles(text) {
+  return String(text)
+    .split(/\n\s*\n/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => ({ type: 'text', text: part }));
+}
+
+/**
+ * Normalize a backend response to the v8.4 shape
+ * Accepts v8.4 objects, plain { text } / { response } bodies and
+ * OpenAI-style { choices } bodies (content may itself be v8.4 JSON).
+ * @param {Object|string} data
+ * @param {string} provider
+ * @returns {CouncilResponse}
+ */
+export function normalizeCouncilResponse(data, provider) {
+  if (typeof data === 'string') {
+    data = { text: data };
+  }
+  
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') {
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object') {
+        return normalizeCouncilResponse(parsed, provider);
+      }
+    } catch (e) {
+      // Plain text answer
+    }
+    data = { text: content };
+  }
+  
+  let bubbles = [];
+  if (Array.isArray(data?.bubbles) && data.bubbles.length > 0) {
+    bubbles = data.bubbles
+      .map(b => typeof b === 'string' ? { type: 'text', text: b } : { ...b, type: b.type || 'text' })
+      .filter(b => typeof b.text === 'string' && b.text.length > 0);
+  } else if (data?.text || data?.response) {
+    bubbles = textToBubbles(data.text || data.response);
+  }
+  
+  return {
+    mode: data?.mode || 'reply',
+    bubbles,
+    final: {
+      decision: data?.final?.decision ?? null,
+      next_action: data?.final?.next_action ?? null
+    },
+    state: data?.state ?? null,
+    provider
+  };
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * POST JSON with a timeout
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} options
+ * @param {number} options.timeoutMs
+ * @param {Object} [options.headers]
+ * @param {function} [options.fetch] - fetch implementation
+ * @returns {Promise<{ok: boolean, data?: Object, reason?: string, message?: string, status?: number}>}
+ */
+async function postJson(url, body, { timeoutMs, headers = {}, fetch: fetchImpl = globalThis.fetch }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      return { ok: false, reason: 'http_error', status: response.status, message: `HTTP ${response.status}` };
+    }
+    
+    return { ok: true, data: await response.json() };
+  } catch (e) {
+    if (controller.signal.aborted) {
+      return { ok: false, reason: 'timeout', message: `No response within ${timeoutMs}ms` };
+    }
+    return { ok: false, reason: 'network_error', message: e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether a failed attempt is worth repeating
+ * Timeouts, network errors, 429 and 5xx are; other 4xx are not.
+ * @param {Object} result
+ * @returns {boolean}
+ */
+function isRetryable(result) {
+  if (result.reason !== 'http_error') return true;
+  return result.status === 429 || result.status >= 500;
+}
+
+/**
+ * Run an attempt with exponential backoff
+ * @param {function(): Promise<Object>} attempt
+ * @param {Object} options
+ * @param {number} options.attempts - Total attempts
+ * @param {number} options.retryDelayMs - First delay, doubled each time
+ * @returns {Promise<Object>} Last result, with `attempts` set
+ */
+async function withRetries(attempt, { attempts, retryDelayMs }) {
+  let result;
+  
+  for (let i = 1; i <= attempts; i++) {
+    result = await attempt();
+    
+    if (result.ok || !isRetryable(result) || i === attempts) {
+      return { ...result, attempts: i };
+    }
+    
+    console.warn(`[Council] Attempt ${i}/${attempts} failed (${result.message}), retrying...`);
+    await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (i - 1)));
+  }
+  
+  return result;
+}
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+const STREAM_CONTENT_TYPES = ['text/event-stream', 'application/x-ndjson', 'application/jsonl'];
+
+/**
+ * POST and wait for the response headers of a streamed reply
+ * The timeout is an idle timeout: it restarts on every chunk (see touch).
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} options - Same as postJson
+ * @returns {Promise<{ok: boolean, response?: Response, touch?: function, close?: function, signal?: AbortSignal, reason?: string, message?: string, status?: number}>}
+ */
+async function openStream(url, body, { timeoutMs, headers = {}, fetch: fetchImpl = globalThis.fetch }) {
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  const close = () => {
+    clearTimeout(timer);
+    controller.abort(); // no-op once the body is read; cancels it otherwise
+  };
+  
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: [...STREAM_CONTENT_TYPES, 'application/json'].join(', '),
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      close();
+      return { ok: false, reason: 'http_error', status: response.status, message: `HTTP ${response.status}` };
+    }
+    
+    touch();
+    return { ok: true, response, touch, close, signal: controller.signal };
+  } catch (e) {
+    const aborted = controller.signal.aborted;
+    close();
+    if (aborted) {
+      return { ok: false, reason: 'timeout', message: `No response within ${timeoutMs}ms` };
+    }
+    return { ok: false, reason: 'network_error', message: e.message };
+  }
+}
+
+/**
+ * Parse one line of an SSE or NDJSON body
+ * @param {string} line
+ * @returns {Object|string|null} Payload, null to skip, or the string '[DONE]'
+ */
+function parseStreamLine(line) {
+  line = line.trim();
+  if (!line || line.startsWith(':') || /^(event|id|retry):/.test(line)) {
+    return null;
+  }
+  
+  const data = line.startsWith('data:') ? line.slice(5).trim() : line;
+  if (data === '[DONE]') {
+    return data;
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return { text: data }; // bare text event
+  }
+}
+
+/**
+ * Read the payloads of a streamed reply
+ * Servers that ignore the stream request answer with one JSON body;
+ * that body is yielded as a single payload.
+ * @param {Object} opened - Result of openStream
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readStreamPayloads({ response, touch }) {
+  const contentType = response.headers?.get?.('content-type') || '';
+  if (!response.body || !STREAM_CONTENT_TYPES.some(t => contentType.includes(t))) {
+    yield await response.json();
+    return;
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    touch();
+    
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    
+    for (const line of lines) {
+      const payload = parseStreamLine(line);
+      if (payload === '[DONE]') return;
+      if (payload !== null) yield payload;
+    }
+  }
+  
+  const payload = parseStreamLine(buffer + decoder.decode());
+  if (payload !== null && payload !== '[DONE]') {
+    yield payload;
+  }
+}
+
+/**
+ * Assemble v8.4 stream events (worker and local HTTP)
+ * Each event is a bubble ({ type, text }), a batch ({ bubbles }) and/or
+ * the closing { final, state }.
+ * @param {string} type - Provider type
+ * @returns {{push: function(Object): Object[], finish: function(): {bubbles: Object[], response: CouncilResponse}}}
+ */
+function createWorkerAssembler(type) {
+  const data = { mode: 'reply', bubbles: [], final: null, state: null };
+  
+  return {
+    push(payload) {
+      const single = payload.bubble ||
+        (!payload.bubbles && typeof payload.text === 'string' && { type: payload.type, text: payload.text });
+      const bubbles = normalizeCouncilResponse(single ? { bubbles: [single] } : payload, type).bubbles;
+      
+      if (payload.mode) data.mode = payload.mode;
+      if (payload.final) data.final = payload.final;
+      if (payload.state) data.state = payload.state;
+      
+      data.bubbles.push(...bubbles);
+      return bubbles;
+    },
+    
+    finish() {
+      return { bubbles: [], response: normalizeCouncilResponse(data, type) };
+    }
+  };
+}
+
+/**
+ * Assemble OpenAI chat completion chunks
+ * Plain text is released paragraph by paragraph. A JSON answer (the
+ * format the system prompt asks for) can only be parsed whole, so its
+ * bubbles are released at the end.
+ * @returns {{push: function(Object): Object[], finish: function(): {bubbles: Object[], response: CouncilResponse}}}
+ */
+function createChatAssembler() {
+  let content = '';
+  let released = 0;
+  
+  const isJson = () => content.trimStart().startsWith('{');
+  
+  return {
+    push(payload) {
+      const choice = payload.choices?.[0];
+      content += choice?.delta?.content ?? choice?.message?.content ?? payload.text ?? '';
+      
+      if (isJson()) return [];
+      
+      // All but the last paragraph are complete
+      const complete = textToBubbles(content).slice(0, -1);
+      const fresh = complete.slice(released);
+      released = complete.length;
+      return fresh;
+    },
+    
+    finish() {
+      const response = normalizeCouncilResponse({ choices: [{ message: { content } }] }, PROVIDER_TYPES.OPENAI);
+      return { bubbles: isJson() ? response.bubbles : response.bubbles.slice(released), response };
+    }
+  };
+}
+
+/**
+ * Build an HTTP provider from a request mapper
+ * @param {string} type
+ * @param {Object} config
+ * @param {function(CouncilRequest): Object} toBody
+ * @returns {CouncilProvider}
+ */
+function createHttpProvider(type, config, toBody) {
+  const {
+    url,
+    headers,
+    timeoutMs = WORKER_TIMEOUT_MS,
+    attempts = WORKER_RETRY_ATTEMPTS,
+    retryDelayMs = WORKER_RETRY_DELAY_MS,
+    requiresNetwork = true,
+    fetch
+  } = config;
+  
+  const createAssembler = type === PROVIDER_TYPES.OPENAI
+    ? createChatAssembler
+    : () => createWorkerAssembler(type);
+  
+  return {
+    type,
+    url,
+    requiresNetwork,
+    
+    async send(request) {
+      const result = await withRetries(
+        () => postJson(url, toBody(request), { timeoutMs, headers, fetch }),
+        { attempts, retryDelayMs }
+      );
+      
+      if (!result.ok) {
+        return result;
+      }
+      
+      const response = normalizeCouncilResponse(result.data, type);
+      if (response.bubbles.length === 0) {
+        return { ok: false, reason: 'empty_response', message: `${type} returned no text` };
+      }
+      
+      return { ok: true, response, attempts: result.attempts };
+    },
+    
+    async *stream(request) {
+      // Retries only cover connecting; a reply cut off mid-stream is not repeated
+      const opened = await withRetries(
+        () => openStream(url, { ...toBody(request), stream: true }, { timeoutMs, headers, fetch }),
+        { attempts, retryDelayMs }
+      );
+      
+      if (!opened.ok) {
+        yield { type: 'error', reason: opened.reason, message: opened.message, status: opened.status };
+        return;
+      }
+      
+      const assembler = createAssembler();
+      
+      try {
+        for await (const payload of readStreamPayloads(opened)) {
+          for (const bubble of assembler.push(payload)) {
+            yield { type: 'bubble', bubble };
+          }
+        }
+      } catch (e) {
+        const reason = opened.signal.aborted ? 'timeout' : 'stream_error';
+        yield { type: 'error', reason, message: e.message };
+        return;
+      } finally {
+        opened.close();
+      }
+      
+      const { bubbles, response } = assembler.finish();
+      for (const bubble of bubbles) {
+        yield { type: 'bubble', bubble };
+      }
+      
+      if (response.bubbles.length === 0) {
+        yield { type: 'error', reason: 'empty_response', message: `${type} returned no text` };
+        return;
+      }
+      
+      yield { type: 'done', response };
+    }
+  };
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+/**
+ * v8.4 worker request body
+ * @param {CouncilRequest} request
+ * @returns {Object}
+ */
+function toWorkerBody({ text, characterId, history, turnIndex }) {
+  return {
+    text,
+    chatId: characterId, // The Worker maps this (e.g. 'wolf' -> 'WOLF')
+    history,
+    turn_index: turnIndex
+  };
+}
+
+/**
+ * Cloudflare Worker running the v8.4 Decision Engine
+ * @param {Object} [config]
+ * @param {string} [config.url]
+ * @param {number} [config.timeoutMs]
+ * @param {number} [config.attempts]
+ * @param {number} [config.retryDelayMs]
+ * @param {function} [config.fetch]
+ * @returns {CouncilProvider}
+ */
+export function createWorkerProvider(config = {}) {
+  return createHttpProvider(PROVIDER_TYPES.WORKER_V84, {
+    ...config,
+    url: config.url || COUNCIL_WORKER_URL
+  }, toWorkerBody);
+}
+
+/**
+ * Local HTTP model server speaking the worker protocol (e.g. wrangler dev)
+ * Reachable without internet, so it is tried while the browser is offline.
+ * @param {Object} [config] - Same as createWorkerProvider
+ * @returns {CouncilProvider}
+ */
+export function createLocalHttpProvider(config = {}) {
+  return createHttpProvider(PROVIDER_TYPES.LOCAL_HTTP, {
+    timeoutMs: 60000, // local models can be slow to warm up
+    attempts: 1,
+    ...config,
+    url: config.url || COUNCIL_LOCAL_URL,
+    requiresNetwork: false
+  }, toWorkerBody);
+}
+
+/**
+ * System prompt for chat-completion backends
+ * The worker holds the real prompts; this keeps the character and asks
+ * for the v8.4 JSON so decisions survive the round trip.
+ * @param {string} characterId
+ * @returns {string}
+ */
+function getChatSystemPrompt(characterId) {
+  const member = Object.values(COUNCIL_MEMBERS).find(m => m.id === characterId) || COUNCIL_MEMBERS.ARCHITECT;
+  
+  return [
+    `You are ${member.name}, a member of a business advisory council driven by ${member.motivator}.`,
+    'Only discuss business and money. Keep each bubble short.',
+    'Reply with JSON: {"bubbles":[{"type":"text","text":"..."}],' +
+      '"final":{"decision":"ACCEPT|REJECT|DEFER","next_action":"..."}}'
+  ].join(' ');
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint
+ * @param {Object} config
+ * @param {string} config.url - Base URL (…/v1) or full …/chat/completions URL
+ * @param {string} config.model
+ * @param {string} [config.apiKey]
+ * @param {number} [config.timeoutMs]
+ * @param {number} [config.attempts]
+ * @param {number} [config.retryDelayMs]
+ * @param {function} [config.fetch]
+ * @returns {CouncilProvider}
+ */
+export function createOpenAIProvider(config) {
+  if (!config?.url || !config.model) {
+    throw new Error('OpenAI provider requires url and model');
+  }
+  
+  const url = /\/chat\/completions\/?$/.test(config.url)
+    ? config.url
+    : config.url.replace(/\/$/, '') + '/chat/completions';
+  
+  return createHttpProvider(PROVIDER_TYPES.OPENAI, {
+    ...config,
+    url,
+    headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+  }, ({ text, characterId, history }) => ({
+    model: config.model,
+    messages: [
+      { role: 'system', content: getChatSystemPrompt(characterId) },
+      ...history.map(h => ({ role: h.role, content: h.content })),
+      { role: 'user', content: text }
+    ]
+  }));
+}
+
+/**
+ * In-process stand-in for tests and staging builds
+ * Answers from the local engine unless a handler is given.
+ * @param {Object} [config]
+ * @param {function(CouncilRequest): (Object|string)} [config.handler] - Raw response
+ * @param {number} [config.delayMs=0] - Simulated latency
+ * @returns {CouncilProvider}
+ */
+export function createMockProvider(config = {}) {
+  const { handler, delayMs = 0 } = config;
+  
+  return {
+    type: PROVIDER_TYPES.MOCK,
+    requiresNetwork: false,
+    requests: [],
+    
+    async send(request) {
+      this.requests.push(request);
+      
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      
+      try {
+        const data = handler
+          ? await handler(request)
+          : generateLocalReply({ message: request.text, characterId: request.characterId, history: request.history });
+        
+        return { ok: true, response: normalizeCouncilResponse(data, PROVIDER_TYPES.MOCK) };
+      } catch (e) {
+        return { ok: false, reason: 'mock_error', message: e.message };
+      }
+    },
+    
+    async *stream(request) {
+      const result = await this.send(request);
+      if (!result.ok) {
+        yield { type: 'error', reason: result.reason, message: result.message };
+        return;
+      }
+      
+      for (const bubble of result.response.bubbles) {
+        yield { type: 'bubble', bubble };
+      }
+      yield { type: 'done', response: result.response };
+    }
+  };
+}
+
+/**
+ * Create a provider from initializeApp options
+ * @param {Object} [config]
+ * @param {string} [config.type='worker-v84'] - One of PROVIDER_TYPES
+ * @returns {CouncilProvider}
+ */
+export function createCouncilProvider(config = {}) {
+  switch (config.type || PROVIDER_TYPES.WORKER_V84) {
+    case PROVIDER_TYPES.WORKER_V84:
+      return createWorkerProvider(config);
+    case PROVIDER_TYPES.OPENAI:
+      return createOpenAIProvider(config);
+    case PROVIDER_TYPES.LOCAL_HTTP:
+      return createLocalHttpProvider(config);
+    case PROVIDER_TYPES.MOCK:
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown council provider: ${config.type}`);
+  }
+}
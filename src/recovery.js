@@ -0,0 +1,797 @@
+// BalanceChain Social Recovery Module
+// Shamir secret sharing of the signing key with guardian HIDs over P2P
+
+import {
+  RECOVERY_MIN_THRESHOLD,
+  RECOVERY_MAX_SHARES,
+  RECOVERY_TIMEOUT_MS,
+  DEFAULT_SIGNATURE_ALG
+} from './constants.js';
+import {
+  canonicalize,
+  sign,
+  verify,
+  importPublicKeyJwk,
+  importPrivateKeyJwk,
+  randomBytes,
+  randomHex,
+  arrayToBase64,
+  base64ToArray,
+  arrayToBase64Url,
+  base64UrlToArray
+} from './crypto.js';
+import { getMeta, setMeta } from './idb.js';
+import { getActiveKey, getRotationSegments, publicKeysEqual, verifyKeyLineage } from './keys.js';
+
+// ============================================================================
+// SHAMIR SECRET SHARING (GF(256))
+// ============================================================================
+
+// Log/antilog tables for GF(2^8) with the AES polynomial x^8+x^4+x^3+x+1
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+
+(function initGaloisTables() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    
+    // Multiply by the generator 0x03
+    let doubled = x << 1;
+    if (doubled & 0x100) doubled ^= 0x11b;
+    x = doubled ^ x;
+  }
+  for (let i = 255; i < 510; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+  }
+})();
+
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDiv(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  return GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+}
+
+/**
+ * @typedef {Object} SecretShare
+ * @property {number} x - Share index (1..255)
+ * @property {Uint8Array} y - Share bytes, same length as the secret
+ */
+
+/**
+ * Split a secret into Shamir shares
+ * Any `threshold` shares reconstruct the secret; fewer reveal nothing.
+ * @param {Uint8Array} secret
+ * @param {Object} options
+ * @param {number} options.shares - Number of shares to create
+ * @param {number} options.threshold - Shares needed to reconstruct
+ * @returns {SecretShare[]}
+ */
+export function splitSecret(secret, { shares, threshold }) {
+  if (!Number.isInteger(threshold) || threshold < RECOVERY_MIN_THRESHOLD) {
+    throw new Error(`Threshold must be at least ${RECOVERY_MIN_THRESHOLD}`);
+  }
+  if (!Number.isInteger(shares) || shares < threshold || shares > RECOVERY_MAX_SHARES) {
+    throw new Error(`Shares must be between threshold and ${RECOVERY_MAX_SHARES}`);
+  }
+  
+  const result = Array.from({ length: shares }, (_, i) => ({
+    x: i + 1,
+    y: new Uint8Array(secret.length)
+  }));
+  
+  for (let b = 0; b < secret.length; b++) {
+    // Random polynomial with the secret byte as constant term
+    const coefficients = randomBytes(threshold);
+    coefficients[0] = secret[b];
+    
+    for (const share of result) {
+      // Horner's rule, highest degree first
+      let y = 0;
+      for (let c = threshold - 1; c >= 0; c--) {
+        y = gfMul(y, share.x) ^ coefficients[c];
+      }
+      share.y[b] = y;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Reconstruct a secret from Shamir shares (Lagrange interpolation at 0)
+ * @param {SecretShare[]} shares - At least the threshold number of shares
+ * @returns {Uint8Array}
+ */
+export function combineShares(shares) {
+  if (shares.length === 0) {
+    throw new Error('No shares to combine');
+  }
+  
+  const xs = shares.map(s => s.x);
+  if (new Set(xs).size !== xs.length || xs.some(x => x < 1 || x > RECOVERY_MAX_SHARES)) {
+    throw new Error('Share indices must be distinct and between 1 and 255');
+  }
+  
+  const length = shares[0].y.length;
+  const secret = new Uint8Array(length);
+  
+  for (const [j, share] of shares.entries()) {
+    // Lagrange basis at 0: prod x_m / (x_m - x_j); subtraction is XOR
+    let basis = 1;
+    for (const [m, other] of shares.entries()) {
+      if (m !== j) {
+        basis = gfMul(basis, gfDiv(other.x, other.x ^ share.x));
+      }
+    }
+    
+    for (let b = 0; b < length; b++) {
+      secret[b] ^= gfMul(share.y[b], basis);
+    }
+  }
+  
+  return secret;
+}
+
+// ============================================================================
+// GUARDIAN SHARES
+// ============================================================================
+
+/**
+ * @typedef {Object} GuardianShare
+ * @property {number} v - Format version
+ * @property {string} setId - Shares created together
+ * @property {string} hid - Identity being protected
+ * @property {JsonWebKey} pubJwk - Key the shares rebuild
+ * @property {string} [alg] - Owner signature suite
+ * @property {string|null} [pqPublicKey] - Owner post-quantum key (hybrid suites)
+ * @property {number|null} [identityCreatedAt] - When the identity was created
+ * @property {Object[]} keyRotations - Links pubJwk to the HID
+ * @property {string[]} guardians - All guardian HIDs in the set
+ * @property {string} guardianHid - Holder of this share
+ * @property {number} x - Share index
+ * @property {string} y - Share bytes (base64)
+ * @property {string} [pqY] - Share of the post-quantum secret key (base64)
+ * @property {number} threshold
+ * @property {number} total
+ * @property {number} createdAt
+ * @property {string} signature - Owner signature over the rest
+ */
+
+/**
+ * @typedef {Object} ShareRelease
+ * @property {GuardianShare} share
+ * @property {string} requestId - Recovery request being answered
+ * @property {string} guardianHid
+ * @property {JsonWebKey} guardianPubJwk
+ * @property {Object[]} guardianKeyRotations - Links guardianPubJwk to guardianHid
+ * @property {number} releasedAt
+ * @property {string} signature - Guardian signature over the rest
+ */
+
+/**
+ * Split the owner's private key into signed guardian shares
+ * Shares rebuild the key active when they were made; re-run after a
+ * key rotation. A hybrid identity's post-quantum secret is split with
+ * the same threshold.
+ * @param {Object} params
+ * @param {{hid: string, pubJwk: JsonWebKey, privateKey: CryptoKey, alg?: string, pqPublicKey?: string, createdAt?: number}} params.identity - Owner
+ * @param {JsonWebKey} params.privateKeyJwk - Owner private key to split
+ * @param {string|null} [params.pqSecretKey] - Owner post-quantum secret key (base64)
+ * @param {string[]} params.guardians - Guardian HIDs (one share each)
+ * @param {number} params.threshold - Guardians needed to recover
+ * @param {Object[]} [params.keyRotations] - Owner identity.rotate segments
+ * @returns {Promise<GuardianShare[]>}
+ */
+export async function createGuardianShares({ identity, privateKeyJwk, pqSecretKey = null, guardians, threshold, keyRotations = [] }) {
+  if (new Set(guardians).size !== guardians.length) {
+    throw new Error('Guardians must be distinct');
+  }
+  if (guardians.includes(identity.hid)) {
+    throw new Error('Owner cannot be their own guardian');
+  }
+  
+  const secret = base64UrlToArray(privateKeyJwk.d);
+  const pieces = splitSecret(secret, { shares: guardians.length, threshold });
+  const pqSecret = pqSecretKey ? base64ToArray(pqSecretKey) : null;
+  const pqPieces = pqSecret ? splitSecret(pqSecret, { shares: guardians.length, threshold }) : null;
+  const setId = `RS-${Date.now()}-${randomHex(4)}`;
+  const createdAt = Date.now();
+  
+  const shares = [];
+  
+  for (const [i, guardianHid] of guardians.entries()) {
+    const share = {
+      v: 1,
+      setId,
+      hid: identity.hid,
+      pubJwk: identity.pubJwk,
+      alg: identity.alg || DEFAULT_SIGNATURE_ALG,
+      pqPublicKey: identity.pqPublicKey || null,
+      identityCreatedAt: identity.createdAt ?? null,
+      keyRotations,
+      guardians,
+      guardianHid,
+      x: pieces[i].x,
+      y: arrayToBase64(pieces[i].y),
+      threshold,
+      total: guardians.length,
+      createdAt
+    };
+    
+    if (pqPieces) {
+      share.pqY = arrayToBase64(pqPieces[i].y);
+    }
+    
+    share.signature = await sign(identity.privateKey, canonicalize(share));
+    shares.push(share);
+  }
+  
+  secret.fill(0);
+  pqSecret?.fill(0);
+  
+  return shares;
+}
+
+/**
+ * Verify a guardian share was issued by the identity it protects
+ * @param {GuardianShare} share
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+ */
+export async function verifyGuardianShare(share) {
+  if (!share || share.v !== 1 || !share.signature || !Array.isArray(share.guardians)) {
+    return { ok: false, reason: 'invalid_share', message: 'Malformed guardian share' };
+  }
+  
+  if (!share.guardians.includes(share.guardianHid)) {
+    return { ok: false, reason: 'invalid_share', message: 'Share holder is not in the guardian set' };
+  }
+  
+  if (share.threshold < RECOVERY_MIN_THRESHOLD || share.threshold > share.total ||
+      share.total !== share.guardians.length) {
+    return { ok: false, reason: 'invalid_share', message: 'Invalid threshold' };
+  }
+  
+  const lineage = await verifyKeyLineage(share.hid, share.keyRotations || [], share.pubJwk);
+  if (!lineage.ok) {
+    return lineage;
+  }
+  
+  const { signature, ...content } = share;
+  
+  try {
+    const publicKey = await importPublicKeyJwk(share.pubJwk);
+    if (!await verify(publicKey, canonicalize(content), signature)) {
+      return { ok: false, reason: 'bad_signature', message: 'Share not signed by its owner' };
+    }
+  } catch (e) {
+    return { ok: false, reason: 'bad_signature', message: e.message };
+  }
+  
+  return { ok: true };
+}
+
+/**
+ * Release a held share to a recovery request
+ * @param {Object} params
+ * @param {GuardianShare} params.share - Share held by this guardian
+ * @param {{hid: string, pubJwk: JsonWebKey, privateKey: CryptoKey}} params.guardian
+ * @param {string} params.requestId - Recovery request being answered
+ * @param {Object[]} [params.keyRotations] - Guardian identity.rotate segments
+ * @returns {Promise<ShareRelease>}
+ */
+export async function releaseGuardianShare({ share, guardian, requestId, keyRotations = [] }) {
+  const release = {
+    share,
+    requestId,
+    guardianHid: guardian.hid,
+    guardianPubJwk: guardian.pubJwk,
+    guardianKeyRotations: keyRotations,
+    releasedAt: Date.now()
+  };
+  
+  release.signature = await sign(guardian.privateKey, canonicalize(release));
+  
+  return release;
+}
+
+/**
+ * Verify a share release: owner-signed share, signed by its guardian
+ * @param {ShareRelease} release
+ * @param {string} [requestId] - Expected recovery request
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+ */
+export async function verifyShareRelease(release, requestId) {
+  const shareCheck = await verifyGuardianShare(release?.share);
+  if (!shareCheck.ok) {
+    return shareCheck;
+  }
+  
+  if (requestId && release.requestId !== requestId) {
+    return { ok: false, reason: 'wrong_request', message: 'Release answers a different request' };
+  }
+  
+  if (release.guardianHid !== release.share.guardianHid) {
+    return { ok: false, reason: 'not_guardian', message: `${release.guardianHid} does not hold this share` };
+  }
+  
+  const lineage = await verifyKeyLineage(
+    release.guardianHid,
+    release.guardianKeyRotations || [],
+    release.guardianPubJwk
+  );
+  if (!lineage.ok) {
+    return lineage;
+  }
+  
+  const { signature, ...content } = release;
+  
+  try {
+    const publicKey = await importPublicKeyJwk(release.guardianPubJwk);
+    if (!await verify(publicKey, canonicalize(content), signature)) {
+      return { ok: false, reason: 'bad_signature', message: 'Release not signed by the guardian' };
+    }
+  } catch (e) {
+    return { ok: false, reason: 'bad_signature', message: e.message };
+  }
+  
+  return { ok: true };
+}
+
+/**
+ * Rebuild an identity from guardian releases
+ * Invalid releases are skipped; the rebuilt key must match the public
+ * key the owner signed into the shares. Shares are re-issued after a key
+ * rotation, so the newest set with enough releases wins; with the
+ * chain's key history, sets for a retired key are refused.
+ * @param {ShareRelease[]} releases
+ * @param {Object} [options]
+ * @param {string} [options.requestId] - Only accept releases for this request
+ * @param {KeyHistory|null} [options.keyHistory] - Owner key history from the chain
+ * @returns {Promise<{ok: boolean, identity?: {hid: string, pubJwk: JsonWebKey, privateKeyJwk: JsonWebKey, alg: string, pqPublicKey: string|null, pqSecretKey: string|null, createdAt: number|null}, used?: string[], rejected?: Object[], reason?: string, message?: string}>}
+ */
+export async function reconstructIdentityFromShares(releases, options = {}) {
+  const sets = new Map(); // setId -> Map(guardianHid -> share)
+  const rejected = [];
+  
+  for (const release of releases) {
+    const check = await verifyShareRelease(release, options.requestId);
+    
+    if (!check.ok) {
+      rejected.push({ guardianHid: release?.guardianHid, reason: check.reason });
+      continue;
+    }
+    
+    const setId = release.share.setId;
+    if (!sets.has(setId)) {
+      sets.set(setId, new Map());
+    }
+    sets.get(setId).set(release.guardianHid, release.share);
+  }
+  
+  // Shares from different sets don't combine; newest complete set first
+  const candidates = [...sets.values()]
+    .map(accepted => [...accepted.values()])
+    .sort((a, b) => b[0].createdAt - a[0].createdAt);
+  
+  const current = candidates.filter(candidate => {
+    const history = options.keyHistory?.hid === candidate[0].hid ? options.keyHistory : null;
+    if (history && !publicKeysEqual(getActiveKey(history), candidate[0].pubJwk)) {
+      rejected.push(...candidate.map(share => ({ guardianHid: share.guardianHid, reason: 'key_retired' })));
+      return false;
+    }
+    return true;
+  });
+  
+  const shares = current.find(candidate => candidate.length >= candidate[0].threshold) || null;
+  for (const candidate of current) {
+    if (shares && candidate !== shares) {
+      rejected.push(...candidate.map(share => ({ guardianHid: share.guardianHid, reason: 'different_set' })));
+    }
+  }
+  
+  if (!shares) {
+    const best = current[0] || [];
+    const retired = current.length === 0 && candidates.length > 0;
+    return {
+      ok: false,
+      reason: retired ? 'key_retired' : 'insufficient_shares',
+      message: retired
+        ? 'Shares rebuild a key that was rotated out; ask guardians for the current share set'
+        : `Have ${best.length} valid share(s), need ${best[0]?.threshold ?? RECOVERY_MIN_THRESHOLD}`,
+      rejected
+    };
+  }
+  
+  const { hid, pubJwk, threshold } = shares[0];
+  const used = shares.slice(0, threshold);
+  const secret = combineShares(used.map(s => ({ x: s.x, y: base64ToArray(s.y) })));
+  
+  const privateKeyJwk = {
+    kty: pubJwk.kty,
+    crv: pubJwk.crv,
+    x: pubJwk.x,
+    y: pubJwk.y,
+    d: arrayToBase64Url(secret),
+    ext: true,
+    key_ops: ['sign']
+  };
+  secret.fill(0);
+  
+  let pqSecretKey = null;
+  if (shares[0].pqPublicKey && used.every(s => s.pqY)) {
+    const pqSecret = combineShares(used.map(s => ({ x: s.x, y: base64ToArray(s.pqY) })));
+    pqSecretKey = arrayToBase64(pqSecret);
+    pqSecret.fill(0);
+  }
+  
+  // Prove the rebuilt key is the owner's before handing it out
+  try {
+    const probe = `recovery:${hid}:${randomHex(8)}`;
+    const privateKey = await importPrivateKeyJwk(privateKeyJwk);
+    const publicKey = await importPublicKeyJwk(pubJwk);
+    
+    if (!await verify(publicKey, probe, await sign(privateKey, probe))) {
+      return { ok: false, reason: 'reconstruction_failed', message: 'Rebuilt key does not match', rejected };
+    }
+  } catch (e) {
+    return { ok: false, reason: 'reconstruction_failed', message: e.message, rejected };
+  }
+  
+  return {
+    ok: true,
+    identity: {
+      hid,
+      pubJwk,
+      privateKeyJwk,
+      alg: shares[0].alg || DEFAULT_SIGNATURE_ALG,
+      pqPublicKey: pqSecretKey ? shares[0].pqPublicKey : null,
+      pqSecretKey,
+      createdAt: shares[0].identityCreatedAt ?? null
+    },
+    used: used.map(s => s.guardianHid),
+    rejected
+  };
+}
+
+// ============================================================================
+// GUARDIAN STORAGE
+// ============================================================================
+
+/**
+ * Store a share this device holds as guardian (latest set per owner wins)
+ * @param {IDBDatabase} db
+ * @param {GuardianShare} share
+ * @returns {Promise<void>}
+ */
+export async function storeGuardianShare(db, share) {
+  await setMeta(db, `guardian_share:${share.hid}`, { ...share, receivedAt: Date.now() });
+  
+  const owners = (await getMeta(db, 'guardian_shares')) || [];
+  if (!owners.includes(share.hid)) {
+    owners.push(share.hid);
+    await setMeta(db, 'guardian_shares', owners);
+  }
+}
+
+/**
+ * Get the share held for an owner
+ * @param {IDBDatabase} db
+ * @param {string} hid - Owner HID
+ * @returns {Promise<GuardianShare|null>}
+ */
+export async function getGuardianShare(db, hid) {
+  return (await getMeta(db, `guardian_share:${hid}`)) || null;
+}
+
+/**
+ * List owners this device is guardian for
+ * @param {IDBDatabase} db
+ * @returns {Promise<string[]>}
+ */
+export async function getGuardedIdentities(db) {
+  return (await getMeta(db, 'guardian_shares')) || [];
+}
+
+// ============================================================================
+// P2P RECOVERY PROTOCOL
+// ============================================================================
+
+/**
+ * Recovery message types (routed via P2PManager.registerHandler('recovery', ...))
+ *
+ *   recovery.share   { share }             - owner hands a share to a guardian
+ *   recovery.request { hid, requestId }    - new device asks for shares
+ *   recovery.release { release }           - guardian answers a request
+ *   recovery.error   { requestId, reason } - guardian refused
+ */
+export const RECOVERY_MESSAGES = {
+  SHARE: 'recovery.share',
+  REQUEST: 'recovery.request',
+  RELEASE: 'recovery.release',
+  ERROR: 'recovery.error'
+};
+
+/**
+ * Runs both sides of social recovery over P2P
+ * As owner it hands out shares; as guardian it stores them and releases
+ * one only after onRecoveryRequest approves (the guardian should confirm
+ * out of band that the request really comes from the owner); as a new
+ * device it collects releases until the threshold is met.
+ */
+export class GuardianRecovery {
+  /**
+   * @param {Object} options
+   * @param {StateManager} options.state - Local identity, key history and db
+   * @param {P2PManager} options.p2p - P2P manager
+   * @param {number} [options.timeoutMs] - How long a recovery request waits
+   * @param {function({hid: string, peerId: string, requestId: string}): Promise<boolean>} [options.onRecoveryRequest]
+   *   Asks the guardian to approve a release; requests are refused without it
+   */
+  constructor(options = {}) {
+    this.state = options.state;
+    this.p2p = options.p2p;
+    this.timeoutMs = options.timeoutMs || RECOVERY_TIMEOUT_MS;
+    this.onRecoveryRequest = options.onRecoveryRequest || null;
+    
+    this.requests = new Map(); // requestId -> pending recovery
+    this.attached = false;
+  }
+  
+  /**
+   * Start handling recovery.* messages
+   */
+  attach() {
+    if (this.attached) return;
+    
+    this.p2p.registerHandler('recovery', (peerId, message) => this.handleMessage(peerId, message));
+    this.attached = true;
+  }
+  
+  /**
+   * Stop handling recovery.* messages
+   */
+  detach() {
+    this.p2p.unregisterHandler('recovery');
+    this.attached = false;
+    
+    for (const requestId of this.requests.keys()) {
+      this.finish(requestId, { ok: false, reason: 'detached' });
+    }
+  }
+  
+  /**
+   * Send shares to guardians
+   * @param {GuardianShare[]} shares
+   * @param {Object<string, string>} peers - Guardian HID -> peer ID
+   * @returns {Promise<{ok: boolean, sent: string[], failed: {hid: string, reason: string}[]}>}
+   */
+  async distributeShares(shares, peers) {
+    const sent = [];
+    const failed = [];
+    
+    for (const share of shares) {
+      const peerId = peers[share.guardianHid];
+      
+      if (!peerId) {
+        failed.push({ hid: share.guardianHid, reason: 'no_peer' });
+        continue;
+      }
+      
+      try {
+        await this.p2p.send(peerId, { type: RECOVERY_MESSAGES.SHARE, share });
+        sent.push(share.guardianHid);
+      } catch (e) {
+        failed.push({ hid: share.guardianHid, reason: e.message });
+      }
+    }
+    
+    console.log(`[Recovery] Distributed ${sent.length}/${shares.length} shares`);
+    
+    return { ok: failed.length === 0, sent, failed };
+  }
+  
+  /**
+   * Ask guardians for their shares and rebuild the identity
+   * @param {string} hid - Identity to recover
+   * @param {string[]} peerIds - Guardian peers to ask
+   * @returns {Promise<{ok: boolean, requestId: string, identity?: Object, releases?: ShareRelease[], reason?: string, message?: string}>}
+   */
+  requestRecovery(hid, peerIds) {
+    const requestId = `RR-${Date.now()}-${randomHex(4)}`;
+    const request = { requestId, hid, peers: new Set(peerIds), releases: [], refused: [] };
+    
+    request.promise = new Promise((resolve) => {
+      request.resolve = resolve;
+    });
+    
+    request.timer = setTimeout(() => {
+      this.finish(requestId, {
+        ok: false,
+        reason: 'timeout',
+        message: `Received ${request.releases.length} share(s) before timing out`
+      });
+    }, this.timeoutMs);
+    
+    this.requests.set(requestId, request);
+    
+    for (const peerId of peerIds) {
+      this.p2p.send(peerId, { type: RECOVERY_MESSAGES.REQUEST, hid, requestId }).catch(() => {
+        this.handleRefusal(requestId, peerId, 'send_failed');
+      });
+    }
+    
+    return request.promise;
+  }
+  
+  /**
+   * Handle an incoming recovery message
+   * @param {string} peerId
+   * @param {Object} message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(peerId, message) {
+    switch (message.type) {
+      case RECOVERY_MESSAGES.SHARE:
+        await this.handleShare(peerId, message);
+        break;
+      case RECOVERY_MESSAGES.REQUEST:
+        await this.handleRequest(peerId, message);
+        break;
+      case RECOVERY_MESSAGES.RELEASE:
+        await this.handleRelease(peerId, message);
+        break;
+      case RECOVERY_MESSAGES.ERROR:
+        this.handleRefusal(message.requestId, peerId, message.reason);
+        break;
+      default:
+        console.warn(`[Recovery] Unknown message type: ${message.type}`);
+    }
+  }
+  
+  /**
+   * Guardian side: store a share addressed to us
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleShare(peerId, message) {
+    const share = message.share;
+    
+    if (share?.guardianHid !== this.state.identity.hid) {
+      console.warn(`[Recovery] Ignoring share for ${share?.guardianHid} from ${peerId}`);
+      return;
+    }
+    
+    const check = await verifyGuardianShare(share);
+    if (!check.ok) {
+      console.warn(`[Recovery] Rejected share from ${peerId}: ${check.reason}`);
+      return;
+    }
+    
+    await storeGuardianShare(this.state.db, share);
+    
+    console.log(`[Recovery] Holding share ${share.x}/${share.total} for ${share.hid}`);
+  }
+  
+  /**
+   * Guardian side: release our share if the guardian approves
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleRequest(peerId, message) {
+    const { hid, requestId } = message;
+    const share = await getGuardianShare(this.state.db, hid);
+    
+    if (!share) {
+      await this.sendError(peerId, requestId, 'no_share');
+      return;
+    }
+    
+    const approved = this.onRecoveryRequest
+      ? await this.onRecoveryRequest({ hid, peerId, requestId })
+      : false;
+    
+    if (!approved) {
+      await this.sendError(peerId, requestId, 'refused');
+      return;
+    }
+    
+    const { receivedAt, ...held } = share;
+    const release = await releaseGuardianShare({
+      share: held,
+      guardian: this.state.identity,
+      requestId,
+      keyRotations: getRotationSegments(this.state.keyHistory)
+    });
+    
+    await this.p2p.send(peerId, { type: RECOVERY_MESSAGES.RELEASE, release });
+    
+    console.log(`[Recovery] Released share for ${hid} to ${peerId}`);
+  }
+  
+  /**
+   * New device side: collect a release and rebuild once the threshold is met
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleRelease(peerId, message) {
+    const release = message.release;
+    const request = this.requests.get(release?.requestId);
+    
+    if (!request) return;
+    
+    const check = await verifyShareRelease(release, request.requestId);
+    if (!check.ok || release.share.hid !== request.hid) {
+      this.handleRefusal(request.requestId, peerId, check.reason || 'wrong_identity');
+      return;
+    }
+    
+    request.releases.push(release);
+    request.peers.delete(peerId);
+    
+    if (request.releases.length < release.share.threshold) return;
+    
+    const result = await reconstructIdentityFromShares(request.releases, {
+      requestId: request.requestId,
+      keyHistory: this.state.keyHistory
+    });
+    
+    if (result.ok || request.peers.size === 0) {
+      this.finish(request.requestId, { ...result, releases: request.releases });
+    }
+  }
+  
+  /**
+   * Record a refusal; fail once no guardian is left to answer
+   * @param {string} requestId
+   * @param {string} peerId
+   * @param {string} reason
+   */
+  handleRefusal(requestId, peerId, reason) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+    
+    request.refused.push({ peerId, reason });
+    request.peers.delete(peerId);
+    
+    if (request.peers.size === 0) {
+      this.finish(requestId, {
+        ok: false,
+        reason: 'insufficient_shares',
+        message: `Received ${request.releases.length} share(s); ${request.refused.length} guardian(s) refused`,
+        refused: request.refused
+      });
+    }
+  }
+  
+  /**
+   * Send recovery.error
+   * @param {string} peerId
+   * @param {string} requestId
+   * @param {string} reason
+   */
+  async sendError(peerId, requestId, reason) {
+    await this.p2p.send(peerId, { type: RECOVERY_MESSAGES.ERROR, requestId, reason });
+  }
+  
+  /**
+   * Resolve and clear a recovery request
+   * @param {string} requestId
+   * @param {Object} result
+   */
+  finish(requestId, result) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+    
+    clearTimeout(request.timer);
+    this.requests.delete(requestId);
+    
+    request.resolve({ requestId, ...result });
+  }
+}
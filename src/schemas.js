@@ -0,0 +1,283 @@
+// BalanceChain Payload Schemas
+// Per-type payload rules, enforced by validateSegment and extensible with custom STA types
+
+import { STA_TYPES, DECISION_OUTCOMES } from './constants.js';
+
+// ============================================================================
+// SCHEMA FORMAT
+// ============================================================================
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {string|string[]} type - string, number, integer, boolean, object or array
+ * @property {boolean} [required] - Must be present and non-null
+ * @property {number} [maxLength] - Strings
+ * @property {number} [maxItems] - Arrays
+ * @property {number} [min] - Numbers
+ * @property {number} [max] - Numbers
+ * @property {Array} [enum] - Allowed values
+ * @property {FieldSchema} [items] - Schema of each array item
+ */
+
+/**
+ * @typedef {Object} PayloadSchema
+ * @property {Object<string, FieldSchema>} fields - Known fields; others are allowed
+ */
+
+const CHAT_ID = { type: 'string', required: true, maxLength: 128 };
+const TIMESTAMP = { type: 'integer', min: 0 };
+
+/**
+ * Schemas for the built-in STA types
+ * @type {Object<string, PayloadSchema>}
+ */
+export const DEFAULT_PAYLOAD_SCHEMAS = Object.freeze({
+  [STA_TYPES.CHAT_USER]: {
+    fields: {
+      chatId: CHAT_ID,
+      text: { type: 'string', required: true, maxLength: 8000 },
+      role: { type: 'string', enum: ['user'] },
+      tags: { type: 'array', maxItems: 32, items: { type: 'string', maxLength: 64 } },
+      focus: { type: 'string', maxLength: 128 }
+    }
+  },
+  [STA_TYPES.AI_ADVICE]: {
+    fields: {
+      chatId: CHAT_ID,
+      selected_character: { type: 'string', maxLength: 64 },
+      mode: { type: 'string', required: true, maxLength: 32 },
+      // Plain strings come from clients that predate the schemas
+      bubbles: { type: 'array', required: true, maxItems: 64, items: { type: ['object', 'string'] } },
+      final: { type: 'boolean' },
+      text: { type: 'string', required: true, maxLength: 20000 },
+      scores: { type: 'object' },
+      votes: { type: 'object' }
+    }
+  },
+  [STA_TYPES.BIZ_DECISION]: {
+    fields: {
+      chatId: { type: 'string', maxLength: 128 },
+      title: { type: 'string', required: true, maxLength: 200 },
+      decision: { type: 'string', required: true, enum: ['ACCEPT', 'REJECT', 'DEFER'] },
+      status: { type: 'string', maxLength: 32 },
+      category: { type: 'string', maxLength: 32 },
+      analysis: { type: 'object' },
+      decidedAt: TIMESTAMP,
+      followUpAt: TIMESTAMP
+    }
+  },
+  [STA_TYPES.BIZ_OUTCOME]: {
+    fields: {
+      decisionSeq: { type: 'integer', required: true, min: 1 },
+      outcome: { type: 'string', required: true, enum: Object.keys(DECISION_OUTCOMES) },
+      evidence: { type: 'string', maxLength: 2000 },
+      metrics: { type: 'object' },
+      nextFollowUpAt: TIMESTAMP,
+      recordedAt: TIMESTAMP
+    }
+  },
+  [STA_TYPES.CHAT_APPEND]: {
+    fields: {
+      text: { type: 'string', maxLength: 8000 }
+    }
+  },
+  [STA_TYPES.CAPSULE_MINT]: {
+    fields: {
+      capsuleId: { type: 'string', required: true, maxLength: 64 },
+      sessionId: { type: 'string', required: true, maxLength: 128 },
+      richScore: { type: 'number', required: true, min: 0, max: 100 },
+      businessScore: { type: 'number', required: true, min: 0, max: 100 },
+      capsuleHash: { type: 'string', required: true, maxLength: 128 },
+      tvmAmount: { type: 'number', min: 0 },
+      mintedAt: TIMESTAMP
+    }
+  },
+  [STA_TYPES.TVM_TRANSFER]: {
+    fields: {
+      to: { type: 'string', required: true, maxLength: 64 },
+      amount: { type: 'number', required: true, min: 0 },
+      memo: { type: 'string', maxLength: 280 },
+      sentAt: TIMESTAMP
+    }
+  },
+  [STA_TYPES.IDENTITY_ROTATE]: {
+    fields: {
+      newPubJwk: { type: 'object', required: true },
+      proof: { type: 'string', required: true },
+      newPqPubKey: { type: 'string' },
+      pqProof: { type: 'string' },
+      reason: { type: 'string', maxLength: 64 }
+    }
+  }
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const registry = new Map(Object.entries(DEFAULT_PAYLOAD_SCHEMAS));
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+/**
+ * Register the payload schema of a custom STA type
+ * Built-in types cannot be replaced; registering a custom type again
+ * replaces its schema.
+ * @param {string} type - e.g. 'acme.invoice'
+ * @param {PayloadSchema} schema
+ */
+export function registerPayloadSchema(type, schema) {
+  if (typeof type !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/.test(type)) {
+    throw new Error(`Invalid STA type: ${type}`);
+  }
+  if (Object.hasOwn(DEFAULT_PAYLOAD_SCHEMAS, type)) {
+    throw new Error(`Cannot replace built-in schema: ${type}`);
+  }
+  if (!schema || typeof schema.fields !== 'object') {
+    throw new Error(`Schema for ${type} needs a fields object`);
+  }
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const types = [].concat(field?.type);
+    if (!types.length || !types.every(t => FIELD_TYPES.includes(t))) {
+      throw new Error(`Invalid type for ${type}.${name}: ${field?.type}`);
+    }
+  }
+  
+  registry.set(type, schema);
+}
+
+/**
+ * Remove a custom STA type
+ * @param {string} type
+ * @returns {boolean} Whether it was registered
+ */
+export function unregisterPayloadSchema(type) {
+  if (Object.hasOwn(DEFAULT_PAYLOAD_SCHEMAS, type)) {
+    return false;
+  }
+  return registry.delete(type);
+}
+
+/**
+ * @param {string} type
+ * @returns {PayloadSchema|null}
+ */
+export function getPayloadSchema(type) {
+  return registry.get(type) || null;
+}
+
+/**
+ * Whether segments of this type are accepted (built-in or registered)
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isRegisteredType(type) {
+  return registry.has(type);
+}
+
+/**
+ * @returns {string[]} Built-in and custom STA types
+ */
+export function getRegisteredTypes() {
+  return [...registry.keys()];
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Type check for one value
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a field schema
+ * @param {any} value - Non-null value
+ * @param {FieldSchema} field
+ * @param {string} path - For messages
+ * @returns {string|null} Problem, or null when valid
+ */
+function checkField(value, field, path) {
+  const types = [].concat(field.type);
+  if (!types.some(t => hasType(value, t))) {
+    return `${path}: expected ${types.join(' or ')}`;
+  }
+  
+  if (field.enum && !field.enum.includes(value)) {
+    return `${path}: must be one of ${field.enum.join(', ')}`;
+  }
+  if (typeof value === 'string' && field.maxLength != null && value.length > field.maxLength) {
+    return `${path}: longer than ${field.maxLength} characters`;
+  }
+  if (typeof value === 'number' && field.min != null && value < field.min) {
+    return `${path}: below ${field.min}`;
+  }
+  if (typeof value === 'number' && field.max != null && value > field.max) {
+    return `${path}: above ${field.max}`;
+  }
+  
+  if (Array.isArray(value)) {
+    if (field.maxItems != null && value.length > field.maxItems) {
+      return `${path}: more than ${field.maxItems} items`;
+    }
+    if (field.items) {
+      for (let i = 0; i < value.length; i++) {
+        const problem = value[i] == null
+          ? `${path}[${i}]: missing`
+          : checkField(value[i], field.items, `${path}[${i}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a payload against the schema of its type
+ * Fields the schema does not list are allowed; null counts as absent.
+ * @param {string} type
+ * @param {any} payload
+ * @returns {{ok: boolean, reason?: string, message?: string}}
+ */
+export function validatePayload(type, payload) {
+  const schema = registry.get(type);
+  if (!schema) {
+    return { ok: false, reason: 'unknown_type', message: `No payload schema for ${type}` };
+  }
+  
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, reason: 'invalid_payload', message: `${type}: payload must be an object` };
+  }
+  
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const value = payload[name];
+    const path = `${type}.${name}`;
+    
+    if (value == null) {
+      if (field.required) {
+        return { ok: false, reason: 'invalid_payload', message: `${path}: required` };
+      }
+      continue;
+    }
+    
+    const problem = checkField(value, field, path);
+    if (problem) {
+      return { ok: false, reason: 'invalid_payload', message: problem };
+    }
+  }
+  
+  return { ok: true };
+}
@@ -4,17 +4,22 @@
 import { 
   PROTOCOL_VERSION, 
   GENESIS_HASH,
-  STA_TYPES 
+  STA_TYPES,
+  DEFAULT_SIGNATURE_ALG,
+  DECISION_FOLLOW_UP_DAYS
 } from './constants.js';
 
 import { 
   randomHex, 
   canonicalize, 
   sha256Hex,
-  sign,
-  computeBlockHash
+  sha256Bytes,
+  computeBlockHash,
+  loadSignatureSuite
 } from './crypto.js';
 
+import { isRegisteredType } from './schemas.js';
+
 // ============================================================================
 // SEGMENT STRUCTURE (Per Specification)
 // ============================================================================
@@ -23,11 +28,14 @@ import {
  * @typedef {Object} SegmentAuthor
  * @property {string} hid - Human ID (HID-XXXXXXXX)
  * @property {Object} pubJwk - Public key JWK for verification
+ * @property {string} [pqPubKey] - Post-quantum public key (base64, hybrid suites)
+ * @property {Object} [livenessProof] - WebAuthn proof bound to the segment
  */
 
 /**
  * @typedef {Object} Segment (STA - State Transition Action)
  * @property {number} v - Protocol version
+ * @property {string} [alg] - Signature suite (absent means ES256)
  * @property {number} seq - Sequence number (counter, monotonically increasing)
  * @property {number} timestamp - UTC timestamp (last_utc)
  * @property {string} nonce - Unique nonce for replay protection
@@ -40,6 +48,7 @@ import {
  * @property {string} current_owner - Current owner HID
  * @property {SegmentAuthor} author - Segment author info
  * @property {string} signature - ECDSA signature
+ * @property {string} [pq_signature] - Post-quantum signature (hybrid suites)
  */
 
 /**
@@ -52,8 +61,12 @@ import {
  * @param {string} params.type - STA type
  * @param {Object} params.payload - Segment payload
  * @param {string} [params.previousOwner] - Previous owner (for transfers)
+ * @param {string} [params.currentOwner] - Current owner (for transfers, defaults to hid)
  * @param {string} [params.unlockerRef] - Unlocker segment reference
  * @param {string} [params.unlockedRef] - Unlocked segment reference
+ * @param {string} [params.alg] - Signature suite
+ * @param {string} [params.pqPubKey] - Post-quantum public key (hybrid suites)
+ * @param {number} [params.timestamp] - Trusted time (default: local clock)
  * @returns {Segment} Unsigned segment
  */
 export function createSegment({
@@ -64,13 +77,23 @@ export function createSegment({
   type,
   payload,
   previousOwner = null,
+  currentOwner = null,
   unlockerRef = null,
-  unlockedRef = null
+  unlockedRef = null,
+  alg = DEFAULT_SIGNATURE_ALG,
+  pqPubKey = null,
+  timestamp = Date.now()
 }) {
+  const author = { hid, pubJwk };
+  if (pqPubKey) {
+    author.pqPubKey = pqPubKey;
+  }
+  
   return {
     v: PROTOCOL_VERSION,
+    alg,
     seq,
-    timestamp: Date.now(),
+    timestamp,
     nonce: randomHex(16),
     type,
     payload,
@@ -78,43 +101,107 @@ export function createSegment({
     unlocker_ref: unlockerRef,
     unlocked_ref: unlockedRef,
     previous_owner: previousOwner,
-    current_owner: hid,
-    author: {
-      hid,
-      pubJwk
-    }
+    current_owner: currentOwner || hid,
+    author
     // signature will be added by signSegment()
   };
 }
 
 /**
- * Get the signable content of a segment (excludes signature)
+ * Get the signable content of a segment (excludes signatures)
  * @param {Segment} segment 
  * @returns {string} Canonical JSON for signing
  */
 export function getSignableContent(segment) {
   const clean = { ...segment };
   delete clean.signature;
+  delete clean.pq_signature;
   return canonicalize(clean);
 }
 
 /**
- * Sign a segment with private key
+ * Sign a segment with the suite named by its alg
  * @param {Segment} segment - Unsigned segment
- * @param {CryptoKey} privateKey - ECDSA private key
+ * @param {CryptoKey|{privateKey: CryptoKey, pqSecretKey?: string}} signer - ECDSA
+ *   private key, or an identity holding the keys the suite needs
  * @returns {Promise<Segment>} Signed segment
  */
-export async function signSegment(segment, privateKey) {
-  const signable = getSignableContent(segment);
-  const signature = await sign(privateKey, signable);
+export async function signSegment(segment, signer) {
+  const suite = await loadSignatureSuite(segment.alg || DEFAULT_SIGNATURE_ALG);
+  if (!suite) {
+    throw new Error(`Unsupported signature suite: ${segment.alg}`);
+  }
+  
+  const keys = signer?.privateKey ? signer : { privateKey: signer };
+  const signatures = await suite.sign(keys, getSignableContent(segment));
+  
+  return {
+    ...segment,
+    ...signatures
+  };
+}
+
+/**
+ * Verify a segment's signatures with the suite named by its alg
+ * Only checks the signatures against the keys in segment.author; whether
+ * those keys belong to the HID is the key history's job.
+ * @param {Segment} segment - Signed segment
+ * @returns {Promise<{ok: boolean, quantumSafe?: boolean, reason?: string, message?: string}>}
+ */
+export async function verifySegmentSignature(segment) {
+  const alg = segment.alg || DEFAULT_SIGNATURE_ALG;
+  const suite = await loadSignatureSuite(alg);
+  
+  if (!suite) {
+    return { ok: false, reason: 'unsupported_alg', message: `Unsupported signature suite: ${alg}` };
+  }
+  
+  try {
+    const valid = await suite.verify(segment.author, getSignableContent(segment), segment);
+    
+    return valid
+      ? { ok: true, quantumSafe: suite.quantumSafe }
+      : { ok: false, reason: 'bad_signature', message: 'Signature verification failed' };
+  } catch (e) {
+    return { ok: false, reason: 'signature_error', message: `Signature verification error: ${e.message}` };
+  }
+}
+
+/**
+ * Derive the WebAuthn challenge for a segment
+ * SHA-256 of the signable content without the liveness proof itself, so
+ * the proof is bound to this exact segment and then covered by the
+ * segment signature.
+ * @param {Segment} segment 
+ * @returns {Promise<Uint8Array>} 32-byte challenge
+ */
+export async function deriveLivenessChallenge(segment) {
+  const { livenessProof, ...author } = segment.author || {};
+  const clean = { ...segment, author };
+  delete clean.signature;
+  delete clean.pq_signature;
+  return await sha256Bytes(new TextEncoder().encode(canonicalize(clean)));
+}
+
+/**
+ * Attach a liveness proof to an unsigned segment
+ * @param {Segment} segment 
+ * @param {Object} proof 
+ * @returns {Segment}
+ */
+export function attachLivenessProof(segment, proof) {
   return {
     ...segment,
-    signature
+    author: {
+      ...segment.author,
+      livenessProof: proof
+    }
   };
 }
 
 /**
  * Compute the hash of a signed segment
+ * Hybrid segments chain over both signatures; ES256 hashes are unchanged.
  * @param {Segment} segment - Signed segment
  * @returns {Promise<string>} Block hash
  */
@@ -123,7 +210,10 @@ export async function computeSegmentHash(segment) {
     throw new Error('Cannot hash unsigned segment');
   }
   const signable = getSignableContent(segment);
-  return await computeBlockHash(signable, segment.signature);
+  const signature = segment.pq_signature
+    ? segment.signature + '|' + segment.pq_signature
+    : segment.signature;
+  return await computeBlockHash(signable, signature);
 }
 
 // ============================================================================
@@ -167,7 +257,7 @@ export function validateSegmentStructure(obj) {
     return { valid: false, reason: 'Invalid nonce' };
   }
   
-  if (typeof obj.type !== 'string' || !Object.values(STA_TYPES).includes(obj.type)) {
+  if (typeof obj.type !== 'string' || !isRegisteredType(obj.type)) {
     return { valid: false, reason: `Invalid type: ${obj.type}` };
   }
   
@@ -226,6 +316,7 @@ export function createChatUserPayload({ chatId, text, tags = [], focus = null })
  * @param {Object[]} params.bubbles - Response bubbles
  * @param {string} params.text - Full text
  * @param {Object} [params.scores] - Scoring data
+ * @param {Object} [params.votes] - Debate vote tally
  * @returns {Object}
  */
 export function createAIAdvicePayload({ 
@@ -234,7 +325,8 @@ export function createAIAdvicePayload({
   mode, 
   bubbles, 
   text,
-  scores = null 
+  scores = null,
+  votes = null
 }) {
   return {
     chatId,
@@ -243,7 +335,8 @@ export function createAIAdvicePayload({
     bubbles,
     final: true,
     text,
-    scores
+    scores,
+    votes
   };
 }
 
@@ -255,6 +348,7 @@ export function createAIAdvicePayload({
  * @param {string} params.decision - ACCEPT/REJECT/DEFER
  * @param {string} params.category - Business category
  * @param {Object} [params.analysis] - Analysis data
+ * @param {number} [params.followUpInDays] - When to ask how it went
  * @returns {Object}
  */
 export function createBizDecisionPayload({ 
@@ -262,8 +356,11 @@ export function createBizDecisionPayload({
   title, 
   decision, 
   category,
-  analysis = null 
+  analysis = null,
+  followUpInDays = DECISION_FOLLOW_UP_DAYS
 }) {
+  const decidedAt = Date.now();
+  
   return {
     chatId,
     title,
@@ -271,7 +368,8 @@ export function createBizDecisionPayload({
     status: 'active',
     category,
     analysis,
-    decidedAt: Date.now()
+    decidedAt,
+    followUpAt: decidedAt + followUpInDays * 24 * 60 * 60 * 1000
   };
 }
 
@@ -282,19 +380,22 @@ export function createBizDecisionPayload({
  * @param {string} params.outcome - SUCCESS/FAILURE/PARTIAL/ABANDONED
  * @param {string} [params.evidence] - Evidence description
  * @param {Object} [params.metrics] - Outcome metrics
+ * @param {number} [params.nextFollowUpAt] - Next reminder after a PARTIAL outcome
  * @returns {Object}
  */
 export function createBizOutcomePayload({ 
   decisionSeq, 
   outcome, 
   evidence = null,
-  metrics = null 
+  metrics = null,
+  nextFollowUpAt = null
 }) {
   return {
     decisionSeq,
     outcome,
     evidence,
     metrics,
+    nextFollowUpAt,
     recordedAt: Date.now()
   };
 }
@@ -327,6 +428,27 @@ export function createCapsuleMintPayload({
   };
 }
 
+/**
+ * Create tvm.transfer payload
+ * @param {Object} params
+ * @param {string} params.to - Recipient HID
+ * @param {number} params.amount - TVM amount to transfer
+ * @param {string} [params.memo] - Optional memo
+ * @returns {Object}
+ */
+export function createTVMTransferPayload({
+  to,
+  amount,
+  memo = null
+}) {
+  return {
+    to,
+    amount,
+    memo,
+    sentAt: Date.now()
+  };
+}
+
 // ============================================================================
 // SEGMENT TYPE UTILITIES
 // ============================================================================
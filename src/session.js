@@ -0,0 +1,299 @@
+// BalanceChain Session Engine
+// Turns completed council sessions into capsules and mints eligible ones
+
+import { STA_TYPES, SESSION_MESSAGE_LIMIT } from './constants.js';
+import {
+  calculateRichScore,
+  calculateBusinessScore,
+  detectMotivator,
+  detectCategory,
+  mintTVM
+} from './tvm.js';
+
+// ============================================================================
+// SESSION ANALYSIS
+// ============================================================================
+
+const RUSH_SIGNALS = ['quick', 'fast', 'now', 'urgent', 'asap', 'today', 'hustle', 'grind', 'desperate', 'broke', 'debt'];
+const RICH_SIGNALS = ['system', 'automate', 'plan', 'invest', 'asset', 'recurring', 'leverage', 'scale', 'delegate', 'process', 'margin', 'long-term'];
+const PROBLEM_TERMS = ['customer', 'price', 'cost', 'revenue', 'margin', 'market', 'profit', 'competitor', 'demand'];
+const ACTION_VERBS = [
+  'list', 'write', 'call', 'set', 'launch', 'test', 'put', 'count', 'calculate', 'pick', 'drop',
+  'automate', 'ship', 'price', 'ask', 'build', 'find', 'track', 'start', 'stop', 'book', 'hire', 'sell', 'measure'
+];
+const MEASURABLE = /\d|\b(minute|hour|day|week|month|year|deadline|schedule)s?\b/i;
+const PHASE_RANK = { rush: 0, transition: 1, rich: 2 };
+
+/**
+ * Count whole-word signals in a text
+ * @param {string} text
+ * @param {string[]} signals
+ * @returns {number}
+ */
+function countSignals(text, signals) {
+  return signals.filter(s => new RegExp(`\\b${s}\\b`, 'i').test(text)).length;
+}
+
+/**
+ * Rush/Rich phase of a run of user messages
+ * @param {Object[]} messages
+ * @returns {'rush'|'transition'|'rich'}
+ */
+function phaseOf(messages) {
+  const text = messages.map(m => m.text || '').join(' ');
+  const rush = countSignals(text, RUSH_SIGNALS);
+  const rich = countSignals(text, RICH_SIGNALS);
+  
+  if (rich > rush) return 'rich';
+  if (rush > rich) return 'rush';
+  return 'transition';
+}
+
+/**
+ * Action steps the council gave: advice sentences that open with a verb
+ * @param {Object[]} advice - ai.advice messages
+ * @returns {string[]}
+ */
+function extractActionSteps(advice) {
+  const steps = new Set();
+  
+  for (const message of advice) {
+    for (const sentence of (message.text || '').split(/(?<=[.!?])\s+|\n+/)) {
+      const first = sentence.trim().split(/\s+/)[0]?.toLowerCase().replace(/[^a-z]/g, '');
+      if (ACTION_VERBS.includes(first)) {
+        steps.add(sentence.trim());
+      }
+    }
+  }
+  
+  return [...steps];
+}
+
+/**
+ * Analyse a session from its chain messages
+ * Produces the fields calculateRichScore/calculateBusinessScore read
+ * (endState, actionPlan, timeAnalysis, decisions, problemStructure)
+ * plus both scores, the motivator and the category.
+ * @param {Object} params
+ * @param {Object[]} params.messages - chat.user / ai.advice message projections
+ * @param {Object[]} [params.decisions] - biz.decision projections in the session
+ * @returns {Object} Analysis for CapsuleManager.createCapsule
+ */
+export function analyzeSession({ messages, decisions = [] }) {
+  const user = messages.filter(m => m.type === STA_TYPES.CHAT_USER);
+  const advice = messages.filter(m => m.type === STA_TYPES.AI_ADVICE);
+  const half = Math.ceil(user.length / 2);
+  
+  const startState = phaseOf(user.slice(0, half));
+  const endState = phaseOf(user.slice(half));
+  
+  const measurable = user.filter(m => MEASURABLE.test(m.text || '')).length;
+  const concrete = user.filter(m => MEASURABLE.test(m.text || '') || countSignals(m.text || '', PROBLEM_TERMS) > 0).length;
+  
+  const analysis = {
+    motivator: detectMotivator(user),
+    category: detectCategory(messages),
+    startState,
+    endState,
+    shift: PHASE_RANK[endState] - PHASE_RANK[startState],
+    actionPlan: { steps: extractActionSteps(advice) },
+    timeAnalysis: {
+      durationMs: messages.length > 1 ? messages[messages.length - 1].ts - messages[0].ts : 0,
+      efficiency: user.length > 0 ? measurable / user.length : 0
+    },
+    decisions: decisions.map(d => ({ seq: d.seq, decision: d.decision })),
+    problemStructure: { clear: user.length > 0 && concrete >= user.length / 2 }
+  };
+  
+  analysis.richScore = calculateRichScore(analysis);
+  analysis.businessScore = calculateBusinessScore(analysis);
+  
+  return analysis;
+}
+
+/**
+ * Split a chat into sessions of SESSION_MESSAGE_LIMIT messages
+ * Sessions are derived from the chain, so their IDs are stable across
+ * reloads and devices.
+ * @param {string} chatId
+ * @param {Object[]} messages - Message projections of the chat, in seq order
+ * @returns {{id: string, chatId: string, messages: Object[], decisions: Object[], complete: boolean, firstSeq: number, lastSeq: number}[]}
+ */
+export function splitSessions(chatId, messages) {
+  const conversation = messages.filter(m => m.type === STA_TYPES.CHAT_USER || m.type === STA_TYPES.AI_ADVICE);
+  const sessions = [];
+  
+  for (let i = 0; i < conversation.length; i += SESSION_MESSAGE_LIMIT) {
+    const chunk = conversation.slice(i, i + SESSION_MESSAGE_LIMIT);
+    const firstSeq = chunk[0].seq;
+    const lastSeq = chunk[chunk.length - 1].seq;
+    
+    sessions.push({
+      id: `SES-${chatId}-${firstSeq}`,
+      chatId,
+      messages: chunk,
+      decisions: messages.filter(m => m.type === STA_TYPES.BIZ_DECISION && m.seq >= firstSeq && m.seq <= lastSeq),
+      complete: chunk.length === SESSION_MESSAGE_LIMIT,
+      firstSeq,
+      lastSeq
+    });
+  }
+  
+  return sessions;
+}
+
+// ============================================================================
+// SESSION ENGINE
+// ============================================================================
+
+export class SessionEngine {
+  /**
+   * @param {Object} params
+   * @param {StateManager} params.state
+   * @param {CapsuleManager} params.capsuleManager
+   * @param {number} [params.ecfScore=1.0] - Owner's ECF, stored on capsules
+   * @param {function(Object): void} [params.onSessionComplete] - Called with each new capsule result
+   */
+  constructor({ state, capsuleManager, ecfScore = 1.0, onSessionComplete = null }) {
+    this.state = state;
+    this.capsuleManager = capsuleManager;
+    this.ecfScore = ecfScore;
+    this.onSessionComplete = onSessionComplete;
+    this.capsuled = null; // sessionIds that already have a capsule
+    this.queue = Promise.resolve(); // serializes capsule creation
+    this.handleCommit = this.handleCommit.bind(this);
+  }
+  
+  /**
+   * Watch commits and capsule sessions as they complete
+   */
+  attach() {
+    this.state.on('commit', this.handleCommit);
+  }
+  
+  /**
+   * Stop watching commits
+   */
+  detach() {
+    this.state.off('commit', this.handleCommit);
+  }
+  
+  /**
+   * @param {{type: string}} event - StateManager commit event
+   */
+  handleCommit({ type }) {
+    if (type !== STA_TYPES.CHAT_USER && type !== STA_TYPES.AI_ADVICE) {
+      return;
+    }
+    
+    this.completeSessions()
+      .then(results => results.forEach(result => this.onSessionComplete?.(result)))
+      .catch(e => console.error('[Session] Capsule creation failed:', e));
+  }
+  
+  /**
+   * Sessions of a chat
+   * @param {string} chatId
+   * @returns {Object[]}
+   */
+  getSessions(chatId) {
+    return splitSessions(chatId, this.state.getMessages(chatId));
+  }
+  
+  /**
+   * Progress of the chat's open session
+   * @param {string} chatId
+   * @returns {{count: number, limit: number, remaining: number}}
+   */
+  getProgress(chatId) {
+    const last = this.getSessions(chatId).at(-1);
+    const count = last && !last.complete ? last.messages.length : 0;
+    return { count, limit: SESSION_MESSAGE_LIMIT, remaining: SESSION_MESSAGE_LIMIT - count };
+  }
+  
+  /**
+   * Create capsules for completed sessions that have none yet
+   * @returns {Promise<{sessionId: string, capsule: Object, eligible: boolean, reason?: string}[]>}
+   */
+  completeSessions() {
+    const run = this.queue.then(() => this.createPendingCapsules());
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * @returns {Promise<Object[]>}
+   */
+  async createPendingCapsules() {
+    const ownerHid = this.state.identity?.hid;
+    if (!ownerHid) {
+      return [];
+    }
+    
+    if (!this.capsuled) {
+      const existing = await this.capsuleManager.getCapsulesByOwner(ownerHid);
+      this.capsuled = new Set(existing.map(c => c.sessionId));
+    }
+    
+    const results = [];
+    
+    for (const chatId of this.state.getChatIds()) {
+      for (const session of this.getSessions(chatId)) {
+        if (!session.complete || this.capsuled.has(session.id)) {
+          continue;
+        }
+        
+        const analysis = {
+          ...analyzeSession({ messages: session.messages, decisions: session.decisions }),
+          ecfScore: this.ecfScore
+        };
+        const created = await this.capsuleManager.createCapsule({
+          sessionId: session.id,
+          ownerHid,
+          messages: session.messages,
+          analysis
+        });
+        this.capsuled.add(session.id);
+        
+        console.log(`[Session] ${session.id} complete: rich=${analysis.richScore} biz=${analysis.businessScore}` +
+          (created.eligible ? '' : ` (${created.reason})`));
+        
+        results.push({ sessionId: session.id, ...created });
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Eligible capsules waiting to be minted, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async getMintable() {
+    const ownerHid = this.state.identity?.hid;
+    const pending = await this.capsuleManager.getPendingCapsules();
+    
+    return pending
+      .filter(c => c.ownerHid === ownerHid && this.capsuleManager.checkEligibility(c).eligible)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+  
+  /**
+   * Mint the oldest eligible capsule
+   * One per call: the chain accepts one block per second.
+   * @returns {Promise<{ok: boolean, capsule?: Object, seq?: number, balance?: number, remaining?: number, reason?: string}>}
+   */
+  async mintNext() {
+    await this.completeSessions();
+    
+    const [capsule, ...rest] = await this.getMintable();
+    if (!capsule) {
+      return { ok: false, reason: 'no_eligible_capsule' };
+    }
+    
+    const result = await mintTVM({ state: this.state, capsuleManager: this.capsuleManager, capsule });
+    return result.ok
+      ? { ...result, capsule, remaining: rest.length }
+      : { ...result, capsule };
+  }
+}
@@ -426,19 +426,22 @@ export class SessionExtractor {
    * @returns {Object[]}
    */
   extractDecisionOutcomes(segments) {
-    const decisions = new Map(); // decisionId -> { decision, outcomes }
+    const decisions = new Map(); // decision seq (or legacy decisionId) -> { decision, outcomes }
     
     for (const segment of segments) {
       if (segment.type === STA_TYPES.BIZ_DECISION) {
-        const id = segment.payload?.decisionId || segment.seq;
-        decisions.set(id, {
+        decisions.set(segment.seq, {
           decision: this.anonymizer.anonymizeSegment(segment),
           outcomes: []
         });
+        if (segment.payload?.decisionId) {
+          decisions.set(segment.payload.decisionId, decisions.get(segment.seq));
+        }
       }
       
-      if (segment.type === STA_TYPES.BIZ_OUTCOME && segment.payload?.decisionRef) {
-        const ref = segment.payload.decisionRef;
+      // Outcomes point at the decision's seq (createBizOutcomePayload)
+      const ref = segment.payload?.decisionSeq ?? segment.payload?.decisionRef;
+      if (segment.type === STA_TYPES.BIZ_OUTCOME && ref != null) {
         if (decisions.has(ref)) {
           decisions.get(ref).outcomes.push(
             this.anonymizer.anonymizeSegment(segment)
@@ -448,7 +451,7 @@ export class SessionExtractor {
     }
     
     // Return decisions with at least one outcome
-    return Array.from(decisions.values())
+    return Array.from(new Set(decisions.values()))
       .filter(d => d.outcomes.length > 0);
   }
 }
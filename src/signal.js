@@ -2,6 +2,7 @@
 // WebSocket signaling client with reconnection and heartbeat
 
 import { randomHex } from './crypto.js';
+import { measureOffset } from './time.js';
 
 // ============================================================================
 // CONSTANTS
@@ -38,12 +39,14 @@ export class SignalClient {
     this.heartbeatTimer = null;
     this.heartbeatPending = false;
     this.lastPong = 0;
+    this.lastPingAt = 0;
     
     // Event handlers
     this.onSignal = null;
     this.onStateChange = null;
     this.onError = null;
     this.onPeersUpdate = null;
+    this.onTimeSample = null; // ({offset, rtt}) when a pong carries serverTime
     
     // Message queue for offline
     this.messageQueue = [];
@@ -166,6 +169,11 @@ export class SignalClient {
         case 'pong':
           this.heartbeatPending = false;
           this.lastPong = Date.now();
+          
+          // Servers that stamp their pongs double as a time source
+          if (Number.isFinite(message.serverTime) && this.onTimeSample) {
+            this.onTimeSample(measureOffset(message.ts ?? this.lastPingAt, message.serverTime, this.lastPong));
+          }
           break;
           
         case 'peers':
@@ -264,7 +272,8 @@ export class SignalClient {
       }
       
       this.heartbeatPending = true;
-      this.sendRaw({ type: 'ping', ts: Date.now() });
+      this.lastPingAt = Date.now();
+      this.sendRaw({ type: 'ping', ts: this.lastPingAt });
       
     }, HEARTBEAT_INTERVAL);
   }
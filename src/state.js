@@ -1,7 +1,14 @@
 // BalanceChain State Module
 // Production-ready chain operations with all STA type handling
 
-import { STORES, STA_TYPES, GENESIS_HASH } from './constants.js';
+import {
+  STORES,
+  STA_TYPES,
+  GENESIS_HASH,
+  DEFAULT_PQ_CUTOVER_SEQ,
+  MIN_BLOCK_INTERVAL_MS,
+  COMMIT_PRIORITY
+} from './constants.js';
 import { 
   sha256Hex, 
   canonicalize 
@@ -19,15 +26,48 @@ import {
 import {
   createSegment,
   signSegment,
+  attachLivenessProof,
   getSignableContent,
   computeSegmentHash,
   isMessageType,
+  affectsCaps,
   getMessageDirection,
   getMessageTag
 } from './segment.js';
+import { consumeCaps } from './caps.js';
 import {
-  validateSegment
+  validateSegment,
+  isLivenessRequired
 } from './validation.js';
+import {
+  applyBalanceDelta,
+  applyTVMSegment,
+  deriveTVMBalances,
+  getTVMDeltas,
+  loadImportedReceipts
+} from './tvm.js';
+import {
+  buildKeyHistory,
+  createKeyHistory,
+  applyKeyRotation,
+  pinPostQuantumKey
+} from './keys.js';
+import {
+  applyDecisionSegment,
+  deriveDecisions,
+  checkOutcome,
+  queryDecisions,
+  getDueFollowUps
+} from './decisions.js';
+import {
+  applyUnlockSegment,
+  deriveUnlockLedger,
+  createUnlockLedger,
+  assignUnlockRefs,
+  getUnlockBalances,
+  getUnlock
+} from './unlocks.js';
+import { TimeService } from './time.js';
 
 // ============================================================================
 // STATE CLASS
@@ -48,6 +88,23 @@ export class StateManager {
     this.messages = new Map(); // chatId -> messages[]
     this.richScore = 0;
     this.businessScore = 0;
+    this.tvmBalances = new Map(); // hid -> balance
+    this.decisions = new Map(); // decision seq -> decision record
+    this.unlockLedger = createUnlockLedger();
+    this.keyHistory = null; // owner signing keys, null until the first segment
+    this.livenessPolicy = null;
+    this.livenessProvider = null; // async (segment) => proof
+    this.livenessCredential = null; // () => registered WebAuthn credential
+    this.pqCutoverSeq = null; // seq from which segments must be quantum-safe
+    this.timeService = null; // trusted time; the local clock when null
+    
+    // Commit queue: one segment per MIN_BLOCK_INTERVAL_MS, in priority order
+    this.commitQueue = []; // { type, payload, options, priority, order, resolve }
+    this.commitOrder = 0;
+    this.activeCommit = null;
+    this.draining = false;
+    this.lastCommitAt = 0; // timestamp of the chain head
+    this.chainLock = Promise.resolve(); // serializes every chain write (see exclusive)
   }
   
   /**
@@ -55,6 +112,11 @@ export class StateManager {
    * @param {Object} [options]
    * @param {Object} [options.identity] - Pre-loaded identity
    * @param {Object} [options.capsTracker] - Caps tracker instance
+   * @param {Object} [options.livenessPolicy] - Which types require a liveness proof
+   * @param {Function} [options.livenessProvider] - async (segment) => liveness proof
+   * @param {Function} [options.livenessCredential] - () => registered WebAuthn credential
+   * @param {number} [options.pqCutoverSeq] - Require a quantum-safe suite from this seq
+   * @param {TimeService} [options.timeService] - Trusted time for segment timestamps
    * @returns {Promise<void>}
    */
   async init(options = {}) {
@@ -73,21 +135,189 @@ export class StateManager {
       this.capsTracker = options.capsTracker;
     }
     
+    // Set liveness hooks if provided
+    this.livenessPolicy = options.livenessPolicy || null;
+    this.livenessProvider = options.livenessProvider || null;
+    this.livenessCredential = options.livenessCredential || null;
+    this.pqCutoverSeq = options.pqCutoverSeq ?? DEFAULT_PQ_CUTOVER_SEQ;
+    this.timeService = options.timeService || null;
+    
     // Rebuild projections from chain
     await this.rebuildProjections();
     
     console.log('[State] Initialized successfully');
   }
   
+  // ============================================================================
+  // COMMIT QUEUE
+  // ============================================================================
+  
   /**
    * Commit a new action to the chain
+   * Actions are queued and committed one at a time, each once its
+   * rate-limit slot arrives; the segment is timestamped and signed then,
+   * so callers never need their own delays.
    * @param {string} type - STA type
    * @param {Object} payload - Action payload
    * @param {Object} [options]
    * @param {string} [options.previousOwner] - For transfers
+   * @param {string} [options.currentOwner] - For transfers (recipient HID)
+   * @param {number} [options.priority=COMMIT_PRIORITY.NORMAL] - Higher commits first
+   * @returns {Promise<{ok: boolean, seq?: number, head?: string, reason?: string}>}
+   */
+  commitAction(type, payload, options = {}) {
+    return new Promise(resolve => {
+      this.commitQueue.push({
+        type,
+        payload,
+        options,
+        priority: options.priority ?? COMMIT_PRIORITY.NORMAL,
+        order: this.commitOrder++,
+        resolve
+      });
+      this.emitQueue();
+      this.drainCommitQueue();
+    });
+  }
+  
+  /**
+   * Commit queued actions until the queue is empty
+   * @returns {Promise<void>}
+   */
+  async drainCommitQueue() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+    
+    try {
+      while (this.commitQueue.length > 0) {
+        // Pick after waiting, so an urgent action queued meanwhile goes first
+        await this.waitForCommitSlot();
+        
+        const job = this.takeNextCommit();
+        this.activeCommit = job;
+        this.emitQueue();
+        
+        let result;
+        try {
+          result = await this.exclusive(() => this.commitNow(job.type, job.payload, job.options));
+        } catch (e) {
+          result = { ok: false, reason: 'commit_error', message: e.message };
+        }
+        
+        this.activeCommit = null;
+        job.resolve(result);
+        this.emitQueue();
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+  
+  /**
+   * Run a chain write with no other write in between
+   * Queued commits, sync, bundle import and fork adoption all read the
+   * head and append against it, so each holds this lock from the read to
+   * the last append.
+   * @template T
+   * @param {function(): Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  exclusive(fn) {
+    const run = this.chainLock.then(() => fn());
+    this.chainLock = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Sleep until MIN_BLOCK_INTERVAL_MS has passed since the chain head
+   * Returns early for a head past the clock tolerance, so commitNow can
+   * report it instead of the queue stalling until trusted time catches up.
+   * @returns {Promise<void>}
+   */
+  async waitForCommitSlot() {
+    let wait;
+    while ((wait = this.lastCommitAt + MIN_BLOCK_INTERVAL_MS - this.now()) > 0) {
+      if (!this.getTimeService().checkHead(this.lastCommitAt).ok) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+  
+  /**
+   * Remove the highest-priority, oldest queued action
+   * @returns {Object}
+   */
+  takeNextCommit() {
+    let next = 0;
+    for (let i = 1; i < this.commitQueue.length; i++) {
+      const job = this.commitQueue[i];
+      const best = this.commitQueue[next];
+      if (job.priority > best.priority || (job.priority === best.priority && job.order < best.order)) {
+        next = i;
+      }
+    }
+    return this.commitQueue.splice(next, 1)[0];
+  }
+  
+  /**
+   * Actions waiting or being committed
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this.commitQueue.length + (this.activeCommit ? 1 : 0);
+  }
+  
+  /**
+   * Estimated time until an action queued now would be committed
+   * @param {number} [priority=COMMIT_PRIORITY.NORMAL]
+   * @returns {number} Milliseconds
+   */
+  estimateCommitWait(priority = COMMIT_PRIORITY.NORMAL) {
+    const ahead = this.commitQueue.filter(job => job.priority >= priority).length +
+      (this.activeCommit ? 1 : 0);
+    const slot = Math.max(0, this.lastCommitAt + MIN_BLOCK_INTERVAL_MS - this.now());
+    
+    return ahead === 0 ? slot : slot + ahead * MIN_BLOCK_INTERVAL_MS;
+  }
+  
+  /**
+   * Time service for timestamps (a local-clock one without trusted time)
+   * @returns {TimeService}
+   */
+  getTimeService() {
+    return this.timeService || new TimeService();
+  }
+  
+  /**
+   * Trusted time (the local clock without a time service)
+   * @returns {number}
+   */
+  now() {
+    return this.timeService ? this.timeService.now() : Date.now();
+  }
+  
+  /**
+   * Tell listeners the queue changed
+   */
+  emitQueue() {
+    this.emit('queue', { depth: this.getQueueDepth(), estimatedWaitMs: this.estimateCommitWait() });
+  }
+  
+  // ============================================================================
+  // APPEND
+  // ============================================================================
+  
+  /**
+   * Create, sign, validate and append a segment now (used by the queue)
+   * @param {string} type
+   * @param {Object} payload
+   * @param {Object} [options] - See commitAction
    * @returns {Promise<{ok: boolean, seq?: number, head?: string, reason?: string}>}
    */
-  async commitAction(type, payload, options = {}) {
+  async commitNow(type, payload, options = {}) {
     if (!this.db) {
       return { ok: false, reason: 'not_initialized' };
     }
@@ -96,29 +326,73 @@ export class StateManager {
       return { ok: false, reason: 'no_identity' };
     }
     
+    // A half-restored chain (see adoptBranch) must not grow
+    if (!this.chainIntegrityOk) {
+      return { ok: false, reason: 'read_only_mode' };
+    }
+    
+    // New timestamps never go below the head, so a head from a fast clock
+    // would fail timestamp_future; report the skew instead
+    const headTime = this.getTimeService().checkHead(this.lastCommitAt);
+    if (!headTime.ok) {
+      console.warn(`[Chain] ${headTime.message}`);
+      return headTime;
+    }
+    
+    // Outcomes must follow an open decision
+    if (type === STA_TYPES.BIZ_OUTCOME) {
+      const check = checkOutcome(this.decisions, payload);
+      if (!check.ok) {
+        return check;
+      }
+    }
+    
     try {
       // Get current chain state
       const prevHash = await getChainHead(this.db);
       const seq = (await getChainLen(this.db)) + 1;
       
       // Create segment
-      const segment = createSegment({
+      let segment = createSegment({
         hid: this.identity.hid,
         pubJwk: this.identity.pubJwk,
         prevHash,
         seq,
         type,
         payload,
-        previousOwner: options.previousOwner || null
+        previousOwner: options.previousOwner || null,
+        currentOwner: options.currentOwner || null,
+        alg: this.identity.alg,
+        pqPubKey: this.identity.pqPublicKey,
+        timestamp: this.timeService ? this.timeService.nextTimestamp(this.lastCommitAt) : Date.now()
       });
       
+      // Name the segment that pays for this one
+      const unlock = assignUnlockRefs(this.unlockLedger, segment);
+      if (!unlock.ok) {
+        return unlock;
+      }
+      segment.unlocker_ref = unlock.unlockerRef;
+      segment.unlocked_ref = unlock.unlockedRef;
+      
+      // Bind a liveness proof before signing so the signature covers it
+      if (this.livenessProvider && isLivenessRequired(type, this.livenessPolicy)) {
+        const proof = await this.livenessProvider(segment);
+        segment = attachLivenessProof(segment, proof);
+      }
+      
       // Sign segment
-      const signedSegment = await signSegment(segment, this.identity.privateKey);
+      const signedSegment = await signSegment(segment, this.identity);
       
       // Validate before appending
       const validation = await validateSegment(this.db, signedSegment, {
         capsTracker: this.capsTracker,
-        skipLivenessCheck: true // TODO: Enable when WebAuthn integrated
+        livenessPolicy: this.livenessPolicy,
+        livenessCredential: this.livenessCredential?.() || null,
+        keyHistory: this.keyHistory,
+        pqCutoverSeq: this.pqCutoverSeq,
+        unlockLedger: this.unlockLedger,
+        timeService: this.timeService
       });
       
       if (!validation.ok) {
@@ -142,6 +416,35 @@ export class StateManager {
     }
   }
   
+  /**
+   * Apply a committed segment to the in-memory projections
+   * @param {Object} sta
+   */
+  applyProjections(sta) {
+    if (isMessageType(sta.type)) {
+      this.addToMessagesProjection(this.createMessageProjection(sta));
+    }
+    
+    this.updateScores(sta);
+    applyTVMSegment(this.tvmBalances, sta);
+    applyDecisionSegment(this.decisions, sta);
+    applyUnlockSegment(this.unlockLedger, sta);
+    
+    // Signing keys follow identity.rotate segments
+    if (!this.keyHistory) {
+      this.keyHistory = createKeyHistory(sta.author.hid, sta.author.pubJwk);
+    }
+    const pin = pinPostQuantumKey(this.keyHistory, sta);
+    if (pin.ok) {
+      this.keyHistory = pin.history;
+    }
+    if (sta.type === STA_TYPES.IDENTITY_ROTATE) {
+      this.keyHistory = applyKeyRotation(this.keyHistory, sta);
+    }
+    
+    this.lastCommitAt = sta.timestamp;
+  }
+  
   /**
    * Append a signed STA to the chain (internal)
    * @param {Object} sta - Signed segment
@@ -155,8 +458,53 @@ export class StateManager {
       STORES.META
     ];
     
+    // Mints and transfers update the balance store in the same transaction
+    // as the append, so the store never runs ahead of the chain
+    const tvmDeltas = getTVMDeltas(sta);
+    if (tvmDeltas.length > 0) {
+      storeNames.push(STORES.TVM_BALANCE);
+    }
+    
+    // Caps are consumed in the same transaction, charged to the author
+    const capsHid = affectsCaps(sta.type) ? sta.author.hid : null;
+    if (capsHid) {
+      storeNames.push(STORES.CAPS);
+    }
+    
+    // Set if the transaction is deliberately aborted
+    let rejection = null;
+    
     try {
+      // Compute new head hash up front; awaiting non-IDB work inside the
+      // transaction would let it auto-commit
+      const newHead = await computeSegmentHash(sta);
+      
       return await withStores(this.db, storeNames, 'readwrite', async (stores, tx) => {
+        // Apply balance changes first so an overdraft aborts before anything is written
+        for (const { hid, delta } of tvmDeltas) {
+          const change = await applyBalanceDelta(stores[STORES.TVM_BALANCE], hid, delta);
+          
+          if (!change.ok) {
+            rejection = {
+              ok: false,
+              reason: change.reason,
+              message: `Balance ${change.balance} is below transfer amount ${-delta}`
+            };
+            tx.abort();
+            return rejection;
+          }
+        }
+        
+        if (capsHid) {
+          const consumed = await consumeCaps(stores[STORES.CAPS], capsHid, sta.timestamp);
+          
+          if (!consumed.ok) {
+            rejection = { ok: false, reason: consumed.reason, message: `Segment at seq ${sta.seq} exceeds caps` };
+            tx.abort();
+            return rejection;
+          }
+        }
+        
         // Add to chain
         stores[STORES.STATE_CHAIN].add(sta);
         
@@ -165,30 +513,34 @@ export class StateManager {
         
         // Project to messages if applicable
         if (isMessageType(sta.type)) {
-          const message = this.createMessageProjection(sta);
-          stores[STORES.MESSAGES].add(message);
-          
-          // Update in-memory projection
-          this.addToMessagesProjection(message);
+          stores[STORES.MESSAGES].add(this.createMessageProjection(sta));
         }
         
-        // Update scores based on payload
-        this.updateScores(sta);
-        
-        // Compute new head hash
-        const signable = getSignableContent(sta);
-        const newHead = await sha256Hex(signable + '|' + sta.signature);
-        
         // Update meta
         stores[STORES.META].put({ key: 'chain_head', value: newHead });
         stores[STORES.META].put({ key: 'chain_len', value: sta.seq });
         
-        console.log(`[Chain] Committed ${sta.type} at seq=${sta.seq}, head=${newHead.slice(0,8)}...`);
-        
         return { ok: true, seq: sta.seq, head: newHead };
+      }).then(result => {
+        // In-memory state only moves once the transaction has committed,
+        // so an aborted append leaves it matching the chain
+        this.applyProjections(sta);
+        
+        // The tracker re-reads the counters written above
+        if (capsHid) {
+          this.capsTracker?.clearCache(capsHid);
+        }
+        
+        console.log(`[Chain] Committed ${sta.type} at seq=${sta.seq}, head=${result.head.slice(0,8)}...`);
+        
+        return result;
       });
       
     } catch (e) {
+      if (rejection) {
+        console.warn('[Chain] Append rejected:', rejection.reason);
+        return rejection;
+      }
       console.error('[Chain] Append failed:', e);
       return { ok: false, reason: 'append_error', message: e.message };
     }
@@ -277,10 +629,22 @@ export class StateManager {
     this.messages.clear();
     this.richScore = 0;
     this.businessScore = 0;
+    this.tvmBalances = new Map();
+    this.decisions = new Map();
+    this.unlockLedger = createUnlockLedger();
+    this.keyHistory = null;
+    this.lastCommitAt = 0;
+    
+    // Balances come from mint/transfer segments plus imported receipts
+    const receipts = this.identity
+      ? await loadImportedReceipts(this.db, this.identity.hid)
+      : [];
     
     const chainLen = await getChainLen(this.db);
     
     if (chainLen === 0) {
+      this.tvmBalances = deriveTVMBalances([], receipts);
+      await this.rebuildCaps();
       console.log('[State] Empty chain, nothing to rebuild');
       return;
     }
@@ -303,9 +667,33 @@ export class StateManager {
       this.updateScores(sta);
     }
     
+    this.tvmBalances = deriveTVMBalances(allSTAs, receipts);
+    this.decisions = deriveDecisions(allSTAs);
+    this.unlockLedger = deriveUnlockLedger(allSTAs);
+    this.lastCommitAt = allSTAs[allSTAs.length - 1].timestamp;
+    
+    // Signing keys follow identity.rotate segments
+    const keys = await buildKeyHistory(allSTAs, allSTAs[0].author.hid);
+    if (!keys.ok) {
+      console.warn(`[State] Key history broken at seq ${keys.seq}: ${keys.reason}`);
+    }
+    this.keyHistory = keys.history;
+    
+    await this.rebuildCaps();
+    
     console.log(`[Rebuild] Processed ${allSTAs.length} STAs, richScore=${this.richScore}`);
   }
   
+  /**
+   * Recompute the owner's caps store from the (possibly rewound) chain
+   * @returns {Promise<void>}
+   */
+  async rebuildCaps() {
+    if (this.capsTracker && this.identity) {
+      await this.capsTracker.rebuildFromChain(this.identity.hid);
+    }
+  }
+  
   /**
    * Get messages for a chat
    * @param {string} chatId 
@@ -315,6 +703,50 @@ export class StateManager {
     return this.messages.get(chatId) || [];
   }
   
+  /**
+   * Get a tracked decision
+   * @param {number} seq - Seq of the biz.decision segment
+   * @returns {Object|null}
+   */
+  getDecision(seq) {
+    return this.decisions.get(seq) || null;
+  }
+  
+  /**
+   * Query tracked decisions, e.g. { status: 'active', olderThanDays: 30 }
+   * @param {Object} [filter] - See queryDecisions
+   * @returns {Object[]}
+   */
+  getDecisions(filter) {
+    return queryDecisions(this.decisions, filter);
+  }
+  
+  /**
+   * Open decisions due for a follow-up
+   * @param {number} [now]
+   * @returns {Object[]}
+   */
+  getDueFollowUps(now) {
+    return getDueFollowUps(this.decisions, now);
+  }
+  
+  /**
+   * Layer 0 / Layer 1 unlock balances of the chain
+   * @returns {Object} See getUnlockBalances in unlocks.js
+   */
+  getUnlockBalances() {
+    return getUnlockBalances(this.unlockLedger);
+  }
+  
+  /**
+   * What unlocked a committed segment
+   * @param {number} seq
+   * @returns {{layer: number, unlockerRef: string}|null}
+   */
+  getUnlock(seq) {
+    return getUnlock(this.unlockLedger, seq);
+  }
+  
   /**
    * Get all chat IDs
    * @returns {string[]}
@@ -339,6 +771,31 @@ export class StateManager {
     return this.businessScore;
   }
   
+  /**
+   * Get chain-derived TVM balance
+   * @param {string} hid 
+   * @returns {number}
+   */
+  getTVMBalance(hid) {
+    return this.tvmBalances.get(hid) || 0;
+  }
+  
+  /**
+   * Get all chain-derived TVM balances
+   * @returns {Map<string, number>}
+   */
+  getTVMBalances() {
+    return new Map(this.tvmBalances);
+  }
+  
+  /**
+   * Get the owner's key history (derived from identity.rotate segments)
+   * @returns {import('./keys.js').KeyHistory|null}
+   */
+  getKeyHistory() {
+    return this.keyHistory;
+  }
+  
   /**
    * Get current theme based on rich score
    * @returns {'coal'|'ember'|'bronze'|'gold'}
@@ -289,7 +289,7 @@ async function getCacheStats() {
 }
 
 // ============================================================================
-// BACKGROUND SYNC (Future Enhancement)
+// BACKGROUND SYNC
 // ============================================================================
 
 self.addEventListener('sync', (event) => {
@@ -302,16 +302,54 @@ self.addEventListener('sync', (event) => {
 
 /**
  * Sync chain data when back online
+ * The worker has no P2P connections or keys, so it asks an open page to
+ * run ChainSync (see listenForServiceWorkerSync in sync.js) and relays
+ * the outcome to every client.
  * @returns {Promise<void>}
  */
 async function syncChain() {
-  // This would sync pending STAs when back online
   console.log('[SW] Chain sync triggered');
   
+  const clients = await self.clients.matchAll({ type: 'window' });
+  
+  if (clients.length === 0) {
+    console.log('[SW] No open clients, skipping chain sync');
+    return;
+  }
+  
+  let result;
+  try {
+    result = await requestClientSync(clients[0]);
+  } catch (error) {
+    result = { ok: false, error: error.message };
+  }
+  
   // Notify clients
-  const clients = await self.clients.matchAll();
   clients.forEach(client => {
-    client.postMessage({ type: 'SYNC_COMPLETE' });
+    client.postMessage({ type: 'SYNC_COMPLETE', payload: result });
+  });
+}
+
+/**
+ * Ask a client to run chain sync and wait for its reply
+ * @param {Client} client 
+ * @param {number} [timeoutMs=60000]
+ * @returns {Promise<Object>}
+ */
+function requestClientSync(client, timeoutMs = 60000) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    
+    const timer = setTimeout(() => {
+      reject(new Error('Client sync timed out'));
+    }, timeoutMs);
+    
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    
+    client.postMessage({ type: 'SYNC_REQUEST' }, [channel.port2]);
   });
 }
 
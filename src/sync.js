@@ -0,0 +1,477 @@
+// BalanceChain Chain Sync Module
+// Converges a user's own devices on one chain over P2P
+
+import { SYNC_BATCH_SIZE, SYNC_TIMEOUT_MS } from './constants.js';
+import { getSTARange } from './idb.js';
+import { validateSegment } from './validation.js';
+import { resolveFork } from './fork.js';
+
+// ============================================================================
+// PROTOCOL MESSAGES
+// ============================================================================
+
+/**
+ * Sync message types (routed via P2PManager.registerHandler('sync', ...))
+ *
+ *   sync.hello    { hid, length, head, reply? }  - exchange chain summaries
+ *   sync.request  { from, to }                   - ask for a seq range
+ *   sync.segments { segments, length }           - range response
+ *   sync.error    { reason, message }            - peer refused
+ */
+export const SYNC_MESSAGES = {
+  HELLO: 'sync.hello',
+  REQUEST: 'sync.request',
+  SEGMENTS: 'sync.segments',
+  ERROR: 'sync.error'
+};
+
+// ============================================================================
+// SYNC PLANNING
+// ============================================================================
+
+/**
+ * @typedef {Object} ChainSummary
+ * @property {string} hid - Chain owner
+ * @property {number} length - Chain length
+ * @property {string} head - Chain head hash
+ */
+
+/**
+ * Decide what to do after exchanging chain summaries
+ * Pulling is the only action taken locally; a peer that is behind pulls
+ * from us on its own side.
+ * @param {ChainSummary} local
+ * @param {ChainSummary} remote
+ * @param {number} [batchSize]
+ * @returns {{action: 'in_sync'|'pull'|'ahead'|'diverged', from?: number, to?: number}}
+ */
+export function planSyncRange(local, remote, batchSize = SYNC_BATCH_SIZE) {
+  if (remote.length === local.length) {
+    return remote.head === local.head
+      ? { action: 'in_sync' }
+      : { action: 'diverged' };
+  }
+  
+  if (remote.length < local.length) {
+    return { action: 'ahead' };
+  }
+  
+  const from = local.length + 1;
+  const to = Math.min(remote.length, local.length + batchSize);
+  
+  return { action: 'pull', from, to };
+}
+
+// ============================================================================
+// CHAIN SYNC CLASS
+// ============================================================================
+
+/**
+ * Syncs the local chain with other devices holding the same identity
+ * Received segments are validated with validateSegment (structure, prev_hash,
+ * sequence, signature, nonce) and appended through StateManager.appendSTA,
+ * so projections stay current. Caps and liveness were enforced on the
+ * device that created the segment and are not re-checked here.
+ *
+ * When the chains have diverged, the peer's full chain is fetched and
+ * handed to resolveFork().
+ */
+export class ChainSync {
+  /**
+   * @param {Object} options
+   * @param {StateManager} options.state - State manager
+   * @param {P2PManager} options.p2p - P2P manager
+   * @param {number} [options.batchSize] - Segments per response
+   * @param {number} [options.timeoutMs] - Per-session timeout
+   * @param {TVMBalanceManager} [options.balanceManager] - Re-synced after fork resolution
+   * @param {function(ForkInfo): Promise<'local'|'remote'|null>} [options.onFork] - Ask the user
+   *   which branch to keep; null falls back to the deterministic rule
+   */
+  constructor(options = {}) {
+    this.state = options.state;
+    this.p2p = options.p2p;
+    this.batchSize = options.batchSize || SYNC_BATCH_SIZE;
+    this.timeoutMs = options.timeoutMs || SYNC_TIMEOUT_MS;
+    this.balanceManager = options.balanceManager || null;
+    this.onFork = options.onFork || null;
+    
+    this.sessions = new Map(); // peerId -> pending sync session
+    this.attached = false;
+  }
+  
+  /**
+   * Start handling sync.* messages
+   */
+  attach() {
+    if (this.attached) return;
+    
+    this.p2p.registerHandler('sync', (peerId, message) => this.handleMessage(peerId, message));
+    this.attached = true;
+  }
+  
+  /**
+   * Stop handling sync.* messages
+   */
+  detach() {
+    this.p2p.unregisterHandler('sync');
+    this.attached = false;
+    
+    for (const peerId of this.sessions.keys()) {
+      this.finish(peerId, { ok: false, reason: 'detached' });
+    }
+  }
+  
+  /**
+   * Get local chain summary
+   * @returns {Promise<ChainSummary>}
+   */
+  async getLocalSummary() {
+    return {
+      hid: this.state.identity.hid,
+      length: await this.state.getChainLen(),
+      head: await this.state.getChainHead()
+    };
+  }
+  
+  /**
+   * Sync with a peer
+   * @param {string} peerId
+   * @returns {Promise<{ok: boolean, peerId: string, status?: string, appended?: number, reason?: string}>}
+   */
+  syncWith(peerId) {
+    if (this.sessions.has(peerId)) {
+      return this.sessions.get(peerId).promise;
+    }
+    
+    const session = { peerId, appended: 0 };
+    
+    session.promise = new Promise((resolve) => {
+      session.resolve = resolve;
+    });
+    
+    session.timer = setTimeout(() => {
+      this.finish(peerId, { ok: false, reason: 'timeout' });
+    }, this.timeoutMs);
+    
+    this.sessions.set(peerId, session);
+    
+    this.sendHello(peerId, false).catch(e => {
+      this.finish(peerId, { ok: false, reason: 'send_failed', message: e.message });
+    });
+    
+    return session.promise;
+  }
+  
+  /**
+   * Sync with every connected peer
+   * @returns {Promise<Object[]>} Per-peer results
+   */
+  async syncAll() {
+    const peers = this.p2p.getConnectedPeers();
+    return await Promise.all(peers.map(peerId => this.syncWith(peerId)));
+  }
+  
+  /**
+   * Handle an incoming sync message
+   * @param {string} peerId
+   * @param {Object} message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(peerId, message) {
+    switch (message.type) {
+      case SYNC_MESSAGES.HELLO:
+        await this.handleHello(peerId, message);
+        break;
+      case SYNC_MESSAGES.REQUEST:
+        await this.handleRequest(peerId, message);
+        break;
+      case SYNC_MESSAGES.SEGMENTS:
+        await this.handleSegments(peerId, message);
+        break;
+      case SYNC_MESSAGES.ERROR:
+        this.finish(peerId, { ok: false, reason: message.reason, message: message.message });
+        break;
+      default:
+        console.warn(`[Sync] Unknown message type: ${message.type}`);
+    }
+  }
+  
+  /**
+   * Handle sync.hello: compare summaries and pull if the peer is ahead
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleHello(peerId, message) {
+    const local = await this.getLocalSummary();
+    
+    // Only devices holding the same identity share a chain
+    if (message.hid !== local.hid) {
+      await this.sendError(peerId, 'identity_mismatch', `Peer chain belongs to ${message.hid}`);
+      this.finish(peerId, { ok: false, reason: 'identity_mismatch' });
+      return;
+    }
+    
+    // Answer the initiator so it can plan its own pull
+    if (!message.reply) {
+      await this.sendHello(peerId, true);
+    }
+    
+    const plan = planSyncRange(local, message, this.batchSize);
+    
+    if (plan.action === 'pull') {
+      this.ensureSession(peerId);
+      await this.p2p.send(peerId, { type: SYNC_MESSAGES.REQUEST, from: plan.from, to: plan.to });
+      return;
+    }
+    
+    if (plan.action === 'diverged') {
+      console.warn(`[Sync] Chain diverged from ${peerId} at length ${local.length}`);
+      await this.startForkFetch(peerId);
+      return;
+    }
+    
+    this.finish(peerId, { ok: true, status: plan.action });
+  }
+  
+  /**
+   * Handle sync.request: send the requested range
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleRequest(peerId, message) {
+    const length = await this.state.getChainLen();
+    const from = Math.max(1, message.from | 0);
+    const to = Math.min(length, message.to | 0, from + this.batchSize - 1);
+    
+    const segments = from <= to
+      ? await getSTARange(this.state.db, from, to)
+      : [];
+    
+    await this.p2p.send(peerId, { type: SYNC_MESSAGES.SEGMENTS, segments, length });
+  }
+  
+  /**
+   * Handle sync.segments: validate and append in order, then continue
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleSegments(peerId, message) {
+    const session = this.ensureSession(peerId);
+    const segments = Array.isArray(message.segments) ? message.segments : [];
+    
+    if (session.fork) {
+      await this.collectForkSegments(peerId, session, segments, message.length);
+      return;
+    }
+    
+    for (const segment of segments) {
+      const result = await this.applySegment(segment);
+      
+      // Peer's next segment doesn't link to our head: the chains forked
+      if (result.reason === 'bad_prev_hash') {
+        console.warn(`[Sync] Chain diverged from ${peerId} before seq ${segment.seq}`);
+        await this.startForkFetch(peerId);
+        return;
+      }
+      
+      if (!result.ok) {
+        console.warn(`[Sync] Rejected seq=${segment?.seq} from ${peerId}:`, result.reason);
+        this.finish(peerId, { ok: false, reason: result.reason, message: result.message });
+        return;
+      }
+      
+      session.appended++;
+    }
+    
+    const local = await this.getLocalSummary();
+    
+    if (segments.length > 0 && message.length > local.length) {
+      const plan = planSyncRange(local, { ...local, length: message.length }, this.batchSize);
+      await this.p2p.send(peerId, { type: SYNC_MESSAGES.REQUEST, from: plan.from, to: plan.to });
+      return;
+    }
+    
+    if (session.appended > 0) {
+      console.log(`[Sync] Pulled ${session.appended} segment(s) from ${peerId}`);
+    }
+    
+    this.finish(peerId, { ok: true, status: session.appended > 0 ? 'pulled' : 'in_sync' });
+  }
+  
+  /**
+   * Start fetching the peer's chain from seq 1 for fork resolution
+   * @param {string} peerId
+   */
+  async startForkFetch(peerId) {
+    const session = this.ensureSession(peerId);
+    session.fork = { segments: [] };
+    
+    await this.p2p.send(peerId, { type: SYNC_MESSAGES.REQUEST, from: 1, to: this.batchSize });
+  }
+  
+  /**
+   * Collect the peer's chain and resolve the fork once complete
+   * @param {string} peerId
+   * @param {Object} session
+   * @param {Object[]} segments
+   * @param {number} remoteLength
+   */
+  async collectForkSegments(peerId, session, segments, remoteLength) {
+    session.fork.segments.push(...segments);
+    const have = session.fork.segments.length;
+    
+    if (segments.length > 0 && remoteLength > have) {
+      const to = Math.min(remoteLength, have + this.batchSize);
+      await this.p2p.send(peerId, { type: SYNC_MESSAGES.REQUEST, from: have + 1, to });
+      return;
+    }
+    
+    const result = await resolveFork({
+      state: this.state,
+      balanceManager: this.balanceManager,
+      remoteSegments: session.fork.segments,
+      choice: this.onFork
+    });
+    
+    this.finish(peerId, {
+      ok: result.ok,
+      status: result.forked ? 'fork_resolved' : 'in_sync',
+      fork: result,
+      reason: result.reason
+    });
+  }
+  
+  /**
+   * Validate and append a received segment
+   * Holds the chain lock so a queued commit can't append in between.
+   * @param {Object} segment
+   * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+   */
+  async applySegment(segment) {
+    const identity = this.state.identity;
+    
+    // The key itself is checked against the key history, which may have
+    // rotated since this device last loaded the identity
+    if (segment?.author?.hid !== identity.hid) {
+      return { ok: false, reason: 'foreign_segment', message: 'Segment not signed by this identity' };
+    }
+    
+    return await this.state.exclusive(() => this.appendReceived(segment));
+  }
+  
+  /**
+   * @param {Object} segment - Segment of this identity
+   * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+   */
+  async appendReceived(segment) {
+    const validation = await validateSegment(this.state.db, segment, {
+      skipLivenessCheck: true,
+      requireLocalCapsule: false,
+      freshTimestamp: false,
+      timeService: this.state.timeService,
+      keyHistory: this.state.keyHistory,
+      pqCutoverSeq: this.state.pqCutoverSeq,
+      unlockLedger: this.state.unlockLedger
+    });
+    
+    if (!validation.ok) {
+      return validation;
+    }
+    
+    return await this.state.appendSTA(segment);
+  }
+  
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+  
+  /**
+   * Send sync.hello
+   * @param {string} peerId
+   * @param {boolean} reply
+   */
+  async sendHello(peerId, reply) {
+    const summary = await this.getLocalSummary();
+    await this.p2p.send(peerId, { type: SYNC_MESSAGES.HELLO, ...summary, reply });
+  }
+  
+  /**
+   * Send sync.error
+   * @param {string} peerId
+   * @param {string} reason
+   * @param {string} message
+   */
+  async sendError(peerId, reason, message) {
+    await this.p2p.send(peerId, { type: SYNC_MESSAGES.ERROR, reason, message });
+  }
+  
+  /**
+   * Get or create a session for a peer-initiated pull
+   * @param {string} peerId
+   * @returns {Object}
+   */
+  ensureSession(peerId) {
+    if (!this.sessions.has(peerId)) {
+      // Responder side: nobody awaits the promise, but progress is tracked
+      const session = { peerId, appended: 0, resolve: () => {} };
+      session.promise = Promise.resolve();
+      session.timer = setTimeout(() => this.finish(peerId, { ok: false, reason: 'timeout' }), this.timeoutMs);
+      this.sessions.set(peerId, session);
+    }
+    return this.sessions.get(peerId);
+  }
+  
+  /**
+   * Resolve and clear a session
+   * @param {string} peerId
+   * @param {Object} result
+   */
+  finish(peerId, result) {
+    const session = this.sessions.get(peerId);
+    if (!session) return;
+    
+    clearTimeout(session.timer);
+    this.sessions.delete(peerId);
+    
+    const final = { peerId, appended: session.appended, ...result };
+    session.resolve(final);
+    
+    if (this.state.emit) {
+      this.state.emit('sync', final);
+    }
+  }
+}
+
+// ============================================================================
+// SERVICE WORKER BRIDGE
+// ============================================================================
+
+/**
+ * Answer background sync requests from the service worker
+ * sw.js posts { type: 'SYNC_REQUEST' } with a MessagePort; the page runs
+ * syncAll() and replies on that port.
+ * @param {ChainSync} chainSync
+ * @returns {function(): void} Unsubscribe function
+ */
+export function listenForServiceWorkerSync(chainSync) {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return () => {};
+  }
+  
+  const listener = async (event) => {
+    if (event.data?.type !== 'SYNC_REQUEST') return;
+    
+    const port = event.ports?.[0];
+    
+    try {
+      const results = await chainSync.syncAll();
+      port?.postMessage({ ok: true, results });
+    } catch (e) {
+      port?.postMessage({ ok: false, error: e.message });
+    }
+  };
+  
+  navigator.serviceWorker.addEventListener('message', listener);
+  
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
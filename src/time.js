@@ -0,0 +1,327 @@
+// BalanceChain Time Service
+// Trusted time from peer and signal server samples, so a wrong local clock cannot backdate segments
+
+import {
+  UTC_TOLERANCE_MS,
+  TIME_SAMPLE_LIMIT,
+  TIME_SAMPLE_MAX_AGE_MS,
+  TIME_SAMPLE_MAX_RTT_MS,
+  TIME_REQUEST_TIMEOUT_MS,
+  TIME_QUORUM
+} from './constants.js';
+import { randomHex } from './crypto.js';
+
+// ============================================================================
+// PROTOCOL MESSAGES
+// ============================================================================
+
+/**
+ * Time message types (routed via P2PManager.registerHandler('time', ...))
+ *
+ *   time.request  { id }        - ask for the peer's clock
+ *   time.response { id, time }  - peer's raw Date.now()
+ *
+ * Peers answer with their raw clock, never their own estimate, so one
+ * drifting device cannot pull the others along.
+ */
+export const TIME_MESSAGES = {
+  REQUEST: 'time.request',
+  RESPONSE: 'time.response'
+};
+
+// ============================================================================
+// SAMPLES
+// ============================================================================
+
+/**
+ * @typedef {Object} TimeSample
+ * @property {string} source - 'signal' or 'peer:<id>'
+ * @property {number} offset - Remote clock minus local clock (ms)
+ * @property {number} rtt - Round trip (ms)
+ * @property {number} at - Local time the sample was taken
+ */
+
+/**
+ * Offset of a remote clock from one request/response round trip
+ * Assumes the reply was stamped halfway through the round trip.
+ * @param {number} sentAt - Local time the request left
+ * @param {number} remoteTime - Remote clock in the reply
+ * @param {number} receivedAt - Local time the reply arrived
+ * @returns {{offset: number, rtt: number}}
+ */
+export function measureOffset(sentAt, remoteTime, receivedAt) {
+  const rtt = Math.max(0, receivedAt - sentAt);
+  return { offset: Math.round(remoteTime - (sentAt + rtt / 2)), rtt };
+}
+
+/**
+ * @param {number[]} values - Non-empty
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// ============================================================================
+// TIME SERVICE CLASS
+// ============================================================================
+
+/**
+ * Estimates how far the local clock is off from the signal server and peers
+ * The estimate is the median of each source's latest sample and needs a
+ * quorum of distinct sources (TIME_QUORUM), so one lying source cannot pull
+ * it outside the range of the honest ones. Short of a quorum the local
+ * clock stands in and the estimate is reported as untrusted.
+ */
+export class TimeService {
+  /**
+   * @param {Object} [options]
+   * @param {P2PManager} [options.p2p] - Answer and send time.* messages
+   * @param {function(): number} [options.clock=Date.now] - Local clock
+   * @param {number} [options.toleranceMs] - Allowed drift of a segment timestamp
+   * @param {number} [options.timeoutMs] - Per time.request timeout
+   * @param {number} [options.quorum] - Distinct sources needed for a trusted estimate
+   */
+  constructor(options = {}) {
+    this.p2p = options.p2p || null;
+    this.clock = options.clock || Date.now;
+    this.toleranceMs = options.toleranceMs ?? UTC_TOLERANCE_MS;
+    this.timeoutMs = options.timeoutMs || TIME_REQUEST_TIMEOUT_MS;
+    this.quorum = options.quorum || TIME_QUORUM;
+    
+    this.samples = []; // newest first
+    this.pending = new Map(); // request id -> { peerId, sentAt, resolve, timer }
+    this.attached = false;
+  }
+  
+  /**
+   * Record a sample
+   * @param {{source: string, offset: number, rtt?: number, at?: number}} sample
+   * @returns {boolean} Whether it was kept
+   */
+  addSample({ source, offset, rtt = 0, at = this.clock() }) {
+    if (typeof source !== 'string' || !Number.isFinite(offset) || !Number.isFinite(rtt)) {
+      return false;
+    }
+    if (rtt > TIME_SAMPLE_MAX_RTT_MS) {
+      console.warn(`[Time] Dropped sample from ${source}: round trip ${rtt}ms`);
+      return false;
+    }
+    
+    this.samples.unshift({ source, offset, rtt, at });
+    this.samples.length = Math.min(this.samples.length, TIME_SAMPLE_LIMIT);
+    return true;
+  }
+  
+  /**
+   * Unexpired samples, newest first
+   * @returns {TimeSample[]}
+   */
+  getSamples() {
+    const cutoff = this.clock() - TIME_SAMPLE_MAX_AGE_MS;
+    return this.samples.filter(s => s.at >= cutoff);
+  }
+  
+  /**
+   * Current estimate of the local clock's error
+   * @returns {{offset: number, trusted: boolean, sources: string[], samples: number}}
+   */
+  getEstimate() {
+    const samples = this.getSamples();
+    
+    const latest = new Map();
+    for (const sample of samples) {
+      if (!latest.has(sample.source)) {
+        latest.set(sample.source, sample);
+      }
+    }
+    
+    if (latest.size < this.quorum) {
+      return { offset: 0, trusted: false, sources: ['local'], samples: samples.length };
+    }
+    
+    return {
+      offset: median([...latest.values()].map(s => s.offset)),
+      trusted: true,
+      sources: [...latest.keys()],
+      samples: samples.length
+    };
+  }
+  
+  /**
+   * Trusted time
+   * @returns {number}
+   */
+  now() {
+    return this.clock() + this.getEstimate().offset;
+  }
+  
+  /**
+   * Timestamp for a new segment: trusted time, never before the previous one
+   * A head ahead of trusted time pulls the result up to it; see checkHead
+   * for when that puts the segment past the tolerance.
+   * @param {number} [previous=0] - Timestamp of the chain head
+   * @returns {number}
+   */
+  nextTimestamp(previous = 0) {
+    return Math.max(this.now(), previous);
+  }
+  
+  /**
+   * Check that the chain head leaves room for a new segment
+   * A head stamped by a fast clock (e.g. synced from another device) more
+   * than toleranceMs ahead makes every new timestamp fail timestamp_future
+   * until trusted time catches up.
+   * @param {number} previous - Timestamp of the chain head
+   * @returns {{ok: boolean, skew: number, reason?: string, message?: string}}
+   */
+  checkHead(previous) {
+    const skew = previous - this.now();
+    
+    if (skew > this.toleranceMs) {
+      return {
+        ok: false,
+        skew,
+        reason: 'head_in_future',
+        message: `Chain head is ${skew}ms ahead of trusted time (max: ${this.toleranceMs}ms); ` +
+                 `new segments can be committed in ${skew - this.toleranceMs}ms`
+      };
+    }
+    
+    return { ok: true, skew: Math.max(0, skew) };
+  }
+  
+  /**
+   * Check a segment timestamp against trusted time
+   * @param {number} timestamp
+   * @param {Object} [options]
+   * @param {number|null} [options.previous] - Timestamp of the segment before
+   * @param {boolean} [options.fresh=true] - Segment is being created now, so it
+   *   may not lie in the past either (synced history may)
+   * @returns {{ok: boolean, reason?: string, message?: string, drift: number}}
+   */
+  checkTimestamp(timestamp, { previous = null, fresh = true } = {}) {
+    const drift = timestamp - this.now();
+    
+    if (previous != null && timestamp < previous) {
+      return { ok: false, reason: 'timestamp_regression', message: `Timestamp ${timestamp} is before the previous segment (${previous})`, drift };
+    }
+    if (drift > this.toleranceMs) {
+      return { ok: false, reason: 'timestamp_future', message: `Timestamp is ${drift}ms ahead of trusted time (max: ${this.toleranceMs}ms)`, drift };
+    }
+    if (fresh && -drift > this.toleranceMs) {
+      return { ok: false, reason: 'timestamp_drift', message: `Timestamp is ${-drift}ms behind trusted time (max: ${this.toleranceMs}ms)`, drift };
+    }
+    
+    return { ok: true, drift };
+  }
+  
+  // ============================================================================
+  // SAMPLING
+  // ============================================================================
+  
+  /**
+   * Start answering time.* messages
+   */
+  attach() {
+    if (this.attached || !this.p2p) return;
+    
+    this.p2p.registerHandler('time', (peerId, message) => this.handleMessage(peerId, message));
+    this.attached = true;
+  }
+  
+  /**
+   * Stop answering time.* messages
+   */
+  detach() {
+    this.p2p?.unregisterHandler('time');
+    this.attached = false;
+    
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id, { ok: false, reason: 'detached' });
+    }
+  }
+  
+  /**
+   * Take samples from the signal server's heartbeat
+   * @param {SignalClient} signalClient
+   */
+  attachSignal(signalClient) {
+    signalClient.onTimeSample = sample => this.addSample({ source: 'signal', ...sample });
+  }
+  
+  /**
+   * Handle a time.* message
+   * @param {string} peerId
+   * @param {Object} message
+   */
+  async handleMessage(peerId, message) {
+    switch (message.type) {
+      case TIME_MESSAGES.REQUEST:
+        await this.p2p.send(peerId, { type: TIME_MESSAGES.RESPONSE, id: message.id, time: this.clock() });
+        break;
+      
+      case TIME_MESSAGES.RESPONSE: {
+        const request = this.pending.get(message.id);
+        if (!request || request.peerId !== peerId || !Number.isFinite(message.time)) {
+          return;
+        }
+        
+        const sample = measureOffset(request.sentAt, message.time, this.clock());
+        const kept = this.addSample({ source: `peer:${peerId}`, ...sample });
+        this.settle(message.id, kept ? { ok: true, ...sample } : { ok: false, reason: 'slow_round_trip', rtt: sample.rtt });
+        break;
+      }
+      
+      default:
+        console.log('[Time] Unknown message type:', message.type);
+    }
+  }
+  
+  /**
+   * Sample one peer's clock
+   * @param {string} peerId
+   * @returns {Promise<{ok: boolean, offset?: number, rtt?: number, reason?: string}>}
+   */
+  samplePeer(peerId) {
+    const id = randomHex(8);
+    
+    const promise = new Promise(resolve => {
+      const timer = setTimeout(() => this.settle(id, { ok: false, reason: 'timeout' }), this.timeoutMs);
+      this.pending.set(id, { peerId, sentAt: this.clock(), resolve, timer });
+    });
+    
+    this.p2p.send(peerId, { type: TIME_MESSAGES.REQUEST, id }).catch(e => {
+      this.settle(id, { ok: false, reason: 'send_failed', message: e.message });
+    });
+    
+    return promise;
+  }
+  
+  /**
+   * Sample every connected peer
+   * @returns {Promise<{offset: number, trusted: boolean, sources: string[], samples: number}>} New estimate
+   */
+  async samplePeers() {
+    if (this.p2p) {
+      await Promise.all(this.p2p.getConnectedPeers().map(peerId => this.samplePeer(peerId)));
+    }
+    return this.getEstimate();
+  }
+  
+  /**
+   * Resolve a pending request
+   * @param {string} id
+   * @param {Object} result
+   */
+  settle(id, result) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    request.resolve(result);
+  }
+}
@@ -0,0 +1,200 @@
+// BalanceChain Topic Classifier
+// Kill switch scoring: weighted topic lexicons against business context
+
+import { KILL_SWITCH_BLOCK_SCORE } from './constants.js';
+
+// ============================================================================
+// LEXICONS
+// ============================================================================
+
+/** Lexicon whose matches count against blocking */
+export const BUSINESS_TOPIC = 'business';
+
+/**
+ * Off-topic lexicons, term -> weight
+ * Terms match whole words (plus a plural s/es); phrases are allowed.
+ * One strong term (1.0) blocks on its own, weak terms need company.
+ * @type {Object<string, Object<string, number>>}
+ */
+export const DEFAULT_TOPIC_LEXICONS = {
+  politics: {
+    election: 1, vote: 0.8, voting: 0.8, democrat: 1, republican: 1, biden: 1, trump: 1,
+    politics: 1, political: 0.8, senate: 0.8, congress: 0.8, parliament: 0.8, president: 0.5
+  },
+  religion: {
+    god: 0.8, jesus: 1, allah: 1, religion: 1, religious: 1, atheist: 1, bible: 1, quran: 1,
+    torah: 1, church: 1, mosque: 1, synagogue: 1, temple: 0.5, pray: 0.8, prayer: 0.8
+  },
+  sports: {
+    football: 1, soccer: 1, nba: 1, nfl: 1, sport: 1, basketball: 1, baseball: 1,
+    'game score': 1, 'world cup': 1, tennis: 0.8, score: 0.3
+  },
+  entertainment: {
+    netflix: 1, movie: 1, film: 0.6, celebrity: 1, 'taylor swift': 1, 'tv show': 0.8
+  },
+  weather: {
+    weather: 1, forecast: 0.6, rain: 0.6, temperature: 0.5
+  },
+  recipes: {
+    recipe: 1, cook: 0.6, cooking: 0.6, bake: 0.6, baking: 0.6, ingredient: 0.6
+  },
+  leisure: {
+    joke: 1, poem: 1, riddle: 1, funny: 0.5
+  },
+  [BUSINESS_TOPIC]: {
+    business: 1, startup: 1, company: 0.8, market: 0.8, marketing: 1, app: 0.8, saas: 1,
+    revenue: 1, profit: 1, sales: 0.8, sell: 1, customer: 0.8, client: 0.6, pricing: 1,
+    price: 0.6, llc: 1, income: 1, money: 0.6, invest: 1, investment: 1, cash: 0.8,
+    margin: 0.8, brand: 0.6, product: 0.6, franchise: 1, freelance: 0.8, budget: 0.8
+  }
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Whole-word pattern for a term or phrase (optional plural)
+ * @param {string} term
+ * @returns {RegExp}
+ */
+function termPattern(term) {
+  const escaped = term.toLowerCase()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  return new RegExp(`\\b${escaped}(?:s|es)?\\b`, 'i');
+}
+
+/**
+ * Merge lexicon overrides into the defaults (weight 0 removes a term)
+ * @param {Object} base
+ * @param {Object} [overrides]
+ * @returns {Object<string, Object<string, number>>}
+ */
+function mergeLexicons(base, overrides = {}) {
+  const merged = {};
+  for (const topic of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+    merged[topic] = { ...base[topic], ...overrides[topic] };
+  }
+  return merged;
+}
+
+// ============================================================================
+// CLASSIFIER
+// ============================================================================
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} term - Matched term or phrase
+ * @property {string} topic - Lexicon, 'allow' or 'deny'
+ * @property {number|null} weight - Null for allow/deny list hits
+ */
+
+/**
+ * @typedef {Object} Classification
+ * @property {boolean} blocked
+ * @property {string|null} topic - Winning off-topic lexicon (or 'deny')
+ * @property {string|null} term - Strongest matched term of that topic
+ * @property {number} score - Off-topic weight
+ * @property {number} businessScore - Business weight
+ * @property {number} confidence - 0..1, share of evidence behind the decision
+ * @property {Evidence[]} evidence - Every match, for auditing false positives
+ */
+
+export class TopicClassifier {
+  /**
+   * @param {Object} [config] - Per-deployment settings
+   * @param {Object<string, Object<string, number>>} [config.lexicons] - Merged into the defaults
+   * @param {string[]} [config.allow] - Phrases that are always allowed
+   * @param {string[]} [config.deny] - Phrases that are always blocked
+   * @param {number} [config.threshold] - Off-topic weight needed to block
+   */
+  constructor(config = {}) {
+    this.threshold = config.threshold ?? KILL_SWITCH_BLOCK_SCORE;
+    this.allow = (config.allow || []).map(term => ({ term, pattern: termPattern(term) }));
+    this.deny = (config.deny || []).map(term => ({ term, pattern: termPattern(term) }));
+    
+    this.terms = [];
+    for (const [topic, terms] of Object.entries(mergeLexicons(DEFAULT_TOPIC_LEXICONS, config.lexicons))) {
+      for (const [term, weight] of Object.entries(terms)) {
+        if (weight > 0) {
+          this.terms.push({ term, topic, weight, pattern: termPattern(term) });
+        }
+      }
+    }
+  }
+  
+  /**
+   * Classify a message
+   * Blocks when the strongest off-topic lexicon reaches the threshold and
+   * outweighs the business context (ties are allowed).
+   * @param {string} message
+   * @returns {Classification}
+   */
+  classify(message) {
+    const text = String(message || '');
+    
+    const allowed = this.allow.find(a => a.pattern.test(text));
+    if (allowed) {
+      return this.listResult(false, allowed.term, 'allow');
+    }
+    
+    const denied = this.deny.find(d => d.pattern.test(text));
+    if (denied) {
+      return this.listResult(true, denied.term, 'deny');
+    }
+    
+    const evidence = this.terms
+      .filter(t => t.pattern.test(text))
+      .map(({ term, topic, weight }) => ({ term, topic, weight }));
+    
+    const scores = {};
+    for (const e of evidence) {
+      scores[e.topic] = (scores[e.topic] || 0) + e.weight;
+    }
+    
+    const businessScore = scores[BUSINESS_TOPIC] || 0;
+    let topic = null;
+    let score = 0;
+    for (const [name, value] of Object.entries(scores)) {
+      if (name !== BUSINESS_TOPIC && value > score) {
+        topic = name;
+        score = value;
+      }
+    }
+    
+    const blocked = score >= this.threshold && score > businessScore;
+    const term = topic
+      ? evidence.filter(e => e.topic === topic).sort((a, b) => b.weight - a.weight)[0].term
+      : null;
+    
+    // Smoothed share of the weight that backs the decision (0.5 = no signal)
+    const support = blocked ? score : businessScore;
+    const against = blocked ? businessScore : score;
+    const confidence = (support + 0.5) / (support + against + 1);
+    
+    const round = value => Math.round(value * 100) / 100;
+    return { blocked, topic, term, score: round(score), businessScore: round(businessScore), confidence: round(confidence), evidence };
+  }
+  
+  /**
+   * Result for an allow/deny list hit
+   * @param {boolean} blocked
+   * @param {string} term
+   * @param {'allow'|'deny'} list
+   * @returns {Classification}
+   */
+  listResult(blocked, term, list) {
+    return {
+      blocked,
+      topic: blocked ? list : null,
+      term,
+      score: 0,
+      businessScore: 0,
+      confidence: 1,
+      evidence: [{ term, topic: list, weight: null }]
+    };
+  }
+}
+
+export const defaultClassifier = new TopicClassifier();
@@ -9,11 +9,20 @@ import {
   MIN_ECF_THRESHOLD,
   TVM_PER_CAPSULE,
   SESSION_MESSAGE_LIMIT,
-  CAPSULE_SIMILARITY_THRESHOLD
+  CAPSULE_SIMILARITY_THRESHOLD,
+  CAPSULE_SHINGLE_SIZE
 } from './constants.js';
 
 import { sha256Hex, randomHex } from './crypto.js';
-import { withStore, reqDone, txDone } from './idb.js';
+import { withStore, withStores, reqDone, txDone, getMeta, getSTABySeq } from './idb.js';
+import {
+  computeSegmentHash,
+  createTVMTransferPayload,
+  validateSegmentStructure
+} from './segment.js';
+import { validateOwnerTransition, validateSignature } from './validation.js';
+import { isValidHid } from './identity.js';
+import { getRotationSegments, mergeRotationSegments, verifyKeyLineage } from './keys.js';
 
 // ============================================================================
 // CAPSULE STRUCTURE
@@ -31,7 +40,9 @@ import { withStore, reqDone, txDone } from './idb.js';
  * @property {string} category - Business category (wheat/tomato)
  * @property {Object} analysis - Full analysis data
  * @property {string} contentHash - Hash of capsule content
+ * @property {number[]} shingles - Shingle hashes of the session text (see shingleText)
  * @property {string} status - pending/minted/rejected
+ * @property {string} [matchedCapsuleId] - Minted capsule a rejected capsule recycles
  * @property {number} createdAt - Creation timestamp
  * @property {number} [mintedAt] - Mint timestamp
  */
@@ -84,6 +95,7 @@ export class CapsuleManager {
       timeAnalysis: analysis.timeAnalysis || null,
       actionPlan: analysis.actionPlan || null,
       contentHash,
+      shingles: shingleText(sessionText(messages)),
       messageCount: messages.length,
       status: 'pending',
       createdAt: Date.now()
@@ -229,27 +241,80 @@ export class CapsuleManager {
     await this.storeCapsule(capsule);
   }
   
+  /**
+   * Mark a capsule as rejected
+   * @param {string} capsuleId 
+   * @param {string} reason 
+   * @param {Object} [details] - Extra fields kept on the capsule
+   * @returns {Promise<void>}
+   */
+  async markRejected(capsuleId, reason, details = {}) {
+    const capsule = await this.getCapsule(capsuleId);
+    if (!capsule) return;
+    
+    Object.assign(capsule, details, { status: 'rejected', rejectionReason: reason });
+    
+    await this.storeCapsule(capsule);
+  }
+  
   /**
    * Find similar capsules for recycling
    * @param {TVMCapsule} capsule 
-   * @returns {Promise<TVMCapsule[]>}
+   * @returns {Promise<TVMCapsule[]>} Minted capsules at or above the threshold, most similar first
    */
   async findSimilarCapsules(capsule) {
+    return (await this.findMatches(capsule)).map(m => m.capsule);
+  }
+  
+  /**
+   * Find the minted capsule a capsule recycles, if any
+   * @param {TVMCapsule} capsule 
+   * @returns {Promise<{capsule: TVMCapsule, similarity: number}|null>}
+   */
+  async findRecycledCapsule(capsule) {
+    return (await this.findMatches(capsule))[0] || null;
+  }
+  
+  /**
+   * Minted capsules at or above CAPSULE_SIMILARITY_THRESHOLD
+   * @param {TVMCapsule} capsule 
+   * @returns {Promise<{capsule: TVMCapsule, similarity: number}[]>}
+   */
+  async findMatches(capsule) {
     const allMinted = await this.getMintedCapsules();
     
-    return allMinted.filter(existing => {
-      const similarity = this.calculateSimilarity(capsule, existing);
-      return similarity >= CAPSULE_SIMILARITY_THRESHOLD;
-    });
+    return allMinted
+      .filter(existing => existing.id !== capsule.id)
+      .map(existing => ({ capsule: existing, similarity: this.calculateSimilarity(capsule, existing) }))
+      .filter(m => m.similarity >= CAPSULE_SIMILARITY_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity);
   }
   
   /**
    * Calculate similarity between two capsules
+   * When both capsules carry shingles, the session text decides (80%) and
+   * the score profile only tips the balance; otherwise the profile alone.
    * @param {TVMCapsule} a 
    * @param {TVMCapsule} b 
    * @returns {number} 0-1 similarity score
    */
   calculateSimilarity(a, b) {
+    const profile = this.calculateProfileSimilarity(a, b);
+    
+    if (!a.shingles?.length || !b.shingles?.length) {
+      return profile;
+    }
+    
+    return 0.8 * jaccardSimilarity(a.shingles, b.shingles) + 0.2 * profile;
+  }
+  
+  /**
+   * Similarity of the score profiles (motivator, category, scores, ECF)
+   * @param {TVMCapsule} a 
+   * @param {TVMCapsule} b 
+   * @returns {number} 0-1 similarity score
+   */
+  calculateProfileSimilarity(a, b) {
     let score = 0;
     let weights = 0;
     
@@ -300,6 +365,62 @@ export class CapsuleManager {
   }
 }
 
+// ============================================================================
+// CONTENT SIMILARITY
+// ============================================================================
+
+/**
+ * Text a capsule is fingerprinted from
+ * The user's own messages carry the idea; council replies are often
+ * templated, so they only count when no message is marked chat.user.
+ * @param {Object[]} messages 
+ * @returns {string}
+ */
+export function sessionText(messages) {
+  const own = messages.filter(m => m.type === STA_TYPES.CHAT_USER);
+  return (own.length > 0 ? own : messages).map(m => m.text || '').join('\n');
+}
+
+/**
+ * Shingle a text: hash every run of CAPSULE_SHINGLE_SIZE words
+ * @param {string} text 
+ * @param {number} [size=CAPSULE_SHINGLE_SIZE]
+ * @returns {number[]} Sorted, unique 32-bit FNV-1a hashes
+ */
+export function shingleText(text, size = CAPSULE_SHINGLE_SIZE) {
+  const words = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const hashes = new Set();
+  
+  // Texts shorter than one shingle still get a single hash
+  const count = words.length > 0 ? Math.max(1, words.length - size + 1) : 0;
+  
+  for (let i = 0; i < count; i++) {
+    const shingle = words.slice(i, i + size).join(' ');
+    let h = 0x811c9dc5;
+    for (let j = 0; j < shingle.length; j++) {
+      h ^= shingle.charCodeAt(j);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    hashes.add(h);
+  }
+  
+  return [...hashes].sort((a, b) => a - b);
+}
+
+/**
+ * Jaccard similarity of two shingle sets
+ * @param {number[]} a 
+ * @param {number[]} b 
+ * @returns {number} 0-1
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  
+  const set = new Set(a);
+  const shared = b.filter(h => set.has(h)).length;
+  return shared / (set.size + b.length - shared);
+}
+
 // ============================================================================
 // TVM BALANCE MANAGER
 // ============================================================================
@@ -322,30 +443,185 @@ export class TVMBalanceManager {
     return record?.balance || 0;
   }
   
+  /**
+   * Get all stored balance records
+   * @returns {Promise<Object[]>}
+   */
+  async getAllBalances() {
+    return await withStore(this.db, STORES.TVM_BALANCE, 'readonly',
+      store => store.getAll()
+    );
+  }
+  
   /**
    * Add TVM to balance (mint)
+   * @deprecated Balances are derived from capsule.mint segments; commit
+   * a capsule.mint instead and StateManager credits the store
    * @param {string} hid 
    * @param {number} amount 
    * @returns {Promise<number>} New balance
    */
   async addBalance(hid, amount) {
+    console.warn('[Deprecated] addBalance is deprecated, balances are derived from the chain');
+    
+    const tx = this.db.transaction([STORES.TVM_BALANCE], 'readwrite');
+    const store = tx.objectStore(STORES.TVM_BALANCE);
+    
+    const result = await applyBalanceDelta(store, hid, amount);
+    
+    await txDone(tx);
+    
+    return result.balance;
+  }
+  
+  /**
+   * Remove TVM from balance, rejecting overdrafts
+   * Chain transfers are debited by StateManager.appendSTA; this is for
+   * callers that manage the balance store directly.
+   * @param {string} hid 
+   * @param {number} amount 
+   * @returns {Promise<{ok: boolean, balance: number, reason?: string}>}
+   */
+  async debitBalance(hid, amount) {
     const tx = this.db.transaction([STORES.TVM_BALANCE], 'readwrite');
     const store = tx.objectStore(STORES.TVM_BALANCE);
     
-    const existing = await reqDone(store.get(hid));
-    const currentBalance = existing?.balance || 0;
-    const newBalance = currentBalance + amount;
+    const result = await applyBalanceDelta(store, hid, -amount);
+    
+    await txDone(tx);
+    
+    return result;
+  }
+  
+  /**
+   * Import a transfer receipt and credit the recipient
+   * @param {Object} receipt - Receipt produced by transferTVM()
+   * @param {string} recipientHid - Expected recipient (this device's HID)
+   * @returns {Promise<{ok: boolean, balance?: number, amount?: number, reason?: string}>}
+   */
+  async importReceipt(receipt, recipientHid) {
+    const senderHid = receipt?.segment?.author?.hid;
+    const knownRotations = await getMeta(this.db, `tvm_rotations:${senderHid}`) || [];
+    const verification = await verifyTransferReceipt(receipt, recipientHid, { knownRotations });
     
-    store.put({
-      id: hid,
-      hid,
-      balance: newBalance,
-      lastUpdated: Date.now()
+    if (!verification.ok) {
+      return verification;
+    }
+    
+    const { hash, amount } = verification;
+    const storeNames = [STORES.TVM_BALANCE, STORES.META];
+    
+    return await withStores(this.db, storeNames, 'readwrite', async (stores) => {
+      const meta = stores[STORES.META];
+      
+      // Each receipt can only be credited once
+      const existing = await reqDone(meta.get(`tvm_receipt:${hash}`));
+      if (existing) {
+        return { ok: false, reason: 'duplicate_receipt' };
+      }
+      
+      const credit = await applyBalanceDelta(stores[STORES.TVM_BALANCE], recipientHid, amount);
+      
+      const list = await reqDone(meta.get(`tvm_receipts:${recipientHid}`));
+      const hashes = list?.value || [];
+      hashes.push(hash);
+      
+      meta.put({
+        key: `tvm_receipt:${hash}`,
+        value: {
+          hash,
+          from: receipt.segment.previous_owner,
+          to: recipientHid,
+          amount,
+          segment: receipt.segment,
+          importedAt: Date.now()
+        }
+      });
+      meta.put({ key: `tvm_receipts:${recipientHid}`, value: hashes });
+      
+      // Remember the sender's rotations for receipts that leave them out
+      const known = mergeRotationSegments(verification.keyRotations, knownRotations);
+      if (known.ok) {
+        meta.put({ key: `tvm_rotations:${senderHid}`, value: known.rotations });
+      }
+      
+      console.log(`[TVM] Imported receipt ${hash.slice(0, 8)}... +${amount} TVM for ${recipientHid}`);
+      
+      return { ok: true, amount, balance: credit.balance };
     });
+  }
+  
+  /**
+   * Overwrite stored balances with chain-derived balances
+   * Used after the chain is rewritten (e.g. fork resolution).
+   * @param {Map<string, number>} derived - From deriveTVMBalances()
+   * @returns {Promise<number>} Number of records written
+   */
+  async repair(derived) {
+    const records = await this.getAllBalances();
+    const hids = new Set([...records.map(r => r.hid), ...derived.keys()]);
+    
+    const tx = this.db.transaction([STORES.TVM_BALANCE], 'readwrite');
+    const store = tx.objectStore(STORES.TVM_BALANCE);
+    
+    for (const hid of hids) {
+      store.put({
+        id: hid,
+        hid,
+        balance: derived.get(hid) || 0,
+        lastUpdated: Date.now()
+      });
+    }
     
     await txDone(tx);
     
-    return newBalance;
+    console.log(`[TVM] Repaired ${hids.size} balance record(s) from chain`);
+    
+    return hids.size;
+  }
+  
+  /**
+   * Compare stored balances against chain-derived balances
+   * @param {Map<string, number>} derived - From deriveTVMBalances()
+   * @returns {Promise<{ok: boolean, mismatches: number, entries: Object[]}>}
+   */
+  async reconcile(derived) {
+    const records = await this.getAllBalances();
+    const stored = new Map(records.map(r => [r.hid, r.balance]));
+    const hids = new Set([...stored.keys(), ...derived.keys()]);
+    
+    const entries = [];
+    
+    for (const hid of hids) {
+      const storedBalance = stored.get(hid) ?? 0;
+      const derivedBalance = derived.get(hid) ?? 0;
+      const delta = roundTVM(storedBalance - derivedBalance);
+      
+      let status = 'match';
+      if (!stored.has(hid)) {
+        status = 'missing';
+      } else if (!derived.has(hid)) {
+        status = delta === 0 ? 'match' : 'orphaned';
+      } else if (delta !== 0) {
+        status = 'mismatch';
+      }
+      
+      entries.push({
+        hid,
+        stored: storedBalance,
+        derived: derivedBalance,
+        delta,
+        status
+      });
+    }
+    
+    const mismatches = entries.filter(e => e.status !== 'match').length;
+    
+    if (mismatches > 0) {
+      console.warn(`[TVM] Reconciliation found ${mismatches} mismatched balance(s)`);
+    }
+    
+    return { ok: mismatches === 0, mismatches, entries };
   }
   
   /**
@@ -382,20 +658,147 @@ export class TVMBalanceManager {
   }
 }
 
+// ============================================================================
+// BALANCE HELPERS
+// ============================================================================
+
+/**
+ * Round a TVM amount to 8 decimals so fractional transfers don't drift
+ * @param {number} amount 
+ * @returns {number}
+ */
+export function roundTVM(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * Get the balance changes a chain segment implies
+ * Mints credit the author a fixed TVM_PER_CAPSULE (the payload amount is
+ * informational). Transfers debit the sender only; the recipient is
+ * credited when they import the receipt on their own device.
+ * @param {Object} sta - Segment
+ * @returns {{hid: string, delta: number}[]}
+ */
+export function getTVMDeltas(sta) {
+  if (sta.type === STA_TYPES.CAPSULE_MINT) {
+    return [{ hid: sta.author.hid, delta: TVM_PER_CAPSULE }];
+  }
+  
+  if (sta.type === STA_TYPES.TVM_TRANSFER) {
+    return [{ hid: sta.previous_owner, delta: -sta.payload.amount }];
+  }
+  
+  return [];
+}
+
+/**
+ * Apply a chain segment to an in-memory balance map
+ * @param {Map<string, number>} balances 
+ * @param {Object} sta 
+ * @returns {Map<string, number>}
+ */
+export function applyTVMSegment(balances, sta) {
+  for (const { hid, delta } of getTVMDeltas(sta)) {
+    balances.set(hid, roundTVM((balances.get(hid) || 0) + delta));
+  }
+  return balances;
+}
+
+/**
+ * Apply an imported receipt to an in-memory balance map
+ * @param {Map<string, number>} balances 
+ * @param {{to: string, amount: number}} receipt - Imported receipt record
+ * @returns {Map<string, number>}
+ */
+export function applyTVMReceipt(balances, { to, amount }) {
+  balances.set(to, roundTVM((balances.get(to) || 0) + amount));
+  return balances;
+}
+
+/**
+ * Derive balances from chain segments and imported receipts
+ * @param {Object[]} segments - Chain segments
+ * @param {Object[]} [receipts] - Imported receipt records
+ * @returns {Map<string, number>} hid -> balance
+ */
+export function deriveTVMBalances(segments, receipts = []) {
+  const balances = new Map();
+  
+  const ordered = [...segments].sort((a, b) => a.seq - b.seq);
+  for (const sta of ordered) {
+    applyTVMSegment(balances, sta);
+  }
+  
+  for (const receipt of receipts) {
+    applyTVMReceipt(balances, receipt);
+  }
+  
+  return balances;
+}
+
+/**
+ * Load receipts imported for a HID
+ * @param {IDBDatabase} db 
+ * @param {string} hid 
+ * @returns {Promise<Object[]>}
+ */
+export async function loadImportedReceipts(db, hid) {
+  const hashes = (await getMeta(db, `tvm_receipts:${hid}`)) || [];
+  const receipts = [];
+  
+  for (const hash of hashes) {
+    const record = await getMeta(db, `tvm_receipt:${hash}`);
+    if (record) {
+      receipts.push(record);
+    }
+  }
+  
+  return receipts;
+}
+
+/**
+ * Apply a balance change inside an open tvm_balance transaction
+ * @param {IDBObjectStore} store - tvm_balance store of an active transaction
+ * @param {string} hid 
+ * @param {number} delta - Positive to credit, negative to debit
+ * @returns {Promise<{ok: boolean, balance: number, reason?: string}>}
+ */
+export async function applyBalanceDelta(store, hid, delta) {
+  const existing = await reqDone(store.get(hid));
+  const currentBalance = existing?.balance || 0;
+  
+  const newBalance = roundTVM(currentBalance + delta);
+  
+  if (newBalance < 0) {
+    return { ok: false, reason: 'insufficient_balance', balance: currentBalance };
+  }
+  
+  store.put({
+    id: hid,
+    hid,
+    balance: newBalance,
+    lastUpdated: Date.now()
+  });
+  
+  return { ok: true, balance: newBalance };
+}
+
 // ============================================================================
 // MINTING FUNCTIONS
 // ============================================================================
 
 /**
  * Mint TVM for an eligible capsule
+ * The balance is credited by StateManager when the capsule.mint segment
+ * is appended.
  * @param {Object} params
  * @param {StateManager} params.state - State manager
  * @param {CapsuleManager} params.capsuleManager - Capsule manager
- * @param {TVMBalanceManager} params.balanceManager - Balance manager
  * @param {TVMCapsule} params.capsule - Capsule to mint
- * @returns {Promise<{ok: boolean, seq?: number, balance?: number, reason?: string}>}
+ * @returns {Promise<{ok: boolean, seq?: number, balance?: number, reason?: string, message?: string,
+ *   matchedCapsuleId?: string, similarity?: number}>}
  */
-export async function mintTVM({ state, capsuleManager, balanceManager, capsule }) {
+export async function mintTVM({ state, capsuleManager, capsule }) {
   // Verify capsule is eligible
   if (capsule.status !== 'pending') {
     return { ok: false, reason: `Capsule status is ${capsule.status}` };
@@ -406,6 +809,23 @@ export async function mintTVM({ state, capsuleManager, balanceManager, capsule }
     return { ok: false, reason: eligibility.reason };
   }
   
+  // The same idea mints once: reject recycled capsules
+  const match = await capsuleManager.findRecycledCapsule(capsule);
+  if (match) {
+    const similarity = Math.round(match.similarity * 100) / 100;
+    await capsuleManager.markRejected(capsule.id, 'capsule_recycled', { matchedCapsuleId: match.capsule.id, similarity });
+    
+    console.warn(`[TVM] Capsule ${capsule.id} recycles ${match.capsule.id} (${Math.round(similarity * 100)}% similar)`);
+    
+    return {
+      ok: false,
+      reason: 'capsule_recycled',
+      message: `${Math.round(similarity * 100)}% similar to minted capsule ${match.capsule.id}`,
+      matchedCapsuleId: match.capsule.id,
+      similarity
+    };
+  }
+  
   // Commit mint action to chain
   const result = await state.commitAction(STA_TYPES.CAPSULE_MINT, {
     capsuleId: capsule.id,
@@ -422,10 +842,9 @@ export async function mintTVM({ state, capsuleManager, balanceManager, capsule }
   // Update capsule status
   await capsuleManager.markMinted(capsule.id, result.seq);
   
-  // Add TVM to balance
-  const newBalance = await balanceManager.addBalance(capsule.ownerHid, TVM_PER_CAPSULE);
+  const newBalance = state.getTVMBalance(state.identity.hid);
   
-  console.log(`[TVM] Minted ${TVM_PER_CAPSULE} TVM for ${capsule.ownerHid}, new balance: ${newBalance}`);
+  console.log(`[TVM] Minted ${TVM_PER_CAPSULE} TVM for ${state.identity.hid}, new balance: ${newBalance}`);
   
   return {
     ok: true,
@@ -434,6 +853,187 @@ export async function mintTVM({ state, capsuleManager, balanceManager, capsule }
   };
 }
 
+// ============================================================================
+// TRANSFER FUNCTIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} TransferReceipt
+ * @property {number} v - Receipt format version
+ * @property {string} hash - Block hash of the transfer segment
+ * @property {Object} segment - Signed tvm.transfer segment
+ * @property {Object[]} [keyRotations] - Sender's identity.rotate segments,
+ *   linking the signing key to the sender's HID
+ */
+
+/**
+ * Transfer TVM to another HID
+ * Commits a signed tvm.transfer segment; the sender is debited in the same
+ * transaction as the chain append.
+ * @param {Object} params
+ * @param {StateManager} params.state - State manager
+ * @param {string} params.to - Recipient HID
+ * @param {number} params.amount - TVM amount
+ * @param {string} [params.memo] - Optional memo
+ * @returns {Promise<{ok: boolean, seq?: number, balance?: number, receipt?: TransferReceipt, reason?: string}>}
+ */
+export async function transferTVM({ state, to, amount, memo = null }) {
+  const from = state.identity?.hid;
+  
+  if (!from) {
+    return { ok: false, reason: 'no_identity' };
+  }
+  
+  if (!isValidHid(to)) {
+    return { ok: false, reason: 'invalid_recipient' };
+  }
+  
+  if (to === from) {
+    return { ok: false, reason: 'same_owner' };
+  }
+  
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return { ok: false, reason: 'invalid_amount' };
+  }
+  
+  // Fail fast before signing; appendSTA re-checks atomically
+  const balance = state.getTVMBalance(from);
+  if (balance < amount) {
+    return { ok: false, reason: 'insufficient_balance', balance };
+  }
+  
+  const result = await state.commitAction(
+    STA_TYPES.TVM_TRANSFER,
+    createTVMTransferPayload({ to, amount, memo }),
+    { previousOwner: from, currentOwner: to }
+  );
+  
+  if (!result.ok) {
+    return { ok: false, reason: result.reason, message: result.message };
+  }
+  
+  const segment = await getSTABySeq(state.db, result.seq);
+  const newBalance = state.getTVMBalance(from);
+  
+  console.log(`[TVM] Transferred ${amount} TVM ${from} -> ${to}, new balance: ${newBalance}`);
+  
+  return {
+    ok: true,
+    seq: result.seq,
+    balance: newBalance,
+    receipt: createTransferReceipt(segment, result.head, getRotationSegments(state.keyHistory))
+  };
+}
+
+/**
+ * Create a transfer receipt for the recipient
+ * @param {Object} segment - Committed tvm.transfer segment
+ * @param {string} hash - Block hash of the segment
+ * @param {Object[]} [keyRotations] - Sender's identity.rotate segments
+ * @returns {TransferReceipt}
+ */
+export function createTransferReceipt(segment, hash, keyRotations = []) {
+  return {
+    v: 1,
+    hash,
+    segment,
+    keyRotations
+  };
+}
+
+/**
+ * Verify a transfer receipt (signature, owner transition and hash)
+ * The sender picks which rotations go in the receipt, so rotations the
+ * recipient already knows of are added before the signing key is checked.
+ * @param {TransferReceipt} receipt 
+ * @param {string} [recipientHid] - Expected recipient
+ * @param {Object} [options]
+ * @param {Object[]} [options.knownRotations] - Sender rotations seen before
+ * @returns {Promise<{ok: boolean, hash?: string, amount?: number, from?: string, keyRotations?: Object[], reason?: string, message?: string}>}
+ */
+export async function verifyTransferReceipt(receipt, recipientHid, { knownRotations = [] } = {}) {
+  const segment = receipt?.segment;
+  
+  if (!segment) {
+    return { ok: false, reason: 'invalid_receipt', message: 'Receipt has no segment' };
+  }
+  
+  const structure = validateSegmentStructure(segment);
+  if (!structure.valid) {
+    return { ok: false, reason: 'invalid_structure', message: structure.reason };
+  }
+  
+  if (segment.type !== STA_TYPES.TVM_TRANSFER) {
+    return { ok: false, reason: 'not_a_transfer', message: `Unexpected type: ${segment.type}` };
+  }
+  
+  if (recipientHid && segment.current_owner !== recipientHid) {
+    return { ok: false, reason: 'wrong_recipient', message: `Receipt is for ${segment.current_owner}` };
+  }
+  
+  const transition = validateOwnerTransition(segment);
+  if (!transition.ok) {
+    return transition;
+  }
+  
+  // The signing key must be the one active at the transfer's seq: the key
+  // the sender's HID was derived from, or the last one it was rotated to
+  const merged = mergeRotationSegments(
+    receipt.keyRotations || [],
+    knownRotations.filter(r => r.seq < segment.seq && r.author?.hid === segment.author.hid)
+  );
+  if (!merged.ok) {
+    return merged;
+  }
+  
+  const lineage = await verifyKeyLineage(segment.author.hid, merged.rotations, segment.author.pubJwk, { atSeq: segment.seq });
+  if (!lineage.ok) {
+    return lineage;
+  }
+  
+  const signature = await validateSignature(segment);
+  if (!signature.ok) {
+    return signature;
+  }
+  
+  const hash = await computeSegmentHash(segment);
+  if (receipt.hash && receipt.hash !== hash) {
+    return { ok: false, reason: 'hash_mismatch', message: 'Receipt hash does not match segment' };
+  }
+  
+  return {
+    ok: true,
+    hash,
+    amount: segment.payload.amount,
+    from: segment.previous_owner,
+    keyRotations: merged.rotations
+  };
+}
+
+/**
+ * Import a transfer receipt on the recipient's device
+ * @param {Object} params
+ * @param {StateManager} params.state - State manager (recipient identity)
+ * @param {TVMBalanceManager} params.balanceManager - Balance manager
+ * @param {TransferReceipt} params.receipt - Receipt from the sender
+ * @returns {Promise<{ok: boolean, balance?: number, amount?: number, reason?: string}>}
+ */
+export async function importTVMReceipt({ state, balanceManager, receipt }) {
+  const hid = state.identity?.hid;
+  
+  if (!hid) {
+    return { ok: false, reason: 'no_identity' };
+  }
+  
+  const result = await balanceManager.importReceipt(receipt, hid);
+  
+  if (result.ok) {
+    applyTVMReceipt(state.tvmBalances, { to: hid, amount: result.amount });
+  }
+  
+  return result;
+}
+
 // ============================================================================
 // ANALYSIS HELPERS
 // ============================================================================
@@ -0,0 +1,272 @@
+// BalanceChain Unlock Ledger
+// Which segment paid for each committed segment: Layer 0 budget first, then Layer 1 unlocks
+
+import { INITIAL_UNLOCKED_SEGMENTS, LAYER_1_UNLOCK_MULTIPLIER } from './constants.js';
+import { affectsCaps } from './segment.js';
+
+// ============================================================================
+// REFERENCES
+// ============================================================================
+//
+// Every caps-affecting segment is unlocked by something that paid for it:
+//
+//   Layer 0  one of the INITIAL_UNLOCKED_SEGMENTS genesis slots
+//            unlocker_ref = '0:L0-<slot>'
+//   Layer 1  an earlier caps-affecting segment (Layer 0 or Layer 1), each
+//            of which unlocks LAYER_1_UNLOCK_MULTIPLIER later ones
+//            (oldest payer first)
+//            unlocker_ref = '<seq>:<nonce>' of the payer
+//
+// Every segment that is unlocked pays for the next ones, so the unlocked
+// balance is INITIAL_UNLOCKED_SEGMENTS plus LAYER_1_UNLOCK_MULTIPLIER per
+// segment used and never runs out. The segment's own position goes in unlocked_ref =
+// '<seq>:L<layer>', so the leading counters always satisfy unlocked > unlocker.
+
+/**
+ * @typedef {Object} UnlockLedger
+ * @property {number} layer0Used - Genesis slots spent
+ * @property {{seq: number, nonce: string, remaining: number}[]} payers - Caps-affecting segments, in seq order
+ * @property {number} head - Index of the oldest payer with unlocks left
+ * @property {number[]} layers - Segments unlocked per layer
+ * @property {Map<number, {layer: number, unlockerRef: string}>} entries - seq -> unlock
+ * @property {boolean} explicit - Whether the chain carries unlock refs yet
+ */
+
+/**
+ * @typedef {Object} UnlockPlan
+ * @property {number} layer - Layer of the segment being unlocked
+ * @property {number} unlockerSeq - 0 for a Layer-0 slot
+ * @property {string} unlockerRef
+ */
+
+/**
+ * Parse a '<counter>:<rest>' reference
+ * @param {string} ref
+ * @returns {{counter: number, rest: string}|null}
+ */
+export function parseUnlockRef(ref) {
+  const match = /^(\d+):(.+)$/.exec(typeof ref === 'string' ? ref : '');
+  return match ? { counter: parseInt(match[1], 10), rest: match[2] } : null;
+}
+
+/**
+ * @param {number} seq
+ * @param {number} layer
+ * @returns {string}
+ */
+export function formatUnlockedRef(seq, layer) {
+  return `${seq}:L${layer}`;
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * @returns {UnlockLedger}
+ */
+export function createUnlockLedger() {
+  return {
+    layer0Used: 0,
+    payers: [],
+    head: 0,
+    layers: [],
+    entries: new Map(),
+    explicit: false
+  };
+}
+
+/**
+ * Who pays for the next caps-affecting segment
+ * @param {UnlockLedger} ledger
+ * @returns {UnlockPlan|null} Null when nothing is left to unlock with
+ */
+export function planUnlock(ledger) {
+  if (ledger.layer0Used < INITIAL_UNLOCKED_SEGMENTS) {
+    return { layer: 0, unlockerSeq: 0, unlockerRef: `0:L0-${ledger.layer0Used + 1}` };
+  }
+  
+  const payer = ledger.payers[ledger.head];
+  if (!payer) {
+    return null;
+  }
+  
+  return { layer: 1, unlockerSeq: payer.seq, unlockerRef: `${payer.seq}:${payer.nonce}` };
+}
+
+/**
+ * Apply a segment to the ledger
+ * Segments from before the ledger carry no refs; they are charged as if
+ * they had followed the plan, so later refs line up on old chains.
+ * @param {UnlockLedger} ledger
+ * @param {Object} sta
+ * @returns {UnlockLedger}
+ */
+export function applyUnlockSegment(ledger, sta) {
+  if (!affectsCaps(sta.type)) {
+    return ledger;
+  }
+  
+  const plan = planUnlock(ledger);
+  if (!plan) {
+    console.warn(`[Unlocks] Nothing left to unlock seq ${sta.seq}`);
+    return ledger;
+  }
+  
+  if (plan.layer === 0) {
+    ledger.layer0Used++;
+  } else {
+    ledger.payers[ledger.head].remaining--;
+    while (ledger.payers[ledger.head]?.remaining === 0) {
+      ledger.head++;
+    }
+  }
+  
+  if (LAYER_1_UNLOCK_MULTIPLIER > 0) {
+    ledger.payers.push({ seq: sta.seq, nonce: sta.nonce, remaining: LAYER_1_UNLOCK_MULTIPLIER });
+  }
+  ledger.layers[plan.layer] = (ledger.layers[plan.layer] || 0) + 1;
+  ledger.entries.set(sta.seq, { layer: plan.layer, unlockerRef: plan.unlockerRef });
+  if (sta.unlocker_ref) {
+    ledger.explicit = true;
+  }
+  
+  return ledger;
+}
+
+/**
+ * Derive the ledger from chain segments
+ * @param {Object[]} segments
+ * @returns {UnlockLedger}
+ */
+export function deriveUnlockLedger(segments) {
+  const ledger = createUnlockLedger();
+  
+  const ordered = [...segments].sort((a, b) => a.seq - b.seq);
+  for (const sta of ordered) {
+    applyUnlockSegment(ledger, sta);
+  }
+  
+  return ledger;
+}
+
+/**
+ * Refs for a segment about to be signed
+ * @param {UnlockLedger} ledger
+ * @param {Object} segment - Unsigned segment (seq and nonce set)
+ * @returns {{ok: boolean, unlockerRef?: string, unlockedRef?: string, reason?: string, message?: string}}
+ */
+export function assignUnlockRefs(ledger, segment) {
+  if (!affectsCaps(segment.type)) {
+    return { ok: true, unlockerRef: null, unlockedRef: null };
+  }
+  
+  const plan = planUnlock(ledger);
+  if (!plan) {
+    return { ok: false, reason: 'unlock_exhausted', message: 'No unlocked segments left' };
+  }
+  
+  return { ok: true, unlockerRef: plan.unlockerRef, unlockedRef: formatUnlockedRef(segment.seq, plan.layer) };
+}
+
+/**
+ * Check a segment's refs against the ledger of the chain before it
+ * The plan is deterministic, so matching it proves the whole lineage:
+ * the payer exists, is older, and had unlocks left.
+ * @param {UnlockLedger} ledger
+ * @param {Object} segment
+ * @returns {{ok: boolean, reason?: string, message?: string}}
+ */
+export function checkUnlockRefs(ledger, segment) {
+  const hasRefs = segment.unlocker_ref != null || segment.unlocked_ref != null;
+  
+  if (!affectsCaps(segment.type)) {
+    return hasRefs
+      ? { ok: false, reason: 'unexpected_refs', message: `${segment.type} segments are not unlocked` }
+      : { ok: true };
+  }
+  
+  // Segments from before the ledger are charged implicitly, never rejected
+  if (!hasRefs) {
+    return ledger.explicit
+      ? { ok: false, reason: 'missing_refs', message: `Seq ${segment.seq} has no unlock refs` }
+      : { ok: true };
+  }
+  
+  const plan = planUnlock(ledger);
+  if (!plan) {
+    return { ok: false, reason: 'unlock_exhausted', message: `Nothing left to unlock seq ${segment.seq}` };
+  }
+  
+  const unlocker = parseUnlockRef(segment.unlocker_ref);
+  const unlocked = parseUnlockRef(segment.unlocked_ref);
+  if (!unlocker || !unlocked) {
+    return { ok: false, reason: 'invalid_refs', message: 'Invalid unlocker/unlocked references' };
+  }
+  
+  if (unlocked.counter !== segment.seq) {
+    return { ok: false, reason: 'invalid_refs', message: `Unlocked ref ${segment.unlocked_ref} is not seq ${segment.seq}` };
+  }
+  if (unlocker.counter >= unlocked.counter) {
+    return {
+      ok: false,
+      reason: 'counter_order',
+      message: `Unlocked counter (${unlocked.counter}) must be > unlocker counter (${unlocker.counter})`
+    };
+  }
+  
+  const expected = formatUnlockedRef(segment.seq, plan.layer);
+  if (segment.unlocker_ref !== plan.unlockerRef || segment.unlocked_ref !== expected) {
+    return {
+      ok: false,
+      reason: 'unlock_mismatch',
+      message: `Seq ${segment.seq} must be unlocked by ${plan.unlockerRef} as ${expected}`
+    };
+  }
+  
+  return { ok: true };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Budgets of Layer 0 and Layer 1
+ * Layer 1 holds everything unlocked by earlier segments,
+ * LAYER_1_UNLOCK_MULTIPLIER for each of them; it grows as segments are used.
+ * @param {UnlockLedger} ledger
+ * @returns {{layer0: {budget: number, used: number, available: number}, layer1: {budget: number, used: number, available: number}, available: number, depth: number}}
+ */
+export function getUnlockBalances(ledger) {
+  const layer1Used = ledger.layers[1] || 0;
+  const layer1Budget = ledger.payers.length * LAYER_1_UNLOCK_MULTIPLIER;
+  
+  const layer0 = {
+    budget: INITIAL_UNLOCKED_SEGMENTS,
+    used: ledger.layer0Used,
+    available: INITIAL_UNLOCKED_SEGMENTS - ledger.layer0Used
+  };
+  const layer1 = {
+    budget: layer1Budget,
+    used: layer1Used,
+    available: layer1Budget - layer1Used
+  };
+  
+  return {
+    layer0,
+    layer1,
+    available: layer0.available + layer1.available,
+    depth: ledger.layers.length
+  };
+}
+
+/**
+ * Unlock record of a committed segment
+ * @param {UnlockLedger} ledger
+ * @param {number} seq
+ * @returns {{layer: number, unlockerRef: string}|null}
+ */
+export function getUnlock(ledger, seq) {
+  return ledger.entries.get(seq) || null;
+}
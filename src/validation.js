@@ -7,25 +7,39 @@ import {
   DAILY_CAP,
   MONTHLY_CAP,
   YEARLY_CAP,
-  GENESIS_HASH
+  STA_TYPES,
+  STORES,
+  DEFAULT_LIVENESS_POLICY,
+  MIN_RICH_SCORE,
+  MIN_BUSINESS_SCORE,
+  CAPSULE_MINT_SCORES_SINCE
 } from './constants.js';
 
 import { 
-  verify, 
-  importPublicKeyJwk,
-  sha256Hex 
+  verifyWebAuthnAssertion
 } from './crypto.js';
 
 import { 
-  getSignableContent, 
-  validateSegmentStructure 
+  validateSegmentStructure,
+  deriveLivenessChallenge,
+  verifySegmentSignature,
+  computeSegmentHash,
+  affectsCaps
 } from './segment.js';
 
+import { advanceKeyHistory, verifyKeyRotation } from './keys.js';
+import { validatePayload } from './schemas.js';
+import { deriveUnlockLedger, applyUnlockSegment, checkUnlockRefs, planUnlock, formatUnlockedRef } from './unlocks.js';
+import { TimeService } from './time.js';
+
 import { 
   getChainHead, 
   getChainLen, 
   nonceExists,
-  getSTABySeq
+  getSTABySeq,
+  getSTAsByType,
+  getAllSTAs,
+  withStore
 } from './idb.js';
 
 // ============================================================================
@@ -37,7 +51,7 @@ import {
  * @property {boolean} ok - Whether validation passed
  * @property {string} [reason] - Failure reason code
  * @property {string} [message] - Human-readable message
- * @property {number} [rule] - Rule number that failed (1-8)
+ * @property {number} [rule] - Rule number that failed (0 for pre-checks, 1-11)
  */
 
 /**
@@ -59,65 +73,362 @@ function pass() {
   return { ok: true };
 }
 
+/**
+ * @typedef {Object} ChainTip
+ * @property {number} seq - Last seq the next segment follows
+ * @property {string} head - Hash the next segment's prev_hash must match
+ * @property {Object|null} segment - The segment at seq
+ */
+
+/**
+ * Tip the next segment must follow: the last segment a batch accepted
+ * (options.tip), otherwise the stored chain head
+ * @param {IDBDatabase} db 
+ * @param {ChainTip|null} [tip]
+ * @returns {Promise<ChainTip>}
+ */
+async function getChainTip(db, tip = null) {
+  if (tip) return tip;
+  
+  const seq = await getChainLen(db);
+  return {
+    seq,
+    head: await getChainHead(db),
+    segment: seq > 0 ? await getSTABySeq(db, seq) : null
+  };
+}
+
+/**
+ * Segment a timestamp must not precede: the batch tip when it sits
+ * right before the segment, otherwise the stored one
+ * @param {IDBDatabase} db 
+ * @param {Object} segment 
+ * @param {ChainTip|null} [tip]
+ * @returns {Promise<Object|null>}
+ */
+async function getPreviousSegment(db, segment, tip = null) {
+  if (segment.seq <= 1) return null;
+  if (tip?.segment && tip.seq === segment.seq - 1) return tip.segment;
+  return getSTABySeq(db, segment.seq - 1);
+}
+
+// ============================================================================
+// RULE TABLE
+// ============================================================================
+
+/**
+ * @typedef {Object} SegmentRule
+ * @property {number} rule - Rule number (0 for pre-checks)
+ * @property {string} name
+ * @property {boolean} [required] - Later rules cannot run when this one fails
+ * @property {function(Object, Object): string|null} [skip] - Why the rule does not apply
+ * @property {function(IDBDatabase, Object, Object): Promise<ValidationResult>|ValidationResult} run
+ * @property {function(IDBDatabase, Object, Object): Promise<Object>} [explain] - Expected/actual
+ *   values and evidence for explainSegment
+ */
+
+/**
+ * Rules in the order validateSegment runs them
+ * @type {SegmentRule[]}
+ */
+const SEGMENT_RULES = [
+  {
+    rule: 0,
+    name: 'structure',
+    required: true,
+    run: (db, segment) => {
+      const check = validateSegmentStructure(segment);
+      return check.valid ? pass() : fail(0, 'invalid_structure', check.reason);
+    }
+  },
+  {
+    rule: 0,
+    name: 'payload',
+    run: (db, segment) => {
+      const check = validatePayload(segment.type, segment.payload);
+      return check.ok ? pass() : fail(0, check.reason, check.message);
+    },
+    explain: async (db, segment) => ({ evidence: { type: segment.type } })
+  },
+  {
+    rule: 1,
+    name: 'counter_relationship',
+    run: (db, segment, options) => validateCounterRelationship(db, segment, options.unlockLedger),
+    explain: async (db, segment, options) => {
+      const ledger = options.unlockLedger || deriveUnlockLedger(await getAllSTAs(db));
+      const plan = affectsCaps(segment.type) ? planUnlock(ledger) : null;
+      return {
+        expected: {
+          unlocker_ref: plan?.unlockerRef ?? null,
+          unlocked_ref: plan ? formatUnlockedRef(segment.seq, plan.layer) : null
+        },
+        actual: { unlocker_ref: segment.unlocker_ref, unlocked_ref: segment.unlocked_ref }
+      };
+    }
+  },
+  {
+    rule: 2,
+    name: 'caps',
+    skip: (segment, options) => options.capsTracker ? null : 'no caps tracker',
+    run: (db, segment, options) => validateCaps(db, segment, options.capsTracker),
+    explain: async (db, segment, options) => {
+      const caps = await options.capsTracker.getCurrentCaps(segment.author?.hid || segment.current_owner);
+      return {
+        expected: { daily: `< ${DAILY_CAP}`, monthly: `< ${MONTHLY_CAP}`, yearly: `< ${YEARLY_CAP}` },
+        actual: { daily: caps.daily, monthly: caps.monthly, yearly: caps.yearly }
+      };
+    }
+  },
+  {
+    rule: 3,
+    name: 'rate_limit',
+    run: (db, segment, options) => validateRateLimit(db, segment, { tip: options.tip }),
+    explain: async (db, segment, options) => {
+      const previous = (await getChainTip(db, options.tip)).segment;
+      return previous?.author?.hid === segment.author?.hid
+        ? { expected: `timestamp >= ${previous.timestamp + MIN_BLOCK_INTERVAL_MS}`, actual: segment.timestamp }
+        : { evidence: { previousAuthor: previous?.author?.hid ?? null } };
+    }
+  },
+  {
+    rule: 4,
+    name: 'liveness',
+    skip: (segment, options) => options.skipLivenessCheck ? 'liveness check disabled' : null,
+    run: (db, segment, options) => validateLiveness(segment, {
+      policy: options.livenessPolicy,
+      credential: options.livenessCredential
+    }),
+    explain: async (db, segment, options) => ({
+      evidence: {
+        required: isLivenessRequired(segment.type, options.livenessPolicy || DEFAULT_LIVENESS_POLICY),
+        proof: !!segment.author?.livenessProof,
+        credential: !!options.livenessCredential
+      }
+    })
+  },
+  {
+    rule: 5,
+    name: 'owner_transition',
+    run: (db, segment) => validateOwnerTransition(segment),
+    explain: async (db, segment) => segment.type === STA_TYPES.TVM_TRANSFER
+      ? {
+        expected: { previous_owner: segment.author?.hid, current_owner: segment.payload?.to },
+        actual: { previous_owner: segment.previous_owner, current_owner: segment.current_owner }
+      }
+      : {}
+  },
+  {
+    rule: 6,
+    name: 'history_hash',
+    run: (db, segment, options) => validateHistoryHash(db, segment, { tip: options.tip }),
+    explain: async (db, segment, options) => ({ expected: (await getChainTip(db, options.tip)).head, actual: segment.prev_hash })
+  },
+  {
+    rule: 7,
+    name: 'sequence',
+    run: (db, segment, options) => validateSequence(db, segment, { tip: options.tip }),
+    explain: async (db, segment, options) => ({ expected: (await getChainTip(db, options.tip)).seq + 1, actual: segment.seq })
+  },
+  {
+    rule: 8,
+    name: 'signature',
+    run: (db, segment, options) => validateSignature(segment, {
+      keyHistory: options.keyHistory,
+      pqCutoverSeq: options.pqCutoverSeq
+    }),
+    explain: async (db, segment, options) => ({
+      evidence: { alg: segment.alg ?? null, pqCutoverSeq: options.pqCutoverSeq ?? null }
+    })
+  },
+  {
+    rule: 9,
+    name: 'nonce',
+    run: (db, segment, options) => validateNonce(db, segment, { seen: options.seenNonces }),
+    explain: async (db, segment) => ({ evidence: { nonce: segment.nonce } })
+  },
+  {
+    rule: 10,
+    name: 'capsule_mint',
+    skip: segment => segment.type === STA_TYPES.CAPSULE_MINT ? null : 'not a capsule.mint',
+    run: (db, segment, options) => validateCapsuleMint(db, segment, {
+      requireLocalCapsule: options.requireLocalCapsule
+    }),
+    explain: async (db, segment) => ({ evidence: { capsuleId: segment.payload?.capsuleId ?? null } })
+  },
+  {
+    rule: 11,
+    name: 'timestamp',
+    run: (db, segment, options) => validateSegmentTime(db, segment, {
+      timeService: options.timeService,
+      fresh: options.freshTimestamp,
+      tip: options.tip
+    }),
+    explain: async (db, segment, options) => {
+      const now = (options.timeService || new TimeService()).now();
+      const previous = await getPreviousSegment(db, segment, options.tip);
+      return {
+        expected: {
+          after: previous?.timestamp ?? null,
+          within: `${now} ± ${UTC_TOLERANCE_MS}ms`
+        },
+        actual: segment.timestamp,
+        evidence: { drift: segment.timestamp - now, fresh: options.freshTimestamp !== false }
+      };
+    }
+  }
+];
+
 // ============================================================================
 // MAIN VALIDATION FUNCTION
 // ============================================================================
 
 /**
- * Validate a segment against all 8 rules
+ * Validate a segment, stopping at the first failing rule
  * @param {IDBDatabase} db - Database instance
  * @param {Object} segment - Segment to validate
  * @param {Object} [options] - Validation options
  * @param {Object} [options.capsTracker] - Caps tracker instance
- * @param {boolean} [options.skipLivenessCheck] - Skip biometric check (for testing)
+ * @param {boolean} [options.skipLivenessCheck] - Skip biometric check (segments
+ *   received from own devices were checked where they were created)
+ * @param {Object} [options.livenessPolicy] - Which types require a proof
+ * @param {Object} [options.livenessCredential] - Registered WebAuthn credential
+ * @param {Object|null} [options.keyHistory] - Owner key history (null for an
+ *   empty chain); when given, the signing key must be the active key
+ * @param {number|null} [options.pqCutoverSeq] - Require a quantum-safe suite from this seq
+ * @param {boolean} [options.requireLocalCapsule=true] - A capsule.mint must reference a
+ *   capsule in this device's store (false for segments minted on own devices)
+ * @param {Object} [options.unlockLedger] - Unlock ledger of the current chain
+ * @param {TimeService} [options.timeService] - Trusted time (default: local clock)
+ * @param {boolean} [options.freshTimestamp=true] - The segment is being created now,
+ *   so it may not lag trusted time (false for synced history)
+ * @param {ChainTip} [options.tip] - Follow this tip instead of the stored head
+ *   (set by validateBatch)
+ * @param {Set<string>} [options.seenNonces] - Nonces already used earlier in
+ *   the batch (set by validateBatch)
  * @returns {Promise<ValidationResult>}
  */
 export async function validateSegment(db, segment, options = {}) {
-  // Pre-check: Structure validation
-  const structureCheck = validateSegmentStructure(segment);
-  if (!structureCheck.valid) {
-    return fail(0, 'invalid_structure', structureCheck.reason);
+  for (const rule of SEGMENT_RULES) {
+    if (rule.skip?.(segment, options)) {
+      continue;
+    }
+    
+    const result = await rule.run(db, segment, options);
+    if (!result.ok) return result;
   }
   
-  // Rule 1: Counter relationship (unlocker.counter > unlocked.counter)
-  const rule1 = await validateCounterRelationship(db, segment);
-  if (!rule1.ok) return rule1;
-  
-  // Rule 2: Caps within limits (daily/monthly/yearly)
-  const rule2 = await validateCaps(db, segment, options.capsTracker);
-  if (!rule2.ok) return rule2;
-  
-  // Rule 3: Rate limit (1 block per second per human)
-  const rule3 = await validateRateLimit(db, segment);
-  if (!rule3.ok) return rule3;
+  return pass();
+}
+
+/**
+ * @typedef {Object} RuleReport
+ * @property {number} rule
+ * @property {string} name
+ * @property {'pass'|'fail'|'skipped'} status
+ * @property {string} [reason] - Failure reason code
+ * @property {string} [message] - Failure message or why the rule was skipped
+ * @property {any} [expected]
+ * @property {any} [actual]
+ * @property {Object} [evidence]
+ */
+
+/**
+ * @typedef {Object} SegmentExplanation
+ * @property {boolean} ok - Whether validateSegment would accept the segment
+ * @property {number|null} seq
+ * @property {string|null} type
+ * @property {RuleReport[]} rules - Every rule, in order
+ * @property {string[]} failures - Names of the failed rules
+ */
+
+/**
+ * Run every rule instead of stopping at the first failure
+ * For debugging imported or synced segments. Takes the same options as
+ * validateSegment; rules that do not apply are reported as skipped, and
+ * nothing runs past a broken structure.
+ * @param {IDBDatabase} db 
+ * @param {Object} segment 
+ * @param {Object} [options] - See validateSegment
+ * @returns {Promise<SegmentExplanation>}
+ */
+export async function explainSegment(db, segment, options = {}) {
+  const rules = [];
+  let blocked = null; // why the remaining rules cannot run
   
-  // Rule 4: Biometric liveness (if not skipped)
-  if (!options.skipLivenessCheck) {
-    const rule4 = await validateLiveness(segment);
-    if (!rule4.ok) return rule4;
+  for (const rule of SEGMENT_RULES) {
+    const entry = { rule: rule.rule, name: rule.name };
+    
+    const skipped = blocked || rule.skip?.(segment, options);
+    if (skipped) {
+      rules.push({ ...entry, status: 'skipped', message: skipped });
+      continue;
+    }
+    
+    let result;
+    try {
+      result = await rule.run(db, segment, options);
+    } catch (e) {
+      result = fail(rule.rule, 'rule_error', e.message);
+    }
+    
+    const details = rule.explain
+      ? await rule.explain(db, segment, options).catch(e => ({ evidence: { error: e.message } }))
+      : {};
+    
+    rules.push(result.ok
+      ? { ...entry, status: 'pass', ...details }
+      : { ...entry, status: 'fail', reason: result.reason, message: result.message, ...details });
+    
+    if (!result.ok && rule.required) {
+      blocked = `${rule.name} check failed`;
+    }
   }
   
-  // Rule 5: Owner transition (current_owner != previous_owner for transfers)
-  const rule5 = validateOwnerTransition(segment);
-  if (!rule5.ok) return rule5;
-  
-  // Rule 6: History hash matches (prev_hash links correctly)
-  const rule6 = await validateHistoryHash(db, segment);
-  if (!rule6.ok) return rule6;
+  const failures = rules.filter(r => r.status === 'fail').map(r => r.name);
   
-  // Rule 7: Sequence validation
-  const rule7 = await validateSequence(db, segment);
-  if (!rule7.ok) return rule7;
-  
-  // Rule 8: Signature verification
-  const rule8 = await validateSignature(segment);
-  if (!rule8.ok) return rule8;
-  
-  // Rule 9: Nonce replay protection
-  const rule9 = await validateNonce(db, segment);
-  if (!rule9.ok) return rule9;
+  return {
+    ok: failures.length === 0,
+    seq: segment?.seq ?? null,
+    type: segment?.type ?? null,
+    rules,
+    failures
+  };
+}
+
+/**
+ * Human-readable report of an explanation
+ * @param {SegmentExplanation} explanation
+ * @param {Object} [options]
+ * @param {boolean} [options.failuresOnly=false] - Leave out passed and skipped rules
+ * @returns {string}
+ */
+export function formatExplanation(explanation, { failuresOnly = false } = {}) {
+  const show = value => typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+  const summary = explanation.ok
+    ? 'valid'
+    : `${explanation.failures.length} of ${explanation.rules.length} checks failed`;
+  const lines = [`Seq ${explanation.seq} (${explanation.type}): ${summary}`];
+  
+  for (const r of explanation.rules) {
+    if (failuresOnly && r.status !== 'fail') {
+      continue;
+    }
+    
+    const label = `Rule ${r.rule} ${r.name}`;
+    if (r.status === 'skipped') {
+      lines.push(`  SKIP ${label}: ${r.message}`);
+      continue;
+    }
+    
+    lines.push(r.status === 'pass' ? `  PASS ${label}` : `  FAIL ${label}: ${r.reason} - ${r.message}`);
+    if (r.status === 'fail') {
+      if (r.expected !== undefined) lines.push(`       expected: ${show(r.expected)}`);
+      if (r.actual !== undefined) lines.push(`       actual:   ${show(r.actual)}`);
+      if (r.evidence !== undefined) lines.push(`       evidence: ${show(r.evidence)}`);
+    }
+  }
   
-  return pass();
+  return lines.join('\n');
 }
 
 // ============================================================================
@@ -126,34 +437,21 @@ export async function validateSegment(db, segment, options = {}) {
 
 /**
  * Rule 1: Validate counter relationship
- * unlocker.counter > unlocked.counter
+ * Each caps-affecting segment names what unlocked it: a Layer-0 slot or an
+ * older segment (unlocked.counter > unlocker.counter), following the
+ * deterministic unlock ledger of the chain before it.
  * @param {IDBDatabase} db 
  * @param {Object} segment 
+ * @param {import('./unlocks.js').UnlockLedger} [ledger] - Ledger of the current
+ *   chain; derived from the chain when omitted
  * @returns {Promise<ValidationResult>}
  */
-export async function validateCounterRelationship(db, segment) {
-  // For segments that reference unlocker/unlocked
-  if (segment.unlocker_ref && segment.unlocked_ref) {
-    // Extract sequence numbers from refs
-    const unlockerSeq = parseInt(segment.unlocker_ref.split(':')[0], 10);
-    const unlockedSeq = parseInt(segment.unlocked_ref.split(':')[0], 10);
-    
-    if (isNaN(unlockerSeq) || isNaN(unlockedSeq)) {
-      return fail(1, 'invalid_refs', 'Invalid unlocker/unlocked references');
-    }
-    
-    if (unlockerSeq <= unlockedSeq) {
-      return fail(1, 'counter_order', 
-        `Unlocker counter (${unlockerSeq}) must be > unlocked counter (${unlockedSeq})`);
-    }
-    
-    // Verify referenced segments exist
-    const unlockerSeg = await getSTABySeq(db, unlockerSeq);
-    const unlockedSeg = await getSTABySeq(db, unlockedSeq);
-    
-    if (!unlockerSeg || !unlockedSeg) {
-      return fail(1, 'missing_refs', 'Referenced segments do not exist');
-    }
+export async function validateCounterRelationship(db, segment, ledger = null) {
+  const unlocks = ledger || deriveUnlockLedger(await getAllSTAs(db));
+  
+  const check = checkUnlockRefs(unlocks, segment);
+  if (!check.ok) {
+    return fail(1, check.reason, check.message);
   }
   
   return pass();
@@ -173,7 +471,8 @@ export async function validateCaps(db, segment, capsTracker) {
     return pass();
   }
   
-  const hid = segment.current_owner;
+  // Caps are charged to the author (current_owner is the recipient on transfers)
+  const hid = segment.author?.hid || segment.current_owner;
   const caps = await capsTracker.getCurrentCaps(hid);
   
   // Check daily cap
@@ -201,15 +500,15 @@ export async function validateCaps(db, segment, capsTracker) {
  * Rule 3: Validate rate limit (1 block per second per human)
  * @param {IDBDatabase} db 
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {ChainTip} [options.tip] - Batch tip to follow instead of the stored head
  * @returns {Promise<ValidationResult>}
  */
-export async function validateRateLimit(db, segment) {
-  const currentSeq = await getChainLen(db);
+export async function validateRateLimit(db, segment, { tip = null } = {}) {
+  const { seq: currentSeq, segment: prevSeg } = await getChainTip(db, tip);
   
   if (currentSeq > 0) {
-    // Get the previous segment by this author
-    const prevSeg = await getSTABySeq(db, currentSeq);
-    
+    // The previous segment, if by this author
     if (prevSeg && prevSeg.author?.hid === segment.author?.hid) {
       const timeDiff = segment.timestamp - prevSeg.timestamp;
       
@@ -223,19 +522,37 @@ export async function validateRateLimit(db, segment) {
   return pass();
 }
 
+/**
+ * Check whether a segment type requires a liveness proof
+ * @param {string} type - STA type
+ * @param {Object} [policy] - Liveness policy
+ * @returns {boolean}
+ */
+export function isLivenessRequired(type, policy = DEFAULT_LIVENESS_POLICY) {
+  return (policy?.requiredTypes || []).includes(type);
+}
+
 /**
  * Rule 4: Validate biometric liveness proof
+ * The proof lives at author.livenessProof and must be a WebAuthn assertion
+ * over deriveLivenessChallenge(segment), signed by the credential
+ * registered for this identity. Types the policy doesn't require may omit
+ * the proof, but a proof that is present must still be valid.
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Liveness policy
+ * @param {Object} [options.credential] - Registered WebAuthn credential
  * @returns {Promise<ValidationResult>}
  */
-export async function validateLiveness(segment) {
-  // Check for liveness proof in payload or author
-  const livenessProof = segment.payload?.livenessProof || segment.author?.livenessProof;
+export async function validateLiveness(segment, options = {}) {
+  const policy = options.policy || DEFAULT_LIVENESS_POLICY;
+  const required = isLivenessRequired(segment.type, policy);
+  const livenessProof = segment.author?.livenessProof;
   
   if (!livenessProof) {
-    // For now, allow segments without liveness proof
-    // In production, this should be required
-    console.warn('[Validation] No liveness proof present');
+    if (required) {
+      return fail(4, 'liveness_required', `${segment.type} requires a liveness proof`);
+    }
     return pass();
   }
   
@@ -244,15 +561,36 @@ export async function validateLiveness(segment) {
     return fail(4, 'invalid_liveness', 'Invalid liveness proof format');
   }
   
-  // Check proof freshness (must be within tolerance)
-  const proofAge = Date.now() - (livenessProof.timestamp || 0);
-  if (proofAge > UTC_TOLERANCE_MS) {
+  // Proof must be made at (roughly) the time of the segment
+  const proofAge = Math.abs(segment.timestamp - (livenessProof.timestamp || 0));
+  const maxAgeMs = policy.maxAgeMs ?? UTC_TOLERANCE_MS;
+  if (proofAge > maxAgeMs) {
     return fail(4, 'stale_liveness', 
-      `Liveness proof too old: ${proofAge}ms (max: ${UTC_TOLERANCE_MS}ms)`);
+      `Liveness proof too old: ${proofAge}ms (max: ${maxAgeMs}ms)`);
+  }
+  
+  if (livenessProof.type !== 'webauthn') {
+    // Timestamp-only proofs carry no biometric evidence
+    if (required) {
+      return fail(4, 'webauthn_required', `${segment.type} requires a WebAuthn liveness proof`);
+    }
+    return pass();
+  }
+  
+  if (!options.credential) {
+    return fail(4, 'no_credential', 'No registered WebAuthn credential to verify against');
   }
   
-  // TODO: Verify actual biometric proof (requires WebAuthn integration)
-  // For now, just check structure is present
+  const challenge = await deriveLivenessChallenge(segment);
+  const result = await verifyWebAuthnAssertion({
+    assertion: livenessProof,
+    challenge,
+    credential: options.credential
+  });
+  
+  if (!result.ok) {
+    return fail(4, result.reason, result.message);
+  }
   
   return pass();
 }
@@ -275,6 +613,23 @@ export function validateOwnerTransition(segment) {
       return fail(5, 'same_owner',
         'Cannot transfer to self');
     }
+    
+    // Only the previous owner can sign away their TVM
+    if (segment.author?.hid !== segment.previous_owner) {
+      return fail(5, 'not_owner',
+        'Transfer must be signed by previous_owner');
+    }
+    
+    if (segment.payload?.to !== segment.current_owner) {
+      return fail(5, 'recipient_mismatch',
+        'Transfer recipient does not match current_owner');
+    }
+    
+    const amount = segment.payload?.amount;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return fail(5, 'invalid_amount',
+        `Invalid transfer amount: ${amount}`);
+    }
   }
   
   return pass();
@@ -284,10 +639,12 @@ export function validateOwnerTransition(segment) {
  * Rule 6: Validate history hash (prev_hash matches chain head)
  * @param {IDBDatabase} db 
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {ChainTip} [options.tip] - Batch tip to follow instead of the stored head
  * @returns {Promise<ValidationResult>}
  */
-export async function validateHistoryHash(db, segment) {
-  const expectedHead = await getChainHead(db);
+export async function validateHistoryHash(db, segment, { tip = null } = {}) {
+  const expectedHead = tip ? tip.head : await getChainHead(db);
   
   if (segment.prev_hash !== expectedHead) {
     return fail(6, 'bad_prev_hash',
@@ -301,10 +658,12 @@ export async function validateHistoryHash(db, segment) {
  * Rule 7: Validate sequence number
  * @param {IDBDatabase} db 
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {ChainTip} [options.tip] - Batch tip to follow instead of the stored head
  * @returns {Promise<ValidationResult>}
  */
-export async function validateSequence(db, segment) {
-  const currentLen = await getChainLen(db);
+export async function validateSequence(db, segment, { tip = null } = {}) {
+  const currentLen = tip ? tip.seq : await getChainLen(db);
   const expectedSeq = currentLen + 1;
   
   if (segment.seq !== expectedSeq) {
@@ -317,38 +676,53 @@ export async function validateSequence(db, segment) {
 
 /**
  * Rule 8: Validate signature
+ * Dispatches on segment.alg. With a key history the signing key must be
+ * the owner's active key, so segments after an identity.rotate verify
+ * under the new key. From the post-quantum cutover seq on, only
+ * quantum-safe (hybrid) suites are accepted.
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {Object|null} [options.keyHistory] - Owner key history
+ * @param {number|null} [options.pqCutoverSeq] - First seq that must be quantum-safe
  * @returns {Promise<ValidationResult>}
  */
-export async function validateSignature(segment) {
-  try {
-    // Import public key from segment author
-    const publicKey = await importPublicKeyJwk(segment.author.pubJwk);
-    
-    // Get signable content
-    const signable = getSignableContent(segment);
-    
-    // Verify signature
-    const valid = await verify(publicKey, signable, segment.signature);
-    
-    if (!valid) {
-      return fail(8, 'bad_signature', 'Signature verification failed');
+export async function validateSignature(segment, options = {}) {
+  if (options.keyHistory !== undefined) {
+    const hid = options.keyHistory?.hid ?? segment.author.hid;
+    const keyCheck = await advanceKeyHistory(options.keyHistory, segment, hid);
+    if (!keyCheck.ok) {
+      return fail(8, keyCheck.reason, keyCheck.message);
+    }
+  } else if (segment.type === STA_TYPES.IDENTITY_ROTATE) {
+    const rotation = await verifyKeyRotation(segment, segment.author.pubJwk, segment.author.pqPubKey ?? null);
+    if (!rotation.ok) {
+      return fail(8, rotation.reason, rotation.message);
     }
-    
-    return pass();
-  } catch (e) {
-    return fail(8, 'signature_error', `Signature verification error: ${e.message}`);
   }
+  
+  const result = await verifySegmentSignature(segment);
+  if (!result.ok) {
+    return fail(8, result.reason, result.message);
+  }
+  
+  if (options.pqCutoverSeq != null && segment.seq >= options.pqCutoverSeq && !result.quantumSafe) {
+    return fail(8, 'pq_signature_required',
+      `Seq ${segment.seq} must use a quantum-safe suite (cutover at ${options.pqCutoverSeq})`);
+  }
+  
+  return pass();
 }
 
 /**
  * Rule 9: Validate nonce (replay protection)
  * @param {IDBDatabase} db 
  * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {Set<string>} [options.seen] - Nonces of segments earlier in the batch
  * @returns {Promise<ValidationResult>}
  */
-export async function validateNonce(db, segment) {
-  const exists = await nonceExists(db, segment.nonce);
+export async function validateNonce(db, segment, { seen = null } = {}) {
+  const exists = seen?.has(segment.nonce) || await nonceExists(db, segment.nonce);
   
   if (exists) {
     return fail(9, 'replay_nonce', 'Nonce already used (replay attack)');
@@ -357,17 +731,133 @@ export async function validateNonce(db, segment) {
   return pass();
 }
 
+/**
+ * Rule 10: Validate a capsule.mint against its capsule
+ * Other segment types pass. The capsule store is local to the device that
+ * created the capsule, so segments synced from own devices may reference a
+ * capsule this device has never seen; those are checked on the payload only.
+ * @param {IDBDatabase} db 
+ * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {boolean} [options.requireLocalCapsule=true]
+ * @returns {Promise<ValidationResult>}
+ */
+export async function validateCapsuleMint(db, segment, { requireLocalCapsule = true } = {}) {
+  if (segment.type !== STA_TYPES.CAPSULE_MINT) {
+    return pass();
+  }
+  
+  const capsuleId = segment.payload?.capsuleId;
+  const capsule = capsuleId
+    ? await withStore(db, STORES.CAPSULES, 'readonly', store => store.get(capsuleId))
+    : null;
+  
+  if (!capsule && capsuleId && requireLocalCapsule) {
+    return fail(10, 'unknown_capsule', `Capsule ${capsuleId} does not exist`);
+  }
+  if (capsule && requireLocalCapsule && capsule.status !== 'pending') {
+    return fail(10, 'capsule_not_pending', `Capsule ${capsuleId} is ${capsule.status}`);
+  }
+  
+  const priorMints = (await getSTAsByType(db, STA_TYPES.CAPSULE_MINT))
+    .filter(s => s.seq < segment.seq);
+  
+  return checkCapsuleMint(segment, capsule, priorMints);
+}
+
+/**
+ * Whether a capsule.mint predates score checks (CAPSULE_MINT_SCORES_SINCE)
+ * Timestamps never go backwards along a chain and fresh segments must
+ * match trusted time, so a new mint cannot claim to be legacy.
+ * @param {Object} segment
+ * @returns {boolean}
+ */
+export function isLegacyMint(segment) {
+  return segment.timestamp < CAPSULE_MINT_SCORES_SINCE;
+}
+
+/**
+ * Check a capsule.mint segment (shared by Rule 10 and chain verification)
+ * Without a capsule only the payload and double-mint checks run. Legacy
+ * mints carried no scores, so a failed score check passes with a
+ * `warning` instead.
+ * @param {Object} segment - capsule.mint segment
+ * @param {Object|null} capsule - Stored capsule it references
+ * @param {Object[]} priorMints - capsule.mint segments before it
+ * @returns {ValidationResult & {warning?: ValidationResult}}
+ */
+export function checkCapsuleMint(segment, capsule, priorMints) {
+  const payload = segment.payload || {};
+  
+  if (!payload.capsuleId) {
+    return fail(10, 'invalid_mint', 'capsule.mint has no capsuleId');
+  }
+  
+  const previous = priorMints.find(s => s.payload?.capsuleId === payload.capsuleId);
+  if (previous) {
+    return fail(10, 'double_mint', `Capsule ${payload.capsuleId} was already minted at seq ${previous.seq}`);
+  }
+  
+  let warning = null;
+  if (!(payload.richScore >= MIN_RICH_SCORE) || !(payload.businessScore >= MIN_BUSINESS_SCORE)) {
+    warning = fail(10, 'capsule_ineligible',
+      `Scores ${payload.richScore}/${payload.businessScore} below ${MIN_RICH_SCORE}/${MIN_BUSINESS_SCORE}`);
+  } else if (capsule && (capsule.richScore !== payload.richScore || capsule.businessScore !== payload.businessScore)) {
+    warning = fail(10, 'capsule_score_mismatch', 'Minted scores differ from the stored capsule');
+  }
+  
+  if (warning && !isLegacyMint(segment)) {
+    return warning;
+  }
+  
+  if (capsule && capsule.ownerHid !== segment.author?.hid) {
+    return fail(10, 'capsule_owner_mismatch', `Capsule ${capsule.id} belongs to ${capsule.ownerHid}`);
+  }
+  
+  if (capsule && capsule.contentHash !== payload.capsuleHash) {
+    return fail(10, 'capsule_hash_mismatch', `capsuleHash does not match capsule ${capsule.id}`);
+  }
+  
+  return warning ? { ...pass(), warning } : pass();
+}
+
 // ============================================================================
 // UTC TOLERANCE CHECK
 // ============================================================================
 
+/**
+ * Rule 11: Validate segment timestamp against trusted time
+ * Never before the segment it follows and never more than UTC_TOLERANCE_MS
+ * ahead of trusted time; a fresh segment may not lag it by more either.
+ * @param {IDBDatabase} db 
+ * @param {Object} segment 
+ * @param {Object} [options]
+ * @param {TimeService} [options.timeService] - Trusted time (default: local clock)
+ * @param {boolean} [options.fresh=true]
+ * @param {ChainTip} [options.tip] - Batch tip to follow instead of the stored head
+ * @returns {Promise<ValidationResult>}
+ */
+export async function validateSegmentTime(db, segment, { timeService = null, fresh = true, tip = null } = {}) {
+  const previous = await getPreviousSegment(db, segment, tip);
+  
+  const check = (timeService || new TimeService()).checkTimestamp(segment.timestamp, {
+    previous: previous?.timestamp ?? null,
+    fresh: fresh !== false
+  });
+  if (!check.ok) {
+    return fail(11, check.reason, check.message);
+  }
+  
+  return pass();
+}
+
 /**
  * Check if timestamp is within acceptable UTC tolerance
  * @param {number} timestamp 
+ * @param {number} [now=Date.now()] - Trusted time
  * @returns {ValidationResult}
  */
-export function validateTimestamp(timestamp) {
-  const now = Date.now();
+export function validateTimestamp(timestamp, now = Date.now()) {
   const diff = Math.abs(now - timestamp);
   
   if (diff > UTC_TOLERANCE_MS) {
@@ -384,96 +874,58 @@ export function validateTimestamp(timestamp) {
 
 /**
  * Validate multiple segments in order
+ * Each segment follows the last valid one in the batch: seq, prev_hash,
+ * rate limit, timestamp order, unlock refs and (with options.keyHistory)
+ * the signing key are checked against it rather than the stored head.
+ * A nonce may not repeat one from the stored chain or earlier in the
+ * batch. Caps and prior mints are still read from the stored chain.
  * @param {IDBDatabase} db 
  * @param {Object[]} segments 
- * @param {Object} [options] 
- * @returns {Promise<{valid: Object[], invalid: {segment: Object, result: ValidationResult}[]}>}
+ * @param {Object} [options] - See validateSegment
+ * @param {boolean} [options.explain] - Explain each rejected segment and add
+ *   a readable rejection report
+ * @returns {Promise<{valid: Object[], invalid: {segment: Object, result: ValidationResult, explanation?: SegmentExplanation}[], report?: string}>}
  */
 export async function validateBatch(db, segments, options = {}) {
   const valid = [];
   const invalid = [];
+  let tip = await getChainTip(db, options.tip);
+  const unlockLedger = options.unlockLedger
+    ? structuredClone(options.unlockLedger)
+    : deriveUnlockLedger(await getAllSTAs(db));
+  let keyHistory = options.keyHistory;
+  const seenNonces = new Set();
   
   for (const segment of segments) {
-    const result = await validateSegment(db, segment, options);
+    const batchOptions = { ...options, tip, unlockLedger, seenNonces };
+    if (keyHistory !== undefined) {
+      batchOptions.keyHistory = keyHistory;
+    }
+    const result = await validateSegment(db, segment, batchOptions);
     
     if (result.ok) {
       valid.push(segment);
+      tip = { seq: segment.seq, head: await computeSegmentHash(segment), segment };
+      applyUnlockSegment(unlockLedger, segment);
+      seenNonces.add(segment.nonce);
+      if (keyHistory !== undefined) {
+        keyHistory = (await advanceKeyHistory(keyHistory, segment, keyHistory?.hid ?? segment.author.hid)).history;
+      }
+    } else if (options.explain) {
+      invalid.push({ segment, result, explanation: await explainSegment(db, segment, batchOptions) });
     } else {
       invalid.push({ segment, result });
     }
   }
   
-  return { valid, invalid };
-}
-
-// ============================================================================
-// CHAIN INTEGRITY VERIFICATION
-// ============================================================================
-
-/**
- * Verify entire chain integrity
- * @param {IDBDatabase} db 
- * @param {Object} [options]
- * @param {function} [options.onProgress] - Progress callback (seq, total)
- * @returns {Promise<{ok: boolean, verified: number, errors: Array}>}
- */
-export async function verifyChainIntegrity(db, options = {}) {
-  const errors = [];
-  const chainLen = await getChainLen(db);
-  
-  if (chainLen === 0) {
-    return { ok: true, verified: 0, errors: [] };
-  }
-  
-  let expectedPrevHash = GENESIS_HASH;
-  
-  for (let seq = 1; seq <= chainLen; seq++) {
-    if (options.onProgress) {
-      options.onProgress(seq, chainLen);
-    }
-    
-    const segment = await getSTABySeq(db, seq);
-    
-    if (!segment) {
-      errors.push({ seq, error: 'missing_segment' });
-      continue;
-    }
-    
-    // Check sequence
-    if (segment.seq !== seq) {
-      errors.push({ seq, error: 'seq_mismatch', expected: seq, got: segment.seq });
-    }
-    
-    // Check prev_hash
-    if (segment.prev_hash !== expectedPrevHash) {
-      errors.push({ 
-        seq, 
-        error: 'hash_mismatch', 
-        expected: expectedPrevHash, 
-        got: segment.prev_hash 
-      });
-    }
-    
-    // Verify signature
-    const sigResult = await validateSignature(segment);
-    if (!sigResult.ok) {
-      errors.push({ seq, error: 'bad_signature', reason: sigResult.reason });
-    }
-    
-    // Compute this block's hash for next iteration
-    try {
-      const signable = getSignableContent(segment);
-      expectedPrevHash = await sha256Hex(signable + '|' + segment.signature);
-    } catch (e) {
-      errors.push({ seq, error: 'hash_compute_failed', message: e.message });
-    }
+  if (!options.explain) {
+    return { valid, invalid };
   }
   
-  console.log(`[Integrity] Verified ${chainLen} blocks, ${errors.length} errors`);
+  const report = [
+    `${invalid.length} of ${segments.length} segments rejected`,
+    ...invalid.map(({ explanation }) => formatExplanation(explanation, { failuresOnly: true }))
+  ].join('\n\n');
   
-  return {
-    ok: errors.length === 0,
-    verified: chainLen,
-    errors
-  };
+  return { valid, invalid, report };
 }
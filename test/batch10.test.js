@@ -0,0 +1,952 @@
+// Test: Batch 10 - Identity Security
+// Run with: node --experimental-vm-modules test/batch10.test.js
+
+import {
+  derToRawSignature,
+  verifyWebAuthnAssertion,
+  arrayToBase64,
+  arrayToBase64Url,
+  sha256Bytes,
+  generateSigningKeyPair,
+  exportPublicKeyJwk,
+  exportPrivateKeyJwk,
+  importPrivateKeyJwk,
+  generateHumanId,
+  sign,
+  verify,
+  registerSignatureSuite,
+  getSignatureSuite,
+  listSignatureSuites,
+  createHybridSignatureSuite,
+  loadPostQuantumSuite,
+  isQuantumSafeAvailable,
+  getRecommendedAlgorithms
+} from '../src/crypto.js';
+import {
+  createSegment,
+  signSegment,
+  computeSegmentHash,
+  deriveLivenessChallenge,
+  attachLivenessProof,
+  verifySegmentSignature
+} from '../src/segment.js';
+import { validateLiveness, isLivenessRequired, validateSignature } from '../src/validation.js';
+import {
+  createRotationPayload,
+  verifyKeyRotation,
+  buildKeyHistory,
+  getActiveKey,
+  getRotationSegments,
+  publicKeysEqual,
+  verifyKeyLineage
+} from '../src/keys.js';
+import { createTransferReceipt, verifyTransferReceipt } from '../src/tvm.js';
+import { StateManager } from '../src/state.js';
+import { verifySegments } from '../src/integrity.js';
+import { buildChainBundle, verifyChainBundle } from '../src/bundle.js';
+import {
+  splitSecret,
+  combineShares,
+  createGuardianShares,
+  verifyGuardianShare,
+  releaseGuardianShare,
+  verifyShareRelease,
+  reconstructIdentityFromShares,
+  GuardianRecovery,
+  RECOVERY_MESSAGES
+} from '../src/recovery.js';
+import { STA_TYPES, LIVENESS_REQUIRED_TYPES, GENESIS_HASH, SIGNATURE_ALGS } from '../src/constants.js';
+
+const tests = [];
+const results = { passed: 0, failed: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('BATCH 10 TESTS: Identity Security');
+  console.log('='.repeat(60));
+  
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      results.passed++;
+    } catch (e) {
+      console.log(`❌ ${t.name}`);
+      console.log(`   Error: ${e.message}`);
+      results.failed++;
+    }
+  }
+  
+  console.log('='.repeat(60));
+  console.log(`Results: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  
+  return results.failed === 0;
+}
+
+// ============================================================================
+// TEST FIXTURES
+// ============================================================================
+
+const RP_ID = 'localhost';
+const REQUIRE_MINTS = { requiredTypes: LIVENESS_REQUIRED_TYPES, maxAgeMs: 720000 };
+
+/**
+ * Encode a raw r||s signature as DER, like a real authenticator
+ */
+function rawToDer(raw) {
+  const encodeInt = (bytes) => {
+    let i = 0;
+    while (i < bytes.length - 1 && bytes[i] === 0) i++;
+    let value = bytes.slice(i);
+    if (value[0] & 0x80) {
+      value = new Uint8Array([0, ...value]);
+    }
+    return [0x02, value.length, ...value];
+  };
+  const body = [...encodeInt(raw.slice(0, 32)), ...encodeInt(raw.slice(32))];
+  return new Uint8Array([0x30, body.length, ...body]);
+}
+
+/**
+ * Software authenticator: ES256 key plus assertion generation
+ */
+async function createAuthenticator({ rpId = RP_ID, flags = 0x05 } = {}) {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const spki = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+  const credential = {
+    id: arrayToBase64(crypto.getRandomValues(new Uint8Array(16))),
+    publicKey: arrayToBase64(spki),
+    algorithm: -7,
+    rpId
+  };
+  
+  async function assert(challenge, { type = 'webauthn.get' } = {}) {
+    const rpIdHash = await sha256Bytes(new TextEncoder().encode(rpId));
+    const authData = new Uint8Array(37);
+    authData.set(rpIdHash, 0);
+    authData[32] = flags;
+    
+    const clientDataJSON = new TextEncoder().encode(JSON.stringify({
+      type,
+      challenge: arrayToBase64Url(challenge),
+      origin: `https://${rpId}`
+    }));
+    const clientDataHash = await sha256Bytes(clientDataJSON);
+    const signed = new Uint8Array([...authData, ...clientDataHash]);
+    const raw = new Uint8Array(await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      keyPair.privateKey,
+      signed
+    ));
+    
+    return {
+      credentialId: credential.id,
+      authenticatorData: arrayToBase64(authData),
+      clientDataJSON: arrayToBase64(clientDataJSON),
+      signature: arrayToBase64(rawToDer(raw))
+    };
+  }
+  
+  return { credential, assert };
+}
+
+async function createUnsignedSegment(type = STA_TYPES.CAPSULE_MINT) {
+  const keyPair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(keyPair.publicKey);
+  return createSegment({
+    hid: await generateHumanId(pubJwk),
+    pubJwk,
+    prevHash: GENESIS_HASH,
+    seq: 1,
+    type,
+    payload: { capsuleId: 'cap-1' }
+  });
+}
+
+async function withProof(segment, authenticator) {
+  const assertion = await authenticator.assert(await deriveLivenessChallenge(segment));
+  return attachLivenessProof(segment, {
+    type: 'webauthn',
+    timestamp: segment.timestamp,
+    ...assertion
+  });
+}
+
+// ============================================================================
+// WEBAUTHN LIVENESS TESTS
+// ============================================================================
+
+test('derToRawSignature unpacks padded and short integers', async () => {
+  const r = new Uint8Array(32).fill(0x80);
+  const s = new Uint8Array(32);
+  s[31] = 0x01;
+  const raw = derToRawSignature(rawToDer(new Uint8Array([...r, ...s])));
+  
+  assert(raw.length === 64, 'Should be 64 bytes');
+  assert(raw[0] === 0x80 && raw[31] === 0x80, 'r should drop its sign byte');
+  assert(raw[32] === 0 && raw[63] === 1, 's should be left-padded');
+});
+
+test('verifyWebAuthnAssertion accepts a valid assertion', async () => {
+  const authenticator = await createAuthenticator();
+  const challenge = crypto.getRandomValues(new Uint8Array(32));
+  const assertion = await authenticator.assert(challenge);
+  
+  const result = await verifyWebAuthnAssertion({
+    assertion,
+    challenge,
+    credential: authenticator.credential
+  });
+  assert(result.ok, `Should verify: ${result.reason}`);
+});
+
+test('verifyWebAuthnAssertion rejects wrong challenge, rp and flags', async () => {
+  const challenge = crypto.getRandomValues(new Uint8Array(32));
+  const other = crypto.getRandomValues(new Uint8Array(32));
+  
+  const authenticator = await createAuthenticator();
+  const wrongChallenge = await verifyWebAuthnAssertion({
+    assertion: await authenticator.assert(other),
+    challenge,
+    credential: authenticator.credential
+  });
+  assert(wrongChallenge.reason === 'challenge_mismatch', `Got ${wrongChallenge.reason}`);
+  
+  const foreignRp = await createAuthenticator({ rpId: 'evil.example' });
+  const wrongRp = await verifyWebAuthnAssertion({
+    assertion: await foreignRp.assert(challenge),
+    challenge,
+    credential: { ...foreignRp.credential, rpId: RP_ID }
+  });
+  assert(wrongRp.reason === 'rp_mismatch', `Got ${wrongRp.reason}`);
+  
+  const presenceOnly = await createAuthenticator({ flags: 0x01 });
+  const unverified = await verifyWebAuthnAssertion({
+    assertion: await presenceOnly.assert(challenge),
+    challenge,
+    credential: presenceOnly.credential
+  });
+  assert(unverified.reason === 'user_not_verified', `Got ${unverified.reason}`);
+});
+
+test('verifyWebAuthnAssertion rejects a different credential key', async () => {
+  const authenticator = await createAuthenticator();
+  const impostor = await createAuthenticator();
+  const challenge = crypto.getRandomValues(new Uint8Array(32));
+  
+  const result = await verifyWebAuthnAssertion({
+    assertion: await impostor.assert(challenge),
+    challenge,
+    credential: { ...authenticator.credential, id: impostor.credential.id }
+  });
+  assert(result.reason === 'bad_assertion', `Got ${result.reason}`);
+});
+
+test('isLivenessRequired follows the policy', () => {
+  assert(!isLivenessRequired(STA_TYPES.CAPSULE_MINT), 'Default policy requires nothing');
+  assert(isLivenessRequired(STA_TYPES.CAPSULE_MINT, REQUIRE_MINTS), 'Mint required');
+  assert(isLivenessRequired(STA_TYPES.TVM_TRANSFER, REQUIRE_MINTS), 'Transfer required');
+  assert(!isLivenessRequired(STA_TYPES.CHAT_USER, REQUIRE_MINTS), 'Messages optional');
+});
+
+test('validateLiveness requires a proof only where the policy does', async () => {
+  const mint = await createUnsignedSegment(STA_TYPES.CAPSULE_MINT);
+  const message = await createUnsignedSegment(STA_TYPES.CHAT_USER);
+  
+  const missing = await validateLiveness(mint, { policy: REQUIRE_MINTS });
+  assert(!missing.ok && missing.reason === 'liveness_required', `Got ${missing.reason}`);
+  
+  const optional = await validateLiveness(message, { policy: REQUIRE_MINTS });
+  assert(optional.ok, 'Message without proof should pass');
+});
+
+test('validateLiveness rejects timestamp-only proofs on required types', async () => {
+  const mint = await createUnsignedSegment();
+  const segment = attachLivenessProof(mint, { type: 'timestamp', timestamp: mint.timestamp, nonce: 'ab' });
+  
+  const result = await validateLiveness(segment, { policy: REQUIRE_MINTS });
+  assert(result.reason === 'webauthn_required', `Got ${result.reason}`);
+});
+
+test('validateLiveness verifies a proof bound to the segment', async () => {
+  const authenticator = await createAuthenticator();
+  const segment = await withProof(await createUnsignedSegment(), authenticator);
+  
+  const result = await validateLiveness(segment, {
+    policy: REQUIRE_MINTS,
+    credential: authenticator.credential
+  });
+  assert(result.ok, `Should pass: ${result.reason}`);
+  
+  const noCredential = await validateLiveness(segment, { policy: REQUIRE_MINTS });
+  assert(noCredential.reason === 'no_credential', `Got ${noCredential.reason}`);
+});
+
+test('validateLiveness rejects a proof replayed onto another segment', async () => {
+  const authenticator = await createAuthenticator();
+  const segment = await withProof(await createUnsignedSegment(), authenticator);
+  const tampered = { ...segment, payload: { capsuleId: 'cap-2' } };
+  
+  const result = await validateLiveness(tampered, {
+    policy: REQUIRE_MINTS,
+    credential: authenticator.credential
+  });
+  assert(result.reason === 'challenge_mismatch', `Got ${result.reason}`);
+});
+
+test('validateLiveness rejects stale proofs', async () => {
+  const authenticator = await createAuthenticator();
+  const segment = await withProof(await createUnsignedSegment(), authenticator);
+  const stale = attachLivenessProof(segment, {
+    ...segment.author.livenessProof,
+    timestamp: segment.timestamp - 3600000
+  });
+  
+  const result = await validateLiveness(stale, {
+    policy: REQUIRE_MINTS,
+    credential: authenticator.credential
+  });
+  assert(result.reason === 'stale_liveness', `Got ${result.reason}`);
+});
+
+// ============================================================================
+// KEY ROTATION TESTS
+// ============================================================================
+
+async function createKeys() {
+  const pair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(pair.publicKey);
+  return { pair, privateKey: pair.privateKey, pubJwk, hid: await generateHumanId(pubJwk) };
+}
+
+/**
+ * Build a chain from a list of steps: { keys, type?, payload?, alg?, pq? }
+ */
+async function buildChain(hid, steps) {
+  const segments = [];
+  let prevHash = GENESIS_HASH;
+  
+  for (const [i, step] of steps.entries()) {
+    const segment = createSegment({
+      hid,
+      pubJwk: step.keys.pubJwk,
+      prevHash,
+      seq: i + 1,
+      type: step.type || STA_TYPES.CHAT_USER,
+      payload: step.payload || { chatId: 'test', text: `message ${i + 1}` },
+      alg: step.alg,
+      pqPubKey: step.pq?.publicKey
+    });
+    segment.timestamp = 1000000 + i * 2000;
+    const signed = await signSegment(segment, { privateKey: step.keys.privateKey, pqSecretKey: step.pq?.secretKey });
+    segments.push(signed);
+    prevHash = await computeSegmentHash(signed);
+  }
+  
+  return { segments, head: prevHash };
+}
+
+async function createRotatedChain() {
+  const oldKeys = await createKeys();
+  const newKeys = await createKeys();
+  const payload = await createRotationPayload({
+    hid: oldKeys.hid,
+    currentPubJwk: oldKeys.pubJwk,
+    newKeyPair: newKeys.pair,
+    reason: 'compromise'
+  });
+  const chain = await buildChain(oldKeys.hid, [
+    { keys: oldKeys },
+    { keys: oldKeys, type: STA_TYPES.IDENTITY_ROTATE, payload },
+    { keys: newKeys }
+  ]);
+  return { oldKeys, newKeys, payload, ...chain };
+}
+
+test('Rotation: payload proof verifies against the retiring key', async () => {
+  const { oldKeys, segments } = await createRotatedChain();
+  const result = await verifyKeyRotation(segments[1], oldKeys.pubJwk);
+  assert(result.ok, `Should verify: ${result.reason}`);
+});
+
+test('Rotation: rejects a proof not made by the new key', async () => {
+  const { oldKeys, segments } = await createRotatedChain();
+  const impostor = await createKeys();
+  const forged = {
+    ...segments[1],
+    payload: { ...segments[1].payload, newPubJwk: impostor.pubJwk }
+  };
+  const result = await verifyKeyRotation(forged, oldKeys.pubJwk);
+  assert(result.reason === 'bad_rotation_proof', `Got ${result.reason}`);
+});
+
+test('Rotation: buildKeyHistory follows the rotation', async () => {
+  const { oldKeys, newKeys, segments } = await createRotatedChain();
+  const result = await buildKeyHistory(segments, oldKeys.hid);
+  
+  assert(result.ok, `Should build: ${result.reason}`);
+  assert(result.history.keys.length === 2, 'Should have two key epochs');
+  assert(publicKeysEqual(getActiveKey(result.history), newKeys.pubJwk), 'New key should be active');
+  assert(publicKeysEqual(getActiveKey(result.history, 2), oldKeys.pubJwk), 'Old key signs the rotation');
+  assert(getRotationSegments(result.history).length === 1, 'Should expose the rotation segment');
+});
+
+test('Rotation: retired key can no longer sign', async () => {
+  const oldKeys = await createKeys();
+  const newKeys = await createKeys();
+  const payload = await createRotationPayload({
+    hid: oldKeys.hid,
+    currentPubJwk: oldKeys.pubJwk,
+    newKeyPair: newKeys.pair
+  });
+  const { segments } = await buildChain(oldKeys.hid, [
+    { keys: oldKeys, type: STA_TYPES.IDENTITY_ROTATE, payload },
+    { keys: oldKeys }
+  ]);
+  
+  const result = await buildKeyHistory(segments, oldKeys.hid);
+  assert(!result.ok && result.reason === 'wrong_key' && result.seq === 2, `Got ${result.reason}`);
+  
+  const integrity = await verifySegments(segments);
+  assert(integrity.errors.some(e => e.code === 'UNAUTHORIZED_KEY' && e.seq === 2), 'Integrity should flag seq 2');
+});
+
+test('Rotation: verifySegments accepts a rotated chain', async () => {
+  const { segments, head } = await createRotatedChain();
+  const result = await verifySegments(segments);
+  assert(result.ok, `Should verify: ${JSON.stringify(result.errors)}`);
+  assert(result.computedHead === head, 'Head should match');
+});
+
+test('Rotation: validateSignature checks the active key', async () => {
+  const { oldKeys, segments } = await createRotatedChain();
+  const { history } = await buildKeyHistory(segments.slice(0, 2), oldKeys.hid);
+  
+  const current = await validateSignature(segments[2], { keyHistory: history });
+  assert(current.ok, `New key should verify: ${current.reason}`);
+  
+  const stale = await buildChain(oldKeys.hid, [{ keys: oldKeys }, { keys: oldKeys }, { keys: oldKeys }]);
+  const result = await validateSignature(stale.segments[2], { keyHistory: history });
+  assert(result.reason === 'wrong_key', `Got ${result.reason}`);
+});
+
+test('Rotation: key lineage links a rotated key to the HID', async () => {
+  const { oldKeys, newKeys, segments } = await createRotatedChain();
+  
+  const linked = await verifyKeyLineage(oldKeys.hid, [segments[1]], newKeys.pubJwk);
+  assert(linked.ok, `Should link: ${linked.reason}`);
+  
+  const unlinked = await verifyKeyLineage(oldKeys.hid, [], newKeys.pubJwk);
+  assert(unlinked.reason === 'author_key_mismatch', `Got ${unlinked.reason}`);
+});
+
+test('Rotation: receipt signed with a retired key is rejected', async () => {
+  const { oldKeys, newKeys, segments, head } = await createRotatedChain();
+  const recipient = await createKeys();
+  
+  const signTransfer = async (keys, seq) => {
+    const segment = createSegment({
+      hid: oldKeys.hid,
+      pubJwk: keys.pubJwk,
+      prevHash: head,
+      seq,
+      type: STA_TYPES.TVM_TRANSFER,
+      payload: { to: recipient.hid, amount: 5 },
+      previousOwner: oldKeys.hid,
+      currentOwner: recipient.hid
+    });
+    const signed = await signSegment(segment, { privateKey: keys.privateKey });
+    return createTransferReceipt(signed, await computeSegmentHash(signed), segments[1].seq < seq ? [segments[1]] : []);
+  };
+  
+  const valid = await verifyTransferReceipt(await signTransfer(newKeys, 4), recipient.hid);
+  assert(valid.ok, `Should verify: ${valid.reason}`);
+  assert(valid.keyRotations.length === 1, 'Returns the lineage it checked');
+  
+  // Genesis key after the rotation, rotation left out of the receipt
+  const forged = await signTransfer(oldKeys, 4);
+  forged.keyRotations = [];
+  const known = await verifyTransferReceipt(forged, recipient.hid, { knownRotations: [segments[1]] });
+  assert(known.reason === 'key_retired', `Got ${known.reason}`);
+  
+  const withRotation = await verifyTransferReceipt({ ...forged, keyRotations: [segments[1]] }, recipient.hid);
+  assert(withRotation.reason === 'key_retired', `Got ${withRotation.reason}`);
+  
+  // A rotation at or after the transfer does not describe its key
+  const early = await signTransfer(oldKeys, 2);
+  const late = await verifyTransferReceipt({ ...early, keyRotations: [segments[1]] }, recipient.hid);
+  assert(late.reason === 'rotation_after_use', `Got ${late.reason}`);
+  
+  const before = await verifyTransferReceipt(early, recipient.hid, { knownRotations: [segments[1]] });
+  assert(before.ok, `Transfer before the rotation should verify: ${before.reason}`);
+});
+
+/**
+ * Database stand-in whose write transactions commit, or fail like a
+ * duplicate key on the chain store
+ */
+function createAppendDb({ fail }) {
+  return {
+    transaction: () => ({
+      error: fail ? Object.assign(new Error('Key already exists'), { name: 'ConstraintError' }) : null,
+      objectStore: () => ({ add() {}, put() {} }),
+      set oncomplete(resolve) { if (!fail) queueMicrotask(resolve); },
+      set onerror(reject) { if (fail) queueMicrotask(reject); },
+      set onabort(reject) {}
+    })
+  };
+}
+
+test('Rotation: a failed append leaves the key history alone', async () => {
+  const { oldKeys, newKeys, segments } = await createRotatedChain();
+  const state = new StateManager();
+  state.keyHistory = (await buildKeyHistory(segments.slice(0, 1), oldKeys.hid)).history;
+  state.lastCommitAt = segments[0].timestamp;
+  
+  state.db = createAppendDb({ fail: true });
+  const failed = await state.appendSTA(segments[1]);
+  assert(failed.reason === 'append_error', `Got ${failed.reason}`);
+  assert(publicKeysEqual(getActiveKey(state.keyHistory), oldKeys.pubJwk), 'Old key still active');
+  assert(state.lastCommitAt === segments[0].timestamp, 'Rate-limit slot not used');
+  
+  state.db = createAppendDb({ fail: false });
+  const committed = await state.appendSTA(segments[1]);
+  assert(committed.ok, `Should commit: ${committed.reason}`);
+  assert(publicKeysEqual(getActiveKey(state.keyHistory), newKeys.pubJwk), 'New key active once committed');
+  assert(state.lastCommitAt === segments[1].timestamp, 'Head timestamp moved');
+});
+
+test('Rotation: bundle manifest must carry the active key', async () => {
+  const { oldKeys, newKeys, segments, head } = await createRotatedChain();
+  
+  const bundle = await buildChainBundle({
+    segments,
+    identity: { hid: oldKeys.hid, pubJwk: newKeys.pubJwk, privateKey: newKeys.privateKey },
+    head
+  });
+  const result = await verifyChainBundle(bundle);
+  assert(result.ok, `Should verify: ${JSON.stringify(result.errors)}`);
+  
+  const stale = await buildChainBundle({ segments, identity: oldKeys, head });
+  const staleResult = await verifyChainBundle(stale);
+  assert(staleResult.errors[0].code === 'HID_KEY_MISMATCH', `Got ${staleResult.errors[0].code}`);
+});
+
+// ============================================================================
+// SOCIAL RECOVERY TESTS
+// ============================================================================
+
+async function createGuardianSetup({ guardians = 3, threshold = 2 } = {}) {
+  const owner = await createKeys();
+  const privateKeyJwk = await exportPrivateKeyJwk(owner.privateKey);
+  const guardianKeys = [];
+  for (let i = 0; i < guardians; i++) {
+    guardianKeys.push(await createKeys());
+  }
+  const shares = await createGuardianShares({
+    identity: owner,
+    privateKeyJwk,
+    guardians: guardianKeys.map(g => g.hid),
+    threshold
+  });
+  return { owner, guardianKeys, shares };
+}
+
+async function releaseAll(shares, guardianKeys, requestId = 'RR-test') {
+  return Promise.all(shares.map((share, i) =>
+    releaseGuardianShare({ share, guardian: guardianKeys[i], requestId })
+  ));
+}
+
+test('Recovery: any threshold subset rebuilds the secret', () => {
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+  const shares = splitSecret(secret, { shares: 5, threshold: 3 });
+  
+  for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4]]) {
+    const rebuilt = combineShares(subset.map(i => shares[i]));
+    assert(rebuilt.every((b, i) => b === secret[i]), `Subset ${subset} should rebuild the secret`);
+  }
+  
+  const short = combineShares([shares[0], shares[1]]);
+  assert(!short.every((b, i) => b === secret[i]), 'Below threshold should not rebuild');
+});
+
+test('Recovery: splitSecret validates threshold and share count', () => {
+  const secret = new Uint8Array(32);
+  let threw = 0;
+  for (const options of [{ shares: 3, threshold: 1 }, { shares: 2, threshold: 3 }, { shares: 256, threshold: 2 }]) {
+    try { splitSecret(secret, options); } catch (e) { threw++; }
+  }
+  assert(threw === 3, `Expected 3 rejections, got ${threw}`);
+});
+
+test('Recovery: guardian shares are signed by the owner', async () => {
+  const { shares } = await createGuardianSetup();
+  
+  const valid = await verifyGuardianShare(shares[0]);
+  assert(valid.ok, `Should verify: ${valid.reason}`);
+  
+  const tampered = await verifyGuardianShare({ ...shares[0], threshold: 3 });
+  assert(tampered.reason === 'bad_signature', `Got ${tampered.reason}`);
+});
+
+test('Recovery: threshold releases rebuild a working identity', async () => {
+  const { owner, guardianKeys, shares } = await createGuardianSetup();
+  const releases = await releaseAll(shares, guardianKeys);
+  
+  const result = await reconstructIdentityFromShares([releases[2], releases[0]], { requestId: 'RR-test' });
+  assert(result.ok, `Should rebuild: ${result.message}`);
+  assert(result.identity.hid === owner.hid, 'Should recover the owner HID');
+  
+  const privateKey = await importPrivateKeyJwk(result.identity.privateKeyJwk);
+  const publicKey = await crypto.subtle.importKey(
+    'jwk', owner.pubJwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+  );
+  assert(await verify(publicKey, 'hello', await sign(privateKey, 'hello')), 'Rebuilt key should sign for the owner');
+});
+
+test('Recovery: too few or foreign releases are refused', async () => {
+  const { guardianKeys, shares } = await createGuardianSetup();
+  const releases = await releaseAll(shares, guardianKeys);
+  
+  const short = await reconstructIdentityFromShares([releases[0]]);
+  assert(short.reason === 'insufficient_shares', `Got ${short.reason}`);
+  
+  // A stranger re-signing a share they don't hold doesn't count
+  const stranger = await createKeys();
+  const stolen = await releaseGuardianShare({ share: shares[1], guardian: stranger, requestId: 'RR-test' });
+  const check = await verifyShareRelease(stolen);
+  assert(check.reason === 'not_guardian', `Got ${check.reason}`);
+  
+  const result = await reconstructIdentityFromShares([releases[0], stolen]);
+  assert(result.reason === 'insufficient_shares', `Got ${result.reason}`);
+  assert(result.rejected.length === 1, 'Stolen release should be rejected');
+});
+
+test('Recovery: releases must answer the current request', async () => {
+  const { guardianKeys, shares } = await createGuardianSetup();
+  const releases = await releaseAll(shares, guardianKeys, 'RR-old');
+  const check = await verifyShareRelease(releases[0], 'RR-new');
+  assert(check.reason === 'wrong_request', `Got ${check.reason}`);
+});
+
+test('Recovery: shares made before a rotation are refused', async () => {
+  const { oldKeys, newKeys, segments } = await createRotatedChain();
+  const { history } = await buildKeyHistory(segments, oldKeys.hid);
+  const guardianKeys = [await createKeys(), await createKeys(), await createKeys()];
+  const guardians = guardianKeys.map(g => g.hid);
+  
+  const oldShares = await createGuardianShares({
+    identity: oldKeys,
+    privateKeyJwk: await exportPrivateKeyJwk(oldKeys.privateKey),
+    guardians,
+    threshold: 2
+  });
+  const newShares = await createGuardianShares({
+    identity: { ...newKeys, hid: oldKeys.hid },
+    privateKeyJwk: await exportPrivateKeyJwk(newKeys.privateKey),
+    guardians,
+    threshold: 2,
+    keyRotations: getRotationSegments(history)
+  });
+  const oldReleases = await releaseAll(oldShares, guardianKeys);
+  const newReleases = await releaseAll(newShares, guardianKeys);
+  
+  const stale = await reconstructIdentityFromShares(oldReleases, { keyHistory: history });
+  assert(stale.reason === 'key_retired', `Got ${stale.reason}`);
+  
+  // Guardians holding either set: only the current one is used
+  const mixed = await reconstructIdentityFromShares([oldReleases[0], newReleases[1], oldReleases[2], newReleases[0]], { keyHistory: history });
+  assert(mixed.ok, `Should rebuild: ${mixed.message}`);
+  assert(publicKeysEqual(mixed.identity.pubJwk, newKeys.pubJwk), 'Should rebuild the active key');
+  assert(mixed.rejected.filter(r => r.reason === 'key_retired').length === 2, 'Old shares should be rejected');
+});
+
+test('Recovery: GuardianRecovery collects releases over P2P', async () => {
+  const { owner, guardianKeys, shares } = await createGuardianSetup();
+  const sent = [];
+  const p2p = {
+    handlers: new Map(),
+    registerHandler(ns, fn) { this.handlers.set(ns, fn); },
+    unregisterHandler(ns) { this.handlers.delete(ns); },
+    async send(peerId, message) { sent.push({ peerId, message }); }
+  };
+  const recovery = new GuardianRecovery({ state: { identity: null }, p2p, timeoutMs: 5000 });
+  recovery.attach();
+  
+  const pending = recovery.requestRecovery(owner.hid, ['g0', 'g1', 'g2']);
+  assert(sent.length === 3 && sent[0].message.type === RECOVERY_MESSAGES.REQUEST, 'Should ask every guardian');
+  
+  const requestId = sent[0].message.requestId;
+  await recovery.handleMessage('g0', { type: RECOVERY_MESSAGES.ERROR, requestId, reason: 'refused' });
+  for (const i of [1, 2]) {
+    const release = await releaseGuardianShare({ share: shares[i], guardian: guardianKeys[i], requestId });
+    await recovery.handleMessage(`g${i}`, { type: RECOVERY_MESSAGES.RELEASE, release });
+  }
+  
+  const result = await pending;
+  assert(result.ok, `Should recover: ${result.message}`);
+  assert(result.identity.hid === owner.hid, 'Should recover the owner HID');
+  assert(result.releases.length === 2, 'Should return the releases used');
+  recovery.detach();
+});
+
+// ============================================================================
+// SIGNATURE SUITE TESTS
+// ============================================================================
+
+const TEST_HYBRID_ALG = 'ES256+TEST-PQ';
+
+/**
+ * Stand-in post-quantum scheme with the noble interface (not secure:
+ * the signature is a hash keyed by the public key)
+ */
+const testPqScheme = {
+  async keygen() {
+    const secretKey = crypto.getRandomValues(new Uint8Array(32));
+    return { secretKey, publicKey: await sha256Bytes(secretKey) };
+  },
+  async sign(message, secretKey) {
+    const publicKey = await sha256Bytes(secretKey);
+    return await sha256Bytes(new Uint8Array([...publicKey, ...message]));
+  },
+  async verify(signature, message, publicKey) {
+    const expected = await sha256Bytes(new Uint8Array([...publicKey, ...message]));
+    return arrayToBase64(expected) === arrayToBase64(signature);
+  }
+};
+
+registerSignatureSuite(createHybridSignatureSuite(TEST_HYBRID_ALG, testPqScheme));
+
+async function createHybridKeys() {
+  const keys = await createKeys();
+  const pq = await getSignatureSuite(TEST_HYBRID_ALG).keygen();
+  return { keys, pq };
+}
+
+test('Suites: guardian shares restore a hybrid identity whole', async () => {
+  const { keys, pq } = await createHybridKeys();
+  const guardianKeys = [await createKeys(), await createKeys()];
+  const shares = await createGuardianShares({
+    identity: { ...keys, alg: TEST_HYBRID_ALG, pqPublicKey: pq.publicKey, createdAt: 1234 },
+    privateKeyJwk: await exportPrivateKeyJwk(keys.privateKey),
+    pqSecretKey: pq.secretKey,
+    guardians: guardianKeys.map(g => g.hid),
+    threshold: 2
+  });
+  
+  const result = await reconstructIdentityFromShares(await releaseAll(shares, guardianKeys));
+  assert(result.ok, `Should rebuild: ${result.message}`);
+  assert(result.identity.alg === TEST_HYBRID_ALG, `Got alg ${result.identity.alg}`);
+  assert(result.identity.pqPublicKey === pq.publicKey, 'Should keep the pq public key');
+  assert(result.identity.pqSecretKey === pq.secretKey, 'Should rebuild the pq secret key');
+  assert(result.identity.createdAt === 1234, 'Should keep the original creation time');
+});
+
+test('Suites: ES256 is built in and the default', async () => {
+  assert(getSignatureSuite().alg === SIGNATURE_ALGS.ES256, 'Default should be ES256');
+  assert(listSignatureSuites().some(s => s.alg === 'ES256' && !s.quantumSafe), 'ES256 should be listed');
+  
+  const keys = await createKeys();
+  const { segments } = await buildChain(keys.hid, [{ keys }]);
+  assert(segments[0].alg === 'ES256', 'Segment should record its alg');
+  assert(!segments[0].pq_signature, 'ES256 has no pq signature');
+  
+  const result = await verifySegmentSignature(segments[0]);
+  assert(result.ok && !result.quantumSafe, `Should verify: ${result.reason}`);
+});
+
+test('Suites: segments without alg verify as ES256', async () => {
+  const keys = await createKeys();
+  const segment = createSegment({
+    hid: keys.hid,
+    pubJwk: keys.pubJwk,
+    prevHash: GENESIS_HASH,
+    seq: 1,
+    type: STA_TYPES.CHAT_USER,
+    payload: { chatId: 'test', text: 'legacy' }
+  });
+  delete segment.alg;
+  const signed = await signSegment(segment, keys.privateKey);
+  
+  const result = await validateSignature(signed);
+  assert(result.ok, `Legacy segment should verify: ${result.reason}`);
+});
+
+test('Suites: unknown alg is refused', async () => {
+  const keys = await createKeys();
+  const { segments } = await buildChain(keys.hid, [{ keys }]);
+  const result = await validateSignature({ ...segments[0], alg: 'NOPE' });
+  assert(result.reason === 'unsupported_alg', `Got ${result.reason}`);
+});
+
+test('Suites: hybrid segments carry and verify both signatures', async () => {
+  const { keys, pq } = await createHybridKeys();
+  const { segments, head } = await buildChain(keys.hid, [{ keys, alg: TEST_HYBRID_ALG, pq }]);
+  const [segment] = segments;
+  
+  assert(segment.pq_signature && segment.author.pqPubKey === pq.publicKey, 'Should carry pq signature and key');
+  
+  const result = await verifySegmentSignature(segment);
+  assert(result.ok && result.quantumSafe, `Should verify: ${result.reason}`);
+  assert(isQuantumSafeAvailable(), 'Quantum-safe suite is registered');
+  
+  const integrity = await verifySegments(segments);
+  assert(integrity.ok && integrity.computedHead === head, 'Hash chain should cover both signatures');
+});
+
+test('Suites: hybrid segments need both signatures intact', async () => {
+  const { keys, pq } = await createHybridKeys();
+  const { segments } = await buildChain(keys.hid, [{ keys, alg: TEST_HYBRID_ALG, pq }]);
+  const [segment] = segments;
+  
+  const { pq_signature, ...stripped } = segment;
+  assert((await validateSignature(stripped)).reason === 'bad_signature', 'Stripped pq signature should fail');
+  
+  const other = await createHybridKeys();
+  const swapped = { ...segment, author: { ...segment.author, pqPubKey: other.pq.publicKey } };
+  assert((await validateSignature(swapped)).reason === 'bad_signature', 'Swapped pq key should fail');
+  
+  const downgraded = { ...stripped, alg: SIGNATURE_ALGS.ES256 };
+  assert((await validateSignature(downgraded)).reason === 'bad_signature', 'Downgrade should break the ECDSA signature');
+});
+
+test('Suites: cutover requires a quantum-safe suite', async () => {
+  const { keys, pq } = await createHybridKeys();
+  const { segments } = await buildChain(keys.hid, [
+    { keys },
+    { keys },
+    { keys, alg: TEST_HYBRID_ALG, pq }
+  ]);
+  
+  const before = await validateSignature(segments[1], { pqCutoverSeq: 3 });
+  assert(before.ok, `Seq 2 precedes the cutover: ${before.reason}`);
+  
+  const after = await validateSignature(segments[2], { pqCutoverSeq: 3 });
+  assert(after.ok, `Hybrid seq 3 should pass: ${after.reason}`);
+  
+  const early = await validateSignature(segments[1], { pqCutoverSeq: 2 });
+  assert(early.reason === 'pq_signature_required', `Got ${early.reason}`);
+  
+  const integrity = await verifySegments(segments, { pqCutoverSeq: 2 });
+  assert(integrity.errors.length === 1 && integrity.errors[0].code === 'PQ_SIGNATURE_REQUIRED' &&
+    integrity.errors[0].seq === 2, `Got ${JSON.stringify(integrity.errors)}`);
+});
+
+test('Suites: first hybrid segment pins the pq key', async () => {
+  const { keys, pq } = await createHybridKeys();
+  const other = await createHybridKeys();
+  
+  const pinned = await buildChain(keys.hid, [
+    { keys },
+    { keys, alg: TEST_HYBRID_ALG, pq },
+    { keys, alg: TEST_HYBRID_ALG, pq }
+  ]);
+  const history = await buildKeyHistory(pinned.segments, keys.hid);
+  assert(history.ok && history.history.keys[0].pqPubKey === pq.publicKey, 'Pq key should be pinned');
+  
+  const swapped = await buildChain(keys.hid, [
+    { keys, alg: TEST_HYBRID_ALG, pq },
+    { keys, alg: TEST_HYBRID_ALG, pq: other.pq }
+  ]);
+  const result = await buildKeyHistory(swapped.segments, keys.hid);
+  assert(result.reason === 'wrong_pq_key' && result.seq === 2, `Got ${result.reason}`);
+});
+
+async function createHybridRotation(rotationPq) {
+  const { keys, pq } = await createHybridKeys();
+  const next = await createHybridKeys();
+  const payload = await createRotationPayload({
+    hid: keys.hid,
+    currentPubJwk: keys.pubJwk,
+    newKeyPair: next.keys.pair,
+    newPqKeyPair: rotationPq === undefined ? next.pq : rotationPq,
+    alg: TEST_HYBRID_ALG
+  });
+  return { keys, pq, next, payload };
+}
+
+test('Suites: rotation replaces the pinned pq key', async () => {
+  const { keys, pq, next, payload } = await createHybridRotation();
+  const { segments } = await buildChain(keys.hid, [
+    { keys, alg: TEST_HYBRID_ALG, pq },
+    { keys, alg: TEST_HYBRID_ALG, pq, type: STA_TYPES.IDENTITY_ROTATE, payload },
+    { keys: next.keys, alg: TEST_HYBRID_ALG, pq: next.pq }
+  ]);
+  
+  const result = await buildKeyHistory(segments, keys.hid);
+  assert(result.ok, `Should build: ${result.reason}`);
+  assert(result.history.keys[1].pqPubKey === next.pq.publicKey, 'New epoch should pin the new pq key');
+  
+  const stale = await buildChain(keys.hid, [
+    { keys, alg: TEST_HYBRID_ALG, pq },
+    { keys, alg: TEST_HYBRID_ALG, pq, type: STA_TYPES.IDENTITY_ROTATE, payload },
+    { keys: next.keys, alg: TEST_HYBRID_ALG, pq }
+  ]);
+  const reused = await buildKeyHistory(stale.segments, keys.hid);
+  assert(reused.reason === 'wrong_pq_key' && reused.seq === 3, `Retired pq key should be refused, got ${reused.reason}`);
+});
+
+test('Suites: hybrid rotation must rotate the pq key with proof of possession', async () => {
+  const kept = await createHybridRotation(null);
+  const { segments } = await buildChain(kept.keys.hid, [
+    { keys: kept.keys, alg: TEST_HYBRID_ALG, pq: kept.pq, type: STA_TYPES.IDENTITY_ROTATE, payload: kept.payload }
+  ]);
+  const result = await buildKeyHistory(segments, kept.keys.hid);
+  assert(result.reason === 'pq_rotation_required', `Got ${result.reason}`);
+  
+  const { keys, pq, payload } = await createHybridRotation();
+  const impostor = await createHybridKeys();
+  const forged = await buildChain(keys.hid, [{
+    keys,
+    alg: TEST_HYBRID_ALG,
+    pq,
+    type: STA_TYPES.IDENTITY_ROTATE,
+    payload: { ...payload, newPqPubKey: impostor.pq.publicKey }
+  }]);
+  const rotation = await verifyKeyRotation(forged.segments[0], keys.pubJwk, pq.publicKey);
+  assert(rotation.reason === 'bad_rotation_proof', `Got ${rotation.reason}`);
+});
+
+test('Suites: ML-DSA-65 loads when available', async () => {
+  const loaded = await loadPostQuantumSuite();
+  assert(typeof loaded === 'boolean', 'Should resolve to a boolean');
+  
+  if (!loaded) {
+    console.log('  (optional @noble/post-quantum not installed, skipping round trip)');
+    return;
+  }
+  
+  const suite = getSignatureSuite(SIGNATURE_ALGS.HYBRID_ES256_MLDSA65);
+  const keys = await createKeys();
+  const pq = await suite.keygen();
+  const { segments } = await buildChain(keys.hid, [{ keys, alg: suite.alg, pq }]);
+  
+  const result = await verifySegmentSignature(segments[0]);
+  assert(result.ok && result.quantumSafe, `ML-DSA round trip failed: ${result.reason}`);
+  assert(getRecommendedAlgorithms().sign !== 'ECDSA-P256', 'Should recommend a hybrid suite');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(e => {
+  console.error('Test runner error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,659 @@
+// Test: Batch 11 - AI Council
+// Run with: node --experimental-vm-modules test/batch11.test.js
+
+import { generateLocalReply, hasLocalPlaybook } from '../src/localcouncil.js';
+import { AICouncil, synthesizeDebate, checkKillSwitch } from '../src/council.js';
+import { TopicClassifier } from '../src/topics.js';
+import {
+  PROVIDER_TYPES,
+  normalizeCouncilResponse,
+  createWorkerProvider,
+  createLocalHttpProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  createCouncilProvider
+} from '../src/providers.js';
+import { COUNCIL_MEMBERS, COUNCIL_HISTORY_TURNS, COUNCIL_DEBATE_CHAT_ID, COUNCIL_DEBATE_PANEL, STA_TYPES } from '../src/constants.js';
+
+const tests = [];
+const results = { passed: 0, failed: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('BATCH 11 TESTS: AI Council');
+  console.log('='.repeat(60));
+  
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      results.passed++;
+    } catch (e) {
+      console.log(`❌ ${t.name}`);
+      console.log(`   Error: ${e.message}`);
+      results.failed++;
+    }
+  }
+  
+  console.log('='.repeat(60));
+  console.log(`Results: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  
+  return results.failed === 0;
+}
+
+// ============================================================================
+// LOCAL ENGINE TESTS
+// ============================================================================
+
+test('Local: every council member has a playbook', () => {
+  for (const member of Object.values(COUNCIL_MEMBERS)) {
+    assert(hasLocalPlaybook(member.id), `Missing playbook for ${member.id}`);
+  }
+  assert(!hasLocalPlaybook('nobody'), 'Unknown ids have no playbook');
+});
+
+test('Local: reply has the v8.4 shape', () => {
+  const reply = generateLocalReply({ message: 'I want to open a bakery', characterId: 'wolf' });
+  
+  assert(reply.mode === 'reply', 'Mode should be reply');
+  assert(reply.bubbles.length >= 2, 'Should have several bubbles');
+  assert(reply.bubbles.every(b => typeof b.text === 'string' && b.text.length > 0), 'Bubbles need text');
+  assert(['ACCEPT', 'REJECT', 'DEFER'].includes(reply.final.decision), `Got ${reply.final.decision}`);
+  assert(typeof reply.final.next_action === 'string', 'Should have a next action');
+  assert(reply.state.source === 'local' && reply.state.turn_index === 1, 'State should describe the turn');
+});
+
+test('Local: same turn gives the same reply', () => {
+  const params = { message: 'Should I sell coffee?', characterId: 'turbo' };
+  const a = generateLocalReply(params);
+  const b = generateLocalReply(params);
+  assert(JSON.stringify(a) === JSON.stringify(b), 'Replies should be deterministic');
+});
+
+test('Local: decision follows motivator and category', () => {
+  const lazy = generateLocalReply({
+    message: 'Should I automate this so it runs as passive, easy income?',
+    characterId: 'kareem'
+  });
+  assert(lazy.state.motivator === 'laziness', `Got ${lazy.state.motivator}`);
+  assert(lazy.final.decision === 'ACCEPT', `Kareem should back it, got ${lazy.final.decision}`);
+  
+  const luxury = generateLocalReply({
+    message: 'A luxury boutique brand with premium exclusive products',
+    characterId: 'wheat'
+  });
+  assert(luxury.state.category === 'tomato', `Got ${luxury.state.category}`);
+  assert(luxury.final.decision === 'REJECT', `Uncle Wheat should push back, got ${luxury.final.decision}`);
+  
+  const loan = generateLocalReply({
+    message: 'Should I take a loan and quit my job for this?',
+    characterId: 'captain'
+  });
+  assert(loan.final.decision === 'REJECT', `The Captain should refuse, got ${loan.final.decision}`);
+});
+
+test('Local: uses history and knowledge base hits', () => {
+  const reply = generateLocalReply({
+    message: 'What about delivery?',
+    characterId: 'architect',
+    history: [
+      { role: 'user', content: 'I run a water delivery service, people need it daily' },
+      { role: 'assistant', content: 'Build the system.' }
+    ],
+    kbHits: [{ id: 'm1', text: 'Supplier quote: 40 cents per bottle', score: 3 }]
+  });
+  
+  assert(reply.state.turn_index === 2, `Got turn ${reply.state.turn_index}`);
+  assert(reply.state.category === 'wheat', 'Category should use earlier turns');
+  assert(reply.bubbles.some(b => b.type === 'context' && b.text.includes('water delivery')), 'Should recall the history');
+  assert(reply.bubbles.some(b => b.type === 'memory' && b.text.includes('40 cents')), 'Should quote the KB hit');
+  assert(reply.state.kb_hits === 1, 'Should count KB hits');
+});
+
+test('Local: unknown character falls back to the Architect', () => {
+  const reply = generateLocalReply({ message: 'Hello', characterId: 'nobody' });
+  const architect = generateLocalReply({ message: 'Hello', characterId: 'architect' });
+  assert(reply.final.next_action === architect.final.next_action, 'Should use the Architect playbook');
+});
+
+// ============================================================================
+// COUNCIL OFFLINE TESTS
+// ============================================================================
+
+test('Council: offline reply is structured, not canned', async () => {
+  const council = new AICouncil();
+  const result = await council.processOffline('Should I scale my leverage 10x?', 'wolf');
+  
+  assert(result.offline === true && result.blocked === false, 'Should be an offline reply');
+  assert(result.character === 'wolf', 'Should keep the character');
+  assert(result.response === result.meta.bubbles.map(b => b.text).join('\n\n'), 'Response joins the bubbles');
+  assert(result.meta.decision === 'ACCEPT', `Got ${result.meta.decision}`);
+  assert(council.getHistory('wolf').length === 2, 'Turn should be recorded');
+});
+
+test('Council: offline replies search the knowledge base per keyword', async () => {
+  const council = new AICouncil();
+  const queries = [];
+  council.setKnowledgeBase({
+    tokenize: text => text.toLowerCase().split(/\W+/).filter(w => w.length > 3),
+    search: async query => {
+      queries.push(query);
+      return query === 'supplier' ? [{ id: 'n1', text: 'Backup supplier in Leeds', score: 5 }] : [];
+    }
+  });
+  
+  const result = await council.processOffline('Need a cheaper supplier for flour', 'wheat');
+  
+  assert(queries.length === 3 && queries.includes('supplier'), `Searched ${queries.join(',')}`);
+  assert(result.meta.state.kb_hits === 1, 'Should pass the hit to the engine');
+  assert(result.response.includes('Backup supplier'), 'Should quote the note');
+});
+
+test('Council: processMessage falls back to the local engine', async () => {
+  const council = new AICouncil();
+  const result = await council.processMessage('How do I price my cleaning business?', 'tempo');
+  
+  if (!result.offline) {
+    console.log('  (worker reachable, skipping offline assertions)');
+    return;
+  }
+  assert(result.meta.action, 'Offline reply should carry a next action');
+  assert(!result.response.includes('Offline Mode'), 'No canned offline line');
+});
+
+// ============================================================================
+// PROVIDER TESTS
+// ============================================================================
+
+const REQUEST = {
+  text: 'Should I open a car wash?',
+  characterId: 'wolf',
+  history: [{ role: 'user', content: 'I have 10k saved' }, { role: 'assistant', content: 'Show me the numbers.' }],
+  turnIndex: 3
+};
+
+const V84_REPLY = {
+  mode: 'reply',
+  bubbles: [{ type: 'hook', text: '10x or nothing.' }, { text: 'Car washes are wheat.' }],
+  final: { decision: 'ACCEPT', next_action: 'Count cars per hour' },
+  state: { phase: 'Rich' }
+};
+
+/**
+ * Fake fetch replying with a queue of { status, body } (last one repeats)
+ */
+function createFakeFetch(replies) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init, body: JSON.parse(init.body) });
+    const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+    if (reply.error) throw new Error(reply.error);
+    if (reply.response) return reply.response;
+    return { ok: reply.status < 400, status: reply.status, json: async () => reply.body };
+  };
+  return { fetch, calls };
+}
+
+test('Providers: normalize v8.4, text and chat completion bodies', () => {
+  const v84 = normalizeCouncilResponse(V84_REPLY, 'worker-v84');
+  assert(v84.bubbles.length === 2 && v84.bubbles[1].type === 'text', 'Bubbles get a type');
+  assert(v84.final.decision === 'ACCEPT' && v84.provider === 'worker-v84', 'Keeps final and provider');
+  
+  const text = normalizeCouncilResponse({ response: 'First.\n\nSecond.' }, 'local-http');
+  assert(text.bubbles.length === 2 && text.final.decision === null, 'Text splits on blank lines');
+  
+  const chatJson = normalizeCouncilResponse({ choices: [{ message: { content: JSON.stringify(V84_REPLY) } }] }, 'openai');
+  assert(chatJson.final.next_action === 'Count cars per hour', 'JSON content is parsed');
+  
+  const chatText = normalizeCouncilResponse({ choices: [{ message: { content: 'Just do it.' } }] }, 'openai');
+  assert(chatText.bubbles[0].text === 'Just do it.', 'Plain content becomes a bubble');
+});
+
+test('Providers: worker posts the v8.4 request', async () => {
+  const { fetch, calls } = createFakeFetch([{ status: 200, body: V84_REPLY }]);
+  const provider = createWorkerProvider({ url: 'https://worker.test/', fetch });
+  const result = await provider.send(REQUEST);
+  
+  assert(result.ok, `Should succeed: ${result.reason}`);
+  assert(calls[0].url === 'https://worker.test/', 'Uses the configured URL');
+  assert(calls[0].body.chatId === 'wolf' && calls[0].body.turn_index === 3, 'Maps to the worker payload');
+  assert(calls[0].body.history.length === 2, 'Sends the history');
+  assert(result.response.bubbles[0].text === '10x or nothing.', 'Normalizes the reply');
+});
+
+test('Providers: retries 5xx and network errors, not 4xx', async () => {
+  const flaky = createFakeFetch([{ status: 503 }, { error: 'socket hang up' }, { status: 200, body: V84_REPLY }]);
+  const provider = createWorkerProvider({ fetch: flaky.fetch, retryDelayMs: 0 });
+  const result = await provider.send(REQUEST);
+  assert(result.ok && result.attempts === 3, `Should succeed on attempt 3, got ${result.attempts}`);
+  
+  const rejected = createFakeFetch([{ status: 400 }]);
+  const strict = createWorkerProvider({ fetch: rejected.fetch, retryDelayMs: 0 });
+  const failure = await strict.send(REQUEST);
+  assert(!failure.ok && failure.status === 400 && rejected.calls.length === 1, 'Should not retry a 400');
+});
+
+test('Providers: requests time out', async () => {
+  const hanging = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  const provider = createLocalHttpProvider({ fetch: hanging, timeoutMs: 20 });
+  const result = await provider.send(REQUEST);
+  
+  assert(result.reason === 'timeout', `Got ${result.reason}`);
+  assert(provider.url === 'http://localhost:8787/' && !provider.requiresNetwork, 'Local server works offline');
+});
+
+test('Providers: OpenAI-compatible endpoint', async () => {
+  const { fetch, calls } = createFakeFetch([{
+    status: 200,
+    body: { choices: [{ message: { role: 'assistant', content: 'Count the cars.\n\nThen decide.' } }] }
+  }]);
+  const provider = createOpenAIProvider({ url: 'http://llm.test/v1/', model: 'test-model', apiKey: 'sk-test', fetch });
+  const result = await provider.send(REQUEST);
+  
+  assert(result.ok && result.response.bubbles.length === 2, 'Should answer in bubbles');
+  assert(calls[0].url === 'http://llm.test/v1/chat/completions', `Got ${calls[0].url}`);
+  assert(calls[0].init.headers.Authorization === 'Bearer sk-test', 'Sends the API key');
+  
+  const messages = calls[0].body.messages;
+  assert(calls[0].body.model === 'test-model', 'Sends the model');
+  assert(messages[0].role === 'system' && messages[0].content.includes('Wolf'), 'System prompt names the character');
+  assert(messages.length === 4 && messages[3].content === REQUEST.text, 'History then the question');
+});
+
+test('Providers: createCouncilProvider selects the adapter', () => {
+  assert(createCouncilProvider().type === PROVIDER_TYPES.WORKER_V84, 'Defaults to the worker');
+  assert(createCouncilProvider({ type: 'mock' }).type === PROVIDER_TYPES.MOCK, 'Mock');
+  assert(createCouncilProvider({ type: 'local-http' }).type === PROVIDER_TYPES.LOCAL_HTTP, 'Local HTTP');
+  
+  let threw = false;
+  try {
+    createCouncilProvider({ type: 'carrier-pigeon' });
+  } catch (e) {
+    threw = true;
+  }
+  assert(threw, 'Unknown types throw');
+});
+
+test('Council: answers through the configured provider', async () => {
+  const provider = createMockProvider({ handler: () => V84_REPLY });
+  const council = new AICouncil({ provider });
+  const result = await council.processMessage('Should I open a car wash business?', 'wolf');
+  
+  assert(!result.offline && result.meta.provider === 'mock', 'Mock should answer');
+  assert(result.meta.decision === 'ACCEPT', 'Decision comes through');
+  assert(provider.requests[0].characterId === 'wolf' && provider.requests[0].turnIndex === 1, 'Request is mapped');
+  assert(council.getHistory('wolf').length === 2, 'Turn is recorded');
+});
+
+test('Council: provider failure falls back to the local engine', async () => {
+  const failing = createMockProvider({ handler: () => { throw new Error('boom'); } });
+  const council = new AICouncil({ provider: failing });
+  const result = await council.processMessage('How do I grow my business?', 'turbo');
+  assert(result.offline === true && result.meta.action, 'Should use the local engine');
+  
+  const { fetch, calls } = createFakeFetch([{ status: 200, body: V84_REPLY }]);
+  const offline = new AICouncil({ provider: createWorkerProvider({ fetch }) });
+  const skipped = await offline.processMessage('How do I grow my business?', 'turbo');
+  assert(skipped.offline === true && calls.length === 0, 'Network providers are skipped offline');
+});
+
+// ============================================================================
+// STREAMING TESTS
+// ============================================================================
+
+/**
+ * Fake streamed response body (chunks may split lines)
+ */
+function createStreamResponse(chunks, { contentType = 'text/event-stream', failAfter = null } = {}) {
+  const encoder = new TextEncoder();
+  let i = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (i === failAfter) {
+        controller.error(new Error('connection reset'));
+      } else if (i < chunks.length) {
+        controller.enqueue(encoder.encode(chunks[i++]));
+      } else {
+        controller.close();
+      }
+    }
+  });
+  return { ok: true, status: 200, headers: { get: () => contentType }, body };
+}
+
+async function collect(iterator) {
+  const events = [];
+  for await (const event of iterator) events.push(event);
+  return events;
+}
+
+test('Streaming: worker SSE yields bubbles before the final event', async () => {
+  const response = createStreamResponse([
+    'data: {"type":"hook","text":"10x or nothing."}\n\n',
+    ': keep-alive\n\ndata: {"type":"insight","te',
+    'xt":"Car washes are wheat."}\n\n',
+    'data: {"final":{"decision":"ACCEPT","next_action":"Count cars"},"state":{"phase":"Rich"}}\n\n',
+    'data: [DONE]\n\n'
+  ]);
+  const { fetch, calls } = createFakeFetch([{ response }]);
+  const provider = createWorkerProvider({ fetch });
+  const events = await collect(provider.stream(REQUEST));
+  
+  assert(calls[0].body.stream === true, 'Asks for a stream');
+  assert(events.map(e => e.type).join() === 'bubble,bubble,done', `Got ${events.map(e => e.type)}`);
+  assert(events[1].bubble.text === 'Car washes are wheat.', 'Split chunks are joined');
+  assert(events[2].response.final.decision === 'ACCEPT', 'Done carries the final decision');
+  assert(events[2].response.bubbles.length === 2, 'Done carries all bubbles');
+});
+
+test('Streaming: NDJSON and non-streaming servers', async () => {
+  const ndjson = createStreamResponse([
+    '{"text":"One."}\n{"text":"Two."}\n',
+    '{"final":{"decision":"DEFER"}}'
+  ], { contentType: 'application/x-ndjson' });
+  const streamed = await collect(createWorkerProvider({ fetch: createFakeFetch([{ response: ndjson }]).fetch }).stream(REQUEST));
+  assert(streamed.length === 3 && streamed[2].response.final.decision === 'DEFER', 'NDJSON lines are events');
+  
+  const { fetch } = createFakeFetch([{ status: 200, body: V84_REPLY }]);
+  const whole = await collect(createWorkerProvider({ fetch }).stream(REQUEST));
+  assert(whole.map(e => e.type).join() === 'bubble,bubble,done', 'A plain JSON body is replayed as bubbles');
+});
+
+test('Streaming: OpenAI deltas are released per paragraph', async () => {
+  const delta = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  const plain = createStreamResponse([delta('Count the '), delta('cars.\n\nThen'), delta(' decide.'), 'data: [DONE]\n\n']);
+  const provider = createOpenAIProvider({ url: 'http://llm.test/v1', model: 'm', fetch: createFakeFetch([{ response: plain }]).fetch });
+  const events = await collect(provider.stream(REQUEST));
+  
+  assert(events[0].type === 'bubble' && events[0].bubble.text === 'Count the cars.', 'First paragraph comes early');
+  assert(events[1].bubble.text === 'Then decide.', 'Last paragraph comes at the end');
+  assert(events[2].type === 'done' && events[2].response.bubbles.length === 2, 'Then done');
+  
+  const json = createStreamResponse([delta('{"bubbles":[{"text":"Go."}],'), delta('"final":{"decision":"ACCEPT"}}')]);
+  const jsonProvider = createOpenAIProvider({ url: 'http://llm.test/v1', model: 'm', fetch: createFakeFetch([{ response: json }]).fetch });
+  const jsonEvents = await collect(jsonProvider.stream(REQUEST));
+  assert(jsonEvents[0].bubble.text === 'Go.' && jsonEvents[1].response.final.decision === 'ACCEPT', 'JSON replies parse at the end');
+});
+
+test('Streaming: retries connecting, not a broken stream', async () => {
+  const broken = createStreamResponse(['data: {"text":"Half"}\n\n', 'data: {"text":"never"}\n\n'], { failAfter: 1 });
+  const { fetch, calls } = createFakeFetch([{ status: 503 }, { response: broken }]);
+  const provider = createWorkerProvider({ fetch, retryDelayMs: 0 });
+  const events = await collect(provider.stream(REQUEST));
+  
+  assert(calls.length === 2, 'Connection is retried');
+  assert(events.map(e => e.type).join() === 'bubble,error', `Got ${events.map(e => e.type)}`);
+  assert(events[1].reason === 'stream_error', `Got ${events[1].reason}`);
+});
+
+test('Council: streamMessage yields bubbles then the result', async () => {
+  const council = new AICouncil({ provider: createMockProvider({ handler: () => V84_REPLY }) });
+  const events = await collect(council.streamMessage('Should I open a car wash business?', 'wolf'));
+  
+  assert(events.map(e => e.type).join() === 'bubble,bubble,done', `Got ${events.map(e => e.type)}`);
+  assert(events[0].character === 'wolf', 'Bubbles name the character');
+  assert(events[2].result.meta.decision === 'ACCEPT', 'Result matches processMessage');
+  assert(council.getHistory('wolf').length === 2, 'History is recorded once done');
+});
+
+test('Council: a broken stream ends in error, before any bubble falls back', async () => {
+  const broken = {
+    type: 'test',
+    requiresNetwork: false,
+    async *stream() {
+      yield { type: 'bubble', bubble: { type: 'text', text: 'Half a thought' } };
+      yield { type: 'error', reason: 'stream_error', message: 'connection reset' };
+    }
+  };
+  const council = new AICouncil({ provider: broken });
+  const events = await collect(council.streamMessage('How do I grow my business?', 'turbo'));
+  assert(events[events.length - 1].type === 'error', 'Ends in error');
+  assert(!events.some(e => e.type === 'done') && council.getHistory('turbo').length === 0, 'Nothing to commit');
+  
+  const failing = createMockProvider({ handler: () => { throw new Error('boom'); } });
+  const fallback = new AICouncil({ provider: failing });
+  const offline = await collect(fallback.streamMessage('How do I grow my business?', 'turbo'));
+  const done = offline[offline.length - 1];
+  assert(done.type === 'done' && done.result.offline === true, 'Falls back to the local engine');
+  assert(offline.length === done.result.meta.bubbles.length + 1, 'Local bubbles are streamed too');
+});
+
+test('Council: a stream that ends without a result is incomplete', async () => {
+  const truncated = {
+    type: 'test',
+    requiresNetwork: false,
+    async *stream() {
+      yield { type: 'bubble', bubble: { type: 'text', text: 'Half a thought' } };
+    }
+  };
+  const council = new AICouncil({ provider: truncated });
+  const events = await collect(council.streamMessage('How do I grow my business?', 'turbo'));
+  
+  assert(events.map(e => e.type).join() === 'bubble,error', `Got ${events.map(e => e.type)}`);
+  assert(events[1].reason === 'stream_incomplete', `Got ${events[1].reason}`);
+  assert(council.getHistory('turbo').length === 0, 'No offline reply is recorded');
+});
+
+test('Council: blocked topics stream a single result', async () => {
+  const council = new AICouncil({ provider: createMockProvider() });
+  const events = await collect(council.streamMessage('Who won the election?', 'wolf'));
+  assert(events.length === 1 && events[0].result.blocked === true, 'Kill switch still applies');
+});
+
+// ============================================================================
+// HISTORY TESTS
+// ============================================================================
+
+/**
+ * Minimal StateManager stand-in exposing the message projection
+ */
+function createFakeState(segments) {
+  const messages = new Map();
+  segments.forEach(([type, chatId, text, bubbles = null], i) => {
+    if (!messages.has(chatId)) messages.set(chatId, []);
+    messages.get(chatId).push({ seq: i + 1, type, peer: chatId, text, bubbles });
+  });
+  return { getMessages: chatId => messages.get(chatId) || [] };
+}
+
+test('History: rebuilt per character from the chain', () => {
+  const state = createFakeState([
+    [STA_TYPES.CHAT_USER, 'wolf', 'Should I buy a laundromat?'],
+    [STA_TYPES.AI_ADVICE, 'wolf', 'Show me the unit economics.'],
+    [STA_TYPES.CHAT_USER, 'hakim', 'Is patience a strategy?'],
+    [STA_TYPES.BIZ_DECISION, 'wolf', 'Buy it'],
+    [STA_TYPES.AI_ADVICE, 'hakim', 'Water the roots.']
+  ]);
+  const council = new AICouncil();
+  
+  assert(council.loadHistory(state) === 2, 'Two characters have history');
+  
+  const wolf = council.getHistory('wolf');
+  assert(wolf.length === 2, 'Decisions are not conversation turns');
+  assert(wolf[0].role === 'user' && wolf[1].role === 'assistant', 'Roles follow the segment type');
+  assert(council.getHistory('hakim')[1].content === 'Water the roots.', 'Each character keeps its own');
+  assert(council.getHistory('turbo').length === 0, 'Untouched characters start empty');
+});
+
+test('History: only the character\'s last turns are sent', async () => {
+  const segments = [];
+  for (let i = 1; i <= COUNCIL_HISTORY_TURNS + 2; i++) {
+    segments.push([STA_TYPES.CHAT_USER, 'wolf', `Question ${i}`], [STA_TYPES.AI_ADVICE, 'wolf', `Answer ${i}`]);
+  }
+  segments.push([STA_TYPES.CHAT_USER, 'luna', 'Is it beautiful?']);
+  
+  const provider = createMockProvider({ handler: () => V84_REPLY });
+  const council = new AICouncil({ provider });
+  council.loadHistory(createFakeState(segments));
+  
+  await council.processMessage('What next?', 'wolf');
+  const request = provider.requests[0];
+  
+  assert(request.history.length === COUNCIL_HISTORY_TURNS * 2, `Got ${request.history.length} entries`);
+  assert(request.history[0].content === 'Question 3', 'Oldest turns are dropped');
+  assert(!request.history.some(h => h.content === 'Is it beautiful?'), 'Other characters are left out');
+  assert(request.turnIndex === COUNCIL_HISTORY_TURNS + 3, `Got turn ${request.turnIndex}`);
+  assert(council.getHistory('luna').length === 1, 'Other histories are untouched');
+});
+
+test('History: convened debates are replayed into each member\'s history', async () => {
+  const votes = { wolf: 'ACCEPT', captain: 'REJECT' };
+  const provider = createMockProvider({
+    handler: ({ characterId }) => ({
+      bubbles: [{ type: 'hook', text: `${characterId} hook` }, { type: 'text', text: `${characterId} says ${votes[characterId]}` }],
+      final: { decision: votes[characterId] }
+    })
+  });
+  const council = new AICouncil({ provider });
+  await council.processMessage('Should I buy a laundromat?', 'wolf');
+  const debate = await council.convene('Should I open a car wash?', ['wolf', 'captain']);
+  
+  const reloaded = new AICouncil();
+  reloaded.loadHistory(createFakeState([
+    [STA_TYPES.CHAT_USER, 'wolf', 'Should I buy a laundromat?'],
+    [STA_TYPES.AI_ADVICE, 'wolf', council.getHistory('wolf')[1].content],
+    [STA_TYPES.CHAT_USER, COUNCIL_DEBATE_CHAT_ID, 'Should I open a car wash?'],
+    [STA_TYPES.AI_ADVICE, COUNCIL_DEBATE_CHAT_ID, debate.response, debate.meta.bubbles]
+  ]));
+  
+  for (const charId of ['wolf', 'captain']) {
+    const live = JSON.stringify(council.getHistory(charId));
+    assert(JSON.stringify(reloaded.getHistory(charId)) === live, `${charId} history survives a reload`);
+  }
+  assert(reloaded.getHistory('wolf').length === 4, 'Debate turns follow earlier chats');
+  assert(reloaded.getHistory('turbo').length === 0, 'Members outside the panel stay empty');
+});
+
+// ============================================================================
+// DEBATE TESTS
+// ============================================================================
+
+test('Debate: synthesis tallies votes and finds consensus', () => {
+  const vote = (character, decision, action = null) => ({ character, decision, action });
+  
+  const unanimous = synthesizeDebate([vote('wolf', 'ACCEPT', 'Buy it'), vote('turbo', 'ACCEPT')]);
+  assert(unanimous.verdict === 'ACCEPT' && unanimous.consensus === 'unanimous', 'Unanimous');
+  assert(unanimous.action === 'Buy it', 'Action comes from a supporter');
+  
+  const majority = synthesizeDebate([vote('wolf', 'ACCEPT'), vote('turbo', 'ACCEPT'), vote('captain', 'REJECT'), vote('hakim', null)]);
+  assert(majority.verdict === 'ACCEPT' && majority.consensus === 'majority', 'Majority');
+  assert(majority.tally.ACCEPT === 2 && majority.tally.REJECT === 1, 'Tally');
+  assert(majority.dissent[0] === 'captain' && majority.abstain[0] === 'hakim', 'Dissent and abstentions');
+  
+  const split = synthesizeDebate([vote('wolf', 'ACCEPT'), vote('captain', 'REJECT')]);
+  assert(split.verdict === 'DEFER' && split.consensus === 'split', 'A tie defers');
+  assert(split.agree.length === 0 && split.dissent.length === 2, 'Nobody backs a tie verdict');
+});
+
+test('Debate: convene asks each character and synthesizes', async () => {
+  const votes = { wolf: 'ACCEPT', turbo: 'ACCEPT', captain: 'REJECT' };
+  const provider = createMockProvider({
+    handler: ({ characterId }) => ({
+      bubbles: [{ type: 'hook', text: `${characterId} says ${votes[characterId]}` }],
+      final: { decision: votes[characterId], next_action: `${characterId} plan` }
+    })
+  });
+  const council = new AICouncil({ provider });
+  const result = await council.convene('Should I open a car wash business?', ['wolf', 'turbo', 'captain', 'nobody']);
+  
+  assert(provider.requests.length === 3, 'Unknown members are dropped');
+  assert(result.character === COUNCIL_DEBATE_CHAT_ID && !result.blocked, 'Council speaks as one');
+  assert(result.meta.decision === 'ACCEPT' && result.debate.consensus === 'majority', 'Majority verdict');
+  assert(result.meta.action === 'wolf plan', 'Action from the first supporter');
+  
+  const bubbles = result.meta.bubbles;
+  assert(bubbles.length === 4, `Expected 3 answers and a synthesis, got ${bubbles.length}`);
+  assert(bubbles.slice(0, 3).map(b => b.character).join() === 'wolf,turbo,captain', 'Bubbles name their character');
+  assert(bubbles[3].type === 'synthesis' && bubbles[3].text === result.response, 'Synthesis comes last');
+  assert(result.response.includes('The Captain (REJECT)'), `Dissent is named: ${result.response}`);
+  assert(council.getHistory('captain').length === 2, 'Each member remembers the debate');
+});
+
+test('Debate: default panel, kill switch and local preview', async () => {
+  const council = new AICouncil({ provider: createMockProvider() });
+  const result = await council.convene('How do I grow my business?');
+  assert(result.debate.participants.join() === COUNCIL_DEBATE_PANEL.join(), 'Default panel');
+  
+  const blocked = await council.convene('Who won the election?');
+  assert(blocked.blocked === true && !blocked.debate, 'Kill switch applies once');
+  
+  const preview = council.getCouncilDebate('Coffee shop idea', ['wheat', 'tommy']);
+  assert(preview.length === 2 && preview[0].name === 'Uncle Wheat', 'Preview is synchronous');
+  assert(preview.every(p => p.response && p.decision), 'Preview has answers and votes');
+});
+
+// ============================================================================
+// KILL SWITCH CLASSIFIER TESTS
+// ============================================================================
+
+test('Kill switch: matches whole words, not substrings', () => {
+  assert(checkKillSwitch('I run a trumpet business').blocked === false, 'trumpet is not trump');
+  assert(checkKillSwitch('Give me an apple pie recipe').blocked === true, 'apple is not app');
+  assert(checkKillSwitch('Any good recipes for pasta?').blocked === true, 'Plurals still match');
+  assert(checkKillSwitch('Should I build a mobile app?').blocked === false, 'app still counts as business');
+});
+
+test('Kill switch: business context outweighs weak topics', () => {
+  const stadium = checkKillSwitch('Should I sell water outside the football stadium?');
+  assert(stadium.blocked === false, 'Selling at a stadium is business');
+  assert(stadium.evidence.some(e => e.term === 'football') && stadium.evidence.some(e => e.term === 'sell'),
+    'Both sides appear in the evidence');
+  
+  const forecast = checkKillSwitch('What is the forecast for my revenue?');
+  assert(forecast.blocked === false, 'A revenue forecast is business');
+  
+  const politics = checkKillSwitch('Who should I vote for in the election?');
+  assert(politics.blocked && politics.topic === 'politics' && politics.reason === 'off_topic:election', politics.reason);
+  assert(politics.confidence > 0.5 && politics.confidence <= 1, `Got ${politics.confidence}`);
+});
+
+test('Kill switch: deployment allow/deny lists and lexicons', () => {
+  const classifier = new TopicClassifier({
+    allow: ['sports betting'],
+    deny: ['crypto'],
+    lexicons: { sports: { score: 0 }, leisure: { horoscope: 1 } }
+  });
+  
+  assert(checkKillSwitch('Is a sports betting app a good business?', classifier).confidence === 1, 'Allow list wins');
+  assert(checkKillSwitch('Sports betting tips', classifier).blocked === false, 'Allowed even without business words');
+  
+  const denied = checkKillSwitch('Should my business buy crypto?', classifier);
+  assert(denied.blocked && denied.reason === 'denied:crypto' && denied.evidence[0].topic === 'deny', 'Deny list wins');
+  
+  assert(checkKillSwitch('Read my horoscope', classifier).blocked === true, 'Added terms block');
+  assert(!classifier.classify('What was the score?').evidence.length, 'Weight 0 removes a term');
+  assert(checkKillSwitch('Read my horoscope').blocked === false, 'Default classifier is untouched');
+});
+
+test('Kill switch: council uses its configured classifier', async () => {
+  const council = new AICouncil({ provider: createMockProvider() });
+  council.setClassifier(new TopicClassifier({ deny: ['lottery'] }));
+  
+  const result = await council.processMessage('Should my business sell lottery tickets?', 'wolf');
+  assert(result.blocked === true, 'Deny list applies to processMessage');
+  
+  const debate = await council.convene('Should my business sell lottery tickets?');
+  assert(debate.blocked === true, 'And to convene');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(e => {
+  console.error('Test runner error:', e);
+  process.exit(1);
+});
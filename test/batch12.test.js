@@ -0,0 +1,512 @@
+// Test: Batch 12 - Business Tracking
+// Run with: node --experimental-vm-modules test/batch12.test.js
+
+import {
+  createDecisionRecord,
+  applyDecisionSegment,
+  deriveDecisions,
+  checkOutcome,
+  queryDecisions,
+  getDueFollowUps
+} from '../src/decisions.js';
+import {
+  createBizDecisionPayload,
+  createBizOutcomePayload,
+  createChatUserPayload,
+  createAIAdvicePayload,
+  createCapsuleMintPayload,
+  createTVMTransferPayload,
+  validateSegmentStructure,
+  createSegment,
+  signSegment,
+  computeSegmentHash
+} from '../src/segment.js';
+import { generateSigningKeyPair, exportPublicKeyJwk, generateHumanId } from '../src/crypto.js';
+import { checkCapsuleMint } from '../src/validation.js';
+import { verifySegments } from '../src/integrity.js';
+import {
+  validatePayload,
+  registerPayloadSchema,
+  unregisterPayloadSchema,
+  isRegisteredType
+} from '../src/schemas.js';
+import { SessionExtractor } from '../src/shadow.js';
+import { SessionEngine, analyzeSession, splitSessions } from '../src/session.js';
+import { CapsuleManager, mintTVM, shingleText, jaccardSimilarity } from '../src/tvm.js';
+import { STA_TYPES, GENESIS_HASH, DECISION_STATUS, DECISION_FOLLOW_UP_DAYS, SESSION_MESSAGE_LIMIT } from '../src/constants.js';
+
+const tests = [];
+const results = { passed: 0, failed: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('BATCH 12 TESTS: Business Tracking');
+  console.log('='.repeat(60));
+  
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      results.passed++;
+    } catch (e) {
+      console.log(`❌ ${t.name}`);
+      console.log(`   Error: ${e.message}`);
+      results.failed++;
+    }
+  }
+  
+  console.log('='.repeat(60));
+  console.log(`Results: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  
+  return results.failed === 0;
+}
+
+// ============================================================================
+// DECISION TRACKER TESTS
+// ============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+function decisionSegment(seq, { title = 'Open a car wash', daysAgo = 0, followUpInDays } = {}) {
+  const payload = createBizDecisionPayload({ chatId: 'wolf', title, decision: 'ACCEPT', category: 'wheat', followUpInDays });
+  const decidedAt = T0 - daysAgo * DAY;
+  payload.followUpAt += decidedAt - payload.decidedAt;
+  payload.decidedAt = decidedAt;
+  return { seq, type: STA_TYPES.BIZ_DECISION, timestamp: decidedAt, payload };
+}
+
+function outcomeSegment(seq, decisionSeq, outcome, { at = T0, nextFollowUpAt } = {}) {
+  const payload = createBizOutcomePayload({ decisionSeq, outcome, evidence: `${outcome} noted`, nextFollowUpAt });
+  payload.recordedAt = at;
+  return { seq, type: STA_TYPES.BIZ_OUTCOME, timestamp: at, payload };
+}
+
+test('Decisions: payloads schedule a follow-up', () => {
+  const payload = createBizDecisionPayload({ chatId: 'wolf', title: 'Hire', decision: 'DEFER', category: 'tomato' });
+  assert(payload.followUpAt - payload.decidedAt === DECISION_FOLLOW_UP_DAYS * DAY, 'Default follow-up');
+  
+  const record = createDecisionRecord({ seq: 4, type: STA_TYPES.BIZ_DECISION, timestamp: T0, payload });
+  assert(record.seq === 4 && record.status === DECISION_STATUS.ACTIVE, 'Decisions start active');
+  assert(record.followUpAt === payload.followUpAt && record.outcomes.length === 0, 'Reminder comes from the payload');
+});
+
+test('Decisions: outcomes move the lifecycle', () => {
+  const decisions = deriveDecisions([
+    decisionSegment(1, { daysAgo: 40 }),
+    decisionSegment(2, { title: 'Launch an app' }),
+    decisionSegment(3, { title: 'Buy a van' }),
+    outcomeSegment(4, 1, 'SUCCESS'),
+    outcomeSegment(5, 2, 'FAILURE'),
+    outcomeSegment(6, 3, 'ABANDONED'),
+    outcomeSegment(7, 1, 'FAILURE', { at: T0 + DAY })
+  ]);
+  
+  const first = decisions.get(1);
+  assert(first.status === DECISION_STATUS.SUCCEEDED && first.closedAt === T0, 'SUCCESS closes as succeeded');
+  assert(first.outcomes.length === 2, 'Later outcomes are kept');
+  assert(first.status === DECISION_STATUS.SUCCEEDED, 'But do not reopen it');
+  assert(decisions.get(2).status === DECISION_STATUS.FAILED, 'FAILURE closes as failed');
+  assert(decisions.get(3).status === DECISION_STATUS.ABANDONED && decisions.get(3).followUpAt === null, 'Closed decisions need no reminder');
+});
+
+test('Decisions: PARTIAL keeps it open and reschedules', () => {
+  const decisions = deriveDecisions([decisionSegment(1, { daysAgo: 20 })]);
+  applyDecisionSegment(decisions, outcomeSegment(2, 1, 'PARTIAL'));
+  assert(decisions.get(1).status === DECISION_STATUS.ACTIVE, 'Still active');
+  assert(decisions.get(1).followUpAt === T0 + DECISION_FOLLOW_UP_DAYS * DAY, 'Default reschedule');
+  
+  applyDecisionSegment(decisions, outcomeSegment(3, 1, 'PARTIAL', { nextFollowUpAt: T0 + 3 * DAY }));
+  assert(decisions.get(1).followUpAt === T0 + 3 * DAY, 'Explicit reschedule');
+  
+  applyDecisionSegment(decisions, outcomeSegment(4, 99, 'SUCCESS'));
+  assert(decisions.size === 1, 'Outcomes for unknown decisions are ignored');
+});
+
+test('Decisions: outcome checks before commit', () => {
+  const decisions = deriveDecisions([decisionSegment(1), decisionSegment(2), outcomeSegment(3, 2, 'SUCCESS')]);
+  
+  assert(checkOutcome(decisions, { decisionSeq: 1, outcome: 'SUCCESS' }).ok, 'Open decision accepts outcomes');
+  assert(checkOutcome(decisions, { decisionSeq: 9, outcome: 'SUCCESS' }).reason === 'unknown_decision', 'Unknown');
+  assert(checkOutcome(decisions, { decisionSeq: 1, outcome: 'MAYBE' }).reason === 'invalid_outcome', 'Invalid');
+  assert(checkOutcome(decisions, { decisionSeq: 1, outcome: 'toString' }).reason === 'invalid_outcome', 'Prototype keys are not outcomes');
+  assert(checkOutcome(decisions, { decisionSeq: 2, outcome: 'FAILURE' }).reason === 'decision_closed', 'Closed');
+});
+
+test('Decisions: open decisions older than 30 days and due follow-ups', () => {
+  const decisions = deriveDecisions([
+    decisionSegment(1, { title: 'Old and open', daysAgo: 45 }),
+    decisionSegment(2, { title: 'Old and closed', daysAgo: 60 }),
+    decisionSegment(3, { title: 'Fresh', daysAgo: 2 }),
+    decisionSegment(4, { title: 'Due soon', daysAgo: 10, followUpInDays: 7 }),
+    outcomeSegment(5, 2, 'SUCCESS')
+  ]);
+  
+  const stale = queryDecisions(decisions, { status: DECISION_STATUS.ACTIVE, olderThanDays: 30, now: T0 });
+  assert(stale.length === 1 && stale[0].title === 'Old and open', `Got ${stale.map(d => d.title)}`);
+  assert(queryDecisions(decisions, { chatId: 'wolf', now: T0 })[0].title === 'Old and closed', 'Oldest first');
+  
+  const due = getDueFollowUps(decisions, T0);
+  assert(due.map(d => d.title).join() === 'Old and open,Due soon', `Got ${due.map(d => d.title)}`);
+});
+
+test('Decisions: SessionExtractor links outcomes by decisionSeq', () => {
+  const extractor = new SessionExtractor();
+  const pairs = extractor.extractDecisionOutcomes([
+    decisionSegment(1),
+    decisionSegment(2),
+    outcomeSegment(3, 1, 'SUCCESS')
+  ]);
+  
+  assert(pairs.length === 1 && pairs[0].outcomes.length === 1, 'One decision with its outcome');
+});
+
+// ============================================================================
+// SESSION CAPSULE TESTS
+// ============================================================================
+
+class MemoryCapsuleManager extends CapsuleManager {
+  constructor() {
+    super(null);
+    this.capsules = new Map();
+  }
+  async storeCapsule(capsule) { this.capsules.set(capsule.id, { ...capsule }); }
+  async getCapsule(id) { return this.capsules.get(id) || null; }
+  async getCapsulesByOwner(hid) { return [...this.capsules.values()].filter(c => c.ownerHid === hid); }
+  async getPendingCapsules() { return [...this.capsules.values()].filter(c => c.status === 'pending'); }
+  async getMintedCapsules() { return [...this.capsules.values()].filter(c => c.status === 'minted'); }
+}
+
+function createSessionState(chats) {
+  const commits = [];
+  return {
+    identity: { hid: 'HID-OWNER' },
+    commits,
+    getChatIds: () => Object.keys(chats),
+    getMessages: chatId => chats[chatId] || [],
+    on() {},
+    off() {},
+    getTVMBalance: () => commits.length,
+    async commitAction(type, payload) {
+      commits.push({ type, payload });
+      return { ok: true, seq: 100 + commits.length };
+    }
+  };
+}
+
+const RICH_SESSION = [
+  'I need money fast, I am broke and want something quick today',
+  'Urgent: rent is due, what can I do now?',
+  'Food delivery is essential where I live, maybe transport too',
+  'Plan: a recurring meal system for 40 customers at $12',
+  'I can automate ordering and invest the margin every month',
+  'Scale to 3 vans in 6 months with a delegate driver'
+];
+
+function sessionMessages(userTexts, { startSeq = 1, advice = 'List your costs. Call 10 customers. Set a price and test it for 2 weeks. Track every order.' } = {}) {
+  const messages = [];
+  let seq = startSeq;
+  for (const text of userTexts) {
+    messages.push({ seq, ts: T0 + seq * 60000, type: STA_TYPES.CHAT_USER, text });
+    seq++;
+    messages.push({ seq, ts: T0 + seq * 60000, type: STA_TYPES.AI_ADVICE, text: advice });
+    seq++;
+  }
+  return messages;
+}
+
+test('Sessions: analysis scores the actual conversation', () => {
+  const analysis = analyzeSession({ messages: sessionMessages(RICH_SESSION) });
+  
+  assert(analysis.startState === 'rush' && analysis.endState === 'rich' && analysis.shift === 2, 'Rush to Rich shift');
+  assert(analysis.actionPlan.steps.length === 4, `Action steps from advice: ${analysis.actionPlan.steps.length}`);
+  assert(analysis.category === 'wheat' && analysis.problemStructure.clear, 'Essential, concrete problem');
+  assert(analysis.richScore >= 70 && analysis.businessScore >= 70, `Scores ${analysis.richScore}/${analysis.businessScore}`);
+  
+  const idle = analyzeSession({ messages: sessionMessages(['hi', 'ok', 'sure', 'hmm', 'yes', 'thanks'], { advice: 'Tell me more.' }) });
+  assert(idle.richScore < 70 && idle.businessScore < 70, 'Small talk scores low');
+});
+
+test('Sessions: chats split into fixed-size sessions with progress', () => {
+  const messages = sessionMessages([...RICH_SESSION, 'one more question']);
+  const sessions = splitSessions('wolf', messages);
+  
+  assert(sessions.length === 2, 'One full and one open session');
+  assert(sessions[0].complete && sessions[0].messages.length === SESSION_MESSAGE_LIMIT, 'First is complete');
+  assert(sessions[0].id === 'SES-wolf-1' && sessions[1].id === 'SES-wolf-13', 'IDs come from the first seq');
+  
+  const engine = new SessionEngine({ state: createSessionState({ wolf: messages }), capsuleManager: new MemoryCapsuleManager() });
+  const progress = engine.getProgress('wolf');
+  assert(progress.count === 2 && progress.remaining === SESSION_MESSAGE_LIMIT - 2, 'Progress of the open session');
+});
+
+test('Sessions: a completed session gets exactly one capsule', async () => {
+  const capsuleManager = new MemoryCapsuleManager();
+  const engine = new SessionEngine({
+    state: createSessionState({ wolf: sessionMessages(RICH_SESSION), tommy: sessionMessages(RICH_SESSION.slice(0, 3)) }),
+    capsuleManager
+  });
+  
+  const [first, again] = await Promise.all([engine.completeSessions(), engine.completeSessions()]);
+  assert(first.length === 1 && again.length === 0, 'Concurrent calls create one capsule');
+  assert(first[0].capsule.sessionId === 'SES-wolf-1' && first[0].eligible, 'Capsule for the full chat only');
+  assert(first[0].capsule.ecfScore === 1.0 && first[0].capsule.messageCount === SESSION_MESSAGE_LIMIT, 'Real capsule fields');
+  
+  const reloaded = new SessionEngine({ state: engine.state, capsuleManager });
+  assert((await reloaded.completeSessions()).length === 0, 'Existing capsules are not recreated');
+});
+
+test('Sessions: ineligible capsules are never minted', async () => {
+  const state = createSessionState({ wolf: sessionMessages(['hi', 'ok', 'sure', 'hmm', 'yes', 'thanks'], { advice: 'Tell me more.' }) });
+  const engine = new SessionEngine({ state, capsuleManager: new MemoryCapsuleManager() });
+  
+  const result = await engine.mintNext();
+  assert(!result.ok && result.reason === 'no_eligible_capsule', 'Nothing to mint');
+  assert(state.commits.length === 0, 'No capsule.mint committed');
+});
+
+test('Sessions: eligible capsules mint through capsule.mint', async () => {
+  const capsuleManager = new MemoryCapsuleManager();
+  const state = createSessionState({ wolf: sessionMessages(RICH_SESSION) });
+  const engine = new SessionEngine({ state, capsuleManager });
+  
+  const result = await engine.mintNext();
+  assert(result.ok && result.remaining === 0, 'Minted');
+  assert(state.commits.length === 1 && state.commits[0].type === STA_TYPES.CAPSULE_MINT, 'One capsule.mint segment');
+  assert(state.commits[0].payload.sessionId === 'SES-wolf-1', 'Mint names the session');
+  assert((await capsuleManager.getCapsule(result.capsule.id)).status === 'minted', 'Capsule marked minted');
+  
+  assert(!(await engine.mintNext()).ok, 'A capsule mints once');
+});
+
+test('Recycling: shingles measure content overlap', () => {
+  const idea = RICH_SESSION.join(' ');
+  assert(jaccardSimilarity(shingleText(idea), shingleText(idea.toUpperCase())) === 1, 'Case and punctuation ignored');
+  assert(jaccardSimilarity(shingleText(idea), shingleText('Open a bike repair shop near the university campus')) === 0, 'Different ideas share nothing');
+  assert(shingleText('two words').length === 1 && shingleText('').length === 0, 'Short and empty texts');
+});
+
+test('Recycling: the same session mints once and names the match', async () => {
+  const capsuleManager = new MemoryCapsuleManager();
+  const state = createSessionState({
+    wolf: sessionMessages(RICH_SESSION),
+    tommy: sessionMessages(RICH_SESSION, { startSeq: 101 })
+  });
+  const engine = new SessionEngine({ state, capsuleManager });
+  
+  const first = await engine.mintNext();
+  const second = await engine.mintNext();
+  assert(first.ok && state.commits.length === 1, 'First capsule minted');
+  assert(!second.ok && second.reason === 'capsule_recycled', `Copy rejected: ${second.reason}`);
+  assert(second.matchedCapsuleId === first.capsule.id && second.similarity >= 0.9, 'Reports the matched capsule');
+  
+  const stored = await capsuleManager.getCapsule(second.capsule.id);
+  assert(stored.status === 'rejected' && stored.matchedCapsuleId === first.capsule.id, 'Recycled capsule is closed');
+  assert(!(await engine.mintNext()).ok && state.commits.length === 1, 'Nothing left to mint');
+});
+
+test('Recycling: equal scores alone do not block a new idea', async () => {
+  const capsuleManager = new MemoryCapsuleManager();
+  const other = RICH_SESSION.map(text => `${text} near the harbour with bicycles and reusable boxes`);
+  const state = createSessionState({ wolf: sessionMessages(RICH_SESSION), tommy: sessionMessages(other, { startSeq: 101 }) });
+  const engine = new SessionEngine({ state, capsuleManager });
+  
+  const [a, b] = (await engine.completeSessions()).map(r => r.capsule);
+  assert(a.richScore === b.richScore && a.businessScore === b.businessScore, 'Same score profile');
+  assert(capsuleManager.calculateSimilarity(a, b) < 0.9, 'Content keeps them apart');
+  
+  const legacy = { ...b, shingles: undefined };
+  assert(capsuleManager.calculateSimilarity(a, legacy) >= 0.9, 'Capsules without shingles fall back to the profile');
+  
+  assert((await mintTVM({ state, capsuleManager, capsule: a })).ok, 'First mints');
+  assert((await mintTVM({ state, capsuleManager, capsule: b })).ok, 'Second mints too');
+});
+
+// ============================================================================
+// MINT VALIDATION TESTS
+// ============================================================================
+
+const CAPSULE = { id: 'CAP-1', ownerHid: 'HID-OWNER', richScore: 80, businessScore: 85, contentHash: 'abc', status: 'pending' };
+
+function mintSegment(seq, overrides = {}, hid = 'HID-OWNER') {
+  return {
+    seq,
+    type: STA_TYPES.CAPSULE_MINT,
+    author: { hid },
+    payload: { capsuleId: 'CAP-1', sessionId: 'SES-wolf-1', richScore: 80, businessScore: 85, capsuleHash: 'abc', ...overrides }
+  };
+}
+
+test('Mint validation: capsule.mint must match its capsule', () => {
+  assert(checkCapsuleMint(mintSegment(5), CAPSULE, []).ok, 'Matching mint passes');
+  
+  const cases = [
+    [mintSegment(5, { capsuleId: undefined }), 'invalid_mint'],
+    [mintSegment(5, {}, 'HID-OTHER'), 'capsule_owner_mismatch'],
+    [mintSegment(5, { richScore: 60 }), 'capsule_ineligible'],
+    [mintSegment(5, { businessScore: 90 }), 'capsule_score_mismatch'],
+    [mintSegment(5, { capsuleHash: 'forged' }), 'capsule_hash_mismatch']
+  ];
+  for (const [segment, reason] of cases) {
+    const result = checkCapsuleMint(segment, CAPSULE, []);
+    assert(!result.ok && result.rule === 10 && result.reason === reason, `Expected ${reason}, got ${result.reason}`);
+  }
+});
+
+test('Mint validation: a capsule mints once', () => {
+  const result = checkCapsuleMint(mintSegment(9), CAPSULE, [mintSegment(5)]);
+  assert(!result.ok && result.reason === 'double_mint', 'Second mint rejected');
+  
+  const synced = checkCapsuleMint(mintSegment(9, { capsuleId: 'CAP-2' }), null, [mintSegment(5)]);
+  assert(synced.ok, 'Capsules from own devices are checked on the payload');
+});
+
+test('Mint validation: verifySegments flags double mints and forged hashes', async () => {
+  const pair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(pair.publicKey);
+  const hid = await generateHumanId(pubJwk);
+  
+  const segments = [];
+  let prevHash = GENESIS_HASH;
+  const payloads = [
+    { capsuleId: 'CAP-1', richScore: 80, businessScore: 85, capsuleHash: 'abc' },
+    { capsuleId: 'CAP-1', richScore: 80, businessScore: 85, capsuleHash: 'abc' },
+    { capsuleId: 'CAP-2', richScore: 80, businessScore: 85, capsuleHash: 'forged' },
+    { capsuleId: 'CAP-3', richScore: 80, businessScore: 85, capsuleHash: 'def' }
+  ];
+  for (const [i, payload] of payloads.entries()) {
+    const segment = createSegment({ hid, pubJwk, prevHash, seq: i + 1, type: STA_TYPES.CAPSULE_MINT, payload });
+    segment.timestamp = T0 + i * 2000;
+    const signed = await signSegment(segment, pair.privateKey);
+    segments.push(signed);
+    prevHash = await computeSegmentHash(signed);
+  }
+  
+  const capsules = new Map([
+    ['CAP-1', { ...CAPSULE, ownerHid: hid }],
+    ['CAP-2', { ...CAPSULE, id: 'CAP-2', ownerHid: hid }]
+  ]);
+  const result = await verifySegments(segments, { capsules });
+  const codes = result.errors.map(e => `${e.seq}:${e.code}`);
+  
+  assert(!result.ok && codes.join() === '2:DOUBLE_MINT,3:CAPSULE_HASH_MISMATCH', `Errors: ${codes}`);
+  assert(result.warnings.some(w => w.seq === 4 && w.code === 'CAPSULE_NOT_LOCAL'), 'Unknown capsule is a warning');
+  
+  const bundle = await verifySegments(segments);
+  assert(bundle.errors.map(e => e.code).join() === 'DOUBLE_MINT', 'Bundles without capsules still catch double mints');
+});
+
+test('Mint validation: mints from before score checks stay writable', async () => {
+  const pair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(pair.publicKey);
+  const hid = await generateHumanId(pubJwk);
+  
+  // What the original demo wrote: no scores, no capsule hash
+  const demoCapsule = { id: 'CAP-demo', sessionId: 'session-demo', ownerHid: hid, richScore: 85, businessScore: 85, status: 'pending' };
+  const build = async (timestamp) => {
+    const segment = createSegment({
+      hid, pubJwk, prevHash: GENESIS_HASH, seq: 1, type: STA_TYPES.CAPSULE_MINT,
+      payload: { capsuleId: 'CAP-demo', amount: 1.0, score: 85 }
+    });
+    segment.timestamp = timestamp;
+    return signSegment(segment, pair.privateKey);
+  };
+  const capsules = new Map([['CAP-demo', demoCapsule]]);
+  
+  const legacy = await verifySegments([await build(T0)], { capsules });
+  assert(legacy.ok, `Old chain should verify: ${legacy.errors.map(e => e.code)}`);
+  assert(legacy.warnings.some(w => w.seq === 1 && w.code === 'LEGACY_CAPSULE_INELIGIBLE'), 'Reported as a warning');
+  
+  const fresh = await verifySegments([await build(Date.now())], { capsules });
+  assert(fresh.errors.map(e => e.code).join() === 'CAPSULE_INELIGIBLE', 'New mints still need scores');
+});
+
+// ============================================================================
+// PAYLOAD SCHEMA TESTS
+// ============================================================================
+
+test('Schemas: payload builders produce valid payloads', () => {
+  const payloads = [
+    [STA_TYPES.CHAT_USER, createChatUserPayload({ chatId: 'wolf', text: 'Car wash?' })],
+    [STA_TYPES.AI_ADVICE, createAIAdvicePayload({ chatId: 'wolf', selectedCharacter: 'wolf', mode: 'chat', bubbles: [{ type: 'text', text: 'Go.' }], text: 'Go.' })],
+    [STA_TYPES.BIZ_DECISION, createBizDecisionPayload({ chatId: 'wolf', title: 'Open a car wash', decision: 'ACCEPT', category: 'wheat' })],
+    [STA_TYPES.BIZ_OUTCOME, createBizOutcomePayload({ decisionSeq: 3, outcome: 'PARTIAL' })],
+    [STA_TYPES.CAPSULE_MINT, createCapsuleMintPayload({ capsuleId: 'CAP-1', sessionId: 'SES-wolf-1', richScore: 80, businessScore: 85, capsuleHash: 'abc' })],
+    [STA_TYPES.TVM_TRANSFER, createTVMTransferPayload({ to: 'HID-OTHER', amount: 1 })]
+  ];
+  
+  for (const [type, payload] of payloads) {
+    const result = validatePayload(type, payload);
+    assert(result.ok, `${type}: ${result.message}`);
+  }
+});
+
+test('Schemas: required fields, types, lengths and enums', () => {
+  const cases = [
+    [STA_TYPES.CHAT_USER, { chatId: 'wolf' }, 'chat.user.text: required'],
+    [STA_TYPES.CHAT_USER, { chatId: 'wolf', text: 'x'.repeat(8001) }, 'chat.user.text: longer than 8000 characters'],
+    [STA_TYPES.AI_ADVICE, { chatId: 'wolf', mode: 'chat', text: 'Go.', bubbles: 'Go.' }, 'ai.advice.bubbles: expected array'],
+    [STA_TYPES.BIZ_DECISION, { title: 'Hire', decision: 'MAYBE' }, 'biz.decision.decision: must be one of ACCEPT, REJECT, DEFER'],
+    [STA_TYPES.BIZ_OUTCOME, { decisionSeq: 1.5, outcome: 'SUCCESS' }, 'biz.outcome.decisionSeq: expected integer'],
+    [STA_TYPES.CAPSULE_MINT, { capsuleId: 'CAP-1', sessionId: 'S', richScore: 180, businessScore: 80, capsuleHash: 'a' }, 'capsule.mint.richScore: above 100']
+  ];
+  
+  for (const [type, payload, message] of cases) {
+    const result = validatePayload(type, payload);
+    assert(!result.ok && result.reason === 'invalid_payload' && result.message === message, `${type}: ${result.message}`);
+  }
+  
+  assert(validatePayload(STA_TYPES.CHAT_USER, null).reason === 'invalid_payload', 'Payload must be an object');
+  assert(validatePayload(STA_TYPES.CHAT_USER, { chatId: 'wolf', text: 'Hi', extra: 1, focus: null }).ok, 'Unknown fields and nulls are fine');
+});
+
+test('Schemas: custom STA types can be registered', () => {
+  assert(!isRegisteredType('acme.invoice'), 'Unknown before registering');
+  
+  registerPayloadSchema('acme.invoice', {
+    fields: {
+      amount: { type: 'number', required: true, min: 0 },
+      currency: { type: 'string', required: true, enum: ['USD', 'EUR'] }
+    }
+  });
+  
+  try {
+    assert(isRegisteredType('acme.invoice'), 'Registered');
+    assert(validatePayload('acme.invoice', { amount: 12, currency: 'EUR' }).ok, 'Valid invoice');
+    assert(!validatePayload('acme.invoice', { amount: 12, currency: 'BTC' }).ok, 'Enum enforced');
+    
+    const segment = { ...createSegment({ hid: 'HID-OWNER', pubJwk: {}, prevHash: GENESIS_HASH, seq: 1, type: 'acme.invoice', payload: {} }), signature: 'sig' };
+    assert(validateSegmentStructure(segment).valid, 'Structure accepts the custom type');
+  } finally {
+    unregisterPayloadSchema('acme.invoice');
+  }
+  
+  let threw = false;
+  try {
+    registerPayloadSchema(STA_TYPES.CHAT_USER, { fields: {} });
+  } catch {
+    threw = true;
+  }
+  assert(threw && !unregisterPayloadSchema(STA_TYPES.CHAT_USER), 'Built-in schemas are fixed');
+  assert(validatePayload('acme.invoice', {}).reason === 'unknown_type', 'Unregistered again');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(e => {
+  console.error('Test runner error:', e);
+  process.exit(1);
+});
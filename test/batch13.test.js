@@ -0,0 +1,698 @@
+// Test: Batch 13 - Chain Accounting
+// Run with: node --experimental-vm-modules test/batch13.test.js
+
+import { CapsTracker, applyCapsSegment, deriveCaps, consumeCaps } from '../src/caps.js';
+import {
+  STA_TYPES,
+  DAILY_CAP,
+  INITIAL_UNLOCKED_SEGMENTS,
+  LAYER_1_UNLOCK_MULTIPLIER,
+  MIN_BLOCK_INTERVAL_MS,
+  COMMIT_PRIORITY,
+  UTC_TOLERANCE_MS,
+  TIME_SAMPLE_MAX_AGE_MS,
+  TIME_SAMPLE_MAX_RTT_MS,
+  STORES,
+  GENESIS_HASH
+} from '../src/constants.js';
+import {
+  createUnlockLedger,
+  applyUnlockSegment,
+  deriveUnlockLedger,
+  assignUnlockRefs,
+  checkUnlockRefs,
+  getUnlockBalances
+} from '../src/unlocks.js';
+import {
+  validateCounterRelationship,
+  validateSegmentTime,
+  validateSegment,
+  explainSegment,
+  formatExplanation,
+  validateBatch
+} from '../src/validation.js';
+import { createSegment, signSegment, computeSegmentHash } from '../src/segment.js';
+import { generateSigningKeyPair, exportPublicKeyJwk, generateHumanId } from '../src/crypto.js';
+import { TimeService, TIME_MESSAGES, measureOffset } from '../src/time.js';
+import { StateManager } from '../src/state.js';
+import { ChainSync } from '../src/sync.js';
+
+const tests = [];
+const results = { passed: 0, failed: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('BATCH 13 TESTS: Chain Accounting');
+  console.log('='.repeat(60));
+  
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      results.passed++;
+    } catch (e) {
+      console.log(`❌ ${t.name}`);
+      console.log(`   Error: ${e.message}`);
+      results.failed++;
+    }
+  }
+  
+  console.log('='.repeat(60));
+  console.log(`Results: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  
+  return results.failed === 0;
+}
+
+// ============================================================================
+// CAPS TESTS
+// ============================================================================
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2025, 0, 15, 12); // mid-month, mid-day
+
+function capsSegment(seq, timestamp, { type = STA_TYPES.CHAT_USER, hid = 'HID-OWNER' } = {}) {
+  return { seq, type, timestamp, author: { hid } };
+}
+
+/**
+ * Object store stand-in: requests resolve on the next microtask like IDB
+ */
+function createFakeCapsStore() {
+  const records = new Map();
+  const request = result => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess?.());
+    return req;
+  };
+  return {
+    records,
+    get: key => request(records.get(key)),
+    put: value => {
+      records.set(value.period, { ...value });
+      return request(value.period);
+    }
+  };
+}
+
+/**
+ * Database stand-in whose chain store serves `segments` (getAll, get by seq)
+ * The meta store reports `head` and the chain length; the sync log is empty.
+ */
+function createFakeChainDb(segments, { head = 'GENESIS' } = {}) {
+  const request = result => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess?.());
+    return req;
+  };
+  const meta = { chain_head: head, chain_len: segments.length };
+  const stores = {
+    [STORES.STATE_CHAIN]: {
+      getAll: () => request(segments),
+      get: seq => request(segments.find(s => s.seq === seq))
+    },
+    [STORES.META]: {
+      get: key => request(key in meta ? { key, value: meta[key] } : undefined)
+    },
+    [STORES.SYNC_LOG]: {
+      get: () => request(undefined)
+    }
+  };
+  return {
+    transaction: () => ({
+      objectStore: name => stores[name],
+      set oncomplete(resolve) { resolve(); }
+    })
+  };
+}
+
+test('Caps: segments count in their own period', () => {
+  const caps = { daily: 0, monthly: 0, yearly: 0, total: 0, dailyReset: 0, monthlyReset: 0, yearlyReset: 0 };
+  
+  applyCapsSegment(caps, T0);
+  applyCapsSegment(caps, T0 + HOUR);
+  assert(caps.daily === 2 && caps.monthly === 2 && caps.total === 2, 'Same day');
+  
+  applyCapsSegment(caps, T0 + DAY);
+  assert(caps.daily === 1 && caps.monthly === 3 && caps.yearly === 3, 'Next day starts a new daily period');
+  
+  applyCapsSegment(caps, T0 - DAY);
+  assert(caps.daily === 1 && caps.monthly === 4 && caps.total === 4, 'A late segment from yesterday only counts where it belongs');
+});
+
+test('Caps: derived from the chain by replaying timestamps', () => {
+  const segments = [
+    capsSegment(1, T0 - 40 * DAY),
+    capsSegment(2, T0 - HOUR),
+    capsSegment(3, T0, { type: STA_TYPES.TVM_TRANSFER }),
+    capsSegment(4, T0 + 1000, { type: STA_TYPES.AI_ADVICE }),
+    capsSegment(5, T0 + 2000, { hid: 'HID-OTHER' })
+  ];
+  
+  const caps = deriveCaps(segments, 'HID-OWNER', T0 + HOUR);
+  assert(caps.daily === 2 && caps.monthly === 2 && caps.yearly === 2 && caps.total === 3, `Counters ${JSON.stringify(caps)}`);
+  
+  const tomorrow = deriveCaps(segments, 'HID-OWNER', T0 + DAY);
+  assert(tomorrow.daily === 0 && tomorrow.monthly === 2 && tomorrow.total === 3, 'Finished periods read as zero');
+});
+
+test('Caps: consumed inside the transaction and rejected over the limit', async () => {
+  const store = createFakeCapsStore();
+  
+  const first = await consumeCaps(store, 'HID-OWNER', T0);
+  assert(first.ok && first.caps.daily === 1, 'First segment consumed');
+  assert(store.records.get('daily:HID-OWNER').count === 1 && store.records.get('total:HID-OWNER').count === 1, 'Written to the store');
+  
+  store.records.set('daily:HID-OWNER', { ...store.records.get('daily:HID-OWNER'), count: DAILY_CAP });
+  const over = await consumeCaps(store, 'HID-OWNER', T0 + 1000);
+  assert(!over.ok && over.reason === 'daily_cap_exceeded', 'Full day rejected');
+  assert(store.records.get('total:HID-OWNER').count === 1, 'Nothing written on rejection');
+  
+  const nextDay = await consumeCaps(store, 'HID-OWNER', T0 + DAY);
+  assert(nextDay.ok && nextDay.caps.daily === 1 && nextDay.caps.total === 2, 'New day has room again');
+});
+
+test('Caps: tracker rebuilds its store from the chain', async () => {
+  const tracker = new CapsTracker(null);
+  const saved = [];
+  tracker.saveCaps = async (hid, caps) => saved.push({ hid, caps: { ...caps } });
+  
+  const now = Date.now();
+  const segments = [capsSegment(1, now), capsSegment(2, now)];
+  tracker.db = createFakeChainDb(segments);
+  
+  const caps = await tracker.rebuildFromChain('HID-OWNER');
+  assert(caps.daily === 2 && caps.total === 2, `Rebuilt ${JSON.stringify(caps)}`);
+  assert(saved.length === 1 && saved[0].caps.total === 2, 'Store overwritten');
+  assert((await tracker.getCurrentCaps('HID-OWNER')).daily === 2, 'Cache serves the rebuilt counters');
+});
+
+// ============================================================================
+// UNLOCK LEDGER TESTS
+// ============================================================================
+
+/**
+ * Caps-affecting segment carrying the refs the ledger assigns
+ */
+function unlockedSegment(ledger, seq, type = STA_TYPES.CHAT_USER) {
+  const segment = { seq, type, nonce: `n${seq}`, unlocker_ref: null, unlocked_ref: null };
+  const refs = assignUnlockRefs(ledger, segment);
+  segment.unlocker_ref = refs.unlockerRef;
+  segment.unlocked_ref = refs.unlockedRef;
+  return segment;
+}
+
+function buildLedger(count) {
+  const ledger = createUnlockLedger();
+  const segments = [];
+  for (let seq = 1; seq <= count; seq++) {
+    const segment = unlockedSegment(ledger, seq);
+    applyUnlockSegment(ledger, segment);
+    segments.push(segment);
+  }
+  return { ledger, segments };
+}
+
+test('Unlocks: Layer 0 budget first, then earlier segments pay for Layer 1', () => {
+  const { ledger, segments } = buildLedger(INITIAL_UNLOCKED_SEGMENTS + 2);
+  
+  assert(segments[0].unlocker_ref === '0:L0-1' && segments[0].unlocked_ref === '1:L0', 'First segment spends slot 1');
+  assert(segments[INITIAL_UNLOCKED_SEGMENTS - 1].unlocker_ref === `0:L0-${INITIAL_UNLOCKED_SEGMENTS}`, 'Last slot');
+  
+  const firstLayer1 = segments[INITIAL_UNLOCKED_SEGMENTS];
+  assert(firstLayer1.unlocker_ref === '1:n1' && firstLayer1.unlocked_ref === `${INITIAL_UNLOCKED_SEGMENTS + 1}:L1`,
+    `Oldest segment pays first, got ${firstLayer1.unlocker_ref}`);
+  assert(segments[INITIAL_UNLOCKED_SEGMENTS + 1].unlocker_ref === '2:n2', 'Then the next one');
+  
+  const balances = getUnlockBalances(ledger);
+  assert(balances.layer0.used === INITIAL_UNLOCKED_SEGMENTS && balances.layer0.available === 0, 'Layer 0 spent');
+  assert(balances.layer1.used === 2 && balances.layer1.budget === (INITIAL_UNLOCKED_SEGMENTS + 2) * LAYER_1_UNLOCK_MULTIPLIER,
+    `Layer 1 ${JSON.stringify(balances.layer1)}`);
+  
+  applyUnlockSegment(ledger, { seq: INITIAL_UNLOCKED_SEGMENTS + 3, type: STA_TYPES.TVM_TRANSFER, nonce: 'x' });
+  assert(getUnlockBalances(ledger).layer1.used === 2, 'Transfers are not unlocked');
+});
+
+test('Unlocks: every segment pays forward, so unlocks never run out', async () => {
+  const total = INITIAL_UNLOCKED_SEGMENTS * (1 + LAYER_1_UNLOCK_MULTIPLIER) + 10;
+  const ledger = createUnlockLedger();
+  const segments = [];
+  
+  for (let seq = 1; seq <= total; seq++) {
+    const segment = unlockedSegment(ledger, seq);
+    const check = checkUnlockRefs(ledger, segment);
+    assert(segment.unlocker_ref && check.ok, `Seq ${seq} should commit: ${check.reason}`);
+    applyUnlockSegment(ledger, segment);
+    segments.push(segment);
+  }
+  
+  const firstRepaid = segments[INITIAL_UNLOCKED_SEGMENTS * 2];
+  assert(firstRepaid.unlocker_ref === `${INITIAL_UNLOCKED_SEGMENTS + 1}:n${INITIAL_UNLOCKED_SEGMENTS + 1}`,
+    `A Layer-1 segment pays once Layer 0 is used up, got ${firstRepaid.unlocker_ref}`);
+  
+  const balances = getUnlockBalances(ledger);
+  assert(balances.available === total * LAYER_1_UNLOCK_MULTIPLIER - (total - INITIAL_UNLOCKED_SEGMENTS),
+    `Balances ${JSON.stringify(balances)}`);
+  
+  const next = unlockedSegment(ledger, total + 1);
+  const db = createFakeChainDb(segments);
+  assert((await validateCounterRelationship(db, next)).ok, 'Lineage still verifies past 2400 segments');
+});
+
+test('Unlocks: refs must follow the ledger', () => {
+  const { ledger } = buildLedger(3);
+  
+  const next = unlockedSegment(ledger, 4);
+  assert(checkUnlockRefs(ledger, next).ok, 'Planned refs pass');
+  
+  const forged = { ...next, unlocker_ref: '2:n2' };
+  assert(checkUnlockRefs(ledger, forged).reason === 'unlock_mismatch', 'Wrong payer rejected');
+  
+  const backwards = { ...next, unlocker_ref: '4:n4' };
+  assert(checkUnlockRefs(ledger, backwards).reason === 'counter_order', 'Payer must be older');
+  
+  const moved = { ...next, unlocked_ref: '3:L0' };
+  assert(checkUnlockRefs(ledger, moved).reason === 'invalid_refs', 'Unlocked ref names the segment itself');
+  
+  const transfer = { seq: 4, type: STA_TYPES.TVM_TRANSFER, unlocker_ref: '0:L0-4', unlocked_ref: '4:L0' };
+  assert(checkUnlockRefs(ledger, transfer).reason === 'unexpected_refs', 'Only caps-affecting segments are unlocked');
+  
+  const missing = { seq: 4, type: STA_TYPES.CHAT_USER, unlocker_ref: null, unlocked_ref: null };
+  assert(checkUnlockRefs(ledger, missing).reason === 'missing_refs', 'Refs required once the chain uses them');
+});
+
+test('Unlocks: chains from before the ledger are charged implicitly', () => {
+  const legacy = [1, 2, 3].map(seq => ({ seq, type: STA_TYPES.CHAT_USER, nonce: `n${seq}`, unlocker_ref: null, unlocked_ref: null }));
+  const ledger = deriveUnlockLedger(legacy);
+  
+  assert(!ledger.explicit && getUnlockBalances(ledger).layer0.used === 3, 'Legacy segments spend slots');
+  assert(checkUnlockRefs(ledger, { seq: 4, type: STA_TYPES.CHAT_USER, unlocker_ref: null, unlocked_ref: null }).ok,
+    'Legacy segments still accepted');
+  
+  const next = unlockedSegment(ledger, 4);
+  assert(next.unlocker_ref === '0:L0-4', `Refs continue after legacy segments, got ${next.unlocker_ref}`);
+  
+  const total = INITIAL_UNLOCKED_SEGMENTS * (1 + LAYER_1_UNLOCK_MULTIPLIER) + 1;
+  const long = Array.from({ length: total }, (_, i) => ({ seq: i + 1, type: STA_TYPES.CHAT_USER, nonce: `n${i + 1}`, unlocker_ref: null, unlocked_ref: null }));
+  const longLedger = deriveUnlockLedger(long.slice(0, -1));
+  assert(checkUnlockRefs(longLedger, long.at(-1)).ok, 'Long legacy chains are never flagged');
+});
+
+test('Unlocks: validateCounterRelationship derives the ledger from the chain', async () => {
+  const { ledger, segments } = buildLedger(2);
+  const db = createFakeChainDb(segments);
+  
+  const next = unlockedSegment(ledger, 3);
+  assert((await validateCounterRelationship(db, next)).ok, 'Lineage verified from stored segments');
+  
+  const forged = await validateCounterRelationship(db, { ...next, unlocker_ref: '1:n1' });
+  assert(!forged.ok && forged.rule === 1 && forged.reason === 'unlock_mismatch', `Got ${JSON.stringify(forged)}`);
+});
+
+// ============================================================================
+// COMMIT QUEUE TESTS
+// ============================================================================
+
+/**
+ * State manager whose commits only record the call and move the chain head
+ * @param {number} [headAge] - How long ago each commit counts as committed
+ */
+function createQueuedState(headAge = 0) {
+  const state = new StateManager();
+  state.committed = [];
+  state.commitNow = async (type, payload) => {
+    state.committed.push({ type, payload, at: Date.now() });
+    state.lastCommitAt = Date.now() - headAge;
+    return { ok: true, seq: state.committed.length };
+  };
+  return state;
+}
+
+test('Queue: commits wait for their rate-limit slot', async () => {
+  const state = createQueuedState();
+  
+  const [first, second] = await Promise.all([
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'a' }),
+    state.commitAction(STA_TYPES.AI_ADVICE, { text: 'b' })
+  ]);
+  
+  assert(first.seq === 1 && second.seq === 2, 'Each action gets its own seq');
+  const gap = state.committed[1].at - state.committed[0].at;
+  assert(gap >= MIN_BLOCK_INTERVAL_MS, `Second commit waited ${gap}ms`);
+  assert(state.getQueueDepth() === 0, 'Queue drained');
+});
+
+test('Queue: higher priority commits first, FIFO within a priority', async () => {
+  const state = createQueuedState(MIN_BLOCK_INTERVAL_MS);
+  state.lastCommitAt = Date.now() - MIN_BLOCK_INTERVAL_MS + 100; // next slot in 100ms
+  
+  const pending = [
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'low' }, { priority: COMMIT_PRIORITY.LOW }),
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'normal 1' }),
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'high' }, { priority: COMMIT_PRIORITY.HIGH }),
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'normal 2' })
+  ];
+  
+  assert(state.getQueueDepth() === 4, `Depth ${state.getQueueDepth()}`);
+  const wait = state.estimateCommitWait(COMMIT_PRIORITY.NORMAL);
+  assert(wait > 3 * MIN_BLOCK_INTERVAL_MS && wait <= 3 * MIN_BLOCK_INTERVAL_MS + 100, `Normal waits behind three, got ${wait}ms`);
+  assert(state.estimateCommitWait(COMMIT_PRIORITY.HIGH) <= MIN_BLOCK_INTERVAL_MS + 100, 'High waits behind one');
+  
+  await Promise.all(pending);
+  const order = state.committed.map(c => c.payload.text).join(',');
+  assert(order === 'high,normal 1,normal 2,low', `Order ${order}`);
+});
+
+test('Queue: a failed commit resolves and the queue moves on', async () => {
+  const state = createQueuedState(MIN_BLOCK_INTERVAL_MS);
+  const commitNow = state.commitNow;
+  state.commitNow = async (type, payload) => {
+    if (payload.text === 'boom') throw new Error('signer unavailable');
+    return commitNow(type, payload);
+  };
+  
+  const [failed, next] = await Promise.all([
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'boom' }),
+    state.commitAction(STA_TYPES.CHAT_USER, { text: 'fine' })
+  ]);
+  
+  assert(!failed.ok && failed.reason === 'commit_error', 'Failure reported to its caller');
+  assert(next.ok && state.committed.length === 1, 'Next action still committed');
+});
+
+test('Queue: synced segments wait for an in-flight commit', async () => {
+  const state = createQueuedState();
+  const order = [];
+  let release;
+  const liveness = new Promise(resolve => { release = resolve; });
+  
+  state.commitNow = async () => {
+    order.push('commit:start');
+    await liveness; // e.g. waiting for the WebAuthn prompt
+    order.push('commit:end');
+    return { ok: true, seq: 1 };
+  };
+  
+  state.identity = { hid: 'HID-OWNER' };
+  const sync = new ChainSync({ state });
+  sync.appendReceived = async () => {
+    order.push('sync');
+    return { ok: true };
+  };
+  
+  const committed = state.commitAction(STA_TYPES.CHAT_USER, { text: 'a' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const synced = sync.applySegment({ seq: 1, author: { hid: 'HID-OWNER' } });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  
+  assert(order.join() === 'commit:start', `Sync ran during the commit: ${order}`);
+  release();
+  await Promise.all([committed, synced]);
+  assert(order.join() === 'commit:start,commit:end,sync', `Order ${order}`);
+  
+  const failed = await state.exclusive(async () => { throw new Error('boom'); }).catch(e => e.message);
+  const after = await state.exclusive(async () => 'next');
+  assert(failed === 'boom' && after === 'next', 'A failed write releases the lock');
+});
+
+test('Queue: commits without a database report not_initialized', async () => {
+  const state = new StateManager();
+  const result = await state.commitAction(STA_TYPES.CHAT_USER, { text: 'hi' });
+  assert(!result.ok && result.reason === 'not_initialized', `Got ${result.reason}`);
+});
+
+// ============================================================================
+// TRUSTED TIME TESTS
+// ============================================================================
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Two time services joined by a P2P stand-in that delivers messages directly
+ */
+function createTimePeers(clockA, clockB) {
+  const services = {};
+  const p2pFor = self => ({
+    handlers: new Map(),
+    registerHandler(namespace, handler) { this.handlers.set(namespace, handler); },
+    unregisterHandler(namespace) { this.handlers.delete(namespace); },
+    getConnectedPeers: () => [self === 'a' ? 'b' : 'a'],
+    send: async (peerId, message) => services[peerId].p2p.handlers.get('time')(self, message)
+  });
+  services.a = new TimeService({ p2p: p2pFor('a'), clock: clockA });
+  services.b = new TimeService({ p2p: p2pFor('b'), clock: clockB });
+  services.a.attach();
+  services.b.attach();
+  return services;
+}
+
+/**
+ * Give a time service a quorum of sources agreeing on one offset
+ */
+function trustOffset(time, offset) {
+  for (const source of ['signal', 'peer:x', 'peer:y']) {
+    time.addSample({ source, offset });
+  }
+  return time;
+}
+
+test('Time: estimate is the median of each source, local clock without a quorum', () => {
+  let local = T0;
+  const time = new TimeService({ clock: () => local });
+  
+  const untrusted = time.getEstimate();
+  assert(!untrusted.trusted && untrusted.offset === 0 && time.now() === T0, 'Local clock stands in');
+  
+  const measured = measureOffset(T0, T0 + 5 * MINUTE + 100, T0 + 200);
+  assert(measured.offset === 5 * MINUTE && measured.rtt === 200, `Measured ${JSON.stringify(measured)}`);
+  
+  time.addSample({ source: 'signal', ...measured });
+  time.addSample({ source: 'peer:b', offset: 60 * MINUTE }); // lying peer
+  const short = time.getEstimate();
+  assert(!short.trusted && short.offset === 0 && short.samples === 2, 'Two sources are not a quorum');
+  
+  time.addSample({ source: 'peer:a', offset: 4 * MINUTE });
+  time.addSample({ source: 'peer:a', offset: 6 * MINUTE }); // newer sample replaces the older one
+  
+  const estimate = time.getEstimate();
+  assert(estimate.trusted && estimate.offset === 6 * MINUTE, `Median offset ${estimate.offset}`);
+  assert(estimate.sources.length === 3, 'One vote per source');
+  
+  assert(!time.addSample({ source: 'peer:c', offset: 0, rtt: TIME_SAMPLE_MAX_RTT_MS + 1 }), 'Slow round trips dropped');
+  
+  local += TIME_SAMPLE_MAX_AGE_MS + 1;
+  assert(!time.getEstimate().trusted, 'Old samples expire');
+});
+
+test('Time: timestamps checked against trusted time and the previous segment', () => {
+  const time = trustOffset(new TimeService({ clock: () => T0 }), 30 * MINUTE); // local clock is 30 minutes slow
+  const now = T0 + 30 * MINUTE;
+  
+  assert(time.checkTimestamp(now).ok, 'Trusted now passes');
+  assert(time.checkTimestamp(T0).reason === 'timestamp_drift', 'Raw local clock is backdated');
+  assert(time.checkTimestamp(T0, { fresh: false }).ok, 'Synced history may be old');
+  assert(time.checkTimestamp(now + UTC_TOLERANCE_MS + 1, { fresh: false }).reason === 'timestamp_future', 'Future always rejected');
+  assert(time.checkTimestamp(now, { previous: now + 1000 }).reason === 'timestamp_regression', 'Never before the previous segment');
+  
+  assert(time.nextTimestamp() === now && time.nextTimestamp(now + 5000) === now + 5000, 'Next timestamp is monotonic');
+});
+
+test('Time: a head from a fast clock is reported instead of failing timestamp_future', async () => {
+  const time = new TimeService({ clock: () => T0 });
+  const head = T0 + UTC_TOLERANCE_MS + 5 * MINUTE; // stamped by a device 17 minutes fast
+  
+  assert(time.nextTimestamp(head) === head, 'Never before the head');
+  assert(time.checkTimestamp(head + 1000, { previous: head }).reason === 'timestamp_future', 'Any new segment is too far ahead');
+  
+  const check = time.checkHead(head);
+  assert(!check.ok && check.reason === 'head_in_future' && check.skew === head - T0, `Got ${JSON.stringify(check)}`);
+  assert(time.checkHead(T0 + 5 * MINUTE).ok, 'A head within the tolerance leaves room');
+  
+  const state = new StateManager();
+  Object.assign(state, { db: {}, identity: { hid: 'HID-OWNER' }, timeService: time, lastCommitAt: head });
+  
+  const started = Date.now();
+  const result = await state.commitAction(STA_TYPES.CHAT_USER, { chatId: 'test', text: 'hi' });
+  assert(!result.ok && result.reason === 'head_in_future', `Got ${result.reason}`);
+  assert(Date.now() - started < 1000, 'The queue should not wait for the head');
+});
+
+test('Time: peers answer time requests with their clock', async () => {
+  const { a } = createTimePeers(() => T0, () => T0 + 10 * MINUTE);
+  
+  const sample = await a.samplePeer('b');
+  assert(sample.ok && sample.offset === 10 * MINUTE, `Sample ${JSON.stringify(sample)}`);
+  assert(a.getSamples()[0].source === 'peer:b', 'Recorded per peer');
+  assert(!a.getEstimate().trusted && a.now() === T0, 'One peer alone does not set the time');
+  
+  await a.handleMessage('b', { type: TIME_MESSAGES.RESPONSE, id: 'unknown', time: 0 });
+  assert(a.getSamples().length === 1, 'Unsolicited responses ignored');
+});
+
+test('Time: validateSegmentTime rejects drift and regressions', async () => {
+  const now = Date.now();
+  const db = createFakeChainDb([{ seq: 1, timestamp: now - 5000 }]);
+  
+  assert((await validateSegmentTime(db, { seq: 2, timestamp: now })).ok, 'Current segment passes');
+  
+  const backdated = await validateSegmentTime(db, { seq: 2, timestamp: now - UTC_TOLERANCE_MS - MINUTE });
+  assert(!backdated.ok && backdated.rule === 11, 'Backdated segment rejected');
+  
+  const regressed = await validateSegmentTime(db, { seq: 2, timestamp: now - 6000 }, { fresh: false });
+  assert(regressed.reason === 'timestamp_regression', `Got ${regressed.reason}`);
+  
+  const fast = trustOffset(new TimeService(), 20 * MINUTE);
+  const slowClock = await validateSegmentTime(db, { seq: 2, timestamp: now }, { timeService: fast });
+  assert(slowClock.reason === 'timestamp_drift', 'Judged by trusted time, not the local clock');
+});
+
+// ============================================================================
+// EXPLAIN MODE TESTS
+// ============================================================================
+
+/**
+ * One-segment chain plus a follow-up segment with several problems:
+ * 200ms after the head, wrong prev_hash, skipped seq, bogus signature
+ */
+function createExplainFixture() {
+  const now = Date.now();
+  const author = { hid: 'HID-OWNER', pubJwk: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' } };
+  const db = createFakeChainDb([
+    { seq: 1, type: STA_TYPES.CHAT_USER, timestamp: now - 200, nonce: 'n1', author }
+  ], { head: 'HEAD-1' });
+  
+  const segment = {
+    ...createSegment({
+      ...author,
+      prevHash: 'WRONG',
+      seq: 3,
+      type: STA_TYPES.CHAT_USER,
+      payload: { chatId: 'kareem', text: 'Plan the launch' }
+    }),
+    signature: 'bogus'
+  };
+  
+  return { db, segment, now };
+}
+
+test('Explain: every rule reported, not just the first failure', async () => {
+  const { db, segment, now } = createExplainFixture();
+  
+  const first = await validateSegment(db, segment);
+  assert(first.rule === 3, `validateSegment stops at rule ${first.rule}`);
+  
+  const explanation = await explainSegment(db, segment);
+  const byName = Object.fromEntries(explanation.rules.map(r => [r.name, r]));
+  
+  assert(!explanation.ok && explanation.seq === 3, 'Rejected');
+  for (const name of ['rate_limit', 'history_hash', 'sequence', 'signature']) {
+    assert(byName[name].status === 'fail', `${name} should fail, got ${byName[name].status}`);
+  }
+  assert(byName.structure.status === 'pass' && byName.nonce.status === 'pass', 'Passing rules reported');
+  assert(byName.caps.status === 'skipped' && byName.capsule_mint.status === 'skipped', 'Rules that do not apply are skipped');
+  
+  assert(byName.history_hash.expected === 'HEAD-1' && byName.history_hash.actual === 'WRONG', 'Expected vs actual head');
+  assert(byName.sequence.expected === 2 && byName.sequence.actual === 3, 'Expected vs actual seq');
+  assert(byName.rate_limit.expected === `timestamp >= ${now - 200 + MIN_BLOCK_INTERVAL_MS}`, `Rate limit ${byName.rate_limit.expected}`);
+  assert(explanation.rules.length === 13, `All checks listed, got ${explanation.rules.length}`);
+});
+
+test('Explain: nothing runs past a broken structure', async () => {
+  const { db, segment } = createExplainFixture();
+  const broken = { ...segment };
+  delete broken.nonce;
+  
+  const explanation = await explainSegment(db, broken);
+  assert(explanation.failures.length === 1 && explanation.failures[0] === 'structure', `Failures ${explanation.failures}`);
+  assert(explanation.rules.slice(1).every(r => r.status === 'skipped'), 'Everything else skipped');
+  
+  const text = formatExplanation(explanation);
+  assert(text.includes('FAIL Rule 0 structure') && text.includes('SKIP Rule 8 signature'), text);
+});
+
+test('Explain: validateBatch builds a rejection report', async () => {
+  const { db, segment } = createExplainFixture();
+  const other = { ...segment, seq: 4, nonce: 'f'.repeat(32) };
+  
+  const plain = await validateBatch(db, [segment, other]);
+  assert(plain.report === undefined && !plain.invalid[0].explanation, 'Explain is opt-in');
+  
+  const result = await validateBatch(db, [segment, other], { explain: true });
+  assert(result.invalid.length === 2 && result.invalid[1].explanation.seq === 4, 'Each rejection explained');
+  assert(result.report.startsWith('2 of 2 segments rejected'), result.report);
+  assert(result.report.includes('FAIL Rule 7 sequence') && result.report.includes('expected: 2'), result.report);
+  assert(!result.report.includes('PASS'), 'Report lists failures only');
+});
+
+/**
+ * Signs chat.user segments for an empty chain, with the refs `ledger` assigns
+ */
+async function createBatchSigner() {
+  const keyPair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(keyPair.publicKey);
+  const hid = await generateHumanId(pubJwk);
+  const ledger = createUnlockLedger();
+  
+  const sign = async (seq, prevHash, timestamp, overrides = {}) => {
+    const segment = createSegment({ hid, pubJwk, prevHash, seq, type: STA_TYPES.CHAT_USER, payload: { chatId: 'wolf', text: `turn ${seq}` }, timestamp });
+    const refs = assignUnlockRefs(ledger, segment);
+    return signSegment({ ...segment, unlocker_ref: refs.unlockerRef, unlocked_ref: refs.unlockedRef, ...overrides }, keyPair.privateKey);
+  };
+  
+  return { db: createFakeChainDb([], { head: GENESIS_HASH }), ledger, sign, now: Date.now() };
+}
+
+test('Explain: validateBatch follows the batch, not just the stored head', async () => {
+  const { db, ledger, sign, now } = await createBatchSigner();
+  
+  const first = await sign(1, GENESIS_HASH, now - 4000);
+  applyUnlockSegment(ledger, first);
+  const second = await sign(2, await computeSegmentHash(first), now - 2000);
+  applyUnlockSegment(ledger, second);
+  const forked = await sign(3, 'WRONG', now);
+  const third = await sign(3, await computeSegmentHash(second), now);
+  
+  const result = await validateBatch(db, [first, second, forked, third], { explain: true });
+  assert(result.valid.length === 3 && result.valid[2] === third, `Valid ${result.valid.map(s => s.seq)}`);
+  assert(result.invalid.length === 1 && result.invalid[0].segment === forked, 'Only the forked segment is rejected');
+  
+  const failures = result.invalid[0].explanation.failures;
+  assert(failures.length === 1 && failures[0] === 'history_hash', `Failures ${failures}`);
+  assert(result.report.startsWith('1 of 4 segments rejected'), result.report);
+  assert(result.report.includes(`expected: ${await computeSegmentHash(second)}`), 'Expected head is the batch tip');
+});
+
+test('Explain: validateBatch refuses a nonce reused within the batch', async () => {
+  const { db, ledger, sign, now } = await createBatchSigner();
+  
+  const first = await sign(1, GENESIS_HASH, now - 2000);
+  applyUnlockSegment(ledger, first);
+  const replayed = await sign(2, await computeSegmentHash(first), now, { nonce: first.nonce });
+  
+  const result = await validateBatch(db, [first, replayed]);
+  assert(result.valid.length === 1 && result.invalid.length === 1, `Valid ${result.valid.map(s => s.seq)}`);
+  assert(result.invalid[0].result.reason === 'replay_nonce', `Got ${result.invalid[0].result.reason}`);
+  
+  const alone = await validateBatch(db, [replayed], { tip: { seq: 1, head: await computeSegmentHash(first), segment: first } });
+  assert(alone.invalid[0]?.result.reason !== 'replay_nonce', 'Only nonces seen in the batch or the chain count');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(e => {
+  console.error('Test runner error:', e);
+  process.exit(1);
+});
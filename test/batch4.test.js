@@ -5,9 +5,28 @@ import {
   calculateRichScore,
   calculateBusinessScore,
   detectMotivator,
-  detectCategory
+  detectCategory,
+  createTransferReceipt,
+  verifyTransferReceipt,
+  deriveTVMBalances,
+  getTVMDeltas
 } from '../src/tvm.js';
 
+import {
+  createSegment,
+  signSegment,
+  computeSegmentHash,
+  createTVMTransferPayload
+} from '../src/segment.js';
+
+import { validateOwnerTransition } from '../src/validation.js';
+
+import {
+  generateSigningKeyPair,
+  exportPublicKeyJwk,
+  generateHumanId
+} from '../src/crypto.js';
+
 import {
   checkKillSwitch,
   AICouncil,
@@ -19,7 +38,8 @@ import {
   MIN_RICH_SCORE,
   MIN_BUSINESS_SCORE,
   TVM_PER_CAPSULE,
-  COUNCIL_MEMBERS
+  COUNCIL_MEMBERS,
+  STA_TYPES
 } from '../src/constants.js';
 
 const tests = [];
@@ -340,6 +360,132 @@ test('Council: debate includes multiple characters', () => {
   assert(debate.some(d => d.character === 'tommy'), 'Should include tommy');
 });
 
+// ============================================================================
+// TVM TRANSFER TESTS
+// ============================================================================
+
+async function makeSignedTransfer({ to, amount = 2.5 } = {}) {
+  const keys = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(keys.publicKey);
+  const hid = await generateHumanId(pubJwk);
+  const segment = createSegment({
+    hid,
+    pubJwk,
+    prevHash: 'GENESIS',
+    seq: 1,
+    type: STA_TYPES.TVM_TRANSFER,
+    payload: createTVMTransferPayload({ to, amount, memo: 'test' }),
+    previousOwner: hid,
+    currentOwner: to
+  });
+  const signed = await signSegment(segment, keys.privateKey);
+  return { hid, segment: signed };
+}
+
+test('TVM: createTVMTransferPayload builds payload', () => {
+  const payload = createTVMTransferPayload({ to: 'HID-AABBCCDD', amount: 3 });
+  assert(payload.to === 'HID-AABBCCDD', 'Should set recipient');
+  assert(payload.amount === 3, 'Should set amount');
+  assert(payload.memo === null, 'Memo should default to null');
+  assert(typeof payload.sentAt === 'number', 'Should set sentAt');
+});
+
+test('TVM: validateOwnerTransition rejects non-owner author', () => {
+  const result = validateOwnerTransition({
+    type: STA_TYPES.TVM_TRANSFER,
+    previous_owner: 'HID-11111111',
+    current_owner: 'HID-22222222',
+    author: { hid: 'HID-33333333' },
+    payload: { to: 'HID-22222222', amount: 1 }
+  });
+  assert(!result.ok && result.reason === 'not_owner', `Expected not_owner, got ${result.reason}`);
+});
+
+test('TVM: validateOwnerTransition rejects bad amount and recipient', () => {
+  const base = {
+    type: STA_TYPES.TVM_TRANSFER,
+    previous_owner: 'HID-11111111',
+    current_owner: 'HID-22222222',
+    author: { hid: 'HID-11111111' }
+  };
+  const badAmount = validateOwnerTransition({ ...base, payload: { to: 'HID-22222222', amount: -1 } });
+  assert(badAmount.reason === 'invalid_amount', `Expected invalid_amount, got ${badAmount.reason}`);
+  const badTo = validateOwnerTransition({ ...base, payload: { to: 'HID-44444444', amount: 1 } });
+  assert(badTo.reason === 'recipient_mismatch', `Expected recipient_mismatch, got ${badTo.reason}`);
+});
+
+test('TVM: verifyTransferReceipt accepts signed transfer', async () => {
+  const { hid, segment } = await makeSignedTransfer({ to: 'HID-22222222' });
+  const receipt = createTransferReceipt(segment, await computeSegmentHash(segment));
+  const result = await verifyTransferReceipt(receipt, 'HID-22222222');
+  assert(result.ok, `Should verify: ${result.reason}`);
+  assert(result.amount === 2.5, `Expected 2.5, got ${result.amount}`);
+  assert(result.from === hid, 'Should report sender');
+});
+
+test('TVM: verifyTransferReceipt rejects wrong recipient', async () => {
+  const { segment } = await makeSignedTransfer({ to: 'HID-22222222' });
+  const receipt = createTransferReceipt(segment, await computeSegmentHash(segment));
+  const result = await verifyTransferReceipt(receipt, 'HID-99999999');
+  assert(result.reason === 'wrong_recipient', `Expected wrong_recipient, got ${result.reason}`);
+});
+
+test('TVM: verifyTransferReceipt rejects tampered amount', async () => {
+  const { segment } = await makeSignedTransfer({ to: 'HID-22222222' });
+  const hash = await computeSegmentHash(segment);
+  const tampered = { ...segment, payload: { ...segment.payload, amount: 1000 } };
+  const result = await verifyTransferReceipt(createTransferReceipt(tampered, hash), 'HID-22222222');
+  assert(result.reason === 'bad_signature', `Expected bad_signature, got ${result.reason}`);
+});
+
+// ============================================================================
+// DERIVED BALANCE TESTS
+// ============================================================================
+
+const mintSta = (seq, hid) => ({
+  seq,
+  type: STA_TYPES.CAPSULE_MINT,
+  author: { hid },
+  payload: { capsuleId: `CAP-${seq}`, tvmAmount: 1.0 }
+});
+
+const transferSta = (seq, from, to, amount) => ({
+  seq,
+  type: STA_TYPES.TVM_TRANSFER,
+  author: { hid: from },
+  previous_owner: from,
+  current_owner: to,
+  payload: { to, amount }
+});
+
+test('TVM: getTVMDeltas ignores non-TVM segments', () => {
+  const deltas = getTVMDeltas({ seq: 1, type: STA_TYPES.CHAT_USER, payload: {} });
+  assert(deltas.length === 0, 'Chat segments should not change balances');
+});
+
+test('TVM: deriveTVMBalances credits mints and debits transfers', () => {
+  const hid = 'HID-11111111';
+  const balances = deriveTVMBalances([
+    transferSta(3, hid, 'HID-22222222', 0.3),
+    mintSta(1, hid),
+    mintSta(2, hid)
+  ]);
+  assert(balances.get(hid) === 1.7, `Expected 1.7, got ${balances.get(hid)}`);
+  assert(!balances.has('HID-22222222'), 'Recipient is credited by receipt, not by sender chain');
+});
+
+test('TVM: deriveTVMBalances applies imported receipts', () => {
+  const balances = deriveTVMBalances([], [{ to: 'HID-22222222', amount: 0.3 }]);
+  assert(balances.get('HID-22222222') === 0.3, `Expected 0.3, got ${balances.get('HID-22222222')}`);
+});
+
+test('TVM: mint credit ignores payload amount', () => {
+  const sta = mintSta(1, 'HID-11111111');
+  sta.payload.tvmAmount = 1000;
+  const balances = deriveTVMBalances([sta]);
+  assert(balances.get('HID-11111111') === TVM_PER_CAPSULE, 'Mint should credit TVM_PER_CAPSULE');
+});
+
 // ============================================================================
 // RUN TESTS
 // ============================================================================
@@ -0,0 +1,501 @@
+// Test: Batch 9 - Sync, Forks & Bundles
+// Run with: node --experimental-vm-modules test/batch9.test.js
+
+import { ChainSync, SYNC_MESSAGES, planSyncRange } from '../src/sync.js';
+import { P2PManager } from '../src/p2p.js';
+import {
+  FORK_RULES,
+  findCommonAncestor,
+  detectFork,
+  chooseCanonicalBranch,
+  verifyBranch,
+  resolveFork,
+  getForkEvidence
+} from '../src/fork.js';
+import { createSegment, signSegment, computeSegmentHash } from '../src/segment.js';
+import { generateSigningKeyPair, exportPublicKeyJwk, generateHumanId } from '../src/crypto.js';
+import { GENESIS_HASH, STORES } from '../src/constants.js';
+import {
+  buildChainBundle,
+  verifyChainBundle,
+  serializeBundle,
+  parseBundle,
+  getBundleFilename,
+  importChainBundle
+} from '../src/bundle.js';
+import { verifySegments } from '../src/integrity.js';
+
+const tests = [];
+const results = { passed: 0, failed: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('BATCH 9 TESTS: Sync, Forks & Bundles');
+  console.log('='.repeat(60));
+  
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      results.passed++;
+    } catch (e) {
+      console.log(`❌ ${t.name}`);
+      console.log(`   Error: ${e.message}`);
+      results.failed++;
+    }
+  }
+  
+  console.log('='.repeat(60));
+  console.log(`Results: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+  
+  return results.failed === 0;
+}
+
+// ============================================================================
+// TEST FIXTURES
+// ============================================================================
+
+const HID = 'HID-11111111';
+
+function createFakeState({ length = 0, head = 'GENESIS' } = {}) {
+  return {
+    db: null,
+    identity: { hid: HID, pubJwk: { kty: 'EC', x: 'a', y: 'b' } },
+    async getChainLen() { return length; },
+    async getChainHead() { return head; }
+  };
+}
+
+function createFakeP2P() {
+  const sent = [];
+  return {
+    sent,
+    handlers: new Map(),
+    registerHandler(ns, fn) { this.handlers.set(ns, fn); },
+    unregisterHandler(ns) { this.handlers.delete(ns); },
+    async send(peerId, message) { sent.push({ peerId, message }); },
+    getConnectedPeers() { return []; }
+  };
+}
+
+/**
+ * Build a signed chain continuing from `from` (default: genesis)
+ */
+async function buildChain(keys, count, from = { seq: 0, hash: GENESIS_HASH }, startTs = 1000000) {
+  const segments = [];
+  let prevHash = from.hash;
+  
+  for (let i = 1; i <= count; i++) {
+    const segment = createSegment({
+      hid: keys.hid,
+      pubJwk: keys.pubJwk,
+      prevHash,
+      seq: from.seq + i,
+      type: 'chat.user',
+      payload: { chatId: 'test', text: `message ${from.seq + i}` }
+    });
+    segment.timestamp = startTs + i * 2000;
+    const signed = await signSegment(segment, keys.privateKey);
+    segments.push(signed);
+    prevHash = await computeSegmentHash(signed);
+  }
+  
+  return { segments, head: prevHash };
+}
+
+async function createKeys() {
+  const pair = await generateSigningKeyPair();
+  const pubJwk = await exportPublicKeyJwk(pair.publicKey);
+  return { privateKey: pair.privateKey, pubJwk, hid: await generateHumanId(pubJwk) };
+}
+
+const fakeSeg = (seq, tag, timestamp = seq * 1000) => ({
+  seq,
+  nonce: `n${seq}${tag}`,
+  signature: `s${seq}${tag}`,
+  prev_hash: `h${seq - 1}`,
+  timestamp,
+  type: 'chat.user'
+});
+
+// ============================================================================
+// SYNC PLANNING TESTS
+// ============================================================================
+
+test('Sync: planSyncRange detects in-sync chains', () => {
+  const plan = planSyncRange({ length: 5, head: 'abc' }, { length: 5, head: 'abc' });
+  assert(plan.action === 'in_sync', `Expected in_sync, got ${plan.action}`);
+});
+
+test('Sync: planSyncRange detects divergence at equal length', () => {
+  const plan = planSyncRange({ length: 5, head: 'abc' }, { length: 5, head: 'def' });
+  assert(plan.action === 'diverged', `Expected diverged, got ${plan.action}`);
+});
+
+test('Sync: planSyncRange waits when local is ahead', () => {
+  const plan = planSyncRange({ length: 9, head: 'abc' }, { length: 5, head: 'def' });
+  assert(plan.action === 'ahead', `Expected ahead, got ${plan.action}`);
+});
+
+test('Sync: planSyncRange pulls missing range in batches', () => {
+  const plan = planSyncRange({ length: 3, head: 'abc' }, { length: 200, head: 'def' }, 50);
+  assert(plan.action === 'pull', `Expected pull, got ${plan.action}`);
+  assert(plan.from === 4, `Expected from=4, got ${plan.from}`);
+  assert(plan.to === 53, `Expected to=53, got ${plan.to}`);
+});
+
+// ============================================================================
+// P2P ROUTING TESTS
+// ============================================================================
+
+test('Sync: P2PManager routes namespaced messages to handler', async () => {
+  const fallback = [];
+  const routed = [];
+  const manager = new P2PManager({ onMessage: (peerId, msg) => fallback.push(msg) });
+  manager.registerHandler('sync', (peerId, msg) => routed.push({ peerId, msg }));
+  
+  manager.routeMessage('peer-1', { type: 'sync.hello' });
+  manager.routeMessage('peer-1', { type: 'chat' });
+  await Promise.resolve();
+  await Promise.resolve();
+  
+  assert(routed.length === 1 && routed[0].peerId === 'peer-1', 'sync.hello should reach handler');
+  assert(fallback.length === 1 && fallback[0].type === 'chat', 'Other messages should reach onMessage');
+});
+
+// ============================================================================
+// CHAIN SYNC TESTS
+// ============================================================================
+
+test('Sync: ChainSync rejects hello from another identity', async () => {
+  const p2p = createFakeP2P();
+  const sync = new ChainSync({ state: createFakeState(), p2p });
+  
+  await sync.handleMessage('peer-1', { type: SYNC_MESSAGES.HELLO, hid: 'HID-99999999', length: 3, head: 'x' });
+  
+  assert(p2p.sent.length === 1, `Expected 1 message, got ${p2p.sent.length}`);
+  assert(p2p.sent[0].message.type === SYNC_MESSAGES.ERROR, 'Should send sync.error');
+  assert(p2p.sent[0].message.reason === 'identity_mismatch', 'Should report identity_mismatch');
+});
+
+test('Sync: ChainSync requests missing range from longer peer', async () => {
+  const p2p = createFakeP2P();
+  const sync = new ChainSync({ state: createFakeState({ length: 2, head: 'h2' }), p2p, batchSize: 10 });
+  
+  await sync.handleMessage('peer-1', { type: SYNC_MESSAGES.HELLO, hid: HID, length: 30, head: 'h30' });
+  
+  const types = p2p.sent.map(s => s.message.type);
+  assert(types[0] === SYNC_MESSAGES.HELLO, 'Should answer hello first');
+  const request = p2p.sent[1].message;
+  assert(request.type === SYNC_MESSAGES.REQUEST, 'Should request segments');
+  assert(request.from === 3 && request.to === 12, `Expected 3..12, got ${request.from}..${request.to}`);
+  
+  sync.detach();
+});
+
+test('Sync: ChainSync fetches full peer chain on divergence', async () => {
+  const p2p = createFakeP2P();
+  const sync = new ChainSync({ state: createFakeState({ length: 5, head: 'mine' }), p2p, batchSize: 10 });
+  
+  await sync.handleMessage('peer-1', { type: SYNC_MESSAGES.HELLO, hid: HID, length: 5, head: 'theirs', reply: true });
+  
+  const request = p2p.sent[0].message;
+  assert(request.type === SYNC_MESSAGES.REQUEST, 'Should request segments');
+  assert(request.from === 1 && request.to === 10, `Expected 1..10, got ${request.from}..${request.to}`);
+  
+  sync.detach();
+});
+
+test('Sync: ChainSync refuses segments from another identity', async () => {
+  const sync = new ChainSync({ state: createFakeState(), p2p: createFakeP2P() });
+  const result = await sync.applySegment({ seq: 1, author: { hid: 'HID-99999999', pubJwk: {} } });
+  assert(!result.ok && result.reason === 'foreign_segment', `Expected foreign_segment, got ${result.reason}`);
+});
+
+test('Sync: syncWith resolves with peer result', async () => {
+  const p2p = createFakeP2P();
+  const sync = new ChainSync({ state: createFakeState({ length: 4, head: 'h4' }), p2p });
+  
+  const pending = sync.syncWith('peer-1');
+  await sync.handleMessage('peer-1', { type: SYNC_MESSAGES.HELLO, hid: HID, length: 4, head: 'h4', reply: true });
+  const result = await pending;
+  
+  assert(result.ok && result.status === 'in_sync', `Expected in_sync, got ${result.status}`);
+  assert(result.peerId === 'peer-1', 'Should report peer');
+});
+
+// ============================================================================
+// FORK TESTS
+// ============================================================================
+
+test('Fork: findCommonAncestor finds last shared segment', () => {
+  const shared = [fakeSeg(1, 'a'), fakeSeg(2, 'a')];
+  const local = [...shared, fakeSeg(3, 'L')];
+  const remote = [...shared, fakeSeg(3, 'R'), fakeSeg(4, 'R')];
+  const ancestor = findCommonAncestor(local, remote);
+  assert(ancestor.seq === 2, `Expected seq 2, got ${ancestor.seq}`);
+  assert(ancestor.hash === 'h2', `Expected h2, got ${ancestor.hash}`);
+});
+
+test('Fork: findCommonAncestor returns genesis for disjoint chains', () => {
+  const ancestor = findCommonAncestor([fakeSeg(1, 'L')], [fakeSeg(1, 'R')]);
+  assert(ancestor.seq === 0 && ancestor.hash === GENESIS_HASH, 'Should fall back to genesis');
+});
+
+test('Fork: detectFork ignores a chain that is only behind', () => {
+  const shared = [fakeSeg(1, 'a'), fakeSeg(2, 'a')];
+  const fork = detectFork(shared, [...shared, fakeSeg(3, 'a')]);
+  assert(fork.forked === false, 'Prefix should not be a fork');
+  assert(fork.remote.length === 1, 'Remote should have one extra segment');
+});
+
+test('Fork: detectFork splits both branches', () => {
+  const shared = [fakeSeg(1, 'a')];
+  const fork = detectFork([...shared, fakeSeg(2, 'L')], [...shared, fakeSeg(2, 'R'), fakeSeg(3, 'R')]);
+  assert(fork.forked === true, 'Should detect fork');
+  assert(fork.summary.local.length === 1 && fork.summary.remote.length === 2, 'Should summarize branches');
+});
+
+test('Fork: chooseCanonicalBranch prefers longer branch', () => {
+  const fork = { local: [fakeSeg(2, 'L')], remote: [fakeSeg(2, 'R'), fakeSeg(3, 'R')] };
+  const decision = chooseCanonicalBranch(fork);
+  assert(decision.winner === 'remote' && decision.rule === FORK_RULES.LONGER_BRANCH, 'Longer branch should win');
+});
+
+test('Fork: chooseCanonicalBranch breaks ties by earlier divergence', () => {
+  const fork = { local: [fakeSeg(2, 'L', 5000)], remote: [fakeSeg(2, 'R', 4000)] };
+  const decision = chooseCanonicalBranch(fork);
+  assert(decision.winner === 'remote' && decision.rule === FORK_RULES.EARLIER_DIVERGENCE, 'Earlier branch should win');
+});
+
+test('Fork: chooseCanonicalBranch is symmetric between devices', () => {
+  const a = [fakeSeg(2, 'A', 4000)];
+  const b = [fakeSeg(2, 'B', 4000)];
+  const fromA = chooseCanonicalBranch({ local: a, remote: b });
+  const fromB = chooseCanonicalBranch({ local: b, remote: a });
+  assert(fromA.rule === FORK_RULES.LOWEST_SIGNATURE, 'Should fall back to signature rule');
+  assert(fromA.winner !== fromB.winner, 'Both devices should keep the same branch');
+});
+
+test('Fork: chooseCanonicalBranch honours user choice', () => {
+  const fork = { local: [fakeSeg(2, 'L')], remote: [fakeSeg(2, 'R'), fakeSeg(3, 'R')] };
+  const decision = chooseCanonicalBranch(fork, 'local');
+  assert(decision.winner === 'local' && decision.rule === FORK_RULES.USER_CHOICE, 'User choice should win');
+});
+
+test('Fork: verifyBranch accepts a signed branch', async () => {
+  const keys = await createKeys();
+  const base = await buildChain(keys, 2);
+  const branch = await buildChain(keys, 2, { seq: 2, hash: base.head });
+  const result = await verifyBranch(branch.segments, { seq: 2, hash: base.head }, keys.hid);
+  assert(result.ok, `Should verify: ${result.reason}`);
+  assert(result.head === branch.head, 'Should return branch head');
+});
+
+test('Fork: verifyBranch rejects branch signed by another key', async () => {
+  const owner = await createKeys();
+  const other = await createKeys();
+  const forged = await buildChain({ ...other, hid: owner.hid }, 1);
+  const result = await verifyBranch(forged.segments, { seq: 0, hash: GENESIS_HASH }, owner.hid);
+  assert(result.reason === 'foreign_segment', `Expected foreign_segment, got ${result.reason}`);
+});
+
+test('Fork: verifyBranch rejects broken linkage', async () => {
+  const keys = await createKeys();
+  const branch = await buildChain(keys, 2);
+  const result = await verifyBranch(branch.segments, { seq: 0, hash: 'not-genesis' }, keys.hid);
+  assert(result.reason === 'bad_prev_hash', `Expected bad_prev_hash, got ${result.reason}`);
+});
+
+test('Fork: evidence records a failed adoption with the local branch kept', async () => {
+  const keys = await createKeys();
+  const base = await buildChain(keys, 1);
+  const ancestor = { seq: 1, hash: base.head };
+  const local = await buildChain(keys, 1, ancestor, 2000000);
+  const remote = await buildChain(keys, 2, ancestor, 3000000);
+  
+  // chain_len disagrees with the local chain, so adoption stops as chain_changed
+  const meta = new Map([['chain_len', { key: 'chain_len', value: 5 }]]);
+  const request = result => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess?.());
+    return req;
+  };
+  const stores = {
+    [STORES.STATE_CHAIN]: { getAll: () => request([...base.segments, ...local.segments]) },
+    [STORES.META]: {
+      get: key => request(meta.get(key)),
+      put: record => { meta.set(record.key, record); return request(record.key); }
+    }
+  };
+  const state = {
+    db: {
+      transaction: () => ({
+        objectStore: name => stores[name],
+        set oncomplete(resolve) { resolve(); }
+      })
+    },
+    identity: { hid: keys.hid },
+    exclusive: fn => fn(),
+    emit() {}
+  };
+  
+  const result = await resolveFork({ state, remoteSegments: [...base.segments, ...remote.segments] });
+  assert(!result.ok && result.reason === 'chain_changed', `Expected chain_changed, got ${result.reason}`);
+  
+  const [evidence] = await getForkEvidence(state.db, keys.hid);
+  assert(evidence.id === result.evidenceId, 'Should return the evidence ID');
+  assert(evidence.outcome === 'adoption_failed', `Expected adoption_failed, got ${evidence.outcome}`);
+  assert(evidence.winner === 'local' && evidence.abandonedSide === 'remote', 'Local branch should be recorded as kept');
+  assert(evidence.abandoned.map(s => s.signature).join() === remote.segments.map(s => s.signature).join(),
+         'Remote branch should be the abandoned one');
+});
+
+// ============================================================================
+// BUNDLE TESTS
+// ============================================================================
+
+async function createBundle(count = 3) {
+  const keys = await createKeys();
+  const chain = await buildChain(keys, count);
+  const bundle = await buildChainBundle({ segments: chain.segments, identity: keys, head: chain.head });
+  return { keys, chain, bundle };
+}
+
+/**
+ * Database stand-in for an empty chain (meta, chain and sync log stores)
+ */
+function createEmptyChainDb() {
+  const request = result => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess?.());
+    return req;
+  };
+  const stores = {
+    [STORES.STATE_CHAIN]: { getAll: () => request([]), get: () => request(undefined) },
+    [STORES.META]: { get: () => request(undefined) },
+    [STORES.SYNC_LOG]: { get: () => request(undefined) }
+  };
+  return {
+    transaction: () => ({
+      objectStore: name => stores[name],
+      set oncomplete(resolve) { resolve(); }
+    })
+  };
+}
+
+/**
+ * StateManager stand-in that imports into an empty chain and records appends
+ */
+function createImportState(keys) {
+  const appended = [];
+  return {
+    appended,
+    db: createEmptyChainDb(),
+    identity: { hid: keys.hid, pubJwk: keys.pubJwk },
+    keyHistory: null,
+    exclusive: fn => fn(),
+    async appendSTA(segment) { appended.push(segment); return { ok: true }; },
+    async getChainHead() { return GENESIS_HASH; }
+  };
+}
+
+test('Bundle: verifySegments computes chain head', async () => {
+  const keys = await createKeys();
+  const chain = await buildChain(keys, 3);
+  const result = await verifySegments(chain.segments);
+  assert(result.ok, `Should verify: ${JSON.stringify(result.errors)}`);
+  assert(result.computedHead === chain.head, 'Computed head should match');
+});
+
+test('Bundle: verifySegments reports missing segments', async () => {
+  const keys = await createKeys();
+  const chain = await buildChain(keys, 3);
+  const result = await verifySegments([chain.segments[0], chain.segments[2]], { length: 3 });
+  assert(result.errors.some(e => e.code === 'MISSING_SEGMENT'), 'Should report MISSING_SEGMENT');
+});
+
+test('Bundle: round trip verifies', async () => {
+  const { bundle, chain } = await createBundle();
+  const parsed = parseBundle(serializeBundle(bundle));
+  assert(parsed.ok, 'Should parse');
+  const result = await verifyChainBundle(parsed.bundle);
+  assert(result.ok, `Should verify: ${JSON.stringify(result.errors)}`);
+  assert(result.manifest.head === chain.head, 'Manifest head should match chain');
+  assert(result.manifest.length === 3, 'Manifest length should be 3');
+});
+
+test('Bundle: rejects tampered segment', async () => {
+  const { bundle } = await createBundle();
+  bundle.segments[1] = { ...bundle.segments[1], payload: { chatId: 'test', text: 'edited' } };
+  const result = await verifyChainBundle(bundle);
+  assert(!result.ok, 'Tampered bundle should fail');
+  assert(result.errors.some(e => e.code === 'SEGMENTS_HASH_MISMATCH'), 'Should flag segments hash');
+  assert(result.errors.some(e => e.code === 'INVALID_SIGNATURE'), 'Should flag segment signature');
+});
+
+test('Bundle: rejects tampered manifest', async () => {
+  const { bundle } = await createBundle();
+  bundle.manifest = { ...bundle.manifest, length: 2 };
+  const result = await verifyChainBundle(bundle);
+  assert(result.errors[0].code === 'INVALID_MANIFEST_SIGNATURE', `Got ${result.errors[0].code}`);
+});
+
+test('Bundle: rejects key not bound to HID', async () => {
+  const { bundle } = await createBundle();
+  const other = await createKeys();
+  bundle.manifest = { ...bundle.manifest, pubJwk: other.pubJwk };
+  const result = await verifyChainBundle(bundle);
+  assert(result.errors[0].code === 'HID_KEY_MISMATCH', `Got ${result.errors[0].code}`);
+});
+
+test('Bundle: import runs the commit rules before appending', async () => {
+  const keys = await createKeys();
+  const good = await buildChain(keys, 2);
+  
+  // Signed and linked, but 500ms after the previous segment
+  const rushedFrom = good.segments[1].timestamp + 500 - 2000;
+  const rushed = await buildChain(keys, 1, { seq: 2, hash: good.head }, rushedFrom);
+  const bundle = await buildChainBundle({ segments: [...good.segments, ...rushed.segments], identity: keys, head: rushed.head });
+  assert((await verifyChainBundle(bundle)).ok, 'Signatures and lineage alone pass');
+  
+  const state = createImportState(keys);
+  const result = await importChainBundle({ state, bundle });
+  assert(!result.ok && result.reason === 'invalid_segment' && result.seq === 3, `Got ${JSON.stringify(result)}`);
+  assert(result.rule === 3, `Rate limit applies, got rule ${result.rule}`);
+  assert(state.appended.length === 0, 'Nothing is appended from a refused bundle');
+  
+  const clean = await buildChainBundle({ segments: good.segments, identity: keys, head: good.head });
+  const accepted = await importChainBundle({ state, bundle: clean });
+  assert(accepted.ok && accepted.imported === 2 && state.appended.length === 2, `Got ${JSON.stringify(accepted)}`);
+});
+
+test('Bundle: parseBundle rejects non-bundles', () => {
+  assert(parseBundle('{"hello":1}').reason === 'not_a_bundle', 'Should reject missing marker');
+  assert(parseBundle('not json').reason === 'parse_error', 'Should reject bad JSON');
+});
+
+test('Bundle: filename uses .bchain extension', async () => {
+  const name = getBundleFilename({ hid: 'HID-11111111', length: 42 });
+  assert(name === 'HID-11111111-42.bchain', `Got ${name}`);
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+runTests().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(e => {
+  console.error('Test runner error:', e);
+  process.exit(1);
+});
@@ -15,7 +15,12 @@ const batches = [
   'batch5.test.js',
   'batch6.test.js',
   'batch7.test.js',
-  'batch8.test.js'
+  'batch8.test.js',
+  'batch9.test.js',
+  'batch10.test.js',
+  'batch11.test.js',
+  'batch12.test.js',
+  'batch13.test.js'
 ];
 
 async function runTest(testFile) {